@@ -2,7 +2,7 @@
 // Express entrypoint for the API.
 // - Applies security headers, CORS, sanitization, and rate limiting.
 // - Ensures a memoized MongoDB connection before routing.
-// - Mounts feature routers and keeps a few legacy endpoints.
+// - Mounts feature routers and keeps a legacy class-listing endpoint.
 //
 // Notes:
 // - app.set("trust proxy", 1) is required so rate limiting uses the real client IP behind proxies.
@@ -20,9 +20,9 @@ import Stripe from "stripe";
 
 // Utils
 import { validateInput } from "../src/utils/backend/validate-utils.js";
+import { termFilter } from "../src/utils/backend/term-utils.js";
 
-// Schemas (used by a few legacy endpoints below)
-import User from "../server/schemas/User.js";
+// Schemas (used by the legacy endpoint below)
 import Class from "../server/schemas/Class.js";
 
 // Routers
@@ -32,6 +32,14 @@ import userRoutes from "../server/routes/user-routes.js";
 import levelRoutes from "../server/routes/level-routes.js";
 import classRoutes from "../server/routes/class-routes.js";
 import volunteerRoutes from "../server/routes/volunteer-routes.js";
+import roleRoutes from "../server/routes/role-routes.js";
+import auditRoutes from "../server/routes/audit-routes.js";
+import trashRoutes from "../server/routes/trash-routes.js";
+import placementRoutes from "../server/routes/placement-routes.js";
+import ageGroupRoutes from "../server/routes/age-group-routes.js";
+import programRoutes from "../server/routes/program-routes.js";
+import termRoutes from "../server/routes/term-routes.js";
+import calendarRoutes from "../server/routes/calendar-routes.js";
 
 // Memoized DB connection (reuses an existing conn per instance)
 import { dbConnect } from "../server/db.js";
@@ -42,6 +50,10 @@ import security from "../server/middleware/security.js";
 // Rate limiting
 import { apiLimiter, burstLimiter } from "../server/middleware/rate-limit.js";
 
+// Viewer-aware class projections for the legacy listing
+import { optionalAuth, requireAuth, requireCapability } from "../server/middleware/auth.js";
+import { loadViewer, projectClass, setViewerCache } from "../server/middleware/policy.js";
+
 const app = express();
 
 /* -------------------------------------------------------------------------- */
@@ -139,6 +151,28 @@ function getDonationStatus() {
   };
 }
 
+// Which settings are in place, for admins checking why a provider is unavailable.
+// Reports whether each secret is set, never the secret itself.
+function getDonationSettings() {
+  const status = getDonationStatus();
+  const baseUrl = getBaseUrl();
+
+  return {
+    enabled: status.enabled,
+    baseUrl,
+    stripe: {
+      available: status.providers.stripe,
+      secretKeySet: !isUnsetEnv(process.env.STRIPE_SECRET_KEY),
+    },
+    paypal: {
+      available: status.providers.paypal,
+      environment: getPayPalApiBase().includes("sandbox") ? "sandbox" : "live",
+      clientIdSet: !isUnsetEnv(process.env.PAYPAL_CLIENT_ID),
+      clientSecretSet: !isUnsetEnv(process.env.PAYPAL_CLIENT_SECRET),
+    },
+  };
+}
+
 function parseAndValidateAmountUsd(amount) {
   const n = Number(amount);
 
@@ -316,6 +350,14 @@ app.use("/api", userRoutes);
 app.use("/api/levels", levelRoutes);
 app.use("/api/classes", classRoutes);
 app.use("/api/volunteer", volunteerRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/placement", placementRoutes);
+app.use("/api/age-groups", ageGroupRoutes);
+app.use("/api/programs", programRoutes);
+app.use("/api/terms", termRoutes);
+app.use("/api/calendar", calendarRoutes);
 
 /* -------------------------------------------------------------------------- */
 /* Donations                                                                  */
@@ -325,6 +367,12 @@ app.get("/api/donate/status", (_req, res) => {
   return res.json(getDonationStatus());
 });
 
+// Donation configuration for the admin Donations page (view_donations capability)
+app.get("/api/donate/settings", requireAuth, requireCapability("view_donations"), (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  return res.json(getDonationSettings());
+});
+
 /**
  * Donation session endpoint (Stripe Checkout)
  * POST /api/donate/create-session
@@ -492,166 +540,30 @@ app.get("/api/health", (_req, res) => {
   res.json({ ok: true, db: mongoose.connection.readyState });
 });
 
-// ------------------ Legacy endpoints kept as-is ------------------------------
+// ------------------ Legacy endpoint ------------------------------------------
 
-// Get All Classes (with simple filter support)
-app.get("/api/all-classes", async (req, res) => {
+// Get All Classes (with simple filter support), shaped per viewer like /api/classes
+app.get("/api/all-classes", optionalAuth, async (req, res) => {
   try {
-    res.setHeader("Cache-Control", "public, s-maxage=3600, stale-while-revalidate=86400");
+    const viewer = await loadViewer(req);
+    setViewerCache(res, viewer);
 
     if ("level" in req.query) req.query.level = Number(req.query.level);
 
-    const allowedFields = ["level", "instructor", "ageGroup"];
+    const allowedFields = ["program", "level", "instructor", "instructorId", "ageGroup", "term"];
     const filters = validateInput(req.query, allowedFields);
 
-    const data = await Class.find(filters);
-    res.json(data);
-  } catch (err) {
-    res.status(500).send(err);
-  }
-});
-
-// Enroll in a class
-app.put("/api/users/:id/enroll", async (req, res) => {
-  const { classId } = req.body;
-  const { id } = req.params;
-
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    return res.status(400).json({ error: "Invalid ID" });
-  }
-
-  try {
-    const user = await User.findById(id);
-    if (user.enrolledClasses.includes(classId)) {
-      return res.status(400).json({ message: "Already enrolled in this class" });
-    }
-
-    const cls = await Class.findById(classId);
-    if (!cls) return res.status(404).json({ message: "Class not found" });
-    if (!cls.isEnrollmentOpen) {
-      return res.status(403).json({ message: "Enrollment is currently closed for this class." });
+    // Same term filter as /api/classes/classes: a term id or "open"
+    if (filters.term !== undefined) {
+      const byTerm = await termFilter(filters.term);
+      if (!byTerm) return res.status(400).json({ message: "Invalid term" });
+      Object.assign(filters, byTerm);
     }
 
-    await User.findByIdAndUpdate(id, { $addToSet: { enrolledClasses: classId } });
-    await Class.findByIdAndUpdate(classId, { $addToSet: { roster: id } });
-
-    res.status(201).json({ message: "Enrolled successfully!" });
+    const data = await Class.find(filters).lean();
+    res.json(data.map((cls) => projectClass(cls, viewer)));
   } catch (err) {
-    console.error("Error enrolling into class:", err);
-    res.status(500).json({ message: "Error enrolling into class" });
-  }
-});
-
-// Unenroll from a class
-app.put("/api/users/:id/unenroll", async (req, res) => {
-  const { classId } = req.body;
-  const { id } = req.params;
-
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    return res.status(400).json({ error: "Invalid ID" });
-  }
-
-  try {
-    const user = await User.findById(id);
-    if (!user.enrolledClasses.includes(classId)) {
-      return res.status(400).json({ message: "Not enrolled in this class" });
-    }
-
-    await User.findByIdAndUpdate(id, { $pull: { enrolledClasses: classId } });
-    await Class.findByIdAndUpdate(classId, { $pull: { roster: id } });
-
-    res.status(201).json({ message: "Successfully unenrolled" });
-  } catch (err) {
-    res.status(500).json({ message: "Error unenrolling into class" });
-  }
-});
-
-// Students export
-app.get("/api/students-export", async (_req, res) => {
-  try {
-    const students = await User.find({ privilege: "student" });
-    const classes = await Class.find();
-    const classMap = new Map(classes.map((c) => [c._id.toString(), c]));
-
-    const formatTime = (hours, minutes) => {
-      const period = hours >= 12 ? "pm" : "am";
-      const hour12 = hours % 12 || 12;
-      return `${hour12}:${minutes.toString().padStart(2, "0")}${period}`;
-    };
-
-    const formattedStudents = [];
-
-    for (const student of students) {
-      const enrolled = (student.enrolledClasses || [])
-        .map((classId) => {
-          const classInfo = classMap.get(classId.toString());
-          if (!classInfo || !Array.isArray(classInfo.schedule)) return null;
-
-          const scheduleEST = classInfo.schedule
-            .map((s) => `${s.day} ${s.startTime}-${s.endTime}`)
-            .join("\n");
-
-          const scheduleIstanbul = classInfo.schedule
-            .map((s) => {
-              const [startHour, startMin] = s.startTime.split(":").map(Number);
-              const [endHour, endMin] = s.endTime.split(":").map(Number);
-
-              const estStart = new Date();
-              const estEnd = new Date();
-              estStart.setHours(startHour, startMin || 0);
-              estEnd.setHours(endHour, endMin || 0);
-
-              const istStart = new Date(estStart.getTime() + 7 * 60 * 60 * 1000);
-              const istEnd = new Date(estEnd.getTime() + 7 * 60 * 60 * 1000);
-
-              return `${s.day} ${formatTime(istStart.getHours(), istStart.getMinutes())}-${formatTime(
-                istEnd.getHours(),
-                istEnd.getMinutes()
-              )}`;
-            })
-            .join("\n");
-
-          return {
-            level: classInfo.level,
-            ageGroup: classInfo.ageGroup,
-            instructor: classInfo.instructor,
-            link: classInfo.link,
-            scheduleEST,
-            scheduleIstanbul,
-          };
-        })
-        .filter(Boolean);
-
-      if (enrolled.length === 0) {
-        formattedStudents.push({
-          firstName: student.firstName,
-          lastName: student.lastName,
-          email: student.email,
-          creationDate: student.creationDate.toISOString().split("T")[0],
-          level: "",
-          ageGroup: "",
-          instructor: "",
-          link: "",
-          scheduleEST: "",
-          scheduleIstanbul: "",
-        });
-      } else {
-        for (const classInfo of enrolled) {
-          formattedStudents.push({
-            firstName: student.firstName,
-            lastName: student.lastName,
-            email: student.email,
-            creationDate: student.creationDate.toISOString().split("T")[0],
-            ...classInfo,
-          });
-        }
-      }
-    }
-
-    res.json({ student_data: formattedStudents });
-  } catch (err) {
-    console.error("Error exporting students:", err.stack || err);
-    res.status(500).json({ message: "Error exporting students" });
+    res.status(500).send(err);
   }
 });
 
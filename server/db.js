@@ -41,4 +41,17 @@ export async function dbConnect() {
 
   cached.conn = await cached.promise;
   return cached.conn;
-}
\ No newline at end of file
+}
+/**
+ * Run `fn(session)` inside a MongoDB transaction and return its result.
+ * Needs a replica set (Atlas clusters are one). Every query inside `fn` must
+ * pass the session, and `fn` may run more than once on transient errors, so
+ * keep side effects (email, Clerk, audit events) outside of it.
+ */
+export async function withTransaction(fn) {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+}
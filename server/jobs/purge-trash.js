@@ -0,0 +1,52 @@
+// server/jobs/purge-trash.js
+// Permanently deletes users, classes and levels that have been in Recently deleted
+// for longer than TRASH_RETENTION_DAYS (default 30). Purged users are also removed
+// from Clerk. Also closes accounts whose owners asked for deletion once the grace
+// period (ACCOUNT_DELETION_GRACE_DAYS, default 14) has passed. Each removal is
+// recorded in the audit log.
+//
+// Usage (from the api folder, with MONGODB_URI and CLERK_SECRET_KEY set), e.g. daily:
+//   npm run purge:trash -- --dry-run   # list what would be purged
+//   npm run purge:trash
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import {
+  purgeExpiredTrash,
+  closeDueAccounts,
+  TRASH_RETENTION_DAYS,
+} from "../../src/utils/backend/trash-utils.js";
+import { recordAudit, classLabel, userLabel } from "../../src/utils/backend/audit-utils.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  await dbConnect();
+
+  const purged = await purgeExpiredTrash({ dryRun });
+  const closed = await closeDueAccounts({ dryRun });
+  const purgeSummary = `Deleted permanently after ${TRASH_RETENTION_DAYS} days in Recently deleted`;
+  const closeSummary = "Account closed at the owner's request";
+
+  const event = (entityType, doc, entityLabel, summary) => ({ entityType, entityId: doc._id, entityLabel, summary });
+  const events = [
+    ...purged.users.map((u) => event("user", u, userLabel(u), purgeSummary)),
+    ...purged.classes.map((c) => event("class", c, classLabel(c), purgeSummary)),
+    ...purged.levels.map((l) => event("level", l, `Level ${l.level}`, purgeSummary)),
+    ...closed.map((u) => event("user", u, userLabel(u), closeSummary)),
+  ];
+
+  for (const item of events) {
+    console.log(`${dryRun ? "Would purge" : "Purged"} ${item.entityType}: ${item.entityLabel} (${item.summary})`);
+    if (!dryRun) await recordAudit(null, { ...item, action: "purge" });
+  }
+  console.log(`${events.length} item(s) ${dryRun ? "to purge" : "purged"}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("Purge failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
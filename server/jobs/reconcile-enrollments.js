@@ -0,0 +1,38 @@
+// server/jobs/reconcile-enrollments.js
+// Finds and repairs enrollment links that are out of sync: students whose classes
+// and class rosters disagree, and references to deleted classes or accounts (see
+// src/utils/backend/reconcile-utils.js for the rules). Each repair is recorded in
+// the audit log. Admins can run the same check from the Students page.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run reconcile:enrollments -- --dry-run   # report only
+//   npm run reconcile:enrollments
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { dbConnect } from "../db.js";
+import { reconcileEnrollments, auditReconcileFixes } from "../../src/utils/backend/reconcile-utils.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  await dbConnect();
+
+  const report = await reconcileEnrollments({ dryRun });
+  for (const item of report.fixes) {
+    console.log(`${dryRun ? "Would fix" : "Fixed"} ${item.user.label} / ${item.class.label}: ${item.description}`);
+  }
+  if (report.applied) await auditReconcileFixes(null, report);
+
+  console.log(
+    `Checked ${report.checkedUsers} user(s) and ${report.checkedClasses} class(es); ` +
+      `${report.fixes.length} fix(es) ${dryRun ? "found" : "applied"}`
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error("Reconcile failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -3,39 +3,76 @@
 //
 // Exports:
 //   - requireAuth: ensures a valid Clerk session (401 if not signed in).
-//   - requireAdminOrInstructor: only allows users whose Mongo `privilege` is
-//     "admin" or "instructor" (403 otherwise).
+//   - optionalAuth: reads the Clerk session when there is one (req.auth), for
+//     public routes whose response depends on who is asking.
+//   - requireCapability(...capabilities): only allows users holding at least one
+//     of the given capabilities (403 otherwise). Sets req.me and req.capabilities.
+//   - getCurrentUser: loads the Mongo user for the signed-in Clerk session.
+//   - getCapabilities: effective capabilities of a user (privilege + roles).
+//
+// Capabilities are listed in src/constants/capabilities.js. A user's privilege
+// grants a fixed set (admins hold all of them); assigned roles add more.
 //
 // Prereqs:
 //   • Backend env must include CLERK_SECRET_KEY.
 //   • The signed-in Clerk user must have a matching users.clerkId in Mongo.
 
-import { requireAuth as clerkRequireAuth } from '@clerk/express';
+import { clerkMiddleware } from '@clerk/express';
 import User from '../schemas/User.js';
+import Role from '../schemas/Role.js';
+import { PRIVILEGE_CAPABILITIES } from '../../src/constants/capabilities.js';
 
 const hasClerkSecret = Boolean(process.env.CLERK_SECRET_KEY);
 
 // Session guard (adds req.auth on success)
-// If secret is present, use Clerk; else respond 503 gracefully.
+// If secret is present, use Clerk; else respond 503 gracefully. Signed-out requests get
+// 401 rather than Clerk's redirect to the sign-in page, since these are API routes.
 export const requireAuth = hasClerkSecret
-  ? clerkRequireAuth()
+  ? [
+      clerkMiddleware(),
+      (req, res, next) => (req.auth?.userId ? next() : res.status(401).json({ message: 'Unauthorized' })),
+    ]
   : (req, res) => res.status(503).json({ message: 'Auth disabled: missing CLERK_SECRET_KEY' });
 
-export async function requireAdminOrInstructor(req, res, next) {
-  try {
-    if (!hasClerkSecret) {
-      return res.status(503).json({ message: 'Auth disabled: missing CLERK_SECRET_KEY' });
-    }
-    const clerkId = req.auth?.userId; // set by requireAuth
-    if (!clerkId) return res.status(401).json({ message: 'Unauthorized' });
+// Never rejects: anonymous requests continue without req.auth.userId.
+export const optionalAuth = hasClerkSecret ? clerkMiddleware() : (_req, _res, next) => next();
 
-    const me = await User.findOne({ clerkId }).select('privilege').lean();
-    if (!me || !['admin', 'instructor'].includes(me.privilege)) {
-      return res.status(403).json({ message: 'Forbidden' });
-    }
-    next();
-  } catch (err) {
-    console.error('requireAdminOrInstructor error:', err);
-    res.status(500).json({ message: 'Auth check failed' });
+// Returns the lean Mongo user for req.auth (or null when signed out / unknown).
+export async function getCurrentUser(req, select = 'privilege') {
+  const clerkId = req.auth?.userId;
+  if (!clerkId) return null;
+  return User.findOne({ clerkId }).select(select).lean();
+}
+
+// Returns a Set of capability keys for a user loaded with `privilege roles`.
+export async function getCapabilities(user) {
+  const capabilities = new Set(PRIVILEGE_CAPABILITIES[user?.privilege] || []);
+  if (user?.roles?.length) {
+    const roles = await Role.find({ _id: { $in: user.roles } }).select('capabilities').lean();
+    roles.forEach((role) => role.capabilities.forEach((c) => capabilities.add(c)));
   }
-}
\ No newline at end of file
+  return capabilities;
+}
+
+export function requireCapability(...required) {
+  return async (req, res, next) => {
+    try {
+      if (!hasClerkSecret) {
+        return res.status(503).json({ message: 'Auth disabled: missing CLERK_SECRET_KEY' });
+      }
+      if (!req.auth?.userId) return res.status(401).json({ message: 'Unauthorized' }); // set by requireAuth
+
+      const me = await getCurrentUser(req, 'privilege email roles');
+      const capabilities = await getCapabilities(me);
+      if (!me || !required.some((c) => capabilities.has(c))) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+      req.me = me;
+      req.capabilities = capabilities;
+      next();
+    } catch (err) {
+      console.error('requireCapability error:', err);
+      res.status(500).json({ message: 'Auth check failed' });
+    }
+  };
+}
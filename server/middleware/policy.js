@@ -0,0 +1,219 @@
+// server/middleware/policy.js
+// Declarative, per-route authorization for write endpoints.
+//
+// A policy maps an action (e.g. "create" | "update" | "delete") to who may perform it.
+// Keys are capabilities (src/constants/capabilities.js) or privileges, and each
+// entry is either:
+//   - true                     → unrestricted
+//   - { own: true, fields }    → only on resources the caller owns, and only the
+//                                listed request-body fields may be changed
+// When several entries match the caller, an unrestricted one wins. Callers
+// matching no entry are denied.
+//
+// Responses:
+//   - 401 when there is no signed-in session (run after requireAuth)
+//   - 403 when the caller's privilege or scope does not allow the action
+//
+// Usage:
+//   router.put("/classes/:id", requireAuth, authorizeClass("update"), handler)
+//
+// Reads of class documents are shaped per viewer with projectClass / rosterAccess
+// (see "Class projections" below).
+
+import mongoose from 'mongoose';
+import Class from '../schemas/Class.js';
+import EnrollmentRequest from '../schemas/EnrollmentRequest.js';
+import Level from '../schemas/Level.js';
+import { getCurrentUser, getCapabilities } from './auth.js';
+import { seatsLeft } from '../../src/utils/backend/enrollment-utils.js';
+import { getEnrollmentState } from '../../src/utils/enrollment-window.js';
+import { checkLevelAccess } from '../../src/utils/level-prerequisites.js';
+
+// Classes of every program share one policy.
+export const CLASS_POLICY = {
+  create: { manage_classes: true },
+  update: { manage_classes: true, instructor: { own: true, fields: ['link'] } },
+  delete: { manage_classes: true },
+  waitlist: { manage_classes: true }, // reorder the waitlist
+  roster: { manage_classes: true }, // transfer, add or remove students in bulk
+  requests: { manage_classes: true, instructor: { own: true } }, // approve or decline enrollment requests
+  sessions: { manage_classes: true, instructor: { own: true } }, // cancel, move or restore sessions and take attendance
+};
+
+// Classes reference their instructor by account. Classes without an instructorId
+// (saved before it existed) have no instructor until `npm run migrate:instructors`
+// links them: display names are not unique, so they are never matched.
+function teachesClass(me, cls) {
+  return Boolean(cls?.instructorId && me?._id) && String(cls.instructorId) === String(me._id);
+}
+
+/**
+ * Build a middleware enforcing `policy[action]`.
+ * @param {object} policy - action → { capability | privilege: true | { own, fields } }
+ * @param {string} action - key into the policy
+ * @param {object} options
+ * @param {(id: string) => Promise<object|null>} options.load - loads the target for scoped rules
+ * @param {(me: object, resource: object) => boolean} options.isOwner - ownership check for scoped rules
+ */
+export function authorize(policy, action, { load, isOwner } = {}) {
+  const rules = policy[action] || {};
+
+  return async (req, res, next) => {
+    try {
+      if (!req.auth?.userId) return res.status(401).json({ message: 'Unauthorized' });
+
+      const me = await getCurrentUser(req, 'privilege firstName lastName roles');
+      const capabilities = await getCapabilities(me);
+      const grants = me
+        ? Object.entries(rules)
+            .filter(([key]) => key === me.privilege || capabilities.has(key))
+            .map(([, grant]) => grant)
+        : [];
+      const rule = grants.includes(true) ? true : grants[0];
+      if (!rule) return res.status(403).json({ message: 'Forbidden' });
+
+      req.me = me;
+      req.capabilities = capabilities;
+      if (rule === true) return next();
+
+      if (rule.fields) {
+        const disallowed = Object.keys(req.body || {}).filter((k) => !rule.fields.includes(k));
+        if (disallowed.length) {
+          return res.status(403).json({
+            message: `Forbidden: ${me.privilege} may only change ${rule.fields.join(', ')}`,
+          });
+        }
+      }
+
+      if (rule.own) {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({ error: 'Invalid ID' });
+        }
+        const resource = await load(id);
+        if (!resource) return res.status(404).json({ message: 'Not found' });
+        if (!isOwner(me, resource)) return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      next();
+    } catch (err) {
+      console.error('authorize error:', err);
+      res.status(500).json({ message: 'Auth check failed' });
+    }
+  };
+}
+
+export const authorizeClass = (action) =>
+  authorize(CLASS_POLICY, action, {
+    load: (id) => Class.findById(id).select('instructor instructorId').lean(),
+    isOwner: teachesClass,
+  });
+
+/* -----------------------------
+   Class projections
+------------------------------*/
+
+// Fields each audience may read; every audience also gets the narrower ones.
+//   public     anonymous visitors and anyone not linked to the class
+//   enrolled   students on the class roster (adds their meeting link)
+//   teaching   the class's instructor
+//   managers   `manage_classes` get the full document
+const PUBLIC_CLASS_FIELDS = [
+  '_id', 'program', 'level', 'term', 'ageGroup', 'instructor', 'image', 'schedule', 'capacity', 'approvalRequired',
+];
+const ENROLLED_CLASS_FIELDS = [...PUBLIC_CLASS_FIELDS, 'link'];
+const TEACHING_CLASS_FIELDS = [...ENROLLED_CLASS_FIELDS, 'instructorId'];
+
+// What an instructor may see about the students they teach.
+export const INSTRUCTOR_ROSTER_FIELDS = 'firstName lastName email whatsapp';
+
+const pick = (doc, fields) => Object.fromEntries(fields.filter((f) => f in doc).map((f) => [f, doc[f]]));
+
+/**
+ * Resolve who is reading (run after optionalAuth or requireAuth).
+ * Students also get the ids of classes they have asked to join (`pendingRequests`)
+ * and the level numbers whose prerequisites they have not met (`lockedLevels`).
+ * @returns {Promise<{ me: object, capabilities: Set<string>, pendingRequests?: Set<string>,
+ *   lockedLevels?: Set<number> } | null>} null for anonymous visitors
+ */
+export async function loadViewer(req) {
+  if (!req.auth?.userId) return null;
+  const me = await getCurrentUser(
+    req,
+    'privilege firstName lastName roles completedLevels placementLevel levelOverrides'
+  );
+  if (!me) return null;
+  const viewer = { me, capabilities: await getCapabilities(me) };
+  if (me.privilege === 'student') {
+    const [classIds, gatedLevels] = await Promise.all([
+      EnrollmentRequest.distinct('class', { student: me._id, status: 'pending' }),
+      Level.find({ 'prerequisites.0': { $exists: true } }).select('level prerequisites').lean(),
+    ]);
+    viewer.pendingRequests = new Set(classIds.map(String));
+    viewer.lockedLevels = new Set(
+      gatedLevels.filter((level) => !checkLevelAccess(level, me).unlocked).map((level) => level.level)
+    );
+  }
+  return viewer;
+}
+
+// Computed for every audience: whether enrollment is open right now, seats and
+// queue length, plus the viewer's own place in line (1-based) when they are on
+// the waitlist, whether they have asked to join and whether the class's level is
+// still locked for them.
+function seatSummary(cls, viewer) {
+  const me = viewer?.me;
+  const waitlist = (cls.waitlist || []).map(String);
+  const position = me ? waitlist.indexOf(String(me._id)) + 1 : 0;
+  return {
+    isEnrollmentOpen: getEnrollmentState(cls).isOpen,
+    seatsLeft: seatsLeft(cls),
+    waitlistCount: waitlist.length,
+    ...(position ? { waitlistPosition: position } : {}),
+    ...(viewer?.pendingRequests?.has(String(cls._id)) ? { requestPending: true } : {}),
+    ...(viewer?.lockedLevels?.has(cls.level) ? { levelLocked: true } : {}),
+  };
+}
+
+/**
+ * Shape a lean class document for `viewer` (from loadViewer).
+ * Needs `roster`, `waitlist` and `instructorId` / `instructor` on the input to decide the audience.
+ */
+export function projectClass(cls, viewer) {
+  if (!cls) return cls;
+  const me = viewer?.me;
+  if (viewer?.capabilities.has('manage_classes')) return { ...cls, ...seatSummary(cls, viewer) };
+
+  let fields = PUBLIC_CLASS_FIELDS;
+  if (me && me.privilege === 'instructor' && teachesClass(me, cls)) fields = TEACHING_CLASS_FIELDS;
+  else if (me && (cls.roster || []).some((id) => String(id) === String(me._id))) fields = ENROLLED_CLASS_FIELDS;
+
+  // Only the upcoming open/close times; the override stays with class managers
+  const { opensAt, closesAt } = getEnrollmentState(cls);
+  return {
+    ...pick(cls, fields),
+    ...seatSummary(cls, viewer),
+    enrollmentOpensAt: opensAt,
+    enrollmentClosesAt: closesAt,
+  };
+}
+
+/**
+ * Roster access for a class: 'full' for class or user managers, 'limited'
+ * (INSTRUCTOR_ROSTER_FIELDS) for the class's instructor, otherwise null.
+ */
+export function rosterAccess(cls, viewer) {
+  if (!viewer) return null;
+  if (viewer.capabilities.has('manage_classes') || viewer.capabilities.has('manage_users')) return 'full';
+  if (viewer.me.privilege === 'instructor' && teachesClass(viewer.me, cls)) return 'limited';
+  return null;
+}
+
+// Anonymous responses may be shared at the edge; signed-in responses depend on the viewer.
+export function setViewerCache(res, viewer) {
+  res.setHeader('Vary', 'Cookie, Authorization');
+  res.setHeader(
+    'Cache-Control',
+    viewer ? 'private, no-store' : 'public, s-maxage=3600, stale-while-revalidate=86400'
+  );
+}
@@ -0,0 +1,43 @@
+// server/migrations/enrollment-windows.js
+// One-off migration: replace the manual `isEnrollmentOpen` switch on classes.
+//
+// Enrollment is now computed from the class's enrollment window and
+// `enrollmentOverride` (see src/utils/enrollment-window.js). Classes an admin had
+// closed get `enrollmentOverride: "closed"` so they stay closed; the old field is
+// removed from every class, including those in Recently deleted.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run migrate:enrollment-windows              # apply
+//   npm run migrate:enrollment-windows -- --dry-run # report only
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import Class from "../schemas/Class.js";
+import { dbConnect } from "../db.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  await dbConnect();
+
+  // The raw collection sees fields no longer in the schema and trashed classes
+  const classes = Class.collection;
+  const wasClosed = { isEnrollmentOpen: false, enrollmentOverride: null }; // null also matches a missing field
+  const closed = await classes.countDocuments(wasClosed);
+  const legacy = await classes.countDocuments({ isEnrollmentOpen: { $exists: true } });
+
+  if (!dryRun) {
+    await classes.updateMany(wasClosed, { $set: { enrollmentOverride: "closed" } });
+    await classes.updateMany({ isEnrollmentOpen: { $exists: true } }, { $unset: { isEnrollmentOpen: "" } });
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}${closed} closed class(es) kept closed with an override.`);
+  console.log(`${dryRun ? "[dry run] " : ""}Removed isEnrollmentOpen from ${legacy} class(es).`);
+}
+
+main()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
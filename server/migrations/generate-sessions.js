@@ -0,0 +1,35 @@
+// server/migrations/generate-sessions.js
+// Creates the dated sessions of every class that belongs to a term, from its weekly
+// schedule (see src/utils/backend/session-utils.js). Classes created, edited or rolled
+// over from now on are kept in sync by the API; this fills in the ones saved before
+// sessions existed. Existing sessions are kept, so it is safe to re-run.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run migrate:sessions
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import Class from "../schemas/Class.js";
+import { dbConnect } from "../db.js";
+import { syncClassSessions } from "../../src/utils/backend/session-utils.js";
+
+async function main() {
+  await dbConnect();
+
+  const classIds = await Class.find({ term: { $ne: null } }).distinct("_id");
+  let added = 0;
+  let removed = 0;
+  for (const classId of classIds) {
+    const result = await syncClassSessions(classId);
+    added += result.added;
+    removed += result.removed;
+  }
+  console.log(`${classIds.length} class(es): added ${added} session(s), removed ${removed}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
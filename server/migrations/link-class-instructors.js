@@ -0,0 +1,72 @@
+// server/migrations/link-class-instructors.js
+// One-off migration: link classes to instructor accounts.
+//
+// Classes used to store only the instructor's first name in `instructor`. This
+// sets `instructorId` on every unlinked class whose name matches exactly one
+// instructor account (by "First Last" or by first name, case-insensitive).
+// Ambiguous or unmatched classes are listed so an admin can pick the
+// instructor from the class edit page.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run migrate:instructors              # apply
+//   npm run migrate:instructors -- --dry-run # report only
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import { dbConnect } from "../db.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const normalize = (s) => String(s || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+const addTo = (map, key, value) => {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+async function main() {
+  await dbConnect();
+
+  const instructors = await User.find({ privilege: "instructor" }).select("firstName lastName").lean();
+  const byFullName = new Map();
+  const byFirstName = new Map();
+  for (const u of instructors) {
+    addTo(byFullName, normalize(`${u.firstName} ${u.lastName}`), u);
+    addTo(byFirstName, normalize(u.firstName), u);
+  }
+
+  const classes = await Class.find({ instructorId: null }).select("program level ageGroup instructor").lean();
+  const unresolved = [];
+  let linked = 0;
+
+  for (const cls of classes) {
+    const key = normalize(cls.instructor);
+    const matches = byFullName.get(key) || byFirstName.get(key) || [];
+
+    if (matches.length !== 1) {
+      unresolved.push({ cls, reason: matches.length ? `${matches.length} instructors match` : "no match" });
+      continue;
+    }
+
+    const [account] = matches;
+    if (!dryRun) {
+      await Class.updateOne({ _id: cls._id }, { instructorId: account._id, instructor: account.firstName });
+    }
+    linked += 1;
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}Linked ${linked} of ${classes.length} unlinked classes.`);
+  for (const { cls, reason } of unresolved) {
+    console.log(`  - ${cls._id} (level ${cls.level}, ${cls.ageGroup}, "${cls.instructor}"): ${reason}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
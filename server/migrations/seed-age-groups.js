@@ -0,0 +1,28 @@
+// server/migrations/seed-age-groups.js
+// Creates the age groups classes already use (DEFAULT_AGE_GROUPS in src/utils/age-groups.js)
+// with their starting age ranges. Existing groups are left untouched, so it is safe to re-run.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run migrate:age-groups
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import AgeGroup from "../schemas/AgeGroup.js";
+import { dbConnect } from "../db.js";
+import { DEFAULT_AGE_GROUPS, describeAgeRange } from "../../src/utils/age-groups.js";
+
+async function main() {
+  await dbConnect();
+
+  for (const group of DEFAULT_AGE_GROUPS) {
+    const result = await AgeGroup.updateOne({ name: group.name }, { $setOnInsert: group }, { upsert: true });
+    console.log(`${group.name}: ${result.upsertedCount ? `created (${describeAgeRange(group)})` : "already exists"}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,56 @@
+// server/migrations/seed-programs.js
+// Creates the starting programs (DEFAULT_PROGRAMS in src/utils/programs.js) and moves
+// existing classes onto them: classes whose level was "conversation" or "ielts" join that
+// program with no level, every other class joins the General English program. Enrollment
+// history is updated the same way. Existing programs are left untouched and classes that
+// already have a program are skipped, so it is safe to re-run.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run migrate:programs
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import Program from "../schemas/Program.js";
+import Class from "../schemas/Class.js";
+import EnrollmentRecord from "../schemas/EnrollmentRecord.js";
+import { dbConnect } from "../db.js";
+import { createProgramTranslations } from "../../src/utils/backend/translation-utils.js";
+import { DEFAULT_PROGRAMS, DEFAULT_PROGRAM } from "../../src/utils/programs.js";
+
+const LEGACY_PROGRAMS = ["conversation", "ielts"];
+
+async function main() {
+  await dbConnect();
+
+  for (const program of DEFAULT_PROGRAMS) {
+    const result = await Program.updateOne({ slug: program.slug }, { $setOnInsert: program }, { upsert: true });
+    if (result.upsertedCount) {
+      await createProgramTranslations({ ...program, _id: result.upsertedId });
+    }
+    console.log(`${program.slug}: ${result.upsertedCount ? "created" : "already exists"}`);
+  }
+
+  // Raw collection updates, so classes in Recently deleted are moved too
+  for (const slug of LEGACY_PROGRAMS) {
+    const classes = await Class.collection.updateMany({ level: slug }, { $set: { program: slug, level: null } });
+    const records = await EnrollmentRecord.collection.updateMany(
+      { "classInfo.level": slug },
+      { $set: { "classInfo.program": slug, "classInfo.level": null } }
+    );
+    console.log(`${slug}: moved ${classes.modifiedCount} class(es) and ${records.modifiedCount} enrollment record(s)`);
+  }
+
+  const classes = await Class.collection.updateMany({ program: { $exists: false } }, { $set: { program: DEFAULT_PROGRAM } });
+  const records = await EnrollmentRecord.collection.updateMany(
+    { "classInfo.program": { $in: [null, ""] } },
+    { $set: { "classInfo.program": DEFAULT_PROGRAM } }
+  );
+  console.log(`${DEFAULT_PROGRAM}: moved ${classes.modifiedCount} class(es) and ${records.modifiedCount} enrollment record(s)`);
+}
+
+main()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
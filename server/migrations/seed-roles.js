@@ -0,0 +1,28 @@
+// server/migrations/seed-roles.js
+// Creates the starter roles from src/constants/capabilities.js (DEFAULT_ROLES).
+// Existing roles with the same name are left untouched, so it is safe to re-run.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run migrate:roles
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import Role from "../schemas/Role.js";
+import { dbConnect } from "../db.js";
+import { DEFAULT_ROLES } from "../../src/constants/capabilities.js";
+
+async function main() {
+  await dbConnect();
+
+  for (const role of DEFAULT_ROLES) {
+    const result = await Role.updateOne({ name: role.name }, { $setOnInsert: role }, { upsert: true });
+    console.log(`${role.name}: ${result.upsertedCount ? "created" : "already exists"}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
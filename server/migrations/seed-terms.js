@@ -0,0 +1,48 @@
+// server/migrations/seed-terms.js
+// Creates the first academic term and puts every class without a term in it, so the
+// schedule, portals and rosters can be split by term from then on. When a term with
+// the given name already exists only the classes are moved, so it is safe to re-run.
+//
+// Usage (from the api folder, with MONGODB_URI set):
+//   npm run migrate:terms -- --name "Fall 2026" --start 2026-09-01 --end 2026-12-18
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import Term from "../schemas/Term.js";
+import Class from "../schemas/Class.js";
+import { dbConnect } from "../db.js";
+
+// Value after `--flag`, or undefined.
+const arg = (flag) => {
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+async function main() {
+  const name = arg("--name");
+  const startDate = new Date(arg("--start"));
+  const endDate = new Date(arg("--end"));
+  if (!name || Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime()) || endDate < startDate) {
+    throw new Error('Pass the term as --name "Fall 2026" --start 2026-09-01 --end 2026-12-18');
+  }
+
+  await dbConnect();
+
+  const result = await Term.updateOne({ name }, { $setOnInsert: { name, startDate, endDate } }, { upsert: true });
+  const term = await Term.findOne({ name }).lean();
+  console.log(`${name}: ${result.upsertedCount ? "created" : "already exists"}`);
+
+  // Raw collection update, so classes in Recently deleted get the term too
+  const classes = await Class.collection.updateMany(
+    { $or: [{ term: { $exists: false } }, { term: null }] },
+    { $set: { term: term._id } }
+  );
+  console.log(`${name}: added ${classes.modifiedCount} class(es)`);
+}
+
+main()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
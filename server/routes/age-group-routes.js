@@ -0,0 +1,178 @@
+/**
+ * server/routes/age-group-routes.js
+ *
+ * Age group API routes.
+ * Mounted at `/api/age-groups` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET    /              Lists age groups with their age ranges and how many classes use each.
+ * - POST   /              Adds an age group ({ name, minAge, maxAge }).
+ * - PUT    /:id           Changes an age group's range ({ minAge, maxAge }); names are fixed
+ *                         because classes and translations refer to them.
+ * - DELETE /:id           Deletes an age group no class uses (409 otherwise).
+ * - GET    /mismatches    Students enrolled in classes whose age range they are outside of,
+ *                         or who have no age on record (see age-group-utils.js).
+ *
+ * Auth:
+ * - Listing needs a session; changes require `manage_classes` and are recorded as
+ *   AuditEvents (entityType "age_group"). The mismatch report requires `manage_users`.
+ *
+ * Ranges:
+ * - `minAge` and `maxAge` are inclusive whole numbers; either may be null (no bound).
+ *   Enrolling checks them (src/utils/backend/enrollment-utils.js); a new range does not
+ *   unenroll anyone, the mismatch report lists who is now outside it.
+ *
+ * Caching:
+ * - Responses are not cacheable.
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import AgeGroup from "../schemas/AgeGroup.js";
+import Class from "../schemas/Class.js";
+import { requireAuth, requireCapability } from "../middleware/auth.js";
+import { recordAudit, diffChanges } from "../../src/utils/backend/audit-utils.js";
+import { findAgeMismatches } from "../../src/utils/backend/age-group-utils.js";
+import { describeAgeRange } from "../../src/utils/age-groups.js";
+
+const router = express.Router();
+
+router.use((_req, res, next) => {
+  res.setHeader("Cache-Control", "no-store");
+  next();
+});
+
+// Names end up in translation keys ("<name>_class"), so they are kept simple
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const MAX_AGE = 120;
+
+// Empty values mean no bound. Returns an error message, or null when the range is valid.
+const normalizeRange = (input) => {
+  for (const field of ["minAge", "maxAge"]) {
+    if (!(field in input)) continue;
+    if (input[field] === "" || input[field] === null) {
+      input[field] = null;
+      continue;
+    }
+    input[field] = Number(input[field]);
+    if (!Number.isInteger(input[field]) || input[field] < 0 || input[field] > MAX_AGE) {
+      return `${field} must be a whole number from 0 to ${MAX_AGE}`;
+    }
+  }
+  return null;
+};
+
+const checkOrder = ({ minAge, maxAge }) =>
+  minAge != null && maxAge != null && minAge > maxAge ? "The minimum age must not be above the maximum age" : null;
+
+// Records an age group change in the audit log.
+const auditAgeGroup = (req, action, before, after) =>
+  recordAudit(req, {
+    action,
+    entityType: "age_group",
+    entityId: (after || before)._id,
+    entityLabel: (after || before).name,
+    summary: after ? describeAgeRange(after) : "",
+    changes: diffChanges(before, after),
+  });
+
+router.get("/", requireAuth, async (_req, res) => {
+  try {
+    const [groups, usage] = await Promise.all([
+      AgeGroup.find({}).sort({ minAge: 1, name: 1 }).lean(),
+      Class.aggregate([{ $group: { _id: "$ageGroup", count: { $sum: 1 } } }]),
+    ]);
+    const classCounts = new Map(usage.map((u) => [u._id, u.count]));
+    res.json(groups.map((group) => ({ ...group, classCount: classCounts.get(group.name) || 0 })));
+  } catch (err) {
+    console.error("Failed to get age groups:", err);
+    res.status(500).json({ message: "Failed to get age groups" });
+  }
+});
+
+router.post("/", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const input = {
+      name: String(req.body?.name || "").trim().toLowerCase(),
+      minAge: req.body?.minAge ?? null,
+      maxAge: req.body?.maxAge ?? null,
+    };
+    if (!NAME_PATTERN.test(input.name)) {
+      return res.status(400).json({ message: "Use lowercase letters, digits and underscores for the name" });
+    }
+    const error = normalizeRange(input) || checkOrder(input);
+    if (error) return res.status(400).json({ message: error });
+
+    if (await AgeGroup.exists({ name: input.name })) {
+      return res.status(409).json({ message: "An age group with this name already exists" });
+    }
+    const group = await AgeGroup.create(input);
+    await auditAgeGroup(req, "create", null, group.toObject());
+    res.status(201).json(group);
+  } catch (err) {
+    console.error("Failed to create age group:", err);
+    res.status(500).json({ message: "Failed to create age group" });
+  }
+});
+
+router.put("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const previous = await AgeGroup.findById(id).lean();
+    if (!previous) return res.status(404).json({ message: "Age group not found" });
+
+    const updates = {};
+    for (const field of ["minAge", "maxAge"]) {
+      if (req.body && field in req.body) updates[field] = req.body[field];
+    }
+    const error = normalizeRange(updates) || checkOrder({ ...previous, ...updates });
+    if (error) return res.status(400).json({ message: error });
+
+    const group = await AgeGroup.findByIdAndUpdate(id, updates, { new: true, runValidators: true }).lean();
+    await auditAgeGroup(req, "update", previous, group);
+    res.json(group);
+  } catch (err) {
+    console.error("Failed to update age group:", err);
+    res.status(500).json({ message: "Failed to update age group" });
+  }
+});
+
+router.delete("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const group = await AgeGroup.findById(id).lean();
+    if (!group) return res.status(404).json({ message: "Age group not found" });
+
+    // Classes in Recently deleted count too, so restoring them keeps a valid age group
+    const inUse = await Class.countDocuments({ ageGroup: group.name }).setOptions({ withDeleted: true });
+    if (inUse) {
+      return res.status(409).json({ message: `${inUse} class(es) use this age group; move them to another group first` });
+    }
+
+    await AgeGroup.deleteOne({ _id: id });
+    await auditAgeGroup(req, "delete", group, null);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Failed to delete age group:", err);
+    res.status(500).json({ message: "Failed to delete age group" });
+  }
+});
+
+router.get("/mismatches", requireAuth, requireCapability("manage_users"), async (_req, res) => {
+  try {
+    res.json(await findAgeMismatches());
+  } catch (err) {
+    console.error("Failed to get age mismatches:", err);
+    res.status(500).json({ message: "Failed to get the age report" });
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+/**
+ * server/routes/audit-routes.js
+ *
+ * Audit log API routes.
+ * Mounted at `/api/audit` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET /          Lists audit events, newest first (paginated).
+ *                  Query: actor (user id), entityType, entityId, from / to (YYYY-MM-DD, inclusive),
+ *                  q (matches the target label and summary), page, limit.
+ * - GET /actors    Lists everyone who has made an audited change (for the actor filter).
+ *
+ * Auth:
+ * - Requires the `view_audit_log` capability. Events are written by the class,
+ *   level, user, volunteer, translation and role routers (see audit-utils.js).
+ *
+ * Caching:
+ * - Responses are not cacheable.
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import AuditEvent from "../schemas/AuditEvent.js";
+import { requireAuth, requireCapability } from "../middleware/auth.js";
+import { AUDIT_ENTITY_TYPES } from "../../src/constants/audit.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireCapability("view_audit_log"), (_req, res, next) => {
+  res.setHeader("Cache-Control", "no-store");
+  next();
+});
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const escapeRx = (s) => s.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
+
+// Returns an error message for invalid filters, or null; fills `filter` otherwise.
+const buildAuditFilter = (query, filter) => {
+  const actor = String(query.actor || "").trim();
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) return "Invalid actor";
+    filter.actor = actor;
+  }
+
+  const entityType = String(query.entityType || "").trim();
+  if (entityType) {
+    if (!(entityType in AUDIT_ENTITY_TYPES)) return "Invalid entity type";
+    filter.entityType = entityType;
+  }
+
+  const entityId = String(query.entityId || "").trim();
+  if (entityId) filter.entityId = entityId;
+
+  const from = String(query.from || "").trim();
+  const to = String(query.to || "").trim();
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) return "Dates must be YYYY-MM-DD";
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(`${from}T00:00:00.000Z`);
+    if (to) {
+      const end = new Date(`${to}T00:00:00.000Z`);
+      end.setUTCDate(end.getUTCDate() + 1);
+      filter.createdAt.$lt = end;
+    }
+  }
+
+  const q = String(query.q || "").trim();
+  if (q) {
+    const rx = new RegExp(escapeRx(q), "i");
+    filter.$or = [{ entityLabel: rx }, { summary: rx }];
+  }
+
+  return null;
+};
+
+// Get audit events
+router.get("/", async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+
+    const filter = {};
+    const error = buildAuditFilter(req.query, filter);
+    if (error) return res.status(400).json({ message: error });
+
+    const [items, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter),
+    ]);
+
+    res.json({ items, total, page, limit });
+  } catch (err) {
+    console.error("Failed to get audit events:", err);
+    res.status(500).json({ message: "Failed to get audit events" });
+  }
+});
+
+// Get actors
+router.get("/actors", async (_req, res) => {
+  try {
+    const actors = await AuditEvent.aggregate([
+      { $match: { actor: { $ne: null } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: "$actor", name: { $first: "$actorName" }, email: { $first: "$actorEmail" } } },
+      { $sort: { name: 1 } },
+    ]);
+    res.json(actors);
+  } catch (err) {
+    console.error("Failed to get audit actors:", err);
+    res.status(500).json({ message: "Failed to get audit actors" });
+  }
+});
+
+export default router;
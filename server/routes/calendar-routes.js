@@ -0,0 +1,62 @@
+/**
+ * server/routes/calendar-routes.js
+ *
+ * Calendar feed routes.
+ * Mounted at `/api/calendar` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET /:token.ics   iCalendar feed of the classes the token's owner is enrolled in or
+ *                     teaches, one weekly event per schedule slot (see calendar-utils.js).
+ *                     Cancelled sessions are left out and moved ones are shown at their new times.
+ *
+ * Auth:
+ * - None: calendar apps cannot sign in, so the feed is reached by the secret token in its
+ *   URL. Users get and regenerate their token with GET and POST /api/me/calendar.
+ *   Unknown tokens (including regenerated ones) respond 404.
+ *
+ * Caching:
+ * - Responses are private to the token's owner and may be reused for 15 minutes.
+ */
+
+import express from "express";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import Program from "../schemas/Program.js";
+import ClassSession from "../schemas/ClassSession.js";
+import { buildCalendarFeed, isCalendarToken } from "../../src/utils/backend/calendar-utils.js";
+
+const router = express.Router();
+
+router.get("/:token.ics", async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!isCalendarToken(token)) return res.status(404).json({ message: "Calendar not found" });
+
+    const user = await User.findOne({ calendarToken: token }).select("_id enrolledClasses").lean();
+    if (!user) return res.status(404).json({ message: "Calendar not found" });
+
+    const [classes, programs] = await Promise.all([
+      Class.find({ $or: [{ _id: { $in: user.enrolledClasses || [] } }, { instructorId: user._id }] })
+        .select("program level ageGroup instructor link schedule term")
+        .populate("term", "startDate endDate")
+        .lean(),
+      Program.find({}).select("slug name").lean(),
+    ]);
+    // Only sessions that differ from the weekly events need to be in the feed
+    const sessions = await ClassSession.find({
+      class: { $in: classes.map((cls) => cls._id) },
+      $or: [{ status: "cancelled" }, { $expr: { $ne: ["$startsAt", "$scheduledStart"] } }],
+    })
+      .select("class scheduledStart startsAt endsAt status reason")
+      .lean();
+
+    res.setHeader("Cache-Control", "private, max-age=900");
+    res.setHeader("Content-Disposition", 'inline; filename="dillar-classes.ics"');
+    res.type("text/calendar; charset=utf-8").send(buildCalendarFeed(classes, { programs, sessions }));
+  } catch (err) {
+    console.error("Failed to build calendar feed:", err);
+    res.status(500).json({ message: "Failed to build calendar feed" });
+  }
+});
+
+export default router;
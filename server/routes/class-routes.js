@@ -8,22 +8,126 @@
  * - GET    /classes
  * - GET    /classes/:id
  * - GET    /class-students/:id
+ * - GET    /classes/:id/waitlist
+ * - PUT    /classes/:id/waitlist
+ * - GET    /classes/:id/requests
+ * - PUT    /classes/:id/requests/:requestId
+ * - POST   /roster-changes
+ * - GET    /sessions
+ * - PUT    /classes/:id/sessions/:sessionId
+ * - PUT    /classes/:id/sessions/:sessionId/attendance
  * - POST   /classes
  * - PUT    /classes/:id
  * - DELETE /classes/:id
- * - GET    /conversations
- * - GET    /conversations/:id
- * - POST   /conversations
- * - PUT    /conversations/:id
- * - DELETE /conversations/:id
- * - GET    /ielts
- * - GET    /ielts/:id
- * - POST   /ielts
- * - PUT    /ielts/:id
- * - DELETE /ielts/:id
+ *
+ * Auth:
+ * - Writes (POST/PUT/DELETE) require a session and are gated by CLASS_POLICY
+ *   (see server/middleware/policy.js): the `manage_classes` capability grants
+ *   full access, instructors may only update the `link` of classes they teach
+ *   and decide enrollment requests for them.
+ * - PUT /classes/:id only changes the class's settings (EDITABLE_CLASS_FIELDS); other
+ *   fields in the body, such as `roster`, `instructor` or `deletedAt`, are ignored.
+ *
+ * Capacity and waitlist:
+ * - `capacity` (null = unlimited) caps the roster; students enrolling in a full
+ *   class join its ordered `waitlist` (see enrollment-utils.js). Edits that free
+ *   seats (raising capacity, reopening enrollment) promote from the waitlist.
+ * - The waitlist is only changed by enrolling/unenrolling and by
+ *   PUT /classes/:id/waitlist, which reorders it ({ waitlist: [userId] }, same
+ *   people in a new order) and requires `manage_classes`. GET returns it in order,
+ *   with the same per-viewer fields as the roster.
+ *
+ * Enrollment window:
+ * - `enrollmentOpensAt` / `enrollmentClosesAt` open and close enrollment
+ *   automatically by server time; `enrollmentOverride` ("open" | "closed" | null)
+ *   forces it either way (see src/utils/enrollment-window.js). Reads return the
+ *   computed `isEnrollmentOpen`.
+ *
+ * Approval:
+ * - Enrolling in a class with `approvalRequired` creates a pending
+ *   EnrollmentRequest. GET /classes/:id/requests lists the pending ones, oldest
+ *   first, with the same per-viewer student fields as the roster.
+ *   PUT /classes/:id/requests/:requestId ({ decision: "approve" | "decline", note })
+ *   settles one and emails the student; approving seats them or, when the class is
+ *   full, adds them to the waitlist. Approving fails with 409 "schedule_conflict"
+ *   (request left pending) when the student is now in a class at the same time.
+ *
+ * Bulk roster changes:
+ * - POST /roster-changes ({ action: "transfer" | "add" | "remove", students: [userId],
+ *   fromClassId, toClassId, reason? }) requires `manage_classes`. Transfers need both
+ *   classes, adding only `toClassId` and removing only `fromClassId`. Every student is
+ *   checked first; the response is { applied, results: [{ user: { _id, label }, ok,
+ *   status?, position?, code?, message? }] }. When any student fails, nothing is changed
+ *   (`applied` false); otherwise all changes are made in one transaction, audited per
+ *   student, and seats freed in the class left go to its waitlist.
+ * - Transfers need a seat for every student. Adding fills the free seats in the order
+ *   given and puts the rest on the waitlist (`status` "waitlisted" with `position`).
+ *
+ * Sessions:
+ * - Classes in a term have a ClassSession for every dated meeting of their schedule
+ *   (see session-utils.js), kept in sync when the schedule or term changes.
+ * - GET /sessions?classIds=a,b&from&to lists the sessions of up to 50 classes that
+ *   start or were scheduled in the range (default: the next two weeks; at most 400
+ *   days), by start time. Notes, attendance and `changedBy` are only returned to
+ *   viewers with roster access to the class.
+ * - PUT /classes/:id/sessions/:sessionId ({ action: "cancel" | "reschedule" |
+ *   "restore", reason, startsAt?, endsAt? }) changes one session that has not
+ *   started; cancelling and moving need a reason. PUT .../attendance ({ attendance:
+ *   [{ student, status }], notes }) records the meeting. Both require `manage_classes`
+ *   or teaching the class; only the first is blocked once the term has ended.
+ *
+ * Programs:
+ * - Every class belongs to a program from /api/programs (program-routes.js), named
+ *   by its slug in `program`. Classes of level-based programs need a numeric
+ *   `level`; other programs' classes have none (null). GET /classes filters by
+ *   `program` and/or `level`, e.g. ?program=ielts.
+ *
+ * Terms:
+ * - Classes belong to an academic term from /api/terms (term-routes.js) by its id in
+ *   `term`, or to none (null). New classes go in the current term unless one is sent;
+ *   classes cannot be created in or moved to a term that has ended.
+ * - GET /classes filters by `term`: a term id (its classes plus those without a
+ *   term) or "open" (classes of terms that have not ended).
+ * - Classes of a term that has ended are read-only: PUT, DELETE and roster,
+ *   waitlist and request changes fail with 409 "term_ended" (see term-utils.js).
+ *
+ * Age groups:
+ * - `ageGroup` must name an age group from /api/age-groups (age-group-routes.js);
+ *   enrolling in a class whose age group has an age range fails with 403
+ *   "age_required" (no age on record) or "age_not_eligible".
+ *
+ * Level prerequisites:
+ * - For signed-in students, classes of a level whose prerequisites they have not
+ *   met come back with `levelLocked: true`; enrolling in them fails with 403
+ *   "level_locked" (see src/utils/level-prerequisites.js).
+ *
+ * Instructors:
+ * - Classes reference their instructor account via `instructorId`. Create and
+ *   edit requests send `instructorId`; the `instructor` display name is derived
+ *   from that account and kept in sync when the instructor renames themselves.
+ * - Instructor access (editing the link, deciding requests, managing sessions, the
+ *   roster) is by `instructorId` only. Classes without one are managed by admins
+ *   until `npm run migrate:instructors` links them.
+ *
+ * Deleting:
+ * - DELETE moves the class to Recently deleted (see trash-utils.js): it is
+ *   hidden from every listing and its students are unenrolled until it is
+ *   restored from /api/trash.
+ *
+ * Audit:
+ * - Creates, edits and deletes are recorded as AuditEvents (entityType "class").
+ *
+ * Reads:
+ * - GET responses are shaped per viewer (see projectClass in policy.js):
+ *   anonymous visitors get schedule and level details only, enrolled students
+ *   also get the meeting link, the class's instructor also gets instructorId,
+ *   and `manage_classes` gets the full document.
+ * - Rosters (GET /class-students/:id) are limited to the class's instructor
+ *   (name, email, WhatsApp) and to class/user managers.
  *
  * Caching:
- * - Public GET list/detail responses are cacheable at the CDN/edge.
+ * - Anonymous GET list/detail responses are cacheable at the CDN/edge; signed-in
+ *   responses are private.
  * - Roster lookup responses are not cacheable.
  */
 
@@ -31,39 +135,252 @@ import express from "express";
 import mongoose from "mongoose";
 import User from "../schemas/User.js";
 import Class from "../schemas/Class.js";
+import EnrollmentRequest from "../schemas/EnrollmentRequest.js";
+import AgeGroup from "../schemas/AgeGroup.js";
+import Program from "../schemas/Program.js";
+import Term from "../schemas/Term.js";
+import ClassSession from "../schemas/ClassSession.js";
 import { validateInput } from "../../src/utils/backend/validate-utils.js";
+import { requireAuth, optionalAuth } from "../middleware/auth.js";
+import {
+  authorizeClass,
+  loadViewer,
+  projectClass,
+  rosterAccess,
+  setViewerCache,
+  INSTRUCTOR_ROSTER_FIELDS,
+} from "../middleware/policy.js";
+import { recordAudit, diffChanges, classLabel, userLabel } from "../../src/utils/backend/audit-utils.js";
+import { trashClass } from "../../src/utils/backend/trash-utils.js";
+import {
+  promoteFromWaitlist,
+  reorderWaitlist,
+  decideEnrollmentRequest,
+  changeRosterInBulk,
+  sendEnrollmentError,
+} from "../../src/utils/backend/enrollment-utils.js";
+import { findEndedTerm, defaultTermId, termFilter } from "../../src/utils/backend/term-utils.js";
+import {
+  syncClassSessions,
+  applySessionChange,
+  applyAttendance,
+  describeSessionTime,
+} from "../../src/utils/backend/session-utils.js";
+import { DEFAULT_PROGRAM } from "../../src/utils/programs.js";
+import { isTermEnded } from "../../src/utils/terms.js";
 
 const router = express.Router();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSION_CLASSES = 50;
+const MAX_SESSION_RANGE_DAYS = 400;
+// What anyone who can see a class may read about its sessions
+const PUBLIC_SESSION_FIELDS = "class term scheduledStart scheduledEnd startsAt endsAt status reason";
+
+// Returns the instructor account for an id, or null if it is not one.
+const findInstructor = async (instructorId) => {
+  if (!instructorId || !mongoose.Types.ObjectId.isValid(instructorId)) return null;
+  return User.findOne({ _id: instructorId, privilege: "instructor" }).select("firstName lastName").lean();
+};
+
+// Resolves `updates.instructorId` (when present) and fills in the display name.
+// Returns false when the id does not belong to an instructor account.
+const applyInstructor = async (updates) => {
+  if (!("instructorId" in updates)) return true;
+  const account = await findInstructor(updates.instructorId);
+  if (!account) return false;
+  updates.instructor = account.firstName;
+  return true;
+};
+
+// Empty values clear a nullable field; returns false for values that are not dates.
+const normalizeDate = (body, field) => {
+  if (!(field in body)) return true;
+  if (body[field] === "" || body[field] === null) {
+    body[field] = null;
+    return true;
+  }
+  body[field] = new Date(body[field]);
+  return !Number.isNaN(body[field].getTime());
+};
+
+// What PUT /classes/:id may change. The roster and waitlist have their own endpoints,
+// `instructor` follows `instructorId`, and deleting goes through DELETE (the trash).
+// `isEnrollmentOpen` is mapped onto `enrollmentOverride` by normalizeClassBody.
+const EDITABLE_CLASS_FIELDS = [
+  "term",
+  "program",
+  "level",
+  "ageGroup",
+  "instructorId",
+  "schedule",
+  "image",
+  "link",
+  "capacity",
+  "enrollmentOpensAt",
+  "enrollmentClosesAt",
+  "enrollmentOverride",
+  "isEnrollmentOpen",
+  "approvalRequired",
+];
+
+const pickEditableFields = (body) =>
+  Object.fromEntries(EDITABLE_CLASS_FIELDS.filter((field) => field in body).map((field) => [field, body[field]]));
+
+// Cleans up create/edit bodies. The roster and waitlist only change through the
+// enrollment and waitlist endpoints, an empty capacity means unlimited and empty
+// window dates mean no bound. Returns an error message, or null when valid.
+const normalizeClassBody = (body) => {
+  delete body.roster;
+  delete body.waitlist;
+
+  // Older clients toggle `isEnrollmentOpen`; it maps onto the override
+  if ("isEnrollmentOpen" in body) {
+    if (!("enrollmentOverride" in body)) body.enrollmentOverride = body.isEnrollmentOpen === false ? "closed" : null;
+    delete body.isEnrollmentOpen;
+  }
+  if ("enrollmentOverride" in body) {
+    body.enrollmentOverride = body.enrollmentOverride || null;
+    if (![null, "open", "closed"].includes(body.enrollmentOverride)) {
+      return 'Enrollment override must be "open", "closed" or empty';
+    }
+  }
+
+  if (!normalizeDate(body, "enrollmentOpensAt") || !normalizeDate(body, "enrollmentClosesAt")) {
+    return "Enrollment dates must be valid dates";
+  }
+  if (body.enrollmentOpensAt && body.enrollmentClosesAt && body.enrollmentClosesAt <= body.enrollmentOpensAt) {
+    return "Enrollment must close after it opens";
+  }
+
+  if (!("capacity" in body)) return null;
+  if (body.capacity === "" || body.capacity === null) {
+    body.capacity = null;
+    return null;
+  }
+  body.capacity = Number(body.capacity);
+  return Number.isInteger(body.capacity) && body.capacity >= 1 ? null : "Capacity must be a whole number of at least 1";
+};
+
+// Classes name an age group from the AgeGroup collection (see src/utils/age-groups.js).
+// Returns an error message for an unknown one, or null.
+const validateAgeGroup = async (body) => {
+  if (!("ageGroup" in body)) return null;
+  body.ageGroup = String(body.ageGroup || "").trim().toLowerCase();
+  if (await AgeGroup.exists({ name: body.ageGroup })) return null;
+  const names = await AgeGroup.distinct("name");
+  return `Age group must be one of: ${names.sort().join(", ")}`;
+};
+
+// Classes belong to a program from the Program collection (see src/utils/programs.js);
+// level-based programs' classes need a level and the others' have none. `current` is
+// the class being edited, if any. Returns an error message, or null when valid.
+const validateProgram = async (body, current = null) => {
+  if (!("program" in body) && !("level" in body) && current) return null;
+  body.program = String(body.program || current?.program || DEFAULT_PROGRAM).trim().toLowerCase();
+
+  const program = await Program.findOne({ slug: body.program }).select("isLevelBased").lean();
+  if (!program) {
+    const slugs = await Program.distinct("slug");
+    return `Program must be one of: ${slugs.sort().join(", ")}`;
+  }
+  if (!program.isLevelBased) {
+    body.level = null;
+    return null;
+  }
+
+  const level = "level" in body ? body.level : current?.level;
+  if (level === "" || level === null || level === undefined || !Number.isInteger(Number(level))) {
+    return "Select a level for this program";
+  }
+  body.level = Number(level);
+  return null;
+};
+
+// Classes belong to a term from the Term collection (see src/utils/terms.js), or to none
+// when `term` is empty. Returns an error message for an unknown or ended term, or null.
+const validateTerm = async (body) => {
+  if (!("term" in body)) return null;
+  if (body.term === "" || body.term === null) {
+    body.term = null;
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(body.term)) return "Select a term";
+  const term = await Term.findById(body.term).select("name startDate endDate").lean();
+  if (!term) return "Select a term";
+  return isTermEnded(term) ? `${term.name} has ended; pick a current or upcoming term` : null;
+};
+
+// Whether another class of the same term, program, level, age group and instructor already
+// meets at exactly these times; returns that class or undefined.
+const findDuplicateClass = async ({ term = null, program, level, ageGroup, instructorId, schedule }, exceptId = null) => {
+  const existingClasses = await Class.find({ term, program, level, ageGroup, instructorId });
+  return existingClasses.find(
+    (cls) =>
+      String(cls._id) !== String(exceptId) &&
+      cls.schedule.length === schedule.length &&
+      cls.schedule.every((itemA) =>
+        schedule.some(
+          (itemB) => itemA.day === itemB.day && itemA.startTime === itemB.startTime && itemA.endTime === itemB.endTime
+        )
+      )
+  );
+};
+
+// After an edit, seats may have opened up; returns the class as it is now.
+const fillSeats = async (req, updated) => {
+  const promoted = await promoteFromWaitlist(updated._id, req);
+  return promoted.length ? Class.findById(updated._id) : updated;
+};
+
+// Records a class change in the audit log.
+// Roster and waitlist changes are audited per student by the enrollment endpoints.
+const auditClass = (req, action, before, after) =>
+  recordAudit(req, {
+    action,
+    entityType: "class",
+    entityId: (after || before)._id,
+    entityLabel: classLabel(after || before),
+    summary:
+      action === "delete" && before.roster?.length
+        ? `Moved to Recently deleted; unenrolled ${before.roster.length} student(s)`
+        : "",
+    changes: diffChanges(before, after, { omit: ["roster", "waitlist"] }),
+  });
+
 /* CLASS RELATED ENDPOINTS */
 
 // Get Classes
-router.get("/classes", async (req, res) => {
+router.get("/classes", optionalAuth, async (req, res) => {
   try {
     if ("level" in req.query) {
       req.query.level = Number(req.query.level);
     }
 
-    const allowedFields = ["level", "instructor", "ageGroup"];
+    const allowedFields = ["program", "level", "instructor", "instructorId", "ageGroup", "term"];
     const filters = validateInput(req.query, allowedFields);
 
     if (filters.level !== undefined) {
       filters.level = { $eq: filters.level, $type: "number" };
-    } else {
-      filters.level = { $type: "number" };
+    }
+    if (filters.term !== undefined) {
+      const byTerm = await termFilter(filters.term);
+      if (!byTerm) return res.status(400).json({ message: "Invalid term" });
+      Object.assign(filters, byTerm);
     }
 
-    res.setHeader("Cache-Control", "public, s-maxage=3600, stale-while-revalidate=86400");
+    const viewer = await loadViewer(req);
+    setViewerCache(res, viewer);
 
     const data = await Class.find(filters).lean();
-    res.json(data);
+    res.json(data.map((cls) => projectClass(cls, viewer)));
   } catch (err) {
     res.status(500).send(err);
   }
 });
 
 // Get class by ID
-router.get("/classes/:id", async (req, res) => {
+router.get("/classes/:id", optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -71,17 +388,18 @@ router.get("/classes/:id", async (req, res) => {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    res.setHeader("Cache-Control", "public, s-maxage=3600, stale-while-revalidate=86400");
+    const viewer = await loadViewer(req);
+    setViewerCache(res, viewer);
 
     const data = await Class.findOne({ _id: id }).lean();
-    res.json(data);
+    res.json(projectClass(data, viewer));
   } catch (err) {
     res.status(500).send(err);
   }
 });
 
 // Get full details of students in class's roster
-router.get("/class-students/:id", async (req, res) => {
+router.get("/class-students/:id", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -91,150 +409,81 @@ router.get("/class-students/:id", async (req, res) => {
 
     res.setHeader("Cache-Control", "no-store");
 
-    const studentDetails = await Class.findById(id).select("roster").populate("roster").lean();
-    if (!studentDetails) {
+    const cls = await Class.findById(id).select("roster instructor instructorId").lean();
+    if (!cls) {
       return res.status(404).json({ message: "Class not found" });
     }
 
-    res.json(studentDetails.roster || []);
+    const access = rosterAccess(cls, await loadViewer(req));
+    if (!access) return res.status(403).json({ message: "Forbidden" });
+
+    const students = await User.find({ _id: { $in: cls.roster } })
+      .select(access === "full" ? "-clerkId" : INSTRUCTOR_ROSTER_FIELDS)
+      .lean();
+    res.json(students);
   } catch (err) {
     res.status(500).send(err);
   }
 });
 
-// Create Class
-router.post("/classes", async (req, res) => {
-  try {
-    const { level, ageGroup, instructor, schedule } = req.body;
-
-    const existingClasses = await Class.find({ level, ageGroup, instructor });
-    const matchingSchedules = existingClasses.filter(
-      (cls) =>
-        cls.schedule.length === schedule.length &&
-        cls.schedule.every((itemA) =>
-          schedule.some(
-            (itemB) => itemA.day === itemB.day && itemA.startTime === itemB.startTime && itemA.endTime === itemB.endTime
-          )
-        )
-    );
-
-    if (matchingSchedules.length > 0) {
-      return res.status(409).json({
-        message: "Class already exists",
-        class: matchingSchedules[0],
-      });
-    }
-
-    const newClass = new Class({
-      level,
-      ageGroup,
-      instructor,
-      schedule,
-    });
-
-    await newClass.save();
-    return res.status(201).json({
-      message: "Class created successfully",
-      class: newClass,
-    });
-  } catch (error) {
-    console.error("Failed to create class:", error);
-    return res.status(500).json({ message: "Failed to create class" });
-  }
-});
-
-// Edit Class
-router.put("/classes/:id", async (req, res) => {
+// Get the class's waitlist, first in line first
+router.get("/classes/:id/waitlist", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    const { level, ageGroup, instructor, schedule } = updates;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const existingClasses = await Class.find({ level: level, ageGroup: ageGroup, instructor: instructor });
-    if (existingClasses.length !== 0) {
-      const matchingSchedules = existingClasses.filter(
-        (cls) =>
-          cls.schedule.length === schedule.length &&
-          cls.schedule.every((itemA) =>
-            schedule.some(
-              (itemB) => itemA.day === itemB.day && itemA.startTime === itemB.startTime && itemA.endTime === itemB.endTime
-            )
-          )
-      );
-      const duplicate = matchingSchedules.find((cls) => cls._id.toString() !== id.toString());
-
-      if (duplicate) {
-        return res.status(409).json({
-          message: "Class already exists",
-          class: duplicate,
-        });
-      }
-    }
-
-    const updatedClass = await Class.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
+    res.setHeader("Cache-Control", "no-store");
 
-    if (!updatedClass) {
+    const cls = await Class.findById(id).select("waitlist instructor instructorId").lean();
+    if (!cls) {
       return res.status(404).json({ message: "Class not found" });
     }
 
-    res.status(200).json(updatedClass);
-  } catch (error) {
-    console.error("Failed to update class details:", error);
-    res.status(500).json({ message: "Failed to update class details" });
+    const access = rosterAccess(cls, await loadViewer(req));
+    if (!access) return res.status(403).json({ message: "Forbidden" });
+
+    const students = await User.find({ _id: { $in: cls.waitlist } })
+      .select(access === "full" ? "-clerkId" : INSTRUCTOR_ROSTER_FIELDS)
+      .lean();
+    const byId = new Map(students.map((s) => [String(s._id), s]));
+    res.json(cls.waitlist.map((studentId) => byId.get(String(studentId))).filter(Boolean));
+  } catch (err) {
+    res.status(500).send(err);
   }
 });
 
-// Delete Class
-router.delete("/classes/:id", async (req, res) => {
+// Reorder the waitlist. Body: { waitlist: [userId] } — the current waitlist in a new order
+router.put("/classes/:id/waitlist", requireAuth, authorizeClass("waitlist"), async (req, res) => {
   try {
     const { id } = req.params;
+
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const deletedClass = await Class.findOne({ _id: id });
-    if (!deletedClass) {
-      return res.status(404).json({ message: "Class not found" });
-    }
-
-    await Promise.all(
-      deletedClass.roster.map((studentId) =>
-        User.findByIdAndUpdate(studentId, { $pull: { enrolledClasses: id } }).catch((err) => {
-          console.error(`Failed to remove class from student ${studentId}'s enrolled classes:`, err);
-          throw err;
-        })
-      )
-    );
-
-    await Class.findByIdAndDelete(id);
-
-    res.status(204).json({ message: "Class deleted successfully" });
-  } catch (error) {
-    console.error("Failed to delete class:", error);
-    res.status(500).json({ message: "Failed to delete class" });
-  }
-});
-
-/* CONVERSATION SPECIFIC ENDPOINTS */
+    const previous = await Class.findById(id).select("program level ageGroup instructor waitlist").lean();
+    const waitlist = await reorderWaitlist(id, req.body?.waitlist);
 
-// Get Conversation classes
-router.get("/conversations", async (req, res) => {
-  try {
-    res.setHeader("Cache-Control", "public, s-maxage=3600, stale-while-revalidate=86400");
+    await recordAudit(req, {
+      action: "update",
+      entityType: "class",
+      entityId: id,
+      entityLabel: classLabel(previous),
+      summary: "Reordered the waitlist",
+      changes: diffChanges({ waitlist: previous?.waitlist }, { waitlist }),
+    });
 
-    const data = await Class.find({ level: "conversation" }).lean();
-    res.status(200).json(data);
+    res.status(200).json({ waitlist });
   } catch (err) {
-    res.status(500).send(err);
+    sendEnrollmentError(res, err, "Failed to reorder waitlist");
   }
 });
 
-// Get Conversation by ID
-router.get("/conversations/:id", async (req, res) => {
+// Get the class's pending enrollment requests, oldest first
+router.get("/classes/:id/requests", requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -242,288 +491,438 @@ router.get("/conversations/:id", async (req, res) => {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    res.setHeader("Cache-Control", "public, s-maxage=3600, stale-while-revalidate=86400");
+    res.setHeader("Cache-Control", "no-store");
 
-    const data = await Class.findOne({ _id: id, level: "conversation" }).lean();
-    res.json(data);
+    const cls = await Class.findById(id).select("instructor instructorId").lean();
+    if (!cls) {
+      return res.status(404).json({ message: "Class not found" });
+    }
+
+    const access = rosterAccess(cls, await loadViewer(req));
+    if (!access) return res.status(403).json({ message: "Forbidden" });
+
+    const requests = await EnrollmentRequest.find({ class: id, status: "pending" })
+      .sort({ createdAt: 1 })
+      .select("student createdAt")
+      .populate({ path: "student", select: access === "full" ? "-clerkId" : INSTRUCTOR_ROSTER_FIELDS })
+      .lean();
+    // Requests from accounts in Recently deleted are hidden until they are restored
+    res.json(requests.filter((request) => request.student));
   } catch (err) {
     res.status(500).send(err);
   }
 });
 
-// Create Conversation
-router.post("/conversations", async (req, res) => {
+// Approve or decline a request. Body: { decision: "approve" | "decline", note? }
+router.put("/classes/:id/requests/:requestId", requireAuth, authorizeClass("requests"), async (req, res) => {
   try {
-    const { ageGroup, instructor, schedule, image } = req.body;
-
-    const existingConversations = await Class.find({ level: "conversation", ageGroup, instructor });
-    const matchingSchedules = existingConversations.filter(
-      (convo) =>
-        convo.schedule.length === schedule.length &&
-        convo.schedule.every((itemA) =>
-          schedule.some(
-            (itemB) => itemA.day === itemB.day && itemA.startTime === itemB.startTime && itemA.endTime === itemB.endTime
-          )
-        )
-    );
+    const { id, requestId } = req.params;
 
-    if (matchingSchedules.length > 0) {
-      return res.status(409).json({
-        message: "Conversation class already exists",
-        class: matchingSchedules[0],
-      });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const newConversation = new Class({
-      level: "conversation",
-      ageGroup,
-      instructor,
-      schedule,
-      image,
+    const { request, user, cls, placement } = await decideEnrollmentRequest(id, requestId, {
+      decision: req.body?.decision,
+      note: req.body?.note,
+      actorId: req.me?._id,
     });
 
-    await newConversation.save();
-    return res.status(201).json({
-      message: "Conversation created successfully",
-      class: newConversation,
-    });
-  } catch (error) {
-    console.error("Error creating:", error);
-    return res.status(500).json({ message: "Failed to create conversation class" });
+    if (!placement) {
+      await recordAudit(req, {
+        action: "request",
+        entityType: "user",
+        entityId: user._id,
+        entityLabel: userLabel(user),
+        summary: `Declined the request to join ${classLabel(cls)}`,
+      });
+    } else if (placement.status === "waitlisted") {
+      await recordAudit(req, {
+        action: "waitlist",
+        entityType: "user",
+        entityId: user._id,
+        entityLabel: userLabel(user),
+        summary: `Request to join ${classLabel(cls)} approved; joined the waitlist (position ${placement.position})`,
+      });
+    } else {
+      await recordAudit(req, {
+        action: "enroll",
+        entityType: "user",
+        entityId: user._id,
+        entityLabel: userLabel(user),
+        summary: `Request approved; enrolled in ${classLabel(cls)}`,
+        changes: [{ field: "enrolledClasses", before: null, after: classLabel(cls) }],
+      });
+    }
+
+    res.status(200).json({ request, placement });
+  } catch (err) {
+    sendEnrollmentError(res, err, "Failed to update the enrollment request");
   }
 });
 
-// Edit Conversation
-router.put("/conversations/:id", async (req, res) => {
+// Transfer, add or remove several students at once.
+// Body: { action, students: [userId], fromClassId?, toClassId?, reason? }
+router.post("/roster-changes", requireAuth, authorizeClass("roster"), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: "Invalid Conversation Class ID" });
-    }
-
-    const existingConversations = await Class.find({
-      level: "conversation",
-      ageGroup: updates.ageGroup,
-      instructor: updates.instructor,
+    const { action, students, fromClassId, toClassId, reason } = req.body || {};
+    const { applied, from, to, results } = await changeRosterInBulk(action, students, {
+      fromClassId,
+      toClassId,
+      reason,
+      actorId: req.me._id,
     });
 
-    if (existingConversations.length !== 0) {
-      const matchingSchedules = existingConversations.filter(
-        (convo) =>
-          convo.schedule.length === updates.schedule.length &&
-          convo.schedule.every((itemA) =>
-            updates.schedule.some(
-              (itemB) => itemA.day === itemB.day && itemA.startTime === itemB.startTime && itemA.endTime === itemB.endTime
-            )
-          )
-      );
-      const duplicate = matchingSchedules.find((convo) => convo._id.toString() !== id.toString());
-
-      if (duplicate) {
-        return res.status(409).json({
-          message: "Conversation class already exists",
-          class: duplicate,
+    if (applied) {
+      for (const { user, status, position } of results) {
+        if (status === "waitlisted") {
+          await recordAudit(req, {
+            action: "waitlist",
+            entityType: "user",
+            entityId: user._id,
+            entityLabel: userLabel(user),
+            summary: `Joined the waitlist for ${classLabel(to)} (position ${position})`,
+          });
+          continue;
+        }
+        await recordAudit(req, {
+          action: action === "transfer" ? "class_transfer" : action === "add" ? "enroll" : "unenroll",
+          entityType: "user",
+          entityId: user._id,
+          entityLabel: userLabel(user),
+          summary:
+            action === "transfer"
+              ? `Transferred from ${classLabel(from)} to ${classLabel(to)}`
+              : action === "add"
+                ? `Enrolled in ${classLabel(to)}`
+                : `Removed from ${classLabel(from)}`,
+          changes: [{ field: "enrolledClasses", before: from ? classLabel(from) : null, after: to ? classLabel(to) : null }],
         });
       }
+      if (from) await promoteFromWaitlist(from._id, req);
     }
 
-    const updatedConversation = await Class.findOneAndUpdate({ _id: id, level: "conversation" }, updates, {
-      new: true,
-      runValidators: true,
+    res.status(200).json({
+      applied,
+      results: results.map(({ user, ok, status, position, code, message }) => ({
+        user: { _id: user._id, label: userLabel(user) },
+        ok,
+        ...(ok ? { status, position } : { code, message }),
+      })),
     });
-
-    if (!updatedConversation) {
-      return res.status(404).json({ message: "Conversation class not found" });
-    }
-
-    res.status(200).json(updatedConversation);
-  } catch (error) {
-    res.status(500).json({ message: "Failed to update conversation class" });
+  } catch (err) {
+    sendEnrollmentError(res, err, "Failed to change the roster");
   }
 });
 
-// Delete Conversation
-router.delete("/conversations/:id", async (req, res) => {
+// Sessions of several classes in a date range, by start time.
+// Query: classIds (comma-separated), from?, to? (default: the next two weeks)
+router.get("/sessions", optionalAuth, async (req, res) => {
   try {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: "Invalid ID" });
+    const classIds = String(req.query.classIds || "")
+      .split(",")
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (!classIds.length || classIds.length > MAX_SESSION_CLASSES) {
+      return res.status(400).json({ message: `Send between 1 and ${MAX_SESSION_CLASSES} class ids` });
     }
-
-    const deletedConversation = await Class.findOne({ _id: id, level: "conversation" });
-    if (!deletedConversation) {
-      return res.status(404).json({ message: "Conversation not found" });
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * DAY_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ message: "from and to must be dates, with to after from" });
+    }
+    if (to - from > MAX_SESSION_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ message: `The range can be at most ${MAX_SESSION_RANGE_DAYS} days` });
     }
 
-    await Promise.all(
-      deletedConversation.roster.map((studentId) =>
-        User.findByIdAndUpdate(studentId, { $pull: { enrolledClasses: id } }).catch((err) =>
-          console.error(`Failed to update student ${studentId}:`, err)
-        )
+    const viewer = await loadViewer(req);
+    setViewerCache(res, viewer);
+
+    const classes = await Class.find({ _id: { $in: classIds } }).select("instructor instructorId").lean();
+    const access = new Map(classes.map((cls) => [String(cls._id), rosterAccess(cls, viewer)]));
+    const sessions = await ClassSession.find({
+      class: { $in: classes.map((cls) => cls._id) },
+      $or: [{ startsAt: { $gte: from, $lt: to } }, { scheduledStart: { $gte: from, $lt: to } }],
+    })
+      .sort({ startsAt: 1 })
+      .select("-__v")
+      .lean();
+
+    const publicFields = PUBLIC_SESSION_FIELDS.split(" ");
+    res.json(
+      sessions.map((session) =>
+        access.get(String(session.class))
+          ? session
+          : Object.fromEntries(["_id", ...publicFields].map((field) => [field, session[field]]))
       )
     );
-
-    await Class.findByIdAndDelete(id);
-
-    res.status(204).json({ message: "Conversation deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ message: "Failed to delete conversation class" });
-  }
-});
-
-/* IELTS SPECIFIC ENDPOINTS */
-
-// Get IELTS classes
-router.get("/ielts", async (req, res) => {
-  try {
-    res.setHeader("Cache-Control", "public, s-maxage=3600, stale-while-revalidate=86400");
-
-    const data = await Class.find({ level: "ielts" }).lean();
-    res.status(200).json(data);
   } catch (err) {
     res.status(500).send(err);
   }
 });
 
-// Get IELTS by ID
-router.get("/ielts/:id", async (req, res) => {
+// Cancel, move or restore a session.
+// Body: { action: "cancel" | "reschedule" | "restore", reason, startsAt?, endsAt? }
+router.put("/classes/:id/sessions/:sessionId", requireAuth, authorizeClass("sessions"), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, sessionId } = req.params;
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(sessionId)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    res.setHeader("Cache-Control", "public, s-maxage=3600, stale-while-revalidate=86400");
+    const cls = await Class.findById(id).select("program level ageGroup instructor term").lean();
+    if (!cls) {
+      return res.status(404).json({ message: "Class not found" });
+    }
+    const endedTerm = await findEndedTerm(cls);
+    if (endedTerm) {
+      return res.status(409).json({ code: "term_ended", message: `${endedTerm.name} has ended; its classes are read-only` });
+    }
+
+    const session = await ClassSession.findOne({ _id: sessionId, class: id });
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const before = { status: session.status, startsAt: session.startsAt, endsAt: session.endsAt, reason: session.reason };
+    const error = applySessionChange(session, req.body, req.me._id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    await session.save();
+
+    const { action } = req.body;
+    const when = describeSessionTime(session.scheduledStart);
+    await recordAudit(req, {
+      action: "update",
+      entityType: "class",
+      entityId: id,
+      entityLabel: classLabel(cls),
+      summary:
+        action === "cancel"
+          ? `Cancelled the ${when} session: ${session.reason}`
+          : action === "reschedule"
+            ? `Moved the ${when} session to ${describeSessionTime(session.startsAt)}: ${session.reason}`
+            : `Restored the ${when} session`,
+      changes: diffChanges(before, {
+        status: session.status,
+        startsAt: session.startsAt,
+        endsAt: session.endsAt,
+        reason: session.reason,
+      }),
+    });
 
-    const data = await Class.findOne({ _id: id, level: "ielts" }).lean();
-    res.json(data);
+    res.status(200).json(session);
   } catch (err) {
-    res.status(500).send(err);
+    console.error("Failed to change session:", err);
+    res.status(500).json({ message: "Failed to change the session" });
   }
 });
 
-// Create IELTS
-router.post("/ielts", async (req, res) => {
+// Record who came to a session and the instructor's notes on it.
+// Body: { attendance?: [{ student, status }], notes? }
+router.put(
+  "/classes/:id/sessions/:sessionId/attendance",
+  requireAuth,
+  authorizeClass("sessions"),
+  async (req, res) => {
+    try {
+      const { id, sessionId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        return res.status(400).json({ error: "Invalid ID" });
+      }
+
+      const cls = await Class.findById(id).select("roster").lean();
+      if (!cls) {
+        return res.status(404).json({ message: "Class not found" });
+      }
+      const session = await ClassSession.findOne({ _id: sessionId, class: id });
+      if (!session) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      const error = applyAttendance(session, req.body, cls.roster);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      await session.save();
+      res.status(200).json(session);
+    } catch (err) {
+      console.error("Failed to record attendance:", err);
+      res.status(500).json({ message: "Failed to record attendance" });
+    }
+  }
+);
+
+// Create Class
+router.post("/classes", requireAuth, authorizeClass("create"), async (req, res) => {
   try {
-    const { ageGroup, instructor, schedule, image } = req.body;
-
-    const existingIelts = await Class.find({ level: "ielts", ageGroup, instructor });
-    const matchingSchedules = existingIelts.filter(
-      (ielts) =>
-        ielts.schedule.length === schedule.length &&
-        ielts.schedule.every((itemA) =>
-          schedule.some(
-            (itemB) => itemA.day === itemB.day && itemA.startTime === itemB.startTime && itemA.endTime === itemB.endTime
-          )
-        )
-    );
+    const capacityError = normalizeClassBody(req.body);
+    if (capacityError) {
+      return res.status(400).json({ message: capacityError });
+    }
+    const ageGroupError = await validateAgeGroup(req.body);
+    if (ageGroupError) {
+      return res.status(400).json({ message: ageGroupError });
+    }
+    const programError = await validateProgram(req.body);
+    if (programError) {
+      return res.status(400).json({ message: programError });
+    }
+    const termError = await validateTerm(req.body);
+    if (termError) {
+      return res.status(400).json({ message: termError });
+    }
+    if (!("term" in req.body)) req.body.term = await defaultTermId();
+    const {
+      term,
+      program,
+      level,
+      ageGroup,
+      instructorId,
+      schedule,
+      image,
+      capacity,
+      enrollmentOpensAt,
+      enrollmentClosesAt,
+      approvalRequired,
+    } = req.body;
+
+    const instructor = await findInstructor(instructorId);
+    if (!instructor) {
+      return res.status(400).json({ message: "Select an instructor account" });
+    }
 
-    if (matchingSchedules.length > 0) {
+    const duplicate = await findDuplicateClass({ term, program, level, ageGroup, instructorId, schedule });
+    if (duplicate) {
       return res.status(409).json({
-        message: "IELTS class already exists",
-        class: matchingSchedules[0],
+        message: "Class already exists",
+        class: duplicate,
       });
     }
 
-    const newIelts = new Class({
-      level: "ielts",
+    const newClass = new Class({
+      term,
+      program,
+      level,
       ageGroup,
-      instructor,
+      instructor: instructor.firstName,
+      instructorId,
       schedule,
       image,
+      capacity,
+      enrollmentOpensAt,
+      enrollmentClosesAt,
+      approvalRequired,
     });
 
-    await newIelts.save();
+    await newClass.save();
+    await syncClassSessions(newClass._id);
+    await auditClass(req, "create", null, newClass);
     return res.status(201).json({
-      message: "IELTS class created successfully",
-      class: newIelts,
+      message: "Class created successfully",
+      class: newClass,
     });
   } catch (error) {
-    return res.status(500).json({ message: "Failed to create IELTS class" });
+    console.error("Failed to create class:", error);
+    return res.status(500).json({ message: "Failed to create class" });
   }
 });
 
-// Edit IELTS
-router.put("/ielts/:id", async (req, res) => {
+// Edit Class
+router.put("/classes/:id", requireAuth, authorizeClass("update"), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = pickEditableFields(req.body || {});
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: "Invalid IELTS Class ID" });
+      return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const existingIelts = await Class.find({
-      level: "ielts",
-      ageGroup: updates.ageGroup,
-      instructor: updates.instructor,
-    });
+    const previousClass = await Class.findById(id).lean();
+    if (!previousClass) {
+      return res.status(404).json({ message: "Class not found" });
+    }
+    const endedTerm = await findEndedTerm(previousClass);
+    if (endedTerm) {
+      return res.status(409).json({ code: "term_ended", message: `${endedTerm.name} has ended; its classes are read-only` });
+    }
+
+    const capacityError = normalizeClassBody(updates);
+    if (capacityError) {
+      return res.status(400).json({ message: capacityError });
+    }
+    const ageGroupError = await validateAgeGroup(updates);
+    if (ageGroupError) {
+      return res.status(400).json({ message: ageGroupError });
+    }
+    const programError = await validateProgram(updates, previousClass);
+    if (programError) {
+      return res.status(400).json({ message: programError });
+    }
+    const termError = await validateTerm(updates);
+    if (termError) {
+      return res.status(400).json({ message: termError });
+    }
 
-    if (existingIelts.length !== 0) {
-      const matchingSchedules = existingIelts.filter(
-        (ielts) =>
-          ielts.schedule.length === updates.schedule.length &&
-          ielts.schedule.every((itemA) =>
-            updates.schedule.some(
-              (itemB) => itemA.day === itemB.day && itemA.startTime === itemB.startTime && itemA.endTime === itemB.endTime
-            )
-          )
-      );
-      const duplicate = matchingSchedules.find((ielts) => ielts._id.toString() !== id.toString());
+    if (!(await applyInstructor(updates))) {
+      return res.status(400).json({ message: "Select an instructor account" });
+    }
 
+    if (Array.isArray(updates.schedule) || "term" in updates) {
+      const duplicate = await findDuplicateClass({ ...previousClass, ...updates }, id);
       if (duplicate) {
         return res.status(409).json({
-          message: "IELTS class already exists",
+          message: "Class already exists",
           class: duplicate,
         });
       }
     }
 
-    const updateDIelts = await Class.findOneAndUpdate({ _id: id, level: "ielts" }, updates, {
-      new: true,
-      runValidators: true,
-    });
+    const updatedClass = await Class.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
+
+    if (!updatedClass) {
+      return res.status(404).json({ message: "Class not found" });
+    }
 
-    if (!updateDIelts) {
-      return res.status(404).json({ message: "IELTS class not found" });
+    if (Array.isArray(updates.schedule) || "term" in updates) {
+      await syncClassSessions(id);
     }
+    await auditClass(req, "update", previousClass, updatedClass);
 
-    res.status(200).json(updateDIelts);
+    res.status(200).json(await fillSeats(req, updatedClass));
   } catch (error) {
-    res.status(500).json({ message: "Failed to update IELTS class" });
+    console.error("Failed to update class details:", error);
+    res.status(500).json({ message: "Failed to update class details" });
   }
 });
 
-// Delete IELTS
-router.delete("/ielts/:id", async (req, res) => {
+// Delete Class
+router.delete("/classes/:id", requireAuth, authorizeClass("delete"), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const deletedIelts = await Class.findOne({ _id: id, level: "ielts" });
-    if (!deletedIelts) {
-      return res.status(404).json({ message: "IELTS class not found" });
+    const deletedClass = await Class.findOne({ _id: id }).lean();
+    if (!deletedClass) {
+      return res.status(404).json({ message: "Class not found" });
+    }
+    const endedTerm = await findEndedTerm(deletedClass);
+    if (endedTerm) {
+      return res.status(409).json({ code: "term_ended", message: `${endedTerm.name} has ended; its classes are read-only` });
     }
 
-    await Promise.all(
-      deletedIelts.roster.map((studentId) =>
-        User.findByIdAndUpdate(studentId, { $pull: { enrolledClasses: id } }).catch((err) =>
-          console.error(`Failed to update student ${studentId}:`, err)
-        )
-      )
-    );
-
-    await Class.findByIdAndDelete(id);
+    await trashClass(deletedClass, req.me._id);
+    await auditClass(req, "delete", deletedClass, null);
 
-    res.status(204).json({ message: "IELTS class deleted successfully" });
+    res.status(204).json({ message: "Class deleted successfully" });
   } catch (error) {
-    res.status(500).json({ message: "Failed to delete IELTS class" });
+    console.error("Failed to delete class:", error);
+    res.status(500).json({ message: "Failed to delete class" });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
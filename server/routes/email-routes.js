@@ -1,18 +1,9 @@
 import "dotenv/config";
 import express from "express";
-import nodemailer from "nodemailer";
+import { transporter } from "../../src/utils/backend/email-utils.js";
 
 const router = express.Router();
 
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.ADMIN_EMAIL,
-    pass: process.env.ADMIN_PASSWORD,
-  },
-});
-
 // Post Contact
 router.post('/contact', async (req, res) => {
   const { name, email, subject, message } = req.body
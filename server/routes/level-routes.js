@@ -8,7 +8,18 @@
  * - GET    /           Returns all levels (optionally filtered), sorted ascending by `level`.
  * - POST   /           Creates a level and syncs translations.
  * - PUT    /:id        Updates a level and syncs translations.
- * - DELETE /:id        Deletes a level and its translations.
+ * - DELETE /:id        Moves a level to Recently deleted (restore it from /api/trash). Its
+ *                      translations are kept until it is purged.
+ *
+ * Auth:
+ * - Writes require the `manage_classes` capability and are recorded as
+ *   AuditEvents (entityType "level").
+ *
+ * Prerequisites:
+ * - Levels may list `prerequisites` ({ kind, level }), alternative ways to unlock
+ *   the level's classes (see src/utils/level-prerequisites.js). Enrolling checks
+ *   them; create and update reject unknown kinds and completed_level rules without
+ *   a valid level.
  *
  * Caching:
  * - Public GET responses are marked cacheable at the CDN/edge to reduce repeated fetch load.
@@ -19,9 +30,49 @@ import mongoose from "mongoose";
 import Level from "../schemas/Level.js";
 import { validateInput } from "../../src/utils/backend/validate-utils.js";
 import { deleteLevelTranslations, createLevelTranslations } from "../../src/utils/backend/translation-utils.js";
+import { requireAuth, requireCapability } from "../middleware/auth.js";
+import { recordAudit, diffChanges } from "../../src/utils/backend/audit-utils.js";
+import { trashLevel } from "../../src/utils/backend/trash-utils.js";
+import { PREREQUISITE_KINDS } from "../../src/utils/level-prerequisites.js";
 
 const router = express.Router();
 
+// Records a level change in the audit log.
+const auditLevel = (req, action, before, after) =>
+  recordAudit(req, {
+    action,
+    entityType: "level",
+    entityId: (after || before)._id,
+    entityLabel: `Level ${(after || before).level}`,
+    summary: action === "delete" ? "Moved to Recently deleted" : "",
+    changes: diffChanges(before, after),
+  });
+
+// Level numbers are unique across the trash too, so a trashed level can always be restored.
+const findLevelNumber = (level) => Level.findOne({ level }).setOptions({ withDeleted: true });
+
+const levelConflict = (existingLevel) => ({
+  message: existingLevel.deletedAt
+    ? "A level with this number is in Recently deleted; restore it instead"
+    : "Level with this number already exists",
+  level: existingLevel,
+});
+
+// Returns why a prerequisites list is invalid, or null when it is fine (or not sent).
+const invalidPrerequisites = (prerequisites, levelNumber) => {
+  if (prerequisites === undefined) return null;
+  if (!Array.isArray(prerequisites)) return "prerequisites must be an array";
+  for (const rule of prerequisites) {
+    if (!PREREQUISITE_KINDS.includes(rule?.kind)) return `Unknown prerequisite: ${rule?.kind}`;
+    if (rule.kind !== "completed_level") continue;
+    if (typeof rule.level !== "number" || !Number.isFinite(rule.level)) {
+      return "Completed level prerequisites need a level number";
+    }
+    if (rule.level === Number(levelNumber)) return "A level cannot require itself";
+  }
+  return null;
+};
+
 // Get Levels (sorted ascending by numeric level)
 router.get("/", async (req, res) => {
   try {
@@ -38,16 +89,18 @@ router.get("/", async (req, res) => {
 });
 
 // Create Level
-router.post("/", async (req, res) => {
+router.post("/", requireAuth, requireCapability("manage_classes"), async (req, res) => {
   try {
-    const { level, name, description, skills, image } = req.body;
+    const { level, name, description, skills, image, prerequisites } = req.body;
+
+    const prerequisiteError = invalidPrerequisites(prerequisites, level);
+    if (prerequisiteError) {
+      return res.status(400).json({ message: prerequisiteError });
+    }
 
-    const existingLevel = await Level.findOne({ level });
+    const existingLevel = await findLevelNumber(level);
     if (existingLevel) {
-      return res.status(409).json({
-        message: "Level with this number already exists",
-        level: existingLevel,
-      });
+      return res.status(409).json(levelConflict(existingLevel));
     }
 
     const newLevel = new Level({
@@ -56,11 +109,13 @@ router.post("/", async (req, res) => {
       description,
       skills,
       image,
+      prerequisites,
     });
 
     await newLevel.save();
 
     await createLevelTranslations(newLevel);
+    await auditLevel(req, "create", null, newLevel);
 
     return res.status(201).json({
       message: "Level created successfully",
@@ -73,7 +128,7 @@ router.post("/", async (req, res) => {
 });
 
 // Edit Level
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -82,12 +137,14 @@ router.put("/:id", async (req, res) => {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const existingLevel = await Level.findOne({ level: updates.level });
+    const prerequisiteError = invalidPrerequisites(updates.prerequisites, updates.level);
+    if (prerequisiteError) {
+      return res.status(400).json({ message: prerequisiteError });
+    }
+
+    const existingLevel = await findLevelNumber(updates.level);
     if (existingLevel && existingLevel._id.toString() !== id.toString()) {
-      return res.status(409).json({
-        message: "Level with this number already exists",
-        level: existingLevel,
-      });
+      return res.status(409).json(levelConflict(existingLevel));
     }
 
     const currentLevel = await Level.findById(id);
@@ -99,6 +156,7 @@ router.put("/:id", async (req, res) => {
 
     await deleteLevelTranslations(currentLevel);
     await createLevelTranslations(updatedLevel);
+    await auditLevel(req, "update", currentLevel, updatedLevel);
 
     res.status(200).json(updatedLevel);
   } catch (error) {
@@ -108,20 +166,20 @@ router.put("/:id", async (req, res) => {
 });
 
 // Delete Level
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const deletedLevel = await Level.findById(id);
+    const deletedLevel = await Level.findById(id).lean();
     if (!deletedLevel) {
       return res.status(404).json({ message: "Level not found" });
     }
 
-    await deleteLevelTranslations(deletedLevel);
-    await Level.findByIdAndDelete(id);
+    await trashLevel(deletedLevel, req.me._id);
+    await auditLevel(req, "delete", deletedLevel, null);
 
     res.status(204).json({ message: "Level deleted successfully" });
   } catch (error) {
@@ -0,0 +1,259 @@
+/**
+ * server/routes/placement-routes.js
+ *
+ * Placement test API routes.
+ * Mounted at `/api/placement` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET    /me                    The signed-in student's test status: a test in progress,
+ *                                 the last result and when they may retake it.
+ * - POST   /me/attempts           Starts a test (or returns the one in progress).
+ * - PUT    /me/attempts/:id       Submits answers ({ answers: { [questionId]: response } })
+ *                                 and returns the scored result.
+ * - GET    /questions             Lists the question bank (optionally filtered by level, skill, type).
+ * - POST   /questions             Adds a question.
+ * - PUT    /questions/:id         Updates a question.
+ * - DELETE /questions/:id         Deletes a question (tests already taken keep their copy).
+ * - GET    /users/:id/attempts    A student's finished tests, newest first.
+ *
+ * Auth:
+ * - /me endpoints are for students. The question bank requires `manage_classes`
+ *   and its changes are recorded as AuditEvents (entityType "placement_question").
+ *   Reading a student's tests requires `manage_users`.
+ * - Submitted tests are audited on the student (action "placement").
+ *
+ * Scoring:
+ * - Tests are timed and scored on the server (src/utils/backend/placement-utils.js).
+ *   The recommended level is stored as the student's `placementLevel`. Errors for
+ *   students carry a translatable `code` (e.g. "placement_retake_later" with `retakeAt`).
+ *
+ * Caching:
+ * - Responses are not cacheable.
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import PlacementQuestion, { QUESTION_TYPES } from "../schemas/PlacementQuestion.js";
+import { validateInput } from "../../src/utils/backend/validate-utils.js";
+import { requireAuth, requireCapability, getCurrentUser } from "../middleware/auth.js";
+import { recordAudit, diffChanges, userLabel } from "../../src/utils/backend/audit-utils.js";
+import {
+  getPlacementStatus,
+  startPlacementTest,
+  submitPlacementTest,
+  listPlacementAttempts,
+  sendPlacementError,
+} from "../../src/utils/backend/placement-utils.js";
+
+const router = express.Router();
+
+router.use((_req, res, next) => {
+  res.setHeader("Cache-Control", "no-store");
+  next();
+});
+
+const allowedFields = ["level", "skill", "type", "prompt", "choices", "correctChoice", "acceptedAnswers", "active"];
+
+// Returns an error message for an invalid question (the full document after any update), or null.
+const validateQuestion = (question) => {
+  if (typeof question.level !== "number" || !Number.isFinite(question.level)) return "level must be a number";
+  if (!QUESTION_TYPES.includes(question.type)) return `type must be one of: ${QUESTION_TYPES.join(", ")}`;
+  if (!String(question.prompt || "").trim()) return "A prompt is required";
+
+  if (question.type === "multiple_choice") {
+    const choices = question.choices || [];
+    if (!Array.isArray(choices) || choices.filter((c) => String(c).trim()).length < 2) {
+      return "Multiple choice questions need at least two choices";
+    }
+    if (!Number.isInteger(question.correctChoice) || !String(choices[question.correctChoice] ?? "").trim()) {
+      return "Pick the correct choice";
+    }
+  } else {
+    const accepted = question.acceptedAnswers || [];
+    if (!Array.isArray(accepted) || !accepted.some((a) => String(a).trim())) {
+      return "Fill-in questions need at least one accepted answer";
+    }
+  }
+  return null;
+};
+
+// Drops blank choices and answers (keeping correctChoice on the same choice) and
+// clears the fields the question type does not use.
+const cleanQuestion = (question) => {
+  if (question.type === "multiple_choice") {
+    const choices = question.choices.map((c) => String(c).trim());
+    const correct = choices[question.correctChoice];
+    const kept = choices.filter(Boolean);
+    return { ...question, choices: kept, correctChoice: kept.indexOf(correct), acceptedAnswers: [] };
+  }
+  return {
+    ...question,
+    acceptedAnswers: question.acceptedAnswers.map((a) => String(a).trim()).filter(Boolean),
+    choices: [],
+    correctChoice: null,
+  };
+};
+
+const questionLabel = (question) => {
+  const prompt = question.prompt.length > 40 ? `${question.prompt.slice(0, 40)}…` : question.prompt;
+  return `Level ${question.level} · ${prompt}`;
+};
+
+// Records a question bank change in the audit log.
+const auditQuestion = (req, action, before, after) =>
+  recordAudit(req, {
+    action,
+    entityType: "placement_question",
+    entityId: (after || before)._id,
+    entityLabel: questionLabel(after || before),
+    changes: diffChanges(before, after),
+  });
+
+/* -----------------------------
+   Student: take the test
+------------------------------*/
+
+const currentStudentId = async (req) => (await getCurrentUser(req, "_id"))?._id;
+
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    res.json(await getPlacementStatus(await currentStudentId(req)));
+  } catch (err) {
+    sendPlacementError(res, err, "Failed to load the placement test");
+  }
+});
+
+router.post("/me/attempts", requireAuth, async (req, res) => {
+  try {
+    res.status(201).json(await startPlacementTest(await currentStudentId(req)));
+  } catch (err) {
+    sendPlacementError(res, err, "Failed to start the placement test");
+  }
+});
+
+router.put("/me/attempts/:id", requireAuth, async (req, res) => {
+  try {
+    const { user, attempt } = await submitPlacementTest(
+      await currentStudentId(req),
+      req.params.id,
+      req.body?.answers || {}
+    );
+
+    await recordAudit(req, {
+      action: "placement",
+      entityType: "user",
+      entityId: user._id,
+      entityLabel: userLabel(user),
+      summary: `Placement test: Level ${attempt.recommendedLevel} recommended (${attempt.score}/${attempt.total} correct)`,
+      changes:
+        user.placementLevel === attempt.recommendedLevel
+          ? []
+          : [{ field: "placementLevel", before: user.placementLevel ?? null, after: attempt.recommendedLevel }],
+    });
+
+    res.json(attempt);
+  } catch (err) {
+    sendPlacementError(res, err, "Failed to submit the placement test");
+  }
+});
+
+/* -----------------------------
+   Admin: question bank
+------------------------------*/
+
+router.get("/questions", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const filters = validateInput(req.query, ["level", "skill", "type"]);
+    if ("level" in filters) {
+      filters.level = Number(filters.level);
+      if (Number.isNaN(filters.level)) return res.status(400).json({ message: "level must be a number" });
+    }
+
+    const questions = await PlacementQuestion.find(filters).sort({ level: 1, skill: 1, createdAt: 1 }).lean();
+    res.json(questions);
+  } catch (err) {
+    console.error("Failed to get placement questions:", err);
+    res.status(500).json({ message: "Failed to get placement questions" });
+  }
+});
+
+router.post("/questions", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const input = validateInput(req.body || {}, allowedFields);
+    const error = validateQuestion(input);
+    if (error) return res.status(400).json({ message: error });
+
+    const question = await PlacementQuestion.create(cleanQuestion(input));
+    await auditQuestion(req, "create", null, question);
+    res.status(201).json(question);
+  } catch (err) {
+    console.error("Failed to create placement question:", err);
+    res.status(500).json({ message: "Failed to create placement question" });
+  }
+});
+
+router.put("/questions/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const previous = await PlacementQuestion.findById(id).lean();
+    if (!previous) return res.status(404).json({ message: "Question not found" });
+
+    const updates = validateInput(req.body || {}, allowedFields);
+    const merged = { ...previous, ...updates };
+    const error = validateQuestion(merged);
+    if (error) return res.status(400).json({ message: error });
+
+    const { level, skill, type, prompt, choices, correctChoice, acceptedAnswers, active } = cleanQuestion(merged);
+    const question = await PlacementQuestion.findByIdAndUpdate(
+      id,
+      { level, skill, type, prompt, choices, correctChoice, acceptedAnswers, active },
+      { new: true, runValidators: true }
+    );
+    await auditQuestion(req, "update", previous, question);
+    res.json(question);
+  } catch (err) {
+    console.error("Failed to update placement question:", err);
+    res.status(500).json({ message: "Failed to update placement question" });
+  }
+});
+
+router.delete("/questions/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const question = await PlacementQuestion.findByIdAndDelete(id).lean();
+    if (!question) return res.status(404).json({ message: "Question not found" });
+
+    await auditQuestion(req, "delete", question, null);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Failed to delete placement question:", err);
+    res.status(500).json({ message: "Failed to delete placement question" });
+  }
+});
+
+/* -----------------------------
+   Admin: a student's results
+------------------------------*/
+
+router.get("/users/:id/attempts", requireAuth, requireCapability("manage_users"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+    res.json(await listPlacementAttempts(id));
+  } catch (err) {
+    console.error("Failed to get placement results:", err);
+    res.status(500).json({ message: "Failed to get placement results" });
+  }
+});
+
+export default router;
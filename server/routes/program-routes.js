@@ -0,0 +1,182 @@
+/**
+ * server/routes/program-routes.js
+ *
+ * Program (track) API routes.
+ * Mounted at `/api/programs` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET    /              Lists programs by `order`, with how many classes each has.
+ * - GET    /:slug         One program.
+ * - POST   /              Adds a program ({ slug, name, description, image, isLevelBased, order })
+ *                         and syncs its translations.
+ * - PUT    /:id           Edits name, description, image and order; `isLevelBased` only
+ *                         while the program has no classes. Slugs are fixed because classes
+ *                         and URLs refer to them.
+ * - DELETE /:id           Deletes a program no class uses (409 otherwise) and its translations.
+ *
+ * Auth:
+ * - Reads are public. Changes require `manage_classes` and are recorded as AuditEvents
+ *   (entityType "program").
+ *
+ * Classes:
+ * - Classes name their program in `program` (see src/utils/programs.js) and are created
+ *   and edited through the class routes; level-based programs' classes need a level.
+ *
+ * Caching:
+ * - Anonymous GET responses are cacheable at the CDN/edge; signed-in responses are private.
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import Program from "../schemas/Program.js";
+import Class from "../schemas/Class.js";
+import { requireAuth, requireCapability, optionalAuth } from "../middleware/auth.js";
+import { loadViewer, setViewerCache } from "../middleware/policy.js";
+import { recordAudit, diffChanges } from "../../src/utils/backend/audit-utils.js";
+import { createProgramTranslations, deleteProgramTranslations } from "../../src/utils/backend/translation-utils.js";
+import { PROGRAM_SLUG_PATTERN } from "../../src/utils/programs.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ["name", "description", "image", "isLevelBased", "order"];
+
+// Records a program change in the audit log.
+const auditProgram = (req, action, before, after) =>
+  recordAudit(req, {
+    action,
+    entityType: "program",
+    entityId: (after || before)._id,
+    entityLabel: (after || before).name,
+    changes: diffChanges(before, after),
+  });
+
+// Classes in Recently deleted count too, so restoring them keeps a valid program
+const countClasses = (slug) => Class.countDocuments({ program: slug }).setOptions({ withDeleted: true });
+
+// Picks and cleans the editable fields. Returns an error message, or null when valid.
+const normalizeProgram = (body, updates) => {
+  for (const field of EDITABLE_FIELDS) {
+    if (body && field in body) updates[field] = body[field];
+  }
+  if ("name" in updates) {
+    updates.name = String(updates.name || "").trim();
+    if (!updates.name) return "Name is required";
+  }
+  if ("description" in updates) updates.description = String(updates.description || "").trim();
+  if ("isLevelBased" in updates) updates.isLevelBased = Boolean(updates.isLevelBased);
+  if ("order" in updates) {
+    updates.order = updates.order === "" || updates.order === null ? 0 : Number(updates.order);
+    if (!Number.isInteger(updates.order)) return "Order must be a whole number";
+  }
+  return null;
+};
+
+router.get("/", optionalAuth, async (req, res) => {
+  try {
+    setViewerCache(res, await loadViewer(req));
+
+    const [programs, usage] = await Promise.all([
+      Program.find({}).sort({ order: 1, name: 1 }).lean(),
+      Class.aggregate([{ $group: { _id: "$program", count: { $sum: 1 } } }]),
+    ]);
+    const classCounts = new Map(usage.map((u) => [u._id, u.count]));
+    res.json(programs.map((program) => ({ ...program, classCount: classCounts.get(program.slug) || 0 })));
+  } catch (err) {
+    console.error("Failed to get programs:", err);
+    res.status(500).json({ message: "Failed to get programs" });
+  }
+});
+
+router.get("/:slug", optionalAuth, async (req, res) => {
+  try {
+    setViewerCache(res, await loadViewer(req));
+
+    const program = await Program.findOne({ slug: String(req.params.slug).toLowerCase() }).lean();
+    if (!program) return res.status(404).json({ message: "Program not found" });
+    res.json(program);
+  } catch (err) {
+    console.error("Failed to get program:", err);
+    res.status(500).json({ message: "Failed to get program" });
+  }
+});
+
+router.post("/", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const input = { slug: String(req.body?.slug || "").trim().toLowerCase() };
+    if (!PROGRAM_SLUG_PATTERN.test(input.slug)) {
+      return res.status(400).json({ message: "Use lowercase letters, digits and dashes for the slug" });
+    }
+    const error = normalizeProgram({ name: "", ...req.body }, input);
+    if (error) return res.status(400).json({ message: error });
+
+    if (await Program.exists({ slug: input.slug })) {
+      return res.status(409).json({ message: "A program with this slug already exists" });
+    }
+    const program = await Program.create(input);
+    await createProgramTranslations(program);
+    await auditProgram(req, "create", null, program.toObject());
+    res.status(201).json(program);
+  } catch (err) {
+    console.error("Failed to create program:", err);
+    res.status(500).json({ message: "Failed to create program" });
+  }
+});
+
+router.put("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const previous = await Program.findById(id).lean();
+    if (!previous) return res.status(404).json({ message: "Program not found" });
+
+    const updates = {};
+    const error = normalizeProgram(req.body, updates);
+    if (error) return res.status(400).json({ message: error });
+
+    // Switching would leave classes with a level they should not have, or without one
+    if ("isLevelBased" in updates && updates.isLevelBased !== previous.isLevelBased && (await countClasses(previous.slug))) {
+      return res.status(409).json({ message: "Move this program's classes elsewhere before changing whether it uses levels" });
+    }
+
+    const program = await Program.findByIdAndUpdate(id, updates, { new: true, runValidators: true }).lean();
+    if (program.name !== previous.name || program.description !== previous.description) {
+      await deleteProgramTranslations(previous);
+      await createProgramTranslations(program);
+    }
+    await auditProgram(req, "update", previous, program);
+    res.json(program);
+  } catch (err) {
+    console.error("Failed to update program:", err);
+    res.status(500).json({ message: "Failed to update program" });
+  }
+});
+
+router.delete("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const program = await Program.findById(id).lean();
+    if (!program) return res.status(404).json({ message: "Program not found" });
+
+    const inUse = await countClasses(program.slug);
+    if (inUse) {
+      return res.status(409).json({ message: `${inUse} class(es) belong to this program; move or delete them first` });
+    }
+
+    await Program.deleteOne({ _id: id });
+    await deleteProgramTranslations(program);
+    await auditProgram(req, "delete", program, null);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Failed to delete program:", err);
+    res.status(500).json({ message: "Failed to delete program" });
+  }
+});
+
+export default router;
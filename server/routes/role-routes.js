@@ -0,0 +1,157 @@
+/**
+ * server/routes/role-routes.js
+ *
+ * Role management API routes.
+ * Mounted at `/api/roles` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET    /              Lists roles (with member counts) and the capability catalog.
+ * - POST   /              Creates a role.
+ * - PUT    /:id           Updates a role's name, description or capabilities.
+ * - DELETE /:id           Deletes a role and removes it from every user.
+ *
+ * Auth:
+ * - All endpoints require the `manage_roles` capability. Assigning roles to a
+ *   user is PUT /api/users/:id/roles (user-routes.js).
+ * - Creates, edits and deletes are recorded as AuditEvents (entityType "role").
+ *
+ * Caching:
+ * - Responses are not cacheable.
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import Role from "../schemas/Role.js";
+import User from "../schemas/User.js";
+import { validateInput } from "../../src/utils/backend/validate-utils.js";
+import { requireAuth, requireCapability } from "../middleware/auth.js";
+import { CAPABILITIES, CAPABILITY_KEYS } from "../../src/constants/capabilities.js";
+import { recordAudit, diffChanges } from "../../src/utils/backend/audit-utils.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireCapability("manage_roles"), (_req, res, next) => {
+  res.setHeader("Cache-Control", "no-store");
+  next();
+});
+
+const allowedFields = ["name", "description", "capabilities"];
+
+// Returns an error message for invalid role input, or null.
+const validateRole = (input, { partial = false } = {}) => {
+  if ((!partial || "name" in input) && !String(input.name || "").trim()) {
+    return "Role name is required";
+  }
+  if ("capabilities" in input) {
+    if (!Array.isArray(input.capabilities)) return "capabilities must be an array";
+    const unknown = input.capabilities.filter((c) => !CAPABILITY_KEYS.includes(c));
+    if (unknown.length) return `Unknown capabilities: ${unknown.join(", ")}`;
+  }
+  return null;
+};
+
+// Records a role change in the audit log.
+const auditRole = (req, action, before, after) =>
+  recordAudit(req, {
+    action,
+    entityType: "role",
+    entityId: (after || before)._id,
+    entityLabel: (after || before).name,
+    changes: diffChanges(before, after),
+  });
+
+const sendRoleError = (res, err, fallbackMessage) => {
+  if (err?.code === 11000) {
+    return res.status(409).json({ message: "A role with that name already exists" });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+// Get roles
+router.get("/", async (_req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }).lean(),
+      User.aggregate([{ $unwind: "$roles" }, { $group: { _id: "$roles", count: { $sum: 1 } } }]),
+    ]);
+    const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    res.json({
+      roles: roles.map((role) => ({ ...role, userCount: countById.get(role._id.toString()) || 0 })),
+      capabilities: CAPABILITIES,
+    });
+  } catch (err) {
+    console.error("Failed to get roles:", err);
+    res.status(500).json({ message: "Failed to get roles" });
+  }
+});
+
+// Create role
+router.post("/", async (req, res) => {
+  try {
+    const input = validateInput(req.body || {}, allowedFields);
+    const error = validateRole(input);
+    if (error) return res.status(400).json({ message: error });
+
+    const role = await Role.create(input);
+    await auditRole(req, "create", null, role);
+    res.status(201).json(role);
+  } catch (err) {
+    sendRoleError(res, err, "Failed to create role");
+  }
+});
+
+// Edit role
+router.put("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const updates = validateInput(req.body || {}, allowedFields);
+    const error = validateRole(updates, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+
+    const previous = await Role.findById(id).lean();
+    if (!previous) return res.status(404).json({ message: "Role not found" });
+
+    const role = await Role.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
+    if (!role) return res.status(404).json({ message: "Role not found" });
+    await auditRole(req, "update", previous, role);
+
+    res.json(role);
+  } catch (err) {
+    sendRoleError(res, err, "Failed to update role");
+  }
+});
+
+// Delete role
+router.delete("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const role = await Role.findByIdAndDelete(id);
+    if (!role) return res.status(404).json({ message: "Role not found" });
+
+    const { modifiedCount } = await User.updateMany({ roles: id }, { $pull: { roles: id } });
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "role",
+      entityId: id,
+      entityLabel: role.name,
+      summary: modifiedCount ? `Removed from ${modifiedCount} user(s)` : "",
+      changes: diffChanges(role, null),
+    });
+
+    res.status(204).end();
+  } catch (err) {
+    sendRoleError(res, err, "Failed to delete role");
+  }
+});
+
+export default router;
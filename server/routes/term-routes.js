@@ -0,0 +1,207 @@
+/**
+ * server/routes/term-routes.js
+ *
+ * Academic term API routes.
+ * Mounted at `/api/terms` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET    /               Lists terms, newest first, with how many classes each has.
+ * - POST   /               Adds a term ({ name, startDate, endDate }).
+ * - PUT    /:id            Edits a term's name and dates; changing the dates re-syncs its
+ *                          classes' sessions (see session-utils.js).
+ * - DELETE /:id            Deletes a term no class belongs to (409 otherwise).
+ * - POST   /:id/rollover   Copies classes of this term into another one with empty rosters
+ *                          ({ classIds, toTermId }). Responds 201 with { created, skipped }:
+ *                          the new classes, and the ids of classes the other term already
+ *                          has a copy of (same program, level, age group, instructor and times).
+ *
+ * Auth:
+ * - Reads are public. Changes require `manage_classes` and are recorded as AuditEvents
+ *   (entityType "term"; each rolled-over class as a class create).
+ *
+ * Terms:
+ * - `startDate` and `endDate` are the first and last days (see src/utils/terms.js).
+ *   After the last day the term's classes are read-only (see term-utils.js); they can
+ *   still be rolled over, but not into a term that has ended.
+ *
+ * Caching:
+ * - Anonymous GET responses are cacheable at the CDN/edge; signed-in responses are private.
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import Term from "../schemas/Term.js";
+import Class from "../schemas/Class.js";
+import { requireAuth, requireCapability, optionalAuth } from "../middleware/auth.js";
+import { loadViewer, setViewerCache } from "../middleware/policy.js";
+import { recordAudit, diffChanges } from "../../src/utils/backend/audit-utils.js";
+import { rolloverClasses } from "../../src/utils/backend/term-utils.js";
+import { syncTermSessions } from "../../src/utils/backend/session-utils.js";
+import { isTermEnded } from "../../src/utils/terms.js";
+
+const router = express.Router();
+
+const MAX_ROLLOVER_CLASSES = 200;
+
+// Records a term change in the audit log.
+const auditTerm = (req, action, before, after) =>
+  recordAudit(req, {
+    action,
+    entityType: "term",
+    entityId: (after || before)._id,
+    entityLabel: (after || before).name,
+    changes: diffChanges(before, after),
+  });
+
+// "2026-09-01" (or any date string) → that day at UTC midnight; null when invalid.
+const toDay = (value) => {
+  const date = new Date(value);
+  if (value === "" || value === null || value === undefined || Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Picks and cleans name and dates, merged over `current` when editing.
+// Returns an error message, or null when valid.
+const normalizeTerm = (body, updates, current = {}) => {
+  if ("name" in body) {
+    updates.name = String(body.name || "").trim();
+    if (!updates.name) return "Name is required";
+  }
+  for (const field of ["startDate", "endDate"]) {
+    if (!(field in body)) continue;
+    updates[field] = toDay(body[field]);
+    if (!updates[field]) return "Start and end must be valid dates";
+  }
+  const { startDate, endDate } = { ...current, ...updates };
+  if (startDate && endDate && endDate < startDate) return "A term cannot end before it starts";
+  return null;
+};
+
+router.get("/", optionalAuth, async (req, res) => {
+  try {
+    setViewerCache(res, await loadViewer(req));
+
+    const [terms, usage] = await Promise.all([
+      Term.find({}).sort({ startDate: -1 }).lean(),
+      Class.aggregate([{ $group: { _id: "$term", count: { $sum: 1 } } }]),
+    ]);
+    const classCounts = new Map(usage.map((u) => [String(u._id), u.count]));
+    res.json(terms.map((term) => ({ ...term, classCount: classCounts.get(String(term._id)) || 0 })));
+  } catch (err) {
+    console.error("Failed to get terms:", err);
+    res.status(500).json({ message: "Failed to get terms" });
+  }
+});
+
+router.post("/", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const input = {};
+    const error = normalizeTerm({ name: "", startDate: "", endDate: "", ...req.body }, input);
+    if (error) return res.status(400).json({ message: error });
+
+    if (await Term.exists({ name: input.name })) {
+      return res.status(409).json({ message: "A term with this name already exists" });
+    }
+    const term = await Term.create(input);
+    await auditTerm(req, "create", null, term.toObject());
+    res.status(201).json(term);
+  } catch (err) {
+    console.error("Failed to create term:", err);
+    res.status(500).json({ message: "Failed to create term" });
+  }
+});
+
+router.put("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const previous = await Term.findById(id).lean();
+    if (!previous) return res.status(404).json({ message: "Term not found" });
+
+    const updates = {};
+    const error = normalizeTerm(req.body || {}, updates, previous);
+    if (error) return res.status(400).json({ message: error });
+
+    if (updates.name && updates.name !== previous.name && (await Term.exists({ name: updates.name }))) {
+      return res.status(409).json({ message: "A term with this name already exists" });
+    }
+
+    const term = await Term.findByIdAndUpdate(id, updates, { new: true, runValidators: true }).lean();
+    if (
+      String(term.startDate) !== String(previous.startDate) ||
+      String(term.endDate) !== String(previous.endDate)
+    ) {
+      await syncTermSessions(id);
+    }
+    await auditTerm(req, "update", previous, term);
+    res.json(term);
+  } catch (err) {
+    console.error("Failed to update term:", err);
+    res.status(500).json({ message: "Failed to update term" });
+  }
+});
+
+router.delete("/:id", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+
+    const term = await Term.findById(id).lean();
+    if (!term) return res.status(404).json({ message: "Term not found" });
+
+    // Classes in Recently deleted count too, so restoring them keeps a valid term
+    const inUse = await Class.countDocuments({ term: id }).setOptions({ withDeleted: true });
+    if (inUse) {
+      return res.status(409).json({ message: `${inUse} class(es) belong to this term; move or delete them first` });
+    }
+
+    await Term.deleteOne({ _id: id });
+    await auditTerm(req, "delete", term, null);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Failed to delete term:", err);
+    res.status(500).json({ message: "Failed to delete term" });
+  }
+});
+
+// Copy classes into another term. Body: { classIds: [classId], toTermId }
+router.post("/:id/rollover", requireAuth, requireCapability("manage_classes"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { toTermId } = req.body || {};
+    const classIds = [...new Set((Array.isArray(req.body?.classIds) ? req.body.classIds : []).map(String))];
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(toTermId)) {
+      return res.status(400).json({ message: "Invalid term ID" });
+    }
+    if (String(id) === String(toTermId)) {
+      return res.status(400).json({ message: "Pick a different term to roll over to" });
+    }
+    if (!classIds.length || classIds.length > MAX_ROLLOVER_CLASSES || !classIds.every((c) => mongoose.Types.ObjectId.isValid(c))) {
+      return res.status(400).json({ message: `classIds must be 1 to ${MAX_ROLLOVER_CLASSES} class IDs` });
+    }
+
+    const [fromTerm, toTerm] = await Promise.all([Term.findById(id).lean(), Term.findById(toTermId).lean()]);
+    if (!fromTerm || !toTerm) return res.status(404).json({ message: "Term not found" });
+    if (isTermEnded(toTerm)) {
+      return res.status(409).json({ code: "term_ended", message: `${toTerm.name} has ended; pick a current or upcoming term` });
+    }
+
+    const classes = await Class.find({ _id: { $in: classIds }, term: id }).lean();
+    if (classes.length !== classIds.length) {
+      return res.status(400).json({ message: `Only classes of ${fromTerm.name} can be rolled over from it` });
+    }
+
+    const { created, skipped } = await rolloverClasses(req, classes, fromTerm, toTerm);
+    res.status(201).json({ created, skipped: skipped.map((cls) => cls._id) });
+  } catch (err) {
+    console.error("Failed to roll over classes:", err);
+    res.status(500).json({ message: "Failed to roll over classes" });
+  }
+});
+
+export default router;
@@ -6,19 +6,57 @@
  *
  * Routes:
  * - GET  /:lng/:ns            Returns a flat key/value map for the namespace.
+ * - GET  /history/:lng/:ns/:key  Returns recent revisions of a key (editors only).
  * - PUT  /:lng/:ns/:key/      Upserts a single translation key/value.
  * - POST /create              Creates a translation document.
  * - POST /transfer            Transfers i18nexus translations into MongoDB.
  *
+ * Auth:
+ * - Every write (and the history lookup) requires the `edit_translations`
+ *   capability. `lng` and `ns` must be in src/constants/locales.js.
+ * - Each change is recorded as a TranslationRevision with the editor and previous value,
+ *   and in the admin audit log (entityType "translation").
+ *
  * Caching:
  * - GET responses are marked cacheable at the CDN/edge to reduce repeated fetch load.
  */
 
 import express from "express";
 import Translation from "../schemas/Translation.js";
+import TranslationRevision from "../schemas/TranslationRevision.js";
+import { requireAuth, requireCapability } from "../middleware/auth.js";
+import { SUPPORTED_LNGS, NAMESPACES } from "../../src/constants/locales.js";
+import { recordAudit } from "../../src/utils/backend/audit-utils.js";
 
 const router = express.Router();
 
+const requireEditor = [requireAuth, requireCapability("edit_translations")];
+
+const isSupported = (lng, ns) => SUPPORTED_LNGS.includes(lng) && NAMESPACES.includes(ns);
+
+// Records a single-key change in the audit log.
+const auditTranslation = (req, action, { lng, ns, key, previousValue = null, newValue }) =>
+  recordAudit(req, {
+    action,
+    entityType: "translation",
+    entityId: `${lng}/${ns}/${key}`,
+    entityLabel: `${lng}/${ns}/${key}`,
+    changes: [{ field: "value", before: previousValue, after: newValue }],
+  });
+
+const unsupportedMessage = `lng must be one of ${SUPPORTED_LNGS.join(", ")} and ns one of ${NAMESPACES.join(", ")}`;
+
+const revisionFor = (req, action, { lng, ns, key, previousValue = null, newValue }) => ({
+  lng,
+  ns,
+  key,
+  previousValue,
+  newValue,
+  action,
+  editor: req.me?._id || null,
+  editorEmail: req.me?.email || "",
+});
+
 // Get Translation
 router.get("/:lng/:ns", async (req, res) => {
   try {
@@ -39,27 +77,68 @@ router.get("/:lng/:ns", async (req, res) => {
   }
 });
 
+// Revision history for a single key (newest first)
+router.get("/history/:lng/:ns/:key", requireEditor, async (req, res) => {
+  try {
+    const { lng, ns, key } = req.params;
+    if (!isSupported(lng, ns)) {
+      return res.status(400).json({ message: unsupportedMessage });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+
+    const revisions = await TranslationRevision.find({ lng, ns, key })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate({ path: "editor", select: "firstName lastName email" })
+      .lean();
+
+    return res.json(revisions);
+  } catch (error) {
+    console.error("Failed to get translation history:", error);
+    return res.status(500).json({ message: "Failed to get translation history" });
+  }
+});
+
 // Edit Translation
-router.put("/:lng/:ns/:key/", async (req, res) => {
+router.put("/:lng/:ns/:key/", requireEditor, async (req, res) => {
   const { lng, ns, key } = req.params;
   const { newTranslation } = req.body;
 
+  if (!isSupported(lng, ns)) {
+    return res.status(400).json({ message: unsupportedMessage });
+  }
+  if (typeof newTranslation !== "string" || !newTranslation.trim()) {
+    return res.status(400).json({ message: "newTranslation must be a non-empty string" });
+  }
+
   try {
+    const previous = await Translation.findOne({ lng, ns, key }).select("value").lean();
+
     const updated = await Translation.findOneAndUpdate(
       { lng, ns, key },
       { $set: { value: newTranslation } },
       { new: true, upsert: true }
     );
 
+    const change = { lng, ns, key, previousValue: previous?.value ?? null, newValue: newTranslation };
+    await TranslationRevision.create(revisionFor(req, "update", change));
+    await auditTranslation(req, "update", change);
+
     return res.status(200).json({ message: "Successfully updated translation", translation: updated });
   } catch (error) {
+    console.error("Failed to update translation:", error);
     return res.status(500).json({ message: "Failed to update translation" });
   }
 });
 
-router.post("/create", async (req, res) => {
+router.post("/create", requireEditor, async (req, res) => {
   const { lng, ns, key, value } = req.body;
 
+  if (!isSupported(lng, ns)) {
+    return res.status(400).json({ message: unsupportedMessage });
+  }
+
   try {
     const translation = new Translation({
       lng,
@@ -69,14 +148,18 @@ router.post("/create", async (req, res) => {
     });
 
     await translation.save();
+    await TranslationRevision.create(revisionFor(req, "create", { lng, ns, key, newValue: value }));
+    await auditTranslation(req, "create", { lng, ns, key, newValue: value });
+
     return res.status(201).json({ message: "Translation created successfully", data: translation });
   } catch (error) {
+    console.error("Failed to create translation:", error);
     return res.status(500).json({ message: "Failed to create translation" });
   }
 });
 
 // Move all i18nexus translations to MongoDB
-router.post("/transfer", async (req, res) => {
+router.post("/transfer", requireEditor, async (req, res) => {
   try {
     const response = await fetch(
       `https://api.i18nexus.com/project_resources/translations.json?api_key=${process.env.I18NEXUS_API_KEY}`
@@ -91,6 +174,10 @@ router.post("/transfer", async (req, res) => {
     const translationsToInsert = [];
     for (const [lng, namespaces] of Object.entries(translations)) {
       for (const [ns, keys] of Object.entries(namespaces)) {
+        if (!isSupported(lng, ns)) {
+          console.warn(`Skipping unsupported translations: ${lng}/${ns}`);
+          continue;
+        }
         for (const [key, value] of Object.entries(keys)) {
           translationsToInsert.push({
             lng,
@@ -120,6 +207,18 @@ router.post("/transfer", async (req, res) => {
     }
 
     await Translation.insertMany(translationsToInsert);
+    await TranslationRevision.insertMany(
+      translationsToInsert.map(({ lng, ns, key, value }) =>
+        revisionFor(req, "transfer", { lng, ns, key, newValue: value })
+      )
+    );
+    // One summary event; per-key values are in the revisions above
+    await recordAudit(req, {
+      action: "transfer",
+      entityType: "translation",
+      entityLabel: "i18nexus",
+      summary: `Imported ${translationsToInsert.length} translation(s) from i18nexus`,
+    });
 
     return res.status(200).json({ message: "Successfully inserted translations" });
   } catch (error) {
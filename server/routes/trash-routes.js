@@ -0,0 +1,128 @@
+/**
+ * server/routes/trash-routes.js
+ *
+ * "Recently deleted" API routes.
+ * Mounted at `/api/trash` in `api/index.js`.
+ *
+ * Endpoints:
+ * - GET  /                    Lists trashed users, classes and levels (newest first) with
+ *                             who deleted them and when they will be purged.
+ * - POST /:type/:id/restore   Restores a trashed document; `type` is users | classes | levels.
+ *                             Restored users also come back with `waitlistedIn`: the classes
+ *                             that had filled up meanwhile, where they were waitlisted instead.
+ *
+ * Auth:
+ * - Users require the `manage_users` capability; classes and levels require
+ *   `manage_classes`. The list only includes types the caller may restore.
+ *
+ * Notes:
+ * - DELETE endpoints in the user, class and level routers move documents here
+ *   (see src/utils/backend/trash-utils.js). Documents are purged for good after
+ *   TRASH_RETENTION_DAYS by `npm run purge:trash` (api folder).
+ *
+ * Caching:
+ * - Responses are not cacheable.
+ */
+
+import express from "express";
+import mongoose from "mongoose";
+import User from "../schemas/User.js";
+import Class from "../schemas/Class.js";
+import Level from "../schemas/Level.js";
+import { requireAuth, requireCapability } from "../middleware/auth.js";
+import { recordAudit, classLabel, userLabel } from "../../src/utils/backend/audit-utils.js";
+import {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  restoreUser,
+  restoreClass,
+  restoreLevel,
+} from "../../src/utils/backend/trash-utils.js";
+
+const router = express.Router();
+
+router.use(requireAuth, requireCapability("manage_users", "manage_classes"), (_req, res, next) => {
+  res.setHeader("Cache-Control", "no-store");
+  next();
+});
+
+const TRASH_TYPES = {
+  users: {
+    Model: User,
+    capability: "manage_users",
+    select: "firstName lastName email privilege deletedAt deletedBy",
+    restore: restoreUser,
+    entityType: "user",
+    label: userLabel,
+  },
+  classes: {
+    Model: Class,
+    capability: "manage_classes",
+    select: "program level ageGroup instructor roster deletedAt deletedBy",
+    restore: restoreClass,
+    entityType: "class",
+    label: classLabel,
+  },
+  levels: {
+    Model: Level,
+    capability: "manage_classes",
+    select: "level name deletedAt deletedBy",
+    restore: restoreLevel,
+    entityType: "level",
+    label: (level) => `Level ${level.level}`,
+  },
+};
+
+// Get trashed documents
+router.get("/", async (req, res) => {
+  try {
+    const result = { retentionDays: TRASH_RETENTION_DAYS };
+
+    for (const [type, { Model, capability, select }] of Object.entries(TRASH_TYPES)) {
+      if (!req.capabilities.has(capability)) continue;
+
+      const docs = await Model.find({ deletedAt: { $ne: null } })
+        .select(select)
+        .sort({ deletedAt: -1 })
+        .populate({ path: "deletedBy", select: "firstName lastName email", options: { withDeleted: true } })
+        .lean();
+      result[type] = docs.map((doc) => ({ ...doc, purgeAt: purgeDate(doc.deletedAt) }));
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error("Failed to get trash:", err);
+    res.status(500).json({ message: "Failed to get recently deleted items" });
+  }
+});
+
+// Restore a trashed document
+router.post("/:type/:id/restore", async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const config = TRASH_TYPES[type];
+    if (!config) return res.status(404).json({ message: "Unknown type" });
+    if (!req.capabilities.has(config.capability)) return res.status(403).json({ message: "Forbidden" });
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid ID" });
+
+    const restored = await config.restore(id);
+
+    await recordAudit(req, {
+      action: "restore",
+      entityType: config.entityType,
+      entityId: id,
+      entityLabel: config.label(restored),
+      summary: restored.waitlistedIn?.length
+        ? `Restored from Recently deleted; waitlisted in ${restored.waitlistedIn.length} full class(es)`
+        : "Restored from Recently deleted",
+    });
+
+    res.json(restored);
+  } catch (err) {
+    if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error("Failed to restore:", err);
+    res.status(500).json({ message: "Failed to restore" });
+  }
+});
+
+export default router;
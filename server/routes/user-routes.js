@@ -10,12 +10,78 @@
  * - GET /user
  * - PUT /user/:id
  * - DELETE /user/:id
+ * - PUT /users/:id/enroll
+ * - PUT /users/:id/unenroll
+ * - PUT /users/:id/complete
+ * - PUT /users/:id/transfer
+ * - GET /users/:id/enrollments
+ * - GET /users/:id/enrollment-requests
+ * - PUT /users/:id/roles
+ * - GET /me/export
+ * - POST /me/deletion
+ * - DELETE /me/deletion
+ * - GET /me/calendar
+ * - POST /me/calendar
  * - GET /students-classes/:id
  * - GET /students-with-classes
+ * - GET /students-export
+ * - POST /enrollments/reconcile
  *
  * Auth:
  * - Uses Clerk-backed middleware for authentication/authorization.
+ * - Listing, editing and deleting other users requires the `manage_users`
+ *   capability; class managers may list instructor accounts. Assigning roles
+ *   (and promoting to admin) requires `manage_roles`.
+ * - Level progress (`completedLevels`, `placementLevel`, `levelOverrides`), which
+ *   unlocks levels with prerequisites, can only be edited by user managers.
  * - User-specific responses are marked as non-cacheable.
+ *
+ * Self-service:
+ * - Any signed-in user can download their data (GET /me/export, JSON or ZIP).
+ * - Students can ask for their account to be deleted (POST /me/deletion, confirmed
+ *   by typing their email). The account is closed after a grace period by the
+ *   purge job and can be kept by cancelling (DELETE /me/deletion) before then.
+ * - `timezone` and `secondaryTimezone` (IANA names, or null for the browser's zone and
+ *   no second zone) set the zones class times are shown and emailed in. Sign-up saves
+ *   the browser's zone; other values are refused with 400.
+ * - GET /me/calendar responds with { path } of the user's calendar feed (see
+ *   calendar-routes.js), creating its secret token on first use. POST /me/calendar
+ *   replaces the token, so links shared before stop working.
+ *
+ * Deleting:
+ * - DELETE /user/:id moves the account to Recently deleted (see trash-utils.js):
+ *   it is hidden from every query, removed from class rosters and banned in
+ *   Clerk until it is restored from /api/trash or purged.
+ *
+ * Audit:
+ * - Profile edits, deletions, enrollment, waitlist and request changes and role
+ *   assignments are recorded as AuditEvents (entityType "user").
+ *
+ * Enrollment:
+ * - PUT /users/:id/enroll responds with `status` "enrolled", or "waitlisted" and
+ *   the student's `position` when the class is full. Unenrolling from a class
+ *   (or leaving its waitlist) uses PUT /users/:id/unenroll; a freed seat goes to
+ *   the next student on the waitlist.
+ * - In classes that require approval, enrolling responds with `status` "requested"
+ *   and creates a pending request (user managers enrolling a student skip it).
+ *   Unenrolling withdraws a pending request. GET /users/:id/enrollment-requests
+ *   lists the student's open requests and those decided in the last
+ *   REQUEST_HISTORY_DAYS days, newest first.
+ * - Enrolling (or asking to) in a class that meets at the same time as one of the
+ *   student's classes fails with 409 { code: "schedule_conflict", conflict }, where
+ *   `conflict` holds the other class and both overlapping schedule slots.
+ * - Every change is kept in the student's enrollment records (see
+ *   enrollment-record-utils.js): waitlisted, active, then dropped, completed or
+ *   transferred, with who made it and an optional `reason` (unenroll, complete and
+ *   transfer accept one). GET /users/:id/enrollments returns them, newest first.
+ * - User managers end an enrollment with PUT /users/:id/complete ({ classId }), which
+ *   also records a numbered level as completed, or move a student with
+ *   PUT /users/:id/transfer ({ fromClassId, toClassId }), which needs a free seat.
+ * - GET /students-with-classes and GET /students-export list each student's classes
+ *   from their active enrollment records, and their level and search filters match on them.
+ * - Enrollment writes update the student and the class roster in one transaction.
+ *   POST /enrollments/reconcile ({ dryRun }) reports and repairs links that are
+ *   out of sync; it needs both `manage_users` and `manage_classes`.
  */
 
 import "dotenv/config";
@@ -23,9 +89,33 @@ import express from "express";
 import mongoose from "mongoose";
 import User from "../schemas/User.js";
 import Class from "../schemas/Class.js";
+import EnrollmentRequest from "../schemas/EnrollmentRequest.js";
 import { clerkClient } from "@clerk/express";
 import { validateInput } from "../../src/utils/backend/validate-utils.js";
-import { requireAuth, requireAdminOrInstructor } from "../../server/middleware/auth.js";
+import {
+  enrollStudent,
+  unenrollStudent,
+  completeEnrollment,
+  transferStudent,
+  promoteFromWaitlist,
+  sendEnrollmentError,
+} from "../../src/utils/backend/enrollment-utils.js";
+import { listEnrollmentRecords, activeClassesByStudent } from "../../src/utils/backend/enrollment-record-utils.js";
+import {
+  buildStudentFilter,
+  parseExportOptions,
+  streamStudentExport,
+  collectUserData,
+  sendUserData,
+} from "../../src/utils/backend/student-utils.js";
+import Role from "../schemas/Role.js";
+import { requireAuth, requireCapability, getCurrentUser, getCapabilities } from "../../server/middleware/auth.js";
+import { loadViewer, projectClass } from "../../server/middleware/policy.js";
+import { recordAudit, diffChanges, classLabel, userLabel } from "../../src/utils/backend/audit-utils.js";
+import { trashUser, scheduleAccountDeletion, cancelAccountDeletion } from "../../src/utils/backend/trash-utils.js";
+import { reconcileEnrollments, auditReconcileFixes } from "../../src/utils/backend/reconcile-utils.js";
+import { isValidTimezone } from "../../src/utils/time-utils.js";
+import { createCalendarToken } from "../../src/utils/backend/calendar-utils.js";
 
 const router = express.Router();
 
@@ -39,35 +129,35 @@ router.use((_req, res, next) => {
    Helpers
 ------------------------------*/
 
-const isAdminOrInstructor = (u) => !!u && ["admin", "instructor"].includes(u.privilege);
-
-async function getMe(req) {
-  const clerkId = req.auth?.userId;
-  if (!clerkId) return null;
-  return User.findOne({ clerkId }).select("privilege").lean();
-}
+// Allows the target user themself, or any signed-in user holding `capability`.
+// Sets req.me and req.capabilities for the handler.
+function allowSelfOr(capability) {
+  return async (req, res, next) => {
+    try {
+      const me = await getCurrentUser(req, "privilege roles");
+      req.me = me;
+      req.capabilities = await getCapabilities(me);
+      if (me && req.capabilities.has(capability)) return next();
+
+      const paramId = req.params?.id;
+      if (!paramId || !mongoose.Types.ObjectId.isValid(paramId)) {
+        return res.status(400).json({ message: "Invalid ID" });
+      }
 
-async function allowSelfOrPriv(req, res, next) {
-  try {
-    const me = await getMe(req);
-    if (isAdminOrInstructor(me)) return next();
+      const target = await User.findById(paramId).select("_id clerkId").lean();
+      if (!target) return res.status(404).json({ message: "User not found" });
 
-    const paramId = req.params?.id;
-    if (!paramId || !mongoose.Types.ObjectId.isValid(paramId)) {
-      return res.status(400).json({ message: "Invalid ID" });
+      const isSelf = target.clerkId === req.auth?.userId;
+      return isSelf ? next() : res.status(403).json({ message: "Forbidden" });
+    } catch (err) {
+      console.error("allowSelfOr error:", err);
+      res.status(500).json({ message: "Auth check failed" });
     }
-
-    const target = await User.findById(paramId).select("_id clerkId").lean();
-    if (!target) return res.status(404).json({ message: "User not found" });
-
-    const isSelf = target.clerkId === req.auth?.userId;
-    return isSelf ? next() : res.status(403).json({ message: "Forbidden" });
-  } catch (err) {
-    console.error("allowSelfOrPriv error:", err);
-    res.status(500).json({ message: "Auth check failed" });
-  }
+  };
 }
 
+const allowSelfOrUserManager = allowSelfOr("manage_users");
+
 const escapeRx = (s) => s.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
 
 /* -----------------------------
@@ -76,15 +166,22 @@ const escapeRx = (s) => s.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
 
 router.post("/sign-up", async (req, res) => {
   try {
-    const { firstName, lastName, email, whatsapp, clerkId } = req.body;
+    const { firstName, lastName, email, whatsapp, clerkId, timezone } = req.body;
     if (!firstName || !lastName || !email || !clerkId) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
-    const existingUser = await User.findOne({ email }).select("_id").lean();
+    const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true }).select("_id").lean();
     if (existingUser) return res.status(409).json({ message: "Email already exists" });
 
-    const newUser = await new User({ firstName, lastName, email, whatsapp, clerkId }).save();
+    const newUser = await new User({
+      firstName,
+      lastName,
+      email,
+      whatsapp,
+      clerkId,
+      timezone: isValidTimezone(timezone) ? timezone : null,
+    }).save();
     res.status(201).json(newUser);
   } catch (error) {
     console.error("Failed to sign up:", error);
@@ -98,7 +195,7 @@ router.post("/sign-up", async (req, res) => {
 
 // GET /api/users
 // Optional: privilege, q, page, limit
-router.get("/users", requireAuth, requireAdminOrInstructor, async (req, res) => {
+router.get("/users", requireAuth, requireCapability("manage_users", "manage_classes"), async (req, res) => {
   try {
     const { privilege, q } = req.query;
     const page = Number(req.query.page);
@@ -108,6 +205,10 @@ router.get("/users", requireAuth, requireAdminOrInstructor, async (req, res) =>
     if (typeof privilege === "string" && privilege.trim()) {
       filter.privilege = privilege.trim();
     }
+    // Class managers only need instructor accounts (for the class instructor picker)
+    if (!req.capabilities.has("manage_users") && filter.privilege !== "instructor") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
     if (typeof q === "string" && q.trim()) {
       const rx = new RegExp(escapeRx(q.trim()), "i");
       filter.$or = [{ firstName: rx }, { lastName: rx }, { email: rx }];
@@ -149,8 +250,8 @@ router.get("/user", requireAuth, async (req, res) => {
     const allowedFields = ["_id", "email", "whatsapp"];
     const filters = validateInput(req.query, allowedFields);
 
-    const me = await getMe(req);
-    const isPriv = isAdminOrInstructor(me);
+    const me = await getCurrentUser(req, "privilege roles");
+    const isPriv = (await getCapabilities(me)).has("manage_users");
 
     let user;
     if (isPriv && Object.keys(filters).length) {
@@ -161,6 +262,7 @@ router.get("/user", requireAuth, async (req, res) => {
     }
 
     if (!user) return res.status(404).json({ message: "User not found" });
+    user.capabilities = [...(await getCapabilities(user))];
     res.status(200).json(user);
   } catch (err) {
     console.error("Get user error:", err);
@@ -168,7 +270,7 @@ router.get("/user", requireAuth, async (req, res) => {
   }
 });
 
-router.put("/user/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
+router.put("/user/:id", requireAuth, allowSelfOrUserManager, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -180,6 +282,39 @@ router.put("/user/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
     const originalUser = await User.findById(id);
     if (!originalUser) return res.status(404).json({ message: "User not found" });
 
+    // Roles have their own endpoint; privilege changes are not self-service
+    if ("roles" in updates) {
+      return res.status(400).json({ message: "Assign roles with PUT /users/:id/roles" });
+    }
+    // Enrollment links only change through the enroll/unenroll endpoints, which keep
+    // enrolledClasses and class rosters in step
+    if ("enrolledClasses" in updates) {
+      return res.status(400).json({ message: "Use the enroll and unenroll endpoints to change classes" });
+    }
+    // Deletion state only changes through DELETE /user/:id, /api/trash and /me/deletion
+    if (["deletedAt", "deletedBy", "deletionScheduledFor"].some((field) => field in updates)) {
+      return res.status(400).json({ message: "Deletion fields cannot be edited" });
+    }
+    if ("calendarToken" in updates) {
+      return res.status(400).json({ message: "Regenerate the calendar link with POST /me/calendar" });
+    }
+    // Level progress unlocks classes, so students cannot set their own
+    const levelFields = ["completedLevels", "placementLevel", "levelOverrides"];
+    if (levelFields.some((field) => field in updates) && !req.capabilities.has("manage_users")) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    for (const field of ["timezone", "secondaryTimezone"]) {
+      if (field in updates && updates[field] !== null && !isValidTimezone(updates[field])) {
+        return res.status(400).json({ message: `${updates[field]} is not a known time zone` });
+      }
+    }
+    if ("privilege" in updates && updates.privilege !== originalUser.privilege) {
+      const canChange =
+        req.capabilities.has("manage_users") &&
+        (updates.privilege !== "admin" || req.capabilities.has("manage_roles"));
+      if (!canChange) return res.status(403).json({ message: "Forbidden" });
+    }
+
     if (updates.email && originalUser.email !== updates.email) {
       await clerkClient.emailAddresses.createEmailAddress({
         userId: originalUser.clerkId,
@@ -200,6 +335,19 @@ router.put("/user/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
       runValidators: true,
     });
 
+    // Keep the display name on linked classes in sync with the account
+    if (updatedUser.privilege === "instructor" && updatedUser.firstName !== originalUser.firstName) {
+      await Class.updateMany({ instructorId: id }, { instructor: updatedUser.firstName });
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "user",
+      entityId: id,
+      entityLabel: userLabel(updatedUser),
+      changes: diffChanges(originalUser, updatedUser, { omit: ["enrolledClasses", "roles"] }),
+    });
+
     res.status(200).json(updatedUser);
   } catch (error) {
     console.error("Failed to update user:", error);
@@ -207,29 +355,32 @@ router.put("/user/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
   }
 });
 
-router.delete("/user/:id", requireAuth, requireAdminOrInstructor, async (req, res) => {
+router.delete("/user/:id", requireAuth, requireCapability("manage_users"), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid ID" });
     }
 
-    const deletedUser = await User.findById(id);
+    const deletedUser = await User.findById(id).lean();
     if (!deletedUser) return res.status(404).json({ message: "User not found" });
-
-    if (Array.isArray(deletedUser.enrolledClasses) && deletedUser.enrolledClasses.length) {
-      await Promise.all(
-        deletedUser.enrolledClasses.map((classId) =>
-          Class.findByIdAndUpdate(classId, { $pull: { roster: id } }).catch((err) => {
-            console.error(`Failed to remove user ${id} from class ${classId} roster:`, err);
-            throw err;
-          })
-        )
-      );
+    if (deletedUser._id.equals(req.me._id)) {
+      return res.status(400).json({ message: "You cannot delete your own account" });
     }
 
-    await clerkClient.users.deleteUser(deletedUser.clerkId);
-    await User.findByIdAndDelete(id);
+    await trashUser(deletedUser, req.me._id);
+
+    const classCount = deletedUser.enrolledClasses?.length || 0;
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "user",
+      entityId: id,
+      entityLabel: userLabel(deletedUser),
+      summary: classCount
+        ? `Moved to Recently deleted; unenrolled from ${classCount} class(es)`
+        : "Moved to Recently deleted",
+      changes: diffChanges(deletedUser, null, { omit: ["enrolledClasses", "roles"] }),
+    });
 
     res.status(204).json({ message: "User deleted successfully" });
   } catch (error) {
@@ -238,11 +389,368 @@ router.delete("/user/:id", requireAuth, requireAdminOrInstructor, async (req, re
   }
 });
 
+/* -----------------------------
+   Self or Admin: enrollment
+------------------------------*/
+
+// Errors respond with { code, message }; `code` is a translation key for the UI.
+router.put("/users/:id/enroll", requireAuth, allowSelfOrUserManager, async (req, res) => {
+  try {
+    const { user, cls, status, position } = await enrollStudent(req.params.id, req.body?.classId, {
+      skipApproval: req.capabilities.has("manage_users"),
+      actorId: req.me._id,
+    });
+
+    if (status === "requested") {
+      await recordAudit(req, {
+        action: "request",
+        entityType: "user",
+        entityId: user._id,
+        entityLabel: userLabel(user),
+        summary: `Asked to join ${classLabel(cls)}`,
+      });
+      return res.status(201).json({ status, message: "Request sent" });
+    }
+
+    if (status === "waitlisted") {
+      await recordAudit(req, {
+        action: "waitlist",
+        entityType: "user",
+        entityId: user._id,
+        entityLabel: userLabel(user),
+        summary: `Joined the waitlist for ${classLabel(cls)} (position ${position})`,
+      });
+      return res.status(201).json({ status, position, message: "Added to the waitlist" });
+    }
+
+    await recordAudit(req, {
+      action: "enroll",
+      entityType: "user",
+      entityId: user._id,
+      entityLabel: userLabel(user),
+      summary: `Enrolled in ${classLabel(cls)}`,
+      changes: [{ field: "enrolledClasses", before: null, after: classLabel(cls) }],
+    });
+    res.status(201).json({ status, message: "Enrolled successfully!" });
+  } catch (err) {
+    sendEnrollmentError(res, err, "Error enrolling into class");
+  }
+});
+
+router.put("/users/:id/unenroll", requireAuth, allowSelfOrUserManager, async (req, res) => {
+  try {
+    const { user, cls, status } = await unenrollStudent(req.params.id, req.body?.classId, {
+      actorId: req.me._id,
+      reason: req.body?.reason,
+    });
+
+    if (status === "left_waitlist") {
+      await recordAudit(req, {
+        action: "waitlist",
+        entityType: "user",
+        entityId: user._id,
+        entityLabel: userLabel(user),
+        summary: `Left the waitlist for ${classLabel(cls)}`,
+      });
+      return res.status(201).json({ status, message: "Removed from the waitlist" });
+    }
+
+    if (status === "withdrew_request") {
+      await recordAudit(req, {
+        action: "request",
+        entityType: "user",
+        entityId: user._id,
+        entityLabel: userLabel(user),
+        summary: `Withdrew the request to join ${classLabel(cls)}`,
+      });
+      return res.status(201).json({ status, message: "Request withdrawn" });
+    }
+
+    await recordAudit(req, {
+      action: "unenroll",
+      entityType: "user",
+      entityId: user._id,
+      entityLabel: userLabel(user),
+      summary: `Removed from ${classLabel(cls)}`,
+      changes: [{ field: "enrolledClasses", before: classLabel(cls), after: null }],
+    });
+    // The freed seat goes to the next person in line
+    await promoteFromWaitlist(cls._id, req);
+    res.status(201).json({ status, message: "Successfully unenrolled" });
+  } catch (err) {
+    sendEnrollmentError(res, err, "Error unenrolling from class");
+  }
+});
+
+// Body: { classId, reason? } — the student finished the class
+router.put("/users/:id/complete", requireAuth, requireCapability("manage_users"), async (req, res) => {
+  try {
+    const { user, cls } = await completeEnrollment(req.params.id, req.body?.classId, {
+      actorId: req.me._id,
+      reason: req.body?.reason,
+    });
+
+    const completed = user.completedLevels || [];
+    const newLevel = typeof cls.level === "number" && !completed.includes(cls.level);
+    await recordAudit(req, {
+      action: "complete",
+      entityType: "user",
+      entityId: user._id,
+      entityLabel: userLabel(user),
+      summary: `Completed ${classLabel(cls)}`,
+      changes: [
+        { field: "enrolledClasses", before: classLabel(cls), after: null },
+        ...(newLevel ? [{ field: "completedLevels", before: completed, after: [...completed, cls.level] }] : []),
+      ],
+    });
+    await promoteFromWaitlist(cls._id, req);
+    res.json({ status: "completed", message: "Class completed" });
+  } catch (err) {
+    sendEnrollmentError(res, err, "Error completing class");
+  }
+});
+
+// Body: { fromClassId, toClassId, reason? } — moves the student onto the other class's roster
+router.put("/users/:id/transfer", requireAuth, requireCapability("manage_users"), async (req, res) => {
+  try {
+    const { user, from, to } = await transferStudent(req.params.id, req.body?.fromClassId, req.body?.toClassId, {
+      actorId: req.me._id,
+      reason: req.body?.reason,
+    });
+
+    await recordAudit(req, {
+      action: "class_transfer",
+      entityType: "user",
+      entityId: user._id,
+      entityLabel: userLabel(user),
+      summary: `Transferred from ${classLabel(from)} to ${classLabel(to)}`,
+      changes: [{ field: "enrolledClasses", before: classLabel(from), after: classLabel(to) }],
+    });
+    await promoteFromWaitlist(from._id, req);
+    res.json({ status: "transferred", message: "Student transferred" });
+  } catch (err) {
+    sendEnrollmentError(res, err, "Error transferring student");
+  }
+});
+
+// The student's enrollment records (current and past), newest first
+router.get("/users/:id/enrollments", requireAuth, allowSelfOrUserManager, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+    res.json(await listEnrollmentRecords(id));
+  } catch (err) {
+    console.error("enrollments error:", err);
+    res.status(500).json({ message: "Failed to fetch enrollment history" });
+  }
+});
+
+/* -----------------------------
+   Roles
+------------------------------*/
+
+// Body: { roles: [roleId] } — replaces the user's roles
+router.put("/users/:id/roles", requireAuth, requireCapability("manage_roles"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const roleIds = req.body?.roles;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid ID" });
+    }
+    if (!Array.isArray(roleIds) || !roleIds.every((r) => mongoose.Types.ObjectId.isValid(r))) {
+      return res.status(400).json({ message: "roles must be an array of role IDs" });
+    }
+
+    const uniqueIds = [...new Set(roleIds.map(String))];
+    const found = await Role.find({ _id: { $in: uniqueIds } }).select("name").lean();
+    if (found.length !== uniqueIds.length) {
+      return res.status(400).json({ message: "Unknown role" });
+    }
+
+    const previousUser = await User.findById(id).select("roles").populate("roles", "name").lean();
+    if (!previousUser) return res.status(404).json({ message: "User not found" });
+
+    const updatedUser = await User.findByIdAndUpdate(id, { roles: uniqueIds }, { new: true }).lean();
+    if (!updatedUser) return res.status(404).json({ message: "User not found" });
+
+    await recordAudit(req, {
+      action: "assign_roles",
+      entityType: "user",
+      entityId: id,
+      entityLabel: userLabel(updatedUser),
+      changes: diffChanges(
+        { roles: previousUser.roles.map((r) => r.name).sort() },
+        { roles: found.map((r) => r.name).sort() }
+      ),
+    });
+
+    updatedUser.capabilities = [...(await getCapabilities(updatedUser))];
+    res.status(200).json(updatedUser);
+  } catch (err) {
+    console.error("Assign roles error:", err);
+    res.status(500).json({ message: "Failed to assign roles" });
+  }
+});
+
+/* -----------------------------
+   Self-service: my data and account deletion
+------------------------------*/
+
+router.get("/me/export", requireAuth, async (req, res) => {
+  try {
+    const format = String(req.query.format || "zip").toLowerCase();
+    if (!["json", "zip"].includes(format)) {
+      return res.status(400).json({ message: "format must be json or zip" });
+    }
+
+    const me = await getCurrentUser(req, "_id");
+    const data = me && (await collectUserData(me._id));
+    if (!data) return res.status(404).json({ message: "User not found" });
+
+    await sendUserData(res, data, format);
+  } catch (err) {
+    console.error("Data export error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Failed to export your data" });
+  }
+});
+
+// Body: { confirmEmail } — must match the account's email
+router.post("/me/deletion", requireAuth, async (req, res) => {
+  try {
+    const me = await getCurrentUser(req, "firstName lastName email privilege deletionScheduledFor");
+    if (!me) return res.status(404).json({ message: "User not found" });
+    if (me.privilege !== "student") {
+      return res.status(403).json({ message: "Staff accounts are closed by an administrator" });
+    }
+
+    const confirmEmail = String(req.body?.confirmEmail || "").trim().toLowerCase();
+    if (confirmEmail !== me.email.toLowerCase()) {
+      return res.status(400).json({ code: "confirm_email_mismatch", message: "Email does not match your account" });
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(me._id);
+    await recordAudit(req, {
+      action: "update",
+      entityType: "user",
+      entityId: me._id,
+      entityLabel: userLabel(me),
+      summary: "Requested account deletion",
+      changes: [{ field: "deletionScheduledFor", before: me.deletionScheduledFor, after: deletionScheduledFor }],
+    });
+
+    res.status(200).json({ deletionScheduledFor });
+  } catch (err) {
+    console.error("Schedule deletion error:", err);
+    res.status(500).json({ message: "Failed to schedule account deletion" });
+  }
+});
+
+router.delete("/me/deletion", requireAuth, async (req, res) => {
+  try {
+    const me = await getCurrentUser(req, "firstName lastName deletionScheduledFor");
+    if (!me) return res.status(404).json({ message: "User not found" });
+
+    if (me.deletionScheduledFor) {
+      await cancelAccountDeletion(me._id);
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user",
+        entityId: me._id,
+        entityLabel: userLabel(me),
+        summary: "Cancelled account deletion",
+        changes: [{ field: "deletionScheduledFor", before: me.deletionScheduledFor, after: null }],
+      });
+    }
+
+    res.status(200).json({ deletionScheduledFor: null });
+  } catch (err) {
+    console.error("Cancel deletion error:", err);
+    res.status(500).json({ message: "Failed to cancel account deletion" });
+  }
+});
+
+// Path of the signed-in user's calendar feed; replaces its token when `regenerate`
+const sendCalendarPath = async (req, res, regenerate) => {
+  const me = await getCurrentUser(req, "firstName lastName calendarToken");
+  if (!me) return res.status(404).json({ message: "User not found" });
+
+  let token = me.calendarToken;
+  if (regenerate || !token) {
+    token = createCalendarToken();
+    await User.updateOne({ _id: me._id }, { calendarToken: token });
+    if (me.calendarToken) {
+      await recordAudit(req, {
+        action: "update",
+        entityType: "user",
+        entityId: me._id,
+        entityLabel: userLabel(me),
+        summary: "Regenerated calendar link",
+      });
+    }
+  }
+  res.status(200).json({ path: `/api/calendar/${token}.ics` });
+};
+
+router.get("/me/calendar", requireAuth, async (req, res) => {
+  try {
+    await sendCalendarPath(req, res, false);
+  } catch (err) {
+    console.error("Calendar link error:", err);
+    res.status(500).json({ message: "Failed to get calendar link" });
+  }
+});
+
+router.post("/me/calendar", requireAuth, async (req, res) => {
+  try {
+    await sendCalendarPath(req, res, true);
+  } catch (err) {
+    console.error("Calendar link error:", err);
+    res.status(500).json({ message: "Failed to regenerate calendar link" });
+  }
+});
+
 /* -----------------------------
    Student class views
 ------------------------------*/
 
-router.get("/students-classes/:id", requireAuth, allowSelfOrPriv, async (req, res) => {
+// Decided requests stay listed for the student this long
+const REQUEST_HISTORY_DAYS = 30;
+
+// The student's enrollment requests, newest first, each with its (projected) class
+router.get("/users/:id/enrollment-requests", requireAuth, allowSelfOrUserManager, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const since = new Date(Date.now() - REQUEST_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const requests = await EnrollmentRequest.find({
+      student: id,
+      $or: [{ status: "pending" }, { status: { $in: ["approved", "declined"] }, decidedAt: { $gte: since } }],
+    })
+      .sort({ createdAt: -1 })
+      .select("class status note createdAt decidedAt")
+      .populate("class")
+      .lean();
+
+    const viewer = await loadViewer(req);
+    res.json(
+      requests
+        .filter((request) => request.class)
+        .map((request) => ({ ...request, class: projectClass(request.class, viewer) }))
+    );
+  } catch (err) {
+    console.error("enrollment-requests error:", err);
+    res.status(500).json({ message: "Failed to fetch enrollment requests" });
+  }
+});
+
+router.get("/students-classes/:id", requireAuth, allowSelfOrUserManager, async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -252,7 +760,8 @@ router.get("/students-classes/:id", requireAuth, allowSelfOrPriv, async (req, re
     const classDetails = await User.findById(id).select("enrolledClasses").populate("enrolledClasses").lean();
 
     if (!classDetails) return res.status(404).json({ message: "User not found" });
-    res.json(classDetails.enrolledClasses || []);
+    const viewer = await loadViewer(req);
+    res.json((classDetails.enrolledClasses || []).map((cls) => projectClass(cls, viewer)));
   } catch (err) {
     console.error("students-classes error:", err);
     res.status(500).send(err);
@@ -263,60 +772,31 @@ router.get("/students-classes/:id", requireAuth, allowSelfOrPriv, async (req, re
    Admin Students (paginated + filters)
 ------------------------------*/
 
-// GET /api/students-with-classes?limit=100&page=1[&level=1|conversation|ielts][&q=...]
-router.get("/students-with-classes", requireAuth, requireAdminOrInstructor, async (req, res) => {
+// GET /api/students-with-classes?limit=100&page=1[&level=1|<program slug>][&q=...]
+router.get("/students-with-classes", requireAuth, requireCapability("manage_users"), async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(200, Number(req.query.limit) || 100));
     const page = Math.max(1, Number(req.query.page) || 1);
     const skip = (page - 1) * limit;
 
-    const { level: levelParam, q } = req.query;
-
-    const classIdFilters = [];
-
-    if (typeof levelParam !== "undefined" && levelParam !== null && `${levelParam}`.trim() !== "") {
-      const raw = `${levelParam}`.trim();
-      const parsed = Number.isNaN(Number(raw)) ? raw.toLowerCase() : Number(raw);
-      const levelClasses = await Class.find({ level: parsed }).select("_id").lean();
-      const ids = levelClasses.map((c) => c._id);
-      if (!ids.length) {
-        return res.json({ items: [], total: 0, page, limit });
-      }
-      classIdFilters.push({ enrolledClasses: { $in: ids } });
-    }
-
-    const userOr = [];
-    if (typeof q === "string" && q.trim()) {
-      const rx = new RegExp(escapeRx(q.trim()), "i");
-      userOr.push({ firstName: rx }, { lastName: rx }, { email: rx });
-
-      const qClasses = await Class.find({ $or: [{ instructor: rx }, { ageGroup: rx }] }).select("_id").lean();
-      const qIds = qClasses.map((c) => c._id);
-      if (qIds.length) classIdFilters.push({ enrolledClasses: { $in: qIds } });
-    }
-
-    const userFilter = { privilege: "student" };
-    if (userOr.length || classIdFilters.length) {
-      userFilter.$and = [];
-      if (userOr.length) userFilter.$and.push({ $or: userOr });
-      if (classIdFilters.length) userFilter.$and.push({ $and: classIdFilters });
-      if (!userFilter.$and.length) delete userFilter.$and;
+    const userFilter = await buildStudentFilter({ level: req.query.level, q: req.query.q });
+    if (!userFilter) {
+      return res.json({ items: [], total: 0, page, limit });
     }
 
-    const userSelect = "firstName lastName email privilege enrolledClasses creationDate";
-    const classSelect = "level ageGroup instructor schedule isEnrollmentOpen image";
+    const userSelect = "firstName lastName email privilege creationDate placementLevel";
+    const classSelect =
+      "program level ageGroup instructor schedule enrollmentOpensAt enrollmentClosesAt enrollmentOverride image";
 
-    const [items, total] = await Promise.all([
-      User.find(userFilter)
-        .select(userSelect)
-        .sort({ lastName: 1, firstName: 1 })
-        .skip(skip)
-        .limit(limit)
-        .populate({ path: "enrolledClasses", select: classSelect })
-        .lean(),
+    const [students, total] = await Promise.all([
+      User.find(userFilter).select(userSelect).sort({ lastName: 1, firstName: 1 }).skip(skip).limit(limit).lean(),
       User.countDocuments(userFilter),
     ]);
 
+    // Each student's current classes come from their active enrollment records
+    const classesByStudent = await activeClassesByStudent(students.map((s) => s._id), classSelect);
+    const items = students.map((s) => ({ ...s, enrolledClasses: classesByStudent.get(String(s._id)) || [] }));
+
     res.json({ items, total, page, limit });
   } catch (err) {
     console.error("students-with-classes error:", err);
@@ -324,4 +804,43 @@ router.get("/students-with-classes", requireAuth, requireAdminOrInstructor, asyn
   }
 });
 
+// GET /api/students-export?format=xlsx|csv[&level=...][&q=...][&columns=firstName,email,...][&tz=Europe/Istanbul,...]
+// Streams a spreadsheet of the students matching the same filters as /students-with-classes.
+// Columns are keys of STUDENT_EXPORT_COLUMNS; schedules get one column per IANA timezone in `tz`.
+router.get("/students-export", requireAuth, requireCapability("manage_users"), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+    const userFilter = await buildStudentFilter({ level: req.query.level, q: req.query.q });
+    await streamStudentExport(res, userFilter, options);
+  } catch (err) {
+    if (res.headersSent) {
+      console.error("students-export stream error:", err);
+      return res.end();
+    }
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error("students-export error:", err);
+    res.status(500).json({ message: "Error exporting students" });
+  }
+});
+
+// Body: { dryRun } — reports enrollment links that are out of sync and, unless dryRun, repairs them.
+// Responds with the report from reconcileEnrollments (checked counts and one entry per fix).
+router.post(
+  "/enrollments/reconcile",
+  requireAuth,
+  requireCapability("manage_users"),
+  requireCapability("manage_classes"),
+  async (req, res) => {
+    try {
+      res.setHeader("Cache-Control", "no-store");
+      const report = await reconcileEnrollments({ dryRun: req.body?.dryRun !== false });
+      if (report.applied) await auditReconcileFixes(req, report);
+      res.json(report);
+    } catch (err) {
+      console.error("Failed to reconcile enrollments:", err);
+      res.status(500).json({ message: "Failed to check enrollments" });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
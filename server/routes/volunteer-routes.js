@@ -1,9 +1,9 @@
 // server/routes/volunteer-routes.js
 // Volunteer application endpoints:
 // - POST /apply (public)
-// - GET  /all (admin/instructor)
-// - PATCH /:id/status (admin/instructor)
-// - GET /export.csv (admin/instructor)
+// - GET  /all (review_volunteers)
+// - PATCH /:id/status (review_volunteers, recorded in the audit log)
+// - GET /export.csv (review_volunteers)
 //
 // Notes:
 // - Honeypot field ("website") returns success if filled (bot trap).
@@ -14,7 +14,8 @@ import mongoose from "mongoose";
 import { dbConnect } from "../db.js";
 import Volunteer from "../schemas/Volunteer.js";
 import { validateInput } from "../../src/utils/backend/validate-utils.js";
-import { requireAuth, requireAdminOrInstructor } from "../middleware/auth.js";
+import { requireAuth, requireCapability } from "../middleware/auth.js";
+import { recordAudit } from "../../src/utils/backend/audit-utils.js";
 
 const router = express.Router();
 
@@ -252,7 +253,7 @@ router.post("/apply", async (req, res, next) => {
 
 // -------------------- ADMIN: list (paginated) --------------------
 
-router.get("/all", requireAuth, requireAdminOrInstructor, async (req, res, next) => {
+router.get("/all", requireAuth, requireCapability("review_volunteers"), async (req, res, next) => {
   try {
     await dbConnect();
 
@@ -297,7 +298,7 @@ router.get("/all", requireAuth, requireAdminOrInstructor, async (req, res, next)
 
 // -------------------- ADMIN: update status --------------------
 
-router.patch("/:id/status", requireAuth, requireAdminOrInstructor, async (req, res, next) => {
+router.patch("/:id/status", requireAuth, requireCapability("review_volunteers"), async (req, res, next) => {
   try {
     await dbConnect();
 
@@ -315,13 +316,23 @@ router.patch("/:id/status", requireAuth, requireAdminOrInstructor, async (req, r
       });
     }
 
-    const updated = await Volunteer.findByIdAndUpdate(id, { $set: { status: nextStatus } }, { new: true })
-      .select("status")
+    const previous = await Volunteer.findByIdAndUpdate(id, { $set: { status: nextStatus } })
+      .select("name status")
       .lean();
 
-    if (!updated) return res.status(404).json({ success: false, message: "Not found." });
+    if (!previous) return res.status(404).json({ success: false, message: "Not found." });
 
-    res.json({ success: true, status: updated.status });
+    if (previous.status !== nextStatus) {
+      await recordAudit(req, {
+        action: "status",
+        entityType: "volunteer",
+        entityId: id,
+        entityLabel: previous.name,
+        changes: [{ field: "status", before: previous.status, after: nextStatus }],
+      });
+    }
+
+    res.json({ success: true, status: nextStatus });
   } catch (err) {
     next(err);
   }
@@ -335,7 +346,7 @@ function csvEscape(v) {
   return s;
 }
 
-router.get("/export.csv", requireAuth, requireAdminOrInstructor, async (req, res, next) => {
+router.get("/export.csv", requireAuth, requireCapability("review_volunteers"), async (req, res, next) => {
   try {
     await dbConnect();
 
@@ -0,0 +1,20 @@
+// server/schemas/AgeGroup.js
+// The age range of a class age group (see src/utils/age-groups.js). Classes refer to a
+// group by `name` (Class.ageGroup).
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const AgeGroupSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, lowercase: true, unique: true },
+    minAge: { type: Number, default: null, min: 0 }, // inclusive; null = no lower bound
+    maxAge: { type: Number, default: null, min: 0 }, // inclusive; null = no upper bound
+  },
+  { collection: "age_groups", timestamps: true }
+);
+
+const AgeGroup = mongoose.models.AgeGroup || mongoose.model("AgeGroup", AgeGroupSchema);
+
+export default AgeGroup;
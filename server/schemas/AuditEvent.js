@@ -0,0 +1,42 @@
+// server/schemas/AuditEvent.js
+// One row per administrative change (classes, levels, users, volunteers, translations, roles,
+// placement questions).
+// Written by the routers through recordAudit (src/utils/backend/audit-utils.js) and read by /admin/audit.
+
+import mongoose from "mongoose";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from "../../src/constants/audit.js";
+
+const { Schema } = mongoose;
+
+// A single changed field; `before` is null on create, `after` is null on delete.
+const AuditChangeSchema = new Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const AuditEventSchema = new Schema(
+  {
+    actor: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    actorName: { type: String, default: "" },
+    actorEmail: { type: String, default: "" },
+    action: { type: String, enum: Object.keys(AUDIT_ACTIONS), required: true },
+    entityType: { type: String, enum: Object.keys(AUDIT_ENTITY_TYPES), required: true },
+    entityId: { type: String, default: "" }, // ObjectId, or "lng/ns/key" for translations
+    entityLabel: { type: String, default: "" }, // e.g. "Level 3 · Adults · Maria" at the time of the change
+    summary: { type: String, default: "" },
+    changes: { type: [AuditChangeSchema], default: [] },
+  },
+  { collection: "audit_events", timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+const AuditEvent = mongoose.models.AuditEvent || mongoose.model("AuditEvent", AuditEventSchema);
+
+export default AuditEvent;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDelete from './soft-delete.js';
+import { DEFAULT_PROGRAM } from '../../src/utils/programs.js';
 
 const { Schema } = mongoose;
 
@@ -13,23 +15,36 @@ const ScheduleSchema = new Schema({
 
 // Class Schema
 const ClassSchema = new Schema({
+  program: { type: String, required: true, default: DEFAULT_PROGRAM, index: true }, // Program slug
+  // Level number for level-based programs, null otherwise. Before programs existed it also
+  // held "conversation" or "ielts"; the program migration moves those to `program`.
   level: {
     type: Schema.Types.Mixed,
-    required: true,
+    default: null,
     validate: {
-      validator: val => typeof val === 'number' || typeof val === 'string',
-      message: 'Level must be a number or a string'
+      validator: val => val === null || typeof val === 'number',
+      message: 'Level must be a number, or empty for programs without levels'
     }
   },
+  term: { type: Schema.Types.ObjectId, ref: "Term", default: null, index: true }, // null = listed in every term
   ageGroup: { type: String, required: true },
-  instructor: { type: String, required: true },
+  instructor: { type: String, required: true }, // display name, kept in sync with instructorId
+  instructorId: { type: Schema.Types.ObjectId, ref: "User", default: null, index: true },
   image: { type: String, required: true, default: "level_img_0.webp" },
   link: { type: String, default: "" },
   schedule: { type: [ScheduleSchema], default: [] },
   roster: { type: [Schema.Types.ObjectId], default: [], ref: "User" },
-  isEnrollmentOpen: { type: Boolean, default: true }
+  capacity: { type: Number, default: null, min: 1 }, // seat limit; null = unlimited
+  waitlist: { type: [Schema.Types.ObjectId], default: [], ref: "User" }, // ordered, first in line first
+  approvalRequired: { type: Boolean, default: false }, // enrolling creates an EnrollmentRequest to approve
+  // Enrollment window (see src/utils/enrollment-window.js); null = no bound
+  enrollmentOpensAt: { type: Date, default: null },
+  enrollmentClosesAt: { type: Date, default: null },
+  enrollmentOverride: { type: String, enum: ["open", "closed", null], default: null } // forces the window open/closed
 }, { collection: 'classes' });
 
+ClassSchema.plugin(softDelete); // deletedAt / deletedBy, hidden from queries while in the trash
+
 const Class = mongoose.model("Class", ClassSchema);
 
 export default Class;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// server/schemas/ClassSession.js
+// One dated meeting of a class, generated from its weekly schedule for the class's term
+// (src/utils/backend/session-utils.js). Cancelling or moving a session changes only that
+// meeting; attendance and notes are kept per session.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const SESSION_STATUSES = ["scheduled", "cancelled"];
+export const ATTENDANCE_STATUSES = ["present", "absent", "late", "excused"];
+
+const AttendanceSchema = new Schema(
+  {
+    student: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+  },
+  { _id: false }
+);
+
+const ClassSessionSchema = new Schema(
+  {
+    class: { type: Schema.Types.ObjectId, ref: "Class", required: true },
+    term: { type: Schema.Types.ObjectId, ref: "Term", default: null },
+    // When the weekly schedule puts this meeting; identifies the session when it is regenerated
+    scheduledStart: { type: Date, required: true },
+    scheduledEnd: { type: Date, required: true },
+    // When it actually meets: the scheduled times unless it was moved
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    status: { type: String, enum: SESSION_STATUSES, default: "scheduled" },
+    reason: { type: String, default: "", maxlength: 500 }, // why it was cancelled or moved
+    changedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    changedAt: { type: Date, default: null },
+    notes: { type: String, default: "", maxlength: 5000 }, // the instructor's notes on the meeting
+    attendance: { type: [AttendanceSchema], default: [] },
+  },
+  { collection: "class_sessions", timestamps: true }
+);
+
+ClassSessionSchema.index({ class: 1, scheduledStart: 1 }, { unique: true });
+ClassSessionSchema.index({ startsAt: 1 });
+
+const ClassSession = mongoose.model("ClassSession", ClassSessionSchema);
+
+export default ClassSession;
@@ -0,0 +1,59 @@
+// server/schemas/EnrollmentRecord.js
+// A student's time in one class: when they joined the waitlist or the roster, and how and
+// why it ended. Written next to User.enrolledClasses / Class.roster by the enrollment code
+// (src/utils/backend/enrollment-record-utils.js); closed records are the student's
+// enrollment history.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// waitlisted → active → dropped | completed | transferred (a waitlist spot can also be dropped)
+export const ENROLLMENT_STATUSES = ["waitlisted", "active", "dropped", "completed", "transferred"];
+export const OPEN_STATUSES = ["waitlisted", "active"];
+
+// One entry per status change, oldest first
+const EnrollmentEventSchema = new Schema(
+  {
+    status: { type: String, enum: ENROLLMENT_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    reason: { type: String, default: "", maxlength: 500 },
+    by: { type: Schema.Types.ObjectId, ref: "User", default: null }, // who made the change; null for jobs
+  },
+  { _id: false }
+);
+
+const EnrollmentRecordSchema = new Schema(
+  {
+    student: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    class: { type: Schema.Types.ObjectId, ref: "Class", required: true },
+    // The class as it was, so the history still reads after the class is deleted
+    classInfo: {
+      program: { type: String, default: "" },
+      level: { type: Schema.Types.Mixed, default: null },
+      ageGroup: { type: String, default: "" },
+      instructor: { type: String, default: "" },
+    },
+    status: { type: String, enum: ENROLLMENT_STATUSES, required: true },
+    reason: { type: String, default: "", maxlength: 500 }, // why the last change happened
+    waitlistedAt: { type: Date, default: null },
+    enrolledAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
+    transferredTo: { type: Schema.Types.ObjectId, ref: "Class", default: null },
+    history: { type: [EnrollmentEventSchema], default: [] },
+  },
+  { collection: "enrollment_records", timestamps: true }
+);
+
+// At most one open (waitlisted or active) record per student and class
+EnrollmentRecordSchema.index(
+  { student: 1, class: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+EnrollmentRecordSchema.index({ student: 1, createdAt: -1 });
+EnrollmentRecordSchema.index({ class: 1, status: 1 });
+
+const EnrollmentRecord =
+  mongoose.models.EnrollmentRecord || mongoose.model("EnrollmentRecord", EnrollmentRecordSchema);
+
+export default EnrollmentRecord;
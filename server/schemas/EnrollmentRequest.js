@@ -0,0 +1,35 @@
+// server/schemas/EnrollmentRequest.js
+// A student's request to join a class that requires approval (Class.approvalRequired).
+// Created by enrolling (src/utils/backend/enrollment-utils.js) and decided by the class's
+// instructor or a class manager; approving seats the student or puts them on the waitlist.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const REQUEST_STATUSES = ["pending", "approved", "declined", "withdrawn"];
+
+const EnrollmentRequestSchema = new Schema(
+  {
+    student: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    class: { type: Schema.Types.ObjectId, ref: "Class", required: true },
+    status: { type: String, enum: REQUEST_STATUSES, default: "pending" },
+    decidedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    decidedAt: { type: Date, default: null },
+    note: { type: String, default: "", maxlength: 1000 }, // optional message to the student with the decision
+  },
+  { collection: "enrollment_requests", timestamps: true }
+);
+
+// At most one open request per student and class
+EnrollmentRequestSchema.index(
+  { student: 1, class: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+EnrollmentRequestSchema.index({ class: 1, status: 1, createdAt: 1 });
+EnrollmentRequestSchema.index({ student: 1, createdAt: -1 });
+
+const EnrollmentRequest =
+  mongoose.models.EnrollmentRequest || mongoose.model("EnrollmentRequest", EnrollmentRequestSchema);
+
+export default EnrollmentRequest;
@@ -1,15 +1,26 @@
 import mongoose from 'mongoose';
+import softDelete from './soft-delete.js';
+import { PREREQUISITE_KINDS } from '../../src/utils/level-prerequisites.js';
 
 const { Schema } = mongoose;
 
+// One way to unlock a level (see src/utils/level-prerequisites.js); `level` is set for completed_level
+const PrerequisiteSchema = new Schema({
+    kind: { type: String, required: true, enum: PREREQUISITE_KINDS },
+    level: { type: Number, default: null }
+}, { _id: false });
+
 const LevelSchema = new Schema({
     level: { type: Number, required: true, unique: true },
     name: { type: String, required: true },
     description: { type: String, required: true },
     image: { type: String, required: true, default: "level_img_0.webp" },
-    skills: { type: [String], default: [] }
+    skills: { type: [String], default: [] },
+    prerequisites: { type: [PrerequisiteSchema], default: [] } // alternatives; empty = open to everyone
 }, { collection: 'levels' });
 
+LevelSchema.plugin(softDelete); // deletedAt / deletedBy, hidden from queries while in the trash
+
 const Level = mongoose.model("Level", LevelSchema);
 
 export default Level;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// server/schemas/PlacementAttempt.js
+// One sitting of the placement test by a student. The drawn questions are copied in
+// (answer key included) so later edits to the bank do not change how a test is scored.
+// Started and scored by src/utils/backend/placement-utils.js.
+
+import mongoose from "mongoose";
+import { QUESTION_TYPES } from "./PlacementQuestion.js";
+
+const { Schema } = mongoose;
+
+export const ATTEMPT_STATUSES = ["in_progress", "submitted", "expired"];
+
+const AttemptItemSchema = new Schema(
+  {
+    question: { type: Schema.Types.ObjectId, ref: "PlacementQuestion", required: true },
+    level: { type: Number, required: true },
+    skill: { type: String, default: "" },
+    type: { type: String, enum: QUESTION_TYPES, required: true },
+    prompt: { type: String, required: true },
+    choices: { type: [String], default: [] },
+    correctChoice: { type: Number, default: null },
+    acceptedAnswers: { type: [String], default: [] },
+    response: { type: String, default: "" },
+    correct: { type: Boolean, default: null }, // null until scored
+  },
+  { _id: false }
+);
+
+const LevelScoreSchema = new Schema(
+  {
+    level: { type: Number, required: true },
+    correct: { type: Number, required: true },
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const PlacementAttemptSchema = new Schema(
+  {
+    student: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: ATTEMPT_STATUSES, default: "in_progress" },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    submittedAt: { type: Date, default: null },
+    items: { type: [AttemptItemSchema], default: [] },
+    levelScores: { type: [LevelScoreSchema], default: [] },
+    score: { type: Number, default: null },
+    recommendedLevel: { type: Number, default: null },
+  },
+  { collection: "placement_attempts", timestamps: true }
+);
+
+// At most one test in progress per student
+PlacementAttemptSchema.index(
+  { student: 1 },
+  { unique: true, partialFilterExpression: { status: "in_progress" } }
+);
+PlacementAttemptSchema.index({ student: 1, createdAt: -1 });
+
+const PlacementAttempt =
+  mongoose.models.PlacementAttempt || mongoose.model("PlacementAttempt", PlacementAttemptSchema);
+
+export default PlacementAttempt;
@@ -0,0 +1,30 @@
+// server/schemas/PlacementQuestion.js
+// A question in the placement-test bank, tagged by level and skill. Managed from
+// /admin/placement; each test draws questions per level (src/utils/backend/placement-utils.js).
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const QUESTION_TYPES = ["multiple_choice", "fill_in"];
+
+const PlacementQuestionSchema = new Schema(
+  {
+    level: { type: Number, required: true },
+    skill: { type: String, trim: true, default: "" },
+    type: { type: String, enum: QUESTION_TYPES, required: true },
+    prompt: { type: String, required: true, trim: true, maxlength: 2000 },
+    choices: { type: [String], default: [] }, // multiple_choice only
+    correctChoice: { type: Number, default: null }, // index into choices
+    acceptedAnswers: { type: [String], default: [] }, // fill_in only; compared ignoring case and spacing
+    active: { type: Boolean, default: true }, // inactive questions stay in the bank but are not drawn
+  },
+  { collection: "placement_questions", timestamps: true }
+);
+
+PlacementQuestionSchema.index({ level: 1, active: 1 });
+
+const PlacementQuestion =
+  mongoose.models.PlacementQuestion || mongoose.model("PlacementQuestion", PlacementQuestionSchema);
+
+export default PlacementQuestion;
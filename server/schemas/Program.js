@@ -0,0 +1,23 @@
+// server/schemas/Program.js
+// A program (track) classes belong to, e.g. General English, Conversation or IELTS.
+// Classes refer to it by `slug` (Class.program); see src/utils/programs.js.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const ProgramSchema = new Schema(
+  {
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" }, // translated as program_desc_<_id>
+    image: { type: String, required: true, default: "level_img_0.webp" },
+    isLevelBased: { type: Boolean, default: false }, // classes have a level from the Level collection
+    order: { type: Number, default: 0 }, // position on the Levels page, lowest first
+  },
+  { collection: "programs", timestamps: true }
+);
+
+const Program = mongoose.models.Program || mongoose.model("Program", ProgramSchema);
+
+export default Program;
@@ -0,0 +1,20 @@
+// server/schemas/Role.js
+// A named bundle of capabilities (see src/constants/capabilities.js), assigned via User.roles.
+
+import mongoose from "mongoose";
+import { CAPABILITY_KEYS } from "../../src/constants/capabilities.js";
+
+const { Schema } = mongoose;
+
+const RoleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    description: { type: String, default: "", trim: true },
+    capabilities: { type: [{ type: String, enum: CAPABILITY_KEYS }], default: [] },
+  },
+  { collection: "roles", timestamps: true }
+);
+
+const Role = mongoose.models.Role || mongoose.model("Role", RoleSchema);
+
+export default Role;
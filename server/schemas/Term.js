@@ -0,0 +1,20 @@
+// server/schemas/Term.js
+// An academic term (semester) classes belong to, e.g. "Fall 2026".
+// Classes refer to it by _id (Class.term); see src/utils/terms.js.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const TermSchema = new Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    startDate: { type: Date, required: true }, // first day, UTC midnight
+    endDate: { type: Date, required: true }, // last day, UTC midnight; classes are read-only after it
+  },
+  { collection: "terms", timestamps: true }
+);
+
+const Term = mongoose.models.Term || mongoose.model("Term", TermSchema);
+
+export default Term;
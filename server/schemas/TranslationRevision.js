@@ -0,0 +1,28 @@
+// server/schemas/TranslationRevision.js
+// One row per change made through the translation API.
+// Records who edited a key and what the value was before, so edits can be reviewed or reverted.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const TranslationRevisionSchema = new Schema(
+  {
+    lng: { type: String, required: true },
+    ns: { type: String, required: true },
+    key: { type: String, required: true },
+    previousValue: { type: String, default: null }, // null when the key did not exist
+    newValue: { type: String, required: true },
+    action: { type: String, enum: ["update", "create", "transfer"], required: true },
+    editor: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    editorEmail: { type: String, default: "" },
+  },
+  { collection: "translation_revisions", timestamps: { createdAt: true, updatedAt: false } }
+);
+
+TranslationRevisionSchema.index({ lng: 1, ns: 1, key: 1, createdAt: -1 });
+
+const TranslationRevision =
+  mongoose.models.TranslationRevision || mongoose.model("TranslationRevision", TranslationRevisionSchema);
+
+export default TranslationRevision;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './soft-delete.js';
 
 const { Schema } = mongoose;
 
@@ -12,9 +13,22 @@ const UserSchema = new Schema({
     privilege: { type: String, default: "student", enum: ["admin", "instructor", "student"] },
     clerkId: { type: String, required: true },
     creationDate: { type: Date, default: Date.now },
-    enrolledClasses: { type: [Schema.Types.ObjectId], default: [], ref: "Class" }
+    enrolledClasses: { type: [Schema.Types.ObjectId], default: [], ref: "Class" },
+    // Level prerequisites (src/utils/level-prerequisites.js); only user managers change these
+    completedLevels: { type: [Number], default: [] },
+    placementLevel: { type: Number, default: null },
+    levelOverrides: { type: [Number], default: [] }, // levels an admin unlocked for this student
+    roles: { type: [Schema.Types.ObjectId], default: [], ref: "Role" }, // extra capabilities on top of privilege
+    // IANA time zones class times are shown in (src/utils/time-utils.js); null = the browser's
+    timezone: { type: String, default: null },
+    secondaryTimezone: { type: String, default: null }, // optional second zone shown alongside
+    // Secret in the user's calendar feed URL (see calendar-utils.js); only read when asked for
+    calendarToken: { type: String, default: null, index: true, select: false },
+    deletionScheduledFor: { type: Date, default: null } // self-service account deletion, see trash-utils.js
 }, { collection: 'users' });
 
+UserSchema.plugin(softDelete); // deletedAt / deletedBy, hidden from queries while in the trash
+
 const User = mongoose.model("User", UserSchema);
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,45 @@
+// server/schemas/soft-delete.js
+// Mongoose plugin for the "Recently deleted" trash (users, classes, levels).
+//
+// Adds `deletedAt` / `deletedBy` and hides trashed documents from find*,
+// countDocuments and aggregate queries, so existing routes keep working unchanged.
+// A query sees trashed documents when it:
+//   - filters on `deletedAt` itself (e.g. { deletedAt: { $ne: null } }), or
+//   - sets the `withDeleted` option: Model.find(filter).setOptions({ withDeleted: true })
+//
+// Writes (updateOne/updateMany/deleteMany) are not filtered, so cleanup such as
+// pulling a role from every user also reaches trashed documents.
+//
+// Trashing, restoring and purging live in src/utils/backend/trash-utils.js.
+
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const FIND_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "countDocuments",
+];
+
+export default function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  });
+
+  schema.pre(FIND_HOOKS, function hideDeleted() {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function hideDeleted() {
+    if (this.options.withDeleted) return;
+    const [first] = this.pipeline();
+    if (first?.$match && "deletedAt" in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+}
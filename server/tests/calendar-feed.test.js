@@ -0,0 +1,158 @@
+// server/tests/calendar-feed.test.js
+// The iCalendar feed (buildCalendarFeed in src/utils/backend/calendar-utils.js), parsed back:
+// weekly events with their VTIMEZONE, EXDATEs for cancelled and moved sessions, one-off
+// events for moved sessions, text escaping and line folding.
+//
+// Run from the api folder: npm test
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { buildCalendarFeed } from "../../src/utils/backend/calendar-utils.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Unfolds the feed and splits it into components of { name, params, value } properties
+const parseFeed = (text) => {
+  const unfolded = text.replace(/\r\n /g, "").split("\r\n").filter(Boolean);
+  const root = { type: "ROOT", props: [], children: [] };
+  const stack = [root];
+  for (const line of unfolded) {
+    const [, name, params = "", value] = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+    if (name === "BEGIN") {
+      const component = { type: value, props: [], children: [] };
+      stack.at(-1).children.push(component);
+      stack.push(component);
+    } else if (name === "END") {
+      assert.equal(stack.pop().type, value);
+    } else {
+      stack.at(-1).props.push({ name, params: params.slice(1), value });
+    }
+  }
+  assert.equal(stack.length, 1, "every BEGIN has an END");
+  return root.children[0];
+};
+
+const values = (component, name) => component.props.filter((p) => p.name === name).map((p) => (p.params ? `${p.params}:${p.value}` : p.value));
+const value = (component, name) => values(component, name)[0];
+const unescapeText = (text) => text.replace(/\\([;,\\nN])/g, (_, char) => (char.toLowerCase() === "n" ? "\n" : char));
+
+const term = { startDate: new Date("2025-01-06T00:00:00Z"), endDate: new Date("2025-03-31T00:00:00Z") };
+const programs = [{ slug: "reading", name: "Reading, Writing; Speaking" }];
+const cls = {
+  _id: id(),
+  program: "general",
+  level: 2,
+  ageGroup: "adult",
+  instructor: "Ali",
+  link: "meet.example.com/abc",
+  term,
+  schedule: [{ _id: "slot1", day: "Monday", startTime: "18:00", endTime: "19:00", timezone: "America/New_York" }],
+};
+
+const session = (scheduledStart, changes) => ({
+  _id: id(),
+  class: cls._id,
+  scheduledStart: new Date(scheduledStart),
+  startsAt: new Date(scheduledStart),
+  endsAt: new Date(new Date(scheduledStart).getTime() + 60 * 60 * 1000),
+  status: "scheduled",
+  ...changes,
+});
+
+describe("calendar feed", () => {
+  it("writes each slot as a weekly event in its own zone, with a VTIMEZONE", () => {
+    const feed = parseFeed(buildCalendarFeed([cls], { programs }));
+    assert.equal(feed.type, "VCALENDAR");
+
+    const [timezone] = feed.children.filter((c) => c.type === "VTIMEZONE");
+    assert.equal(value(timezone, "TZID"), "America/New_York");
+    // The term runs into daylight saving time, which starts on 9 March 2025
+    const daylight = timezone.children.find((c) => c.type === "DAYLIGHT");
+    assert.equal(value(daylight, "DTSTART"), "20250309T020000");
+    assert.equal(value(daylight, "TZOFFSETTO"), "-0400");
+
+    const [event] = feed.children.filter((c) => c.type === "VEVENT");
+    assert.equal(value(event, "DTSTART"), "TZID=America/New_York:20250106T180000");
+    assert.equal(value(event, "DTEND"), "TZID=America/New_York:20250106T190000");
+    assert.equal(value(event, "RRULE"), "FREQ=WEEKLY;BYDAY=MO;UNTIL=20250401T035959Z");
+    assert.deepEqual(values(event, "EXDATE"), []);
+    assert.equal(value(event, "URL"), "https://meet.example.com/abc");
+  });
+
+  it("excludes a cancelled session from the weekly event", () => {
+    const cancelled = session("2025-01-13T23:00:00Z", { status: "cancelled" });
+    // After the switch to daylight saving time, 18:00 in New York is 22:00 UTC
+    const cancelledInSummerTime = session("2025-03-17T22:00:00Z", { status: "cancelled" });
+    const feed = parseFeed(buildCalendarFeed([cls], { programs, sessions: [cancelled, cancelledInSummerTime] }));
+
+    const events = feed.children.filter((c) => c.type === "VEVENT");
+    assert.equal(events.length, 1);
+    assert.deepEqual(values(events[0], "EXDATE"), [
+      "TZID=America/New_York:20250113T180000",
+      "TZID=America/New_York:20250317T180000",
+    ]);
+  });
+
+  it("excludes a moved session and adds it as a one-off event at its new time", () => {
+    const moved = session("2025-01-20T23:00:00Z", {
+      startsAt: new Date("2025-01-21T23:00:00Z"),
+      endsAt: new Date("2025-01-22T00:30:00Z"),
+    });
+    const feed = parseFeed(buildCalendarFeed([cls], { programs, sessions: [moved] }));
+
+    const [weekly, oneOff, ...rest] = feed.children.filter((c) => c.type === "VEVENT");
+    assert.equal(rest.length, 0);
+    assert.deepEqual(values(weekly, "EXDATE"), ["TZID=America/New_York:20250120T180000"]);
+    assert.equal(value(oneOff, "UID"), `${moved._id}@dillaracademy`);
+    assert.equal(value(oneOff, "DTSTART"), "20250121T230000Z");
+    assert.equal(value(oneOff, "DTEND"), "20250122T003000Z");
+    assert.equal(value(oneOff, "RRULE"), undefined);
+    assert.equal(value(oneOff, "SUMMARY"), value(weekly, "SUMMARY"));
+  });
+
+  it("ignores sessions of other classes", () => {
+    const otherClass = session("2025-01-13T23:00:00Z", { class: id(), status: "cancelled" });
+    const feed = parseFeed(buildCalendarFeed([cls], { programs, sessions: [otherClass] }));
+    assert.deepEqual(values(feed.children.find((c) => c.type === "VEVENT"), "EXDATE"), []);
+  });
+
+  it("escapes commas, semicolons and newlines in text", () => {
+    const reading = { ...cls, program: "reading", level: null, ageGroup: "all", instructor: "Ayşe; Bob, Carol" };
+    const text = buildCalendarFeed([reading], { programs, name: "Classes, mine" });
+    const feed = parseFeed(text);
+    const event = feed.children.find((c) => c.type === "VEVENT");
+
+    assert.equal(value(event, "SUMMARY"), "Reading\\, Writing\\; Speaking");
+    assert.equal(unescapeText(value(event, "SUMMARY")), "Reading, Writing; Speaking");
+    assert.equal(
+      unescapeText(value(event, "DESCRIPTION")),
+      "Instructor: Ayşe; Bob, Carol\nClass link: https://meet.example.com/abc"
+    );
+    assert.equal(value(feed, "X-WR-CALNAME"), "Classes\\, mine");
+  });
+
+  it("folds lines longer than 75 octets without splitting characters", () => {
+    const longName = `${"Конверсация ".repeat(8)}Club`;
+    const text = buildCalendarFeed([{ ...cls, program: "club", level: null, ageGroup: "all" }], {
+      programs: [{ slug: "club", name: longName }],
+    });
+
+    assert.ok(text.endsWith("\r\n"));
+    const physical = text.split("\r\n").slice(0, -1);
+    for (const line of physical) assert.ok(Buffer.byteLength(line) <= 75, `too long: ${line}`);
+    assert.ok(physical.some((line) => line.startsWith(" ")), "the summary was folded");
+    // Folding at character boundaries keeps every line valid UTF-8
+    assert.ok(physical.every((line) => !line.includes("�")));
+
+    const event = parseFeed(text).children.find((c) => c.type === "VEVENT");
+    assert.equal(value(event, "SUMMARY"), longName);
+  });
+
+  it("writes UTC slots without a time zone", () => {
+    const utcClass = { ...cls, schedule: [{ day: "Monday", startTime: "18:00", endTime: "19:00", timezone: "Etc/UTC" }] };
+    const feed = parseFeed(buildCalendarFeed([utcClass], { programs }));
+    assert.equal(feed.children.filter((c) => c.type === "VTIMEZONE").length, 0);
+    assert.equal(value(feed.children.find((c) => c.type === "VEVENT"), "DTSTART"), "20250106T180000Z");
+  });
+});
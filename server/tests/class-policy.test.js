@@ -0,0 +1,170 @@
+// server/tests/class-policy.test.js
+// Who may create, edit and delete classes (CLASS_POLICY in server/middleware/policy.js),
+// checked through the class routes for classes of every program: General English,
+// Conversation and IELTS (the former /conversations and /ielts routes).
+//
+// Run from the api folder: npm test
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import express from "express";
+import { authHeader } from "./helpers/clerk-session.js";
+import { installFakeDb } from "./helpers/fake-db.js";
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const admin = { _id: id(), clerkId: "user_admin", privilege: "admin", firstName: "Ada", lastName: "Admin", roles: [] };
+const student = { _id: id(), clerkId: "user_student", privilege: "student", firstName: "Sam", lastName: "Student", roles: [] };
+const teacher = { _id: id(), clerkId: "user_teacher", privilege: "instructor", firstName: "Ali", lastName: "Teacher", roles: [] };
+const otherTeacher = { _id: id(), clerkId: "user_other", privilege: "instructor", firstName: "Bea", lastName: "Teacher", roles: [] };
+const term = { _id: id(), name: "Fall", startDate: new Date(Date.now() - 30 * DAY_MS), endDate: new Date(Date.now() + 60 * DAY_MS) };
+
+const PROGRAMS = [
+  { slug: "general", name: "General English", isLevelBased: true, level: 1 },
+  { slug: "conversation", name: "Conversation", isLevelBased: false, level: null },
+  { slug: "ielts", name: "IELTS", isLevelBased: false, level: null },
+];
+
+const schedule = [{ day: "Monday", startTime: "14:00", endTime: "15:00", timezone: "Etc/UTC" }];
+
+const classOf = ({ slug, level }) => ({
+  _id: id(),
+  term: term._id,
+  program: slug,
+  level,
+  ageGroup: "all",
+  instructor: teacher.firstName,
+  instructorId: teacher._id,
+  link: "https://meet.example.com/a",
+  schedule,
+  roster: [],
+  waitlist: [],
+  capacity: null,
+});
+
+describe("class write policy", () => {
+  let db;
+  let server;
+  let baseUrl;
+  const classes = PROGRAMS.map(classOf);
+
+  before(async () => {
+    db = installFakeDb({
+      User: [admin, student, teacher, otherTeacher],
+      Role: [],
+      Class: classes,
+      Term: [term],
+      Program: PROGRAMS.map(({ slug, name, isLevelBased }) => ({ slug, name, isLevelBased })),
+      AgeGroup: [{ name: "all", minAge: null, maxAge: null }],
+    });
+
+    const { default: classRoutes } = await import("../routes/class-routes.js");
+    const app = express();
+    app.use(express.json());
+    app.use("/api/classes", classRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/classes`;
+  });
+
+  after(() => {
+    server?.close();
+    db?.restore();
+  });
+
+  const send = (method, path, clerkId, body) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: "manual",
+      headers: { "Content-Type": "application/json", ...authHeader(clerkId) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+  PROGRAMS.forEach((program, index) => {
+    describe(`${program.name} classes`, () => {
+      const cls = classes[index];
+      const newClass = () => ({
+        term: String(term._id),
+        program: program.slug,
+        level: program.level,
+        ageGroup: "all",
+        instructorId: String(teacher._id),
+        schedule: [{ day: "Tuesday", startTime: `${10 + index}:00`, endTime: `${11 + index}:00`, timezone: "Etc/UTC" }],
+      });
+
+      it("rejects signed-out requests with 401", async () => {
+        assert.equal((await send("POST", "/classes", null, newClass())).status, 401);
+        assert.equal((await send("PUT", `/classes/${cls._id}`, null, { link: "x" })).status, 401);
+        assert.equal((await send("DELETE", `/classes/${cls._id}`, null)).status, 401);
+      });
+
+      it("rejects students with 403", async () => {
+        assert.equal((await send("POST", "/classes", student.clerkId, newClass())).status, 403);
+        assert.equal((await send("PUT", `/classes/${cls._id}`, student.clerkId, { link: "x" })).status, 403);
+        assert.equal((await send("DELETE", `/classes/${cls._id}`, student.clerkId)).status, 403);
+      });
+
+      it("rejects instructors on classes they do not teach with 403", async () => {
+        const res = await send("PUT", `/classes/${cls._id}`, otherTeacher.clerkId, { link: "https://meet.example.com/b" });
+        assert.equal(res.status, 403);
+        assert.equal((await send("DELETE", `/classes/${cls._id}`, otherTeacher.clerkId)).status, 403);
+      });
+
+      it("rejects instructors creating or deleting classes with 403", async () => {
+        assert.equal((await send("POST", "/classes", teacher.clerkId, newClass())).status, 403);
+        assert.equal((await send("DELETE", `/classes/${cls._id}`, teacher.clerkId)).status, 403);
+      });
+
+      it("rejects instructors changing anything but the link with 403", async () => {
+        for (const body of [{ capacity: 5 }, { link: "https://meet.example.com/c", instructorId: String(otherTeacher._id) }]) {
+          const res = await send("PUT", `/classes/${cls._id}`, teacher.clerkId, body);
+          assert.equal(res.status, 403);
+        }
+        assert.equal(db.collection("Class").find((c) => String(c._id) === String(cls._id)).capacity, null);
+      });
+
+      it("does not match instructors to unlinked classes by first name", async () => {
+        const unlinked = { ...classOf(program), _id: id(), instructorId: null };
+        db.collection("Class").push(unlinked);
+        const namesake = { _id: id(), clerkId: `user_namesake_${index}`, privilege: "instructor", firstName: "Ali", roles: [] };
+        db.collection("User").push(namesake);
+
+        const res = await send("PUT", `/classes/${unlinked._id}`, namesake.clerkId, { link: "https://meet.example.com/x" });
+        assert.equal(res.status, 403);
+      });
+
+      it("lets instructors change the link of their own class", async () => {
+        const res = await send("PUT", `/classes/${cls._id}`, teacher.clerkId, { link: "https://meet.example.com/own" });
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).link, "https://meet.example.com/own");
+      });
+
+      it("lets admins create, edit and delete classes", async () => {
+        const created = await send("POST", "/classes", admin.clerkId, newClass());
+        assert.equal(created.status, 201);
+        const { class: createdClass } = await created.json();
+        assert.equal(createdClass.program, program.slug);
+
+        const updated = await send("PUT", `/classes/${createdClass._id}`, admin.clerkId, { capacity: 12 });
+        assert.equal(updated.status, 200);
+        assert.equal((await updated.json()).capacity, 12);
+
+        const ignored = await send("PUT", `/classes/${createdClass._id}`, admin.clerkId, {
+          deletedAt: new Date().toISOString(),
+          instructor: "Someone else",
+          roster: [String(student._id)],
+        });
+        assert.equal(ignored.status, 200);
+        const stored = db.collection("Class").find((c) => String(c._id) === createdClass._id);
+        assert.equal(stored.deletedAt ?? null, null);
+        assert.equal(stored.instructor, teacher.firstName);
+        assert.deepEqual(stored.roster, []);
+
+        const deleted = await send("DELETE", `/classes/${createdClass._id}`, admin.clerkId);
+        assert.equal(deleted.status, 204);
+        assert.ok(db.collection("Class").find((c) => String(c._id) === createdClass._id).deletedAt);
+      });
+    });
+  });
+});
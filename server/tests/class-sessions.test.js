@@ -0,0 +1,191 @@
+// server/tests/class-sessions.test.js
+// Class sessions generated from weekly schedules (src/utils/backend/session-utils.js):
+// meetings across daylight saving changes and term boundaries, regenerating after a
+// schedule edit without losing changed or recorded sessions, and session changes.
+//
+// Run from the api folder: npm test
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { installFakeDb } from "./helpers/fake-db.js";
+import { scheduledMeetings, syncClassSessions, applySessionChange } from "../../src/utils/backend/session-utils.js";
+
+const id = () => new mongoose.Types.ObjectId();
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+const slot = (day, startTime, endTime, timezone = "America/New_York") => ({ day, startTime, endTime, timezone });
+// 3 March 2025 to 31 March 2025 (both Mondays); New York moves to daylight saving time on 9 March
+const term = { _id: id(), name: "Spring", startDate: new Date("2025-03-03T00:00:00Z"), endDate: new Date("2025-03-31T00:00:00Z") };
+
+describe("scheduledMeetings", () => {
+  it("keeps the local time across a daylight saving change", () => {
+    const meetings = scheduledMeetings([slot("Monday", "18:00", "19:00")], term);
+    assert.deepEqual(iso(meetings.map((m) => m.scheduledStart)), [
+      "2025-03-03T23:00:00.000Z", // 18:00 EST
+      "2025-03-10T22:00:00.000Z", // 18:00 EDT
+      "2025-03-17T22:00:00.000Z",
+      "2025-03-24T22:00:00.000Z",
+      "2025-03-31T22:00:00.000Z", // the term's last day still has its meeting
+    ]);
+    assert.deepEqual(iso([meetings[1].scheduledEnd]), ["2025-03-10T23:00:00.000Z"]);
+  });
+
+  it("starts on the first meeting day on or after the term starts", () => {
+    const midWeek = { ...term, startDate: new Date("2025-03-05T00:00:00Z"), endDate: new Date("2025-03-18T00:00:00Z") };
+    const meetings = scheduledMeetings([slot("Monday", "9:00", "10:00", "Etc/UTC"), slot("Wednesday", "9:00", "10:00", "Etc/UTC")], midWeek);
+    assert.deepEqual(iso(meetings.map((m) => m.scheduledStart)), [
+      "2025-03-05T09:00:00.000Z",
+      "2025-03-10T09:00:00.000Z",
+      "2025-03-12T09:00:00.000Z",
+      "2025-03-17T09:00:00.000Z",
+    ]);
+  });
+
+  it("ends meetings that run past midnight on the next day", () => {
+    const [first] = scheduledMeetings([slot("Monday", "23:00", "1:00", "Etc/UTC")], term);
+    assert.deepEqual(iso([first.scheduledStart, first.scheduledEnd]), ["2025-03-03T23:00:00.000Z", "2025-03-04T01:00:00.000Z"]);
+  });
+
+  it("meets once for identical slots and skips slots it cannot read", () => {
+    const meetings = scheduledMeetings(
+      [slot("Monday", "18:00", "19:00"), slot("Monday", "18:00", "19:00"), slot("Someday", "18:00", "19:00")],
+      term
+    );
+    assert.equal(meetings.length, 5);
+  });
+});
+
+describe("syncClassSessions", () => {
+  let db;
+  let cls;
+  const student = id();
+  // Wednesday 12 March 2025: the 3 and 10 March sessions are past
+  const now = new Date("2025-03-12T12:00:00Z");
+
+  const sessions = () =>
+    db
+      .collection("ClassSession")
+      .filter((s) => String(s.class) === String(cls._id))
+      .sort((a, b) => a.scheduledStart - b.scheduledStart);
+  const sessionAt = (start) => sessions().find((s) => s.scheduledStart.toISOString() === start);
+  const editSchedule = (schedule) => Object.assign(db.collection("Class")[0], { schedule });
+
+  beforeEach(() => {
+    cls = { _id: id(), program: "general", level: 1, term: term._id, schedule: [slot("Monday", "18:00", "19:00")] };
+    db = installFakeDb({ Class: [cls], Term: [term], ClassSession: [] });
+  });
+
+  afterEach(() => db.restore());
+
+  it("fills in the whole term on the first run, past meetings included", async () => {
+    assert.deepEqual(await syncClassSessions(cls._id, now), { added: 5, removed: 0 });
+    assert.equal(sessions()[0].scheduledStart.toISOString(), "2025-03-03T23:00:00.000Z");
+    assert.ok(sessions().every((s) => s.startsAt.getTime() === s.scheduledStart.getTime() && s.status === "scheduled"));
+    assert.deepEqual(await syncClassSessions(cls._id, now), { added: 0, removed: 0 });
+  });
+
+  it("regenerates upcoming sessions after a schedule edit and leaves past ones alone", async () => {
+    await syncClassSessions(cls._id, now);
+    const past = sessionAt("2025-03-10T22:00:00.000Z");
+    past.attendance = [{ student, status: "present" }];
+    past.notes = "Unit 3";
+    const pastUntouched = sessionAt("2025-03-03T23:00:00.000Z");
+
+    // Tuesday 11 March has passed, so only 18 and 25 March are added
+    editSchedule([slot("Tuesday", "18:00", "19:00")]);
+    assert.deepEqual(await syncClassSessions(cls._id, now), { added: 2, removed: 3 });
+
+    // Past Monday sessions stay, with their attendance and notes
+    const kept = sessionAt("2025-03-10T22:00:00.000Z");
+    assert.equal(String(kept._id), String(past._id));
+    assert.deepEqual(kept.attendance.map((a) => [String(a.student), a.status]), [[String(student), "present"]]);
+    assert.equal(kept.notes, "Unit 3");
+    assert.equal(String(sessionAt("2025-03-03T23:00:00.000Z")._id), String(pastUntouched._id));
+
+    // Upcoming Monday sessions are replaced by Tuesdays from now on, none in the past
+    assert.deepEqual(iso(sessions().map((s) => s.scheduledStart)), [
+      "2025-03-03T23:00:00.000Z",
+      "2025-03-10T22:00:00.000Z",
+      "2025-03-18T22:00:00.000Z",
+      "2025-03-25T22:00:00.000Z",
+    ]);
+  });
+
+  it("keeps upcoming sessions that were cancelled, moved or have notes when the schedule drops them", async () => {
+    await syncClassSessions(cls._id, now);
+    Object.assign(sessionAt("2025-03-17T22:00:00.000Z"), { status: "cancelled", reason: "Holiday" });
+    Object.assign(sessionAt("2025-03-24T22:00:00.000Z"), { startsAt: new Date("2025-03-25T22:00:00Z"), endsAt: new Date("2025-03-25T23:00:00Z") });
+    Object.assign(sessionAt("2025-03-31T22:00:00.000Z"), { notes: "Bring the workbook" });
+
+    editSchedule([]);
+    assert.deepEqual(await syncClassSessions(cls._id, now), { added: 0, removed: 0 });
+    assert.equal(sessions().length, 5);
+    assert.equal(sessionAt("2025-03-17T22:00:00.000Z").reason, "Holiday");
+  });
+
+  it("keeps a moved session's change when the same schedule is synced again", async () => {
+    await syncClassSessions(cls._id, now);
+    const moved = sessionAt("2025-03-24T22:00:00.000Z");
+    Object.assign(moved, { startsAt: new Date("2025-03-25T22:00:00Z"), endsAt: new Date("2025-03-25T23:00:00Z"), reason: "Room" });
+
+    editSchedule([slot("Monday", "18:00", "19:00"), slot("Thursday", "18:00", "19:00")]);
+    assert.deepEqual(await syncClassSessions(cls._id, now), { added: 3, removed: 0 });
+    assert.equal(sessionAt("2025-03-24T22:00:00.000Z").startsAt.toISOString(), "2025-03-25T22:00:00.000Z");
+  });
+
+  it("removes upcoming sessions when the class leaves its term", async () => {
+    await syncClassSessions(cls._id, now);
+    db.collection("Class")[0].term = null;
+    assert.deepEqual(await syncClassSessions(cls._id, now), { added: 0, removed: 3 });
+    assert.equal(sessions().length, 2);
+  });
+});
+
+describe("applySessionChange", () => {
+  const now = new Date("2025-03-12T12:00:00Z");
+  const actor = id();
+  const upcoming = () => ({
+    scheduledStart: new Date("2025-03-17T22:00:00Z"),
+    scheduledEnd: new Date("2025-03-17T23:00:00Z"),
+    startsAt: new Date("2025-03-17T22:00:00Z"),
+    endsAt: new Date("2025-03-17T23:00:00Z"),
+    status: "scheduled",
+    reason: "",
+  });
+
+  it("cancels an upcoming session with a reason", () => {
+    const session = upcoming();
+    assert.equal(applySessionChange(session, { action: "cancel" }, actor, now), "Give a reason for the change");
+    assert.equal(applySessionChange(session, { action: "cancel", reason: " Ill " }, actor, now), null);
+    assert.equal(session.status, "cancelled");
+    assert.equal(session.reason, "Ill");
+    assert.equal(session.changedBy, actor);
+  });
+
+  it("moves a session, keeping its scheduled times, and restores it", () => {
+    const session = upcoming();
+    const change = { action: "reschedule", reason: "Room", startsAt: "2025-03-18T22:00:00Z", endsAt: "2025-03-18T23:30:00Z" };
+    assert.equal(applySessionChange(session, change, actor, now), null);
+    assert.equal(session.startsAt.toISOString(), "2025-03-18T22:00:00.000Z");
+    assert.equal(session.scheduledStart.toISOString(), "2025-03-17T22:00:00.000Z");
+
+    assert.equal(applySessionChange(session, { action: "restore" }, actor, now), null);
+    assert.deepEqual(iso([session.startsAt, session.endsAt]), ["2025-03-17T22:00:00.000Z", "2025-03-17T23:00:00.000Z"]);
+    assert.equal(session.reason, "");
+  });
+
+  it("refuses moves to the past, backwards or longer than 12 hours", () => {
+    const move = (startsAt, endsAt) => applySessionChange(upcoming(), { action: "reschedule", reason: "x", startsAt, endsAt }, actor, now);
+    assert.equal(move("2025-03-11T22:00:00Z", "2025-03-11T23:00:00Z"), "Move the session to a time that has not passed");
+    assert.equal(move("2025-03-18T22:00:00Z", "2025-03-18T21:00:00Z"), "The session must end after it starts");
+    assert.equal(move("2025-03-18T08:00:00Z", "2025-03-18T20:01:00Z"), "A session can last at most 12 hours");
+    assert.equal(move("soon", "later"), "Start and end must be valid dates");
+  });
+
+  it("refuses changes to sessions that have started", () => {
+    const started = { ...upcoming(), startsAt: new Date("2025-03-12T11:00:00Z") };
+    assert.equal(applySessionChange(started, { action: "cancel", reason: "x" }, actor, now), "This session has already started");
+    assert.equal(applySessionChange(upcoming(), { action: "delete" }, actor, now), 'Action must be "cancel", "reschedule" or "restore"');
+  });
+});
@@ -0,0 +1,87 @@
+// server/tests/donation-settings.test.js
+// GET /api/donate/settings (api/index.js): the donation setup behind the admin Donations
+// page, for users holding the view_donations capability.
+//
+// Run from the api folder: npm test
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { authHeader } from "./helpers/clerk-session.js";
+import { installFakeDb } from "./helpers/fake-db.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const treasurerRole = { _id: id(), name: "Treasurer", capabilities: ["view_donations"] };
+const admin = { _id: id(), clerkId: "user_admin", privilege: "admin", roles: [] };
+const student = { _id: id(), clerkId: "user_student", privilege: "student", roles: [] };
+const treasurer = { _id: id(), clerkId: "user_treasurer", privilege: "student", roles: [treasurerRole._id] };
+
+describe("donation settings", () => {
+  let db;
+  let server;
+  let baseUrl;
+  const env = { ...process.env };
+
+  before(async () => {
+    Object.assign(process.env, {
+      VERCEL: "1", // keep api/index.js from listening on its own port
+      DONATIONS_ENABLED: "true",
+      BASE_URL: "https://dillar.example.org",
+      STRIPE_SECRET_KEY: "sk_test_secret",
+      PAYPAL_CLIENT_ID: "placeholder",
+      PAYPAL_CLIENT_SECRET: "paypal-secret",
+    });
+    // api/index.js connects before routing; reuse the (fake) default connection
+    globalThis.__mongooseCached = { conn: mongoose, promise: null };
+    db = installFakeDb({ User: [admin, student, treasurer], Role: [treasurerRole] });
+
+    const { default: app } = await import("../../api/index.js");
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/donate`;
+  });
+
+  after(() => {
+    server?.close();
+    db?.restore();
+    process.env = env;
+  });
+
+  const get = (path, clerkId) => fetch(`${baseUrl}${path}`, { redirect: "manual", headers: authHeader(clerkId) });
+
+  it("rejects signed-out requests with 401", async () => {
+    assert.equal((await get("/settings", null)).status, 401);
+  });
+
+  it("rejects users without view_donations with 403", async () => {
+    assert.equal((await get("/settings", student.clerkId)).status, 403);
+  });
+
+  for (const [who, user] of [
+    ["admins", admin],
+    ["users whose role grants view_donations", treasurer],
+  ]) {
+    it(`shows ${who} which settings are in place`, async () => {
+      const res = await get("/settings", user.clerkId);
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), {
+        enabled: true,
+        baseUrl: "https://dillar.example.org",
+        stripe: { available: true, secretKeySet: true },
+        paypal: { available: false, environment: "sandbox", clientIdSet: false, clientSecretSet: true },
+      });
+    });
+  }
+
+  it("never includes secrets", async () => {
+    const body = await (await get("/settings", admin.clerkId)).text();
+    assert.ok(!body.includes("sk_test_secret"));
+    assert.ok(!body.includes("paypal-secret"));
+  });
+
+  it("keeps the public status open to everyone", async () => {
+    const res = await get("/status", null);
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).providers, { stripe: true, paypal: false });
+  });
+});
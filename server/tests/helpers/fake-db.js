@@ -0,0 +1,258 @@
+// server/tests/helpers/fake-db.js
+// Stands in for MongoDB in route tests, so they run without a database server.
+//
+// Every Mongoose query, aggregate, save and insertMany is answered from in-memory
+// collections keyed by model name. Filters support plain equality (ids compare as
+// strings; arrays match when any element does), dotted paths, $or/$and and the
+// $in, $nin, $ne, $exists, $gt(e) and $lt(e) operators; anything else never matches.
+// Updates support plain fields, $set, $unset, $inc, $push, $addToSet and $pull.
+// $expr filters and pipeline updates ($set stages) evaluate field paths and the $size,
+// $add, $eq, $ne, $gt(e), $lt(e), $and, $or, $concatArrays, $arrayElemAt and $slice
+// expressions.
+// Schema query middleware (e.g. soft-delete.js hiding trashed documents) runs first.
+// Query cursors yield the documents exec() would return. Transactions run their
+// callback once with a dummy session.
+//
+// Usage:
+//   const db = installFakeDb({ User: [...], Class: [...] });
+//   ... db.collection("Class") ...
+//   db.restore();
+
+import mongoose from "mongoose";
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+const normalize = (value) => (value === undefined || value === null ? null : String(value));
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const equals = (value, expected) =>
+  Array.isArray(value) && !Array.isArray(expected)
+    ? value.some((item) => normalize(item) === normalize(expected))
+    : normalize(value) === normalize(expected);
+
+const compare = (value, expected) => new Date(value).getTime() - new Date(expected).getTime();
+
+const matchesValue = (value, condition) => {
+  if (!isOperatorObject(condition)) return equals(value, condition);
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case "$in": return expected.some((item) => equals(value, item));
+      case "$nin": return !expected.some((item) => equals(value, item));
+      case "$ne": return !equals(value, expected);
+      case "$exists": return (value !== undefined) === Boolean(expected);
+      case "$gt": return value != null && compare(value, expected) > 0;
+      case "$gte": return value != null && compare(value, expected) >= 0;
+      case "$lt": return value != null && compare(value, expected) < 0;
+      case "$lte": return value != null && compare(value, expected) <= 0;
+      default: return false;
+    }
+  });
+};
+
+// Evaluates an aggregation expression against a document
+const evaluate = (doc, expr) => {
+  if (typeof expr === "string" && expr.startsWith("$")) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map((item) => evaluate(doc, item));
+  if (!isOperatorObject(expr)) return expr;
+
+  const [[op, operand]] = Object.entries(expr);
+  const args = [].concat(operand).map((arg) => evaluate(doc, arg));
+  const bothSet = args[0] != null && args[1] != null;
+  switch (op) {
+    case "$size": return (args[0] || []).length;
+    case "$add": return args.reduce((sum, n) => sum + n, 0);
+    case "$eq": return normalize(args[0]) === normalize(args[1]);
+    case "$ne": return normalize(args[0]) !== normalize(args[1]);
+    case "$gt": return bothSet && compare(args[0], args[1]) > 0;
+    case "$gte": return bothSet && compare(args[0], args[1]) >= 0;
+    case "$lt": return bothSet && compare(args[0], args[1]) < 0;
+    case "$lte": return bothSet && compare(args[0], args[1]) <= 0;
+    case "$and": return args.every(Boolean);
+    case "$or": return args.some(Boolean);
+    case "$concatArrays": return [].concat(...args);
+    case "$arrayElemAt": return args[0].at(args[1]);
+    case "$slice": {
+      const [items, from, count] = args;
+      if (count === undefined) return from < 0 ? items.slice(from) : items.slice(0, from);
+      return items.slice(from, from + count);
+    }
+    default:
+      throw new Error(`fake-db: unsupported expression ${op}`);
+  }
+};
+
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$expr") return Boolean(evaluate(doc, condition));
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key.startsWith("$")) return false;
+    return matchesValue(getPath(doc, key), condition);
+  });
+
+const applyPipeline = (doc, stages) => {
+  for (const stage of stages) {
+    const [[name, fields]] = Object.entries(stage);
+    if (name !== "$set" && name !== "$addFields") throw new Error(`fake-db: unsupported update stage ${name}`);
+    // Every field of a stage sees the document as it was before the stage
+    const values = Object.entries(fields).map(([field, expr]) => [field, evaluate(doc, expr)]);
+    for (const [field, value] of values) doc[field] = value;
+  }
+};
+
+const applyUpdate = (doc, update = {}) => {
+  if (Array.isArray(update)) return applyPipeline(doc, update);
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith("$")) {
+      doc[key] = value;
+      continue;
+    }
+    for (const [field, operand] of Object.entries(value)) {
+      const current = doc[field];
+      switch (key) {
+        case "$set": doc[field] = operand; break;
+        case "$unset": delete doc[field]; break;
+        case "$inc": doc[field] = (current || 0) + operand; break;
+        case "$push": doc[field] = [...(current || []), ...(operand?.$each || [operand])]; break;
+        case "$addToSet": {
+          const items = operand?.$each || [operand];
+          doc[field] = [...(current || [])];
+          for (const item of items) if (!equals(doc[field], item)) doc[field].push(item);
+          break;
+        }
+        case "$pull": doc[field] = (current || []).filter((item) => !matchesValue(item, operand)); break;
+        default: break;
+      }
+    }
+  }
+};
+
+// Copies documents so callers cannot change the stored ones; ids and dates are kept as they are
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value === null || typeof value !== "object" || value instanceof mongoose.Types.ObjectId) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const withId = (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc });
+
+export function installFakeDb(seed = {}) {
+  const collections = new Map(Object.entries(seed).map(([name, docs]) => [name, docs.map(withId)]));
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, []);
+    return collections.get(name);
+  };
+
+  const originals = {
+    exec: mongoose.Query.prototype.exec,
+    cursor: mongoose.Query.prototype.cursor,
+    aggregate: mongoose.Aggregate.prototype.exec,
+    save: mongoose.Model.prototype.save,
+    $save: mongoose.Model.prototype.$save,
+    insertMany: mongoose.Model.insertMany,
+    transaction: mongoose.connection.transaction,
+  };
+
+  mongoose.Query.prototype.exec = async function exec() {
+    if (this._queryMiddleware) {
+      await new Promise((resolve, reject) =>
+        this._queryMiddleware.execPre(this.op, this, [], (error) => (error ? reject(error) : resolve()))
+      );
+    }
+    const docs = collection(this.model.modelName);
+    const found = docs.filter((doc) => matches(doc, this.getFilter()));
+    const lean = Boolean(this._mongooseOptions.lean);
+    const shape = (doc) => (doc ? (lean ? clone(doc) : this.model.hydrate(clone(doc))) : null);
+
+    switch (this.op) {
+      case "find": return found.map(shape);
+      case "findOne": return shape(found[0]);
+      case "countDocuments": return found.length;
+      case "estimatedDocumentCount": return docs.length;
+      case "distinct": {
+        const values = found.flatMap((doc) => [].concat(getPath(doc, this._distinct) ?? []));
+        return [...new Map(values.map((value) => [normalize(value), value])).values()];
+      }
+      case "findOneAndUpdate": {
+        const doc = found[0];
+        if (!doc) return null;
+        const before = clone(doc);
+        applyUpdate(doc, this.getUpdate());
+        const options = this.getOptions();
+        return shape(options.new || options.returnDocument === "after" ? doc : before);
+      }
+      case "findOneAndDelete": {
+        if (found[0]) docs.splice(docs.indexOf(found[0]), 1);
+        return shape(found[0]);
+      }
+      case "updateOne":
+      case "updateMany": {
+        const targets = this.op === "updateOne" ? found.slice(0, 1) : found;
+        targets.forEach((doc) => applyUpdate(doc, this.getUpdate()));
+        return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length };
+      }
+      case "deleteOne":
+      case "deleteMany": {
+        const targets = this.op === "deleteOne" ? found.slice(0, 1) : found;
+        targets.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+        return { acknowledged: true, deletedCount: targets.length };
+      }
+      default:
+        throw new Error(`fake-db: unsupported query ${this.model.modelName}.${this.op}`);
+    }
+  };
+
+  mongoose.Query.prototype.cursor = function cursor() {
+    const query = this;
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* await query.exec();
+      },
+    };
+  };
+
+  mongoose.Aggregate.prototype.exec = async function exec() {
+    return [];
+  };
+
+  async function save() {
+    const docs = collection(this.constructor.modelName);
+    const plain = this.toObject({ depopulate: true });
+    const index = docs.findIndex((doc) => String(doc._id) === String(plain._id));
+    if (index === -1) docs.push(plain);
+    else docs[index] = plain;
+    this.isNew = false;
+    return this;
+  }
+  mongoose.Model.prototype.save = save;
+  mongoose.Model.prototype.$save = save;
+
+  mongoose.Model.insertMany = async function insertMany(docs) {
+    const created = [].concat(docs).map((doc) => new this(doc));
+    collection(this.modelName).push(...created.map((doc) => doc.toObject({ depopulate: true })));
+    return created;
+  };
+
+  mongoose.connection.transaction = async (fn) => fn({});
+
+  return {
+    collection,
+    restore() {
+      mongoose.Query.prototype.exec = originals.exec;
+      mongoose.Query.prototype.cursor = originals.cursor;
+      mongoose.Aggregate.prototype.exec = originals.aggregate;
+      mongoose.Model.prototype.save = originals.save;
+      mongoose.Model.prototype.$save = originals.$save;
+      mongoose.Model.insertMany = originals.insertMany;
+      mongoose.connection.transaction = originals.transaction;
+    },
+  };
+}
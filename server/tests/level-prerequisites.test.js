@@ -0,0 +1,113 @@
+// server/tests/level-prerequisites.test.js
+// Level prerequisites (src/utils/level-prerequisites.js) and their enforcement when a
+// student enrolls (enrollStudent in src/utils/backend/enrollment-utils.js).
+//
+// Run from the api folder: npm test
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { installFakeDb } from "./helpers/fake-db.js";
+import { checkLevelAccess, levelLockState } from "../../src/utils/level-prerequisites.js";
+import { enrollStudent } from "../../src/utils/backend/enrollment-utils.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const levelThree = {
+  level: 3,
+  prerequisites: [{ kind: "completed_level", level: 2 }, { kind: "placement" }],
+};
+const adminOnly = { level: 4, prerequisites: [{ kind: "admin_override" }] };
+
+describe("checkLevelAccess", () => {
+  it("opens a level without prerequisites to everyone", () => {
+    assert.deepEqual(checkLevelAccess({ level: 1, prerequisites: [] }, null), { unlocked: true, via: null });
+    assert.deepEqual(checkLevelAccess({ level: 1 }, {}), { unlocked: true, via: null });
+  });
+
+  it("unlocks a level when any one rule is met", () => {
+    assert.deepEqual(checkLevelAccess(levelThree, { completedLevels: [2] }), { unlocked: true, via: "completed_level" });
+    assert.deepEqual(checkLevelAccess(levelThree, { placementLevel: 3 }), { unlocked: true, via: "placement" });
+    assert.deepEqual(checkLevelAccess(levelThree, { placementLevel: 5 }), { unlocked: true, via: "placement" });
+  });
+
+  it("keeps a level locked when no rule is met", () => {
+    assert.deepEqual(checkLevelAccess(levelThree, { completedLevels: [1], placementLevel: 2 }), { unlocked: false, via: null });
+    assert.deepEqual(checkLevelAccess(levelThree, null), { unlocked: false, via: null });
+    assert.deepEqual(checkLevelAccess(adminOnly, { completedLevels: [1, 2, 3], placementLevel: 6 }), {
+      unlocked: false,
+      via: null,
+    });
+  });
+
+  it("unlocks any level with an admin override", () => {
+    assert.deepEqual(checkLevelAccess(adminOnly, { levelOverrides: [4] }), { unlocked: true, via: "admin_override" });
+    assert.deepEqual(checkLevelAccess(levelThree, { levelOverrides: [3] }), { unlocked: true, via: "admin_override" });
+    // An override is for one level only
+    assert.deepEqual(checkLevelAccess(adminOnly, { levelOverrides: [3] }), { unlocked: false, via: null });
+  });
+
+  it("shows lock states to students only", () => {
+    assert.equal(levelLockState(levelThree, { privilege: "student" }), "locked");
+    assert.equal(levelLockState(levelThree, { privilege: "student", completedLevels: [2] }), "unlocked");
+    assert.equal(levelLockState(levelThree, { privilege: "admin" }), null);
+    assert.equal(levelLockState({ level: 1, prerequisites: [] }, { privilege: "student" }), null);
+  });
+});
+
+describe("enrolling in a class with level prerequisites", () => {
+  let db, student, cls;
+
+  const classNow = () => db.collection("Class").find((c) => String(c._id) === String(cls._id));
+  const studentNow = () => db.collection("User").find((u) => String(u._id) === String(student._id));
+
+  beforeEach(() => {
+    student = { _id: id(), privilege: "student", firstName: "Ann", lastName: "Student", email: "ann@example.com" };
+    Object.assign(student, { enrolledClasses: [], completedLevels: [1], placementLevel: 2, levelOverrides: [] });
+    cls = { _id: id(), program: "general", level: 3, ageGroup: "all", instructor: "Ali", schedule: [], capacity: null };
+    Object.assign(cls, { roster: [], waitlist: [] });
+    db = installFakeDb({
+      User: [student],
+      Class: [cls],
+      Level: [{ _id: id(), ...levelThree }],
+      EnrollmentRecord: [],
+      EnrollmentRequest: [],
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  it("refuses a locked level, saying what unlocks it", async () => {
+    await assert.rejects(enrollStudent(student._id, cls._id), (err) => {
+      assert.equal(err.code, "level_locked");
+      assert.equal(err.statusCode, 403);
+      assert.equal(err.message, "Level 3 requires completed Level 2 or a placement result of Level 3 or higher");
+      assert.deepEqual(err.details.prerequisites, levelThree.prerequisites);
+      return true;
+    });
+    assert.deepEqual(classNow().roster, []);
+    assert.deepEqual(studentNow().enrolledClasses, []);
+  });
+
+  it("enrolls once a prerequisite is met", async () => {
+    studentNow().completedLevels.push(2);
+    const { status } = await enrollStudent(student._id, cls._id);
+
+    assert.equal(status, "enrolled");
+    assert.deepEqual(classNow().roster.map(String), [String(student._id)]);
+  });
+
+  it("enrolls with an admin override for the level", async () => {
+    studentNow().levelOverrides.push(3);
+    const { status } = await enrollStudent(student._id, cls._id);
+
+    assert.equal(status, "enrolled");
+    assert.deepEqual(classNow().roster.map(String), [String(student._id)]);
+  });
+
+  it("ignores levels that have no Level document", async () => {
+    classNow().level = 7;
+    const { status } = await enrollStudent(student._id, cls._id);
+    assert.equal(status, "enrolled");
+  });
+});
@@ -0,0 +1,133 @@
+// server/tests/placement.test.js
+// Placement test scoring (src/utils/backend/placement-utils.js): answers are checked on
+// the server, scores are tallied per level and the recommended level is stored on the
+// student, where it meets "placement" level prerequisites.
+//
+// Run from the api folder: npm test
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { installFakeDb } from "./helpers/fake-db.js";
+import { recommendLevel, submitPlacementTest } from "../../src/utils/backend/placement-utils.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe("recommendLevel", () => {
+  const scores = (...rows) => rows.map(([level, correct, total]) => ({ level, correct, total }));
+
+  it("passes a level at exactly 60% and not below", () => {
+    assert.equal(recommendLevel(scores([1, 3, 5], [2, 3, 5])), 2);
+    assert.equal(recommendLevel(scores([1, 3, 5], [2, 2, 5])), 1);
+    assert.equal(recommendLevel(scores([1, 6, 10], [2, 5, 9])), 1);
+  });
+
+  it("stops at the first failed level, even when a higher one is passed", () => {
+    assert.equal(recommendLevel(scores([1, 5, 5], [2, 1, 5], [3, 5, 5])), 1);
+  });
+
+  it("recommends the lowest level when none is passed", () => {
+    assert.equal(recommendLevel(scores([2, 0, 5], [3, 0, 5])), 2);
+  });
+
+  it("sorts levels before scoring", () => {
+    assert.equal(recommendLevel(scores([3, 1, 5], [1, 5, 5], [2, 4, 5])), 2);
+  });
+
+  it("does not pass a level without questions", () => {
+    assert.equal(recommendLevel(scores([1, 5, 5], [2, 0, 0], [3, 5, 5])), 1);
+  });
+
+  it("returns null without scores", () => {
+    assert.equal(recommendLevel([]), null);
+  });
+});
+
+describe("submitPlacementTest", () => {
+  let db, student, attempt;
+
+  const question = (level, fields) => ({ question: id(), level, skill: "", prompt: "?", choices: [], ...fields });
+  const choice = (level, correctChoice) =>
+    question(level, { type: "multiple_choice", choices: ["a", "b", "c"], correctChoice, acceptedAnswers: [] });
+  const fillIn = (level, ...acceptedAnswers) => question(level, { type: "fill_in", correctChoice: null, acceptedAnswers });
+  const answersFor = (responses) =>
+    Object.fromEntries(
+      attempt.items.map((item, i) => [String(item.question), responses[i]]).filter(([, response]) => response !== undefined)
+    );
+  const studentNow = () => db.collection("User").find((u) => String(u._id) === String(student._id));
+  const attemptNow = () => db.collection("PlacementAttempt").find((a) => String(a._id) === String(attempt._id));
+
+  beforeEach(() => {
+    student = { _id: id(), privilege: "student", firstName: "Ann", lastName: "Student", placementLevel: null };
+    attempt = {
+      _id: id(),
+      student: student._id,
+      status: "in_progress",
+      startedAt: new Date(),
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+      items: [
+        choice(1, 0),
+        choice(1, 2),
+        fillIn(1, "I am"),
+        fillIn(2, "They have been"),
+        choice(2, 1),
+        fillIn(2, "went"),
+      ],
+    };
+    db = installFakeDb({ User: [student], PlacementAttempt: [attempt] });
+  });
+
+  afterEach(() => db.restore());
+
+  it("scores each level and stores the recommended level on the student", async () => {
+    const answers = answersFor([0, 2, "i AM.", "they  have been!", 0, "go"]);
+    const { attempt: result } = await submitPlacementTest(student._id, attempt._id, answers);
+
+    assert.equal(result.status, "submitted");
+    assert.equal(result.score, 4);
+    assert.equal(result.total, 6);
+    assert.deepEqual(result.levelScores.map(({ level, correct, total }) => ({ level, correct, total })), [
+      { level: 1, correct: 3, total: 3 },
+      { level: 2, correct: 1, total: 3 },
+    ]);
+    assert.equal(result.recommendedLevel, 1);
+    assert.equal(studentNow().placementLevel, 1);
+    assert.deepEqual(attemptNow().items.map((item) => item.correct), [true, true, true, true, false, false]);
+  });
+
+  it("recommends a level passed with 2 of 3 answers", async () => {
+    const answers = answersFor([0, 2, "I am", "They have been", 1, "gone"]);
+    const { attempt: result } = await submitPlacementTest(student._id, attempt._id, answers);
+    assert.equal(result.recommendedLevel, 2);
+    assert.equal(studentNow().placementLevel, 2);
+  });
+
+  it("counts unanswered and blank questions as wrong", async () => {
+    const answers = answersFor(["", undefined, "  ", undefined]);
+    const { attempt: result } = await submitPlacementTest(student._id, attempt._id, answers);
+
+    assert.equal(result.score, 0);
+    // A blank multiple-choice answer is not choice 0
+    assert.equal(attemptNow().items[0].correct, false);
+    assert.equal(result.recommendedLevel, 1);
+  });
+
+  it("only scores a test once", async () => {
+    await submitPlacementTest(student._id, attempt._id, answersFor([0, 2, "I am"]));
+    await assert.rejects(submitPlacementTest(student._id, attempt._id, {}), { code: "placement_submitted" });
+  });
+
+  it("refuses a test submitted after its time limit and the grace period", async () => {
+    attemptNow().expiresAt = new Date(Date.now() - 2 * 60 * 1000);
+    await assert.rejects(submitPlacementTest(student._id, attempt._id, answersFor([0])), { code: "placement_expired" });
+
+    assert.equal(attemptNow().status, "expired");
+    assert.equal(studentNow().placementLevel, null);
+  });
+
+  it("accepts a test submitted within the grace period", async () => {
+    attemptNow().expiresAt = new Date(Date.now() - 30 * 1000);
+    const { attempt: result } = await submitPlacementTest(student._id, attempt._id, answersFor([0]));
+    assert.equal(result.status, "submitted");
+  });
+});
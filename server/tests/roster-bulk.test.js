@@ -0,0 +1,132 @@
+// server/tests/roster-bulk.test.js
+// Bulk roster changes (changeRosterInBulk in src/utils/backend/enrollment-utils.js):
+// adding fills the free seats in order and queues the rest; transfers need a seat for
+// everyone; any failed check changes nothing.
+//
+// Run from the api folder: npm test
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { installFakeDb } from "./helpers/fake-db.js";
+import { changeRosterInBulk } from "../../src/utils/backend/enrollment-utils.js";
+
+const id = () => new mongoose.Types.ObjectId();
+const ids = (values) => values.map(String);
+
+const studentNamed = (firstName, enrolledClasses = []) => ({
+  _id: id(),
+  privilege: "student",
+  firstName,
+  lastName: "Student",
+  email: `${firstName}@example.com`,
+  enrolledClasses,
+});
+const classOf = (fields) => ({
+  _id: id(),
+  program: "general",
+  level: null,
+  ageGroup: "all",
+  instructor: "Ali",
+  schedule: [],
+  roster: [],
+  waitlist: [],
+  capacity: null,
+  ...fields,
+});
+
+describe("bulk roster changes", () => {
+  let db;
+  let seated, ann, ben, cal, dee, from, target;
+
+  const classNow = (cls) => db.collection("Class").find((c) => String(c._id) === String(cls._id));
+  const userNow = (user) => db.collection("User").find((u) => String(u._id) === String(user._id));
+  const recordOf = (user, cls) =>
+    db.collection("EnrollmentRecord").find((r) => String(r.student) === String(user._id) && String(r.class) === String(cls._id));
+
+  beforeEach(() => {
+    from = classOf({});
+    target = classOf({ capacity: 2 });
+    seated = studentNamed("Sam", [target._id]);
+    [ann, ben, cal, dee] = ["Ann", "Ben", "Cal", "Dee"].map((name) => studentNamed(name, [from._id]));
+    target.roster = [seated._id];
+    from.roster = [ann._id, ben._id, cal._id, dee._id];
+    db = installFakeDb({ User: [seated, ann, ben, cal, dee], Class: [from, target], EnrollmentRecord: [], EnrollmentRequest: [] });
+  });
+
+  afterEach(() => db.restore());
+
+  it("adds students until the class is full and puts the rest on the waitlist", async () => {
+    const { applied, results } = await changeRosterInBulk("add", [ann._id, ben._id, cal._id], { toClassId: target._id });
+
+    assert.equal(applied, true);
+    assert.deepEqual(
+      results.map((r) => [r.user.firstName, r.status, r.position]),
+      [
+        ["Ann", "enrolled", undefined],
+        ["Ben", "waitlisted", 1],
+        ["Cal", "waitlisted", 2],
+      ]
+    );
+    assert.deepEqual(ids(classNow(target).roster), ids([seated._id, ann._id]));
+    assert.deepEqual(ids(classNow(target).waitlist), ids([ben._id, cal._id]));
+    assert.ok(ids(userNow(ann).enrolledClasses).includes(String(target._id)));
+    assert.ok(!ids(userNow(ben).enrolledClasses).includes(String(target._id)));
+    assert.equal(recordOf(ann, target).status, "active");
+    assert.equal(recordOf(ben, target).status, "waitlisted");
+    // Adding keeps their other classes
+    assert.ok(ids(userNow(ben).enrolledClasses).includes(String(from._id)));
+  });
+
+  it("queues after the students already waitlisted, who keep their place", async () => {
+    Object.assign(classNow(target), { roster: [seated._id, dee._id], waitlist: [cal._id] });
+    userNow(dee).enrolledClasses.push(target._id);
+
+    const { applied, results } = await changeRosterInBulk("add", [ann._id, cal._id], { toClassId: target._id });
+    assert.equal(applied, true);
+    assert.deepEqual(results.map((r) => [r.user.firstName, r.status, r.position]), [
+      ["Ann", "waitlisted", 2],
+      ["Cal", "waitlisted", 1],
+    ]);
+    assert.deepEqual(ids(classNow(target).waitlist), ids([cal._id, ann._id]));
+  });
+
+  it("seats everyone when the class has no capacity limit", async () => {
+    classNow(target).capacity = null;
+    const { results } = await changeRosterInBulk("add", [ann._id, ben._id, cal._id], { toClassId: target._id });
+    assert.ok(results.every((r) => r.status === "enrolled"));
+    assert.equal(classNow(target).roster.length, 4);
+  });
+
+  it("refuses transfers that do not all fit, changing nothing", async () => {
+    const { applied, results } = await changeRosterInBulk("transfer", [ann._id, ben._id], {
+      fromClassId: from._id,
+      toClassId: target._id,
+    });
+
+    assert.equal(applied, false);
+    assert.deepEqual(results.map((r) => [r.ok, r.code]), [[true, undefined], [false, "class_full"]]);
+    assert.deepEqual(ids(classNow(target).roster), ids([seated._id]));
+    assert.deepEqual(ids(classNow(from).roster), ids([ann._id, ben._id, cal._id, dee._id]));
+    assert.deepEqual(db.collection("EnrollmentRecord"), []);
+  });
+
+  it("transfers students that fit, closing and opening their records", async () => {
+    const { applied } = await changeRosterInBulk("transfer", [ann._id], { fromClassId: from._id, toClassId: target._id });
+
+    assert.equal(applied, true);
+    assert.deepEqual(ids(userNow(ann).enrolledClasses), ids([target._id]));
+    assert.ok(!ids(classNow(from).roster).includes(String(ann._id)));
+    assert.equal(recordOf(ann, from).status, "transferred");
+    assert.equal(recordOf(ann, target).status, "active");
+  });
+
+  it("changes nothing when any student fails a check", async () => {
+    const { applied, results } = await changeRosterInBulk("add", [ann._id, seated._id], { toClassId: target._id });
+
+    assert.equal(applied, false);
+    assert.equal(results[1].code, "already_enrolled");
+    assert.deepEqual(ids(classNow(target).roster), ids([seated._id]));
+    assert.deepEqual(classNow(target).waitlist, []);
+  });
+});
@@ -0,0 +1,87 @@
+// server/tests/schedule-conflicts.test.js
+// Schedule clashes between weekly class slots (src/utils/backend/schedule-utils.js), which
+// decide whether an enrollment is blocked. Zones without daylight saving are used so the
+// results do not depend on the date the tests run.
+//
+// Run from the api folder: npm test
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { slotsOverlap, findScheduleConflict } from "../../src/utils/backend/schedule-utils.js";
+
+const slot = (day, startTime, endTime, timezone = "Etc/UTC") => ({ day, startTime, endTime, timezone });
+
+// Overlap is symmetric; check both orders
+const assertOverlap = (a, b, expected) => {
+  assert.equal(slotsOverlap(a, b), expected);
+  assert.equal(slotsOverlap(b, a), expected);
+};
+
+describe("slotsOverlap", () => {
+  it("finds overlapping slots on the same day", () => {
+    assertOverlap(slot("Monday", "14:00", "15:30"), slot("Monday", "15:00", "16:00"), true);
+    assertOverlap(slot("Monday", "14:00", "16:00"), slot("Monday", "14:30", "15:00"), true);
+  });
+
+  it("lets back-to-back slots touch without overlapping", () => {
+    assertOverlap(slot("Monday", "14:00", "15:00"), slot("Monday", "15:00", "16:00"), false);
+    assertOverlap(slot("Monday", "14:00", "15:00"), slot("Tuesday", "14:00", "15:00"), false);
+  });
+
+  it("runs slots ending before they start past midnight", () => {
+    assertOverlap(slot("Monday", "23:00", "1:00"), slot("Tuesday", "0:30", "1:30"), true);
+    assertOverlap(slot("Monday", "23:00", "0:30"), slot("Tuesday", "0:30", "1:00"), false);
+    assertOverlap(slot("Monday", "23:00", "1:00"), slot("Monday", "0:30", "1:30"), false);
+  });
+
+  it("compares across the Sunday to Monday wrap", () => {
+    assertOverlap(slot("Sunday", "23:30", "0:30"), slot("Monday", "0:00", "1:00"), true);
+    assertOverlap(slot("Sunday", "23:00", "0:00"), slot("Monday", "0:00", "1:00"), false);
+    // Monday 8:00 in Tokyo is Sunday 23:00 UTC
+    assertOverlap(slot("Monday", "8:00", "9:00", "Asia/Tokyo"), slot("Sunday", "23:30", "23:45"), true);
+    assertOverlap(slot("Monday", "8:00", "9:00", "Asia/Tokyo"), slot("Sunday", "22:00", "23:00"), false);
+  });
+
+  it("lines up slots stored in different time zones", () => {
+    // Both are Monday 10:00–11:00 UTC
+    assertOverlap(slot("Monday", "19:00", "20:00", "Asia/Tokyo"), slot("Monday", "15:30", "16:30", "Asia/Kolkata"), true);
+    assertOverlap(slot("Monday", "19:00", "20:00", "Asia/Tokyo"), slot("Monday", "10:30", "11:30"), true);
+    // Monday 20:00 Tokyo is 11:00 UTC, when the other slot ends
+    assertOverlap(slot("Monday", "20:00", "21:00", "Asia/Tokyo"), slot("Monday", "10:00", "11:00"), false);
+    // Same wall-clock time, different zones
+    assertOverlap(slot("Monday", "10:00", "11:00", "Asia/Tokyo"), slot("Monday", "10:00", "11:00"), false);
+  });
+
+  it("treats slots without a zone as UTC", () => {
+    assertOverlap({ day: "Monday", startTime: "10:00", endTime: "11:00" }, slot("Monday", "10:30", "11:30"), true);
+  });
+
+  it("never reports a clash for slots it cannot read", () => {
+    assertOverlap(slot("Someday", "10:00", "11:00"), slot("Monday", "10:00", "11:00"), false);
+    assertOverlap(slot("Monday", "ten", "11:00"), slot("Monday", "10:00", "11:00"), false);
+  });
+});
+
+describe("findScheduleConflict", () => {
+  const evening = { _id: "evening", schedule: [slot("Wednesday", "18:00", "19:00"), slot("Monday", "19:00", "20:00", "Asia/Tokyo")] };
+  const morning = { _id: "morning", schedule: [slot("Tuesday", "9:00", "10:00")] };
+
+  it("names the clashing class and both slots", () => {
+    const candidate = { _id: "new", schedule: [slot("Friday", "9:00", "10:00"), slot("Monday", "10:30", "11:30")] };
+    assert.deepEqual(findScheduleConflict(candidate, [morning, evening]), {
+      class: evening,
+      slot: candidate.schedule[1],
+      existingSlot: evening.schedule[1],
+    });
+  });
+
+  it("returns null when nothing clashes", () => {
+    const candidate = { _id: "new", schedule: [slot("Tuesday", "10:00", "11:00"), slot("Wednesday", "19:00", "20:00")] };
+    assert.equal(findScheduleConflict(candidate, [morning, evening]), null);
+  });
+
+  it("does not compare a class with itself", () => {
+    assert.equal(findScheduleConflict(morning, [morning]), null);
+    assert.equal(findScheduleConflict({ ...morning, _id: "copy" }, [morning])?.class, morning);
+  });
+});
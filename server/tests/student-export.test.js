@@ -0,0 +1,82 @@
+// server/tests/student-export.test.js
+// The admin student export (streamStudentExport in src/utils/backend/student-utils.js):
+// one row per active class, and cells that spreadsheet apps would run as formulas
+// written as plain text in both the CSV and the XLSX output.
+//
+// Run from the api folder: npm test
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+import mongoose from "mongoose";
+import ExcelJS from "exceljs";
+import { installFakeDb } from "./helpers/fake-db.js";
+import { streamStudentExport, parseExportOptions } from "../../src/utils/backend/student-utils.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const HYPERLINK = '=HYPERLINK("https://evil.example.com","Click me")';
+const cls = { _id: id(), program: "ielts", level: 2, ageGroup: "adult", instructor: "Ali", link: "https://meet.example.com/a", schedule: [] };
+const attacker = {
+  _id: id(),
+  privilege: "student",
+  firstName: HYPERLINK,
+  lastName: "+1-555",
+  email: "@SUM(A1)@example.com",
+  whatsapp: "-2+3",
+  creationDate: new Date("2025-01-02T00:00:00Z"),
+};
+const plain = { _id: id(), privilege: "student", firstName: "Sam", lastName: "Student", email: "sam@example.com", creationDate: new Date("2025-01-03T00:00:00Z") };
+
+// Collects what streamStudentExport writes, like an Express response would send it
+const fakeResponse = () => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.headers = {};
+  res.setHeader = (name, value) => (res.headers[name] = value);
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.body = () => new Promise((resolve) => res.on("end", () => resolve(Buffer.concat(chunks))));
+  return res;
+};
+
+const exportAs = async (format) => {
+  const res = fakeResponse();
+  const body = res.body();
+  const options = parseExportOptions({ format, columns: "firstName,lastName,email,whatsapp,program,level" });
+  await streamStudentExport(res, { privilege: "student" }, options);
+  return body;
+};
+
+describe("student export", () => {
+  let db;
+
+  before(() => {
+    db = installFakeDb({
+      User: [attacker, plain],
+      Class: [cls],
+      Program: [{ slug: "ielts", name: "IELTS" }],
+      EnrollmentRecord: [{ student: plain._id, class: cls._id, status: "active", enrolledAt: new Date() }],
+    });
+  });
+
+  after(() => db?.restore());
+
+  it("writes formula-like CSV cells as text", async () => {
+    const lines = (await exportAs("csv")).toString("utf8").trim().split("\n");
+    assert.equal(lines[0], "First Name,Last Name,Email,WhatsApp,Program,Level");
+    assert.equal(lines[1], `"'=HYPERLINK(""https://evil.example.com"",""Click me"")",'+1-555,'@SUM(A1)@example.com,'-2+3,,`);
+    assert.equal(lines[2], "Sam,Student,sam@example.com,,IELTS Level 2,2");
+    assert.equal(lines.length, 3);
+  });
+
+  it("writes formula-like XLSX cells as text", async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportAs("xlsx"));
+    const [, header, first, second] = workbook.getWorksheet("Students").getSheetValues();
+
+    assert.deepEqual(header.slice(1), ["First Name", "Last Name", "Email", "WhatsApp", "Program", "Level"]);
+    assert.deepEqual(first.slice(1, 5), [`'${HYPERLINK}`, "'+1-555", "'@SUM(A1)@example.com", "'-2+3"]);
+    assert.ok(first.every((cell) => typeof cell !== "object" || !("formula" in cell)));
+    assert.deepEqual([...second.slice(1, 4), ...second.slice(5)], ["Sam", "Student", "sam@example.com", "IELTS Level 2", 2]);
+  });
+});
@@ -0,0 +1,86 @@
+// server/tests/waitlist.test.js
+// Promotion from a class's waitlist (promoteFromWaitlist in src/utils/backend/enrollment-utils.js):
+// a freed seat goes to the head of the waitlist only, and waitlisted users who are no
+// longer active students are dropped with their history closed.
+//
+// Run from the api folder: npm test
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { installFakeDb } from "./helpers/fake-db.js";
+import { unenrollStudent, promoteFromWaitlist } from "../../src/utils/backend/enrollment-utils.js";
+
+const id = () => new mongoose.Types.ObjectId();
+const ids = (values) => values.map(String);
+
+const studentNamed = (firstName) => ({ _id: id(), privilege: "student", firstName, lastName: "Student", email: `${firstName}@example.com` });
+
+describe("waitlist promotion", () => {
+  let db;
+  let seated, first, second, cls;
+
+  const record = (student, status) => ({ student: student._id, class: cls._id, status, history: [{ status, at: new Date() }] });
+  const find = (name, filter) => db.collection(name).filter((doc) => Object.entries(filter).every(([k, v]) => String(doc[k]) === String(v)));
+  const classNow = () => find("Class", { _id: cls._id })[0];
+
+  beforeEach(() => {
+    [seated, first, second] = ["Sam", "Fay", "Sid"].map(studentNamed);
+    cls = { _id: id(), program: "general", level: 1, ageGroup: "all", instructor: "Ali", schedule: [], capacity: 1 };
+    Object.assign(cls, { roster: [seated._id], waitlist: [first._id, second._id] });
+    seated.enrolledClasses = [cls._id];
+    db = installFakeDb({
+      User: [seated, first, second],
+      Class: [cls],
+      EnrollmentRecord: [record(seated, "active"), record(first, "waitlisted"), record(second, "waitlisted")],
+      AuditEvent: [],
+    });
+  });
+
+  afterEach(() => db.restore());
+
+  it("gives a freed seat to the head of the waitlist only", async () => {
+    await unenrollStudent(seated._id, cls._id);
+    const promoted = await promoteFromWaitlist(cls._id);
+
+    assert.deepEqual(ids(promoted.map((s) => s._id)), ids([first._id]));
+    assert.deepEqual(ids(classNow().roster), ids([first._id]));
+    assert.deepEqual(ids(classNow().waitlist), ids([second._id]));
+    assert.deepEqual(ids(find("User", { _id: first._id })[0].enrolledClasses), ids([cls._id]));
+    assert.equal(find("EnrollmentRecord", { student: first._id })[0].status, "active");
+    assert.equal(find("EnrollmentRecord", { student: second._id })[0].status, "waitlisted");
+  });
+
+  it("promotes nobody while the class is full", async () => {
+    assert.deepEqual(await promoteFromWaitlist(cls._id), []);
+    assert.deepEqual(ids(classNow().waitlist), ids([first._id, second._id]));
+  });
+
+  it("drops a head who is no longer a student, closing their record, and seats the next one", async () => {
+    find("User", { _id: first._id })[0].privilege = "instructor";
+    await unenrollStudent(seated._id, cls._id);
+    const promoted = await promoteFromWaitlist(cls._id);
+
+    assert.deepEqual(ids(promoted.map((s) => s._id)), ids([second._id]));
+    assert.deepEqual(ids(classNow().roster), ids([second._id]));
+    assert.deepEqual(classNow().waitlist, []);
+
+    const [dropped] = find("EnrollmentRecord", { student: first._id });
+    assert.equal(dropped.status, "dropped");
+    assert.ok(dropped.endedAt);
+    assert.equal(dropped.history.at(-1).status, "dropped");
+
+    const audit = find("AuditEvent", { entityId: first._id, action: "waitlist" });
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].entityLabel, "Fay Student");
+  });
+
+  it("drops a head whose account is in Recently deleted", async () => {
+    find("User", { _id: first._id })[0].deletedAt = new Date();
+    await unenrollStudent(seated._id, cls._id);
+    await promoteFromWaitlist(cls._id);
+
+    assert.equal(find("EnrollmentRecord", { student: first._id })[0].status, "dropped");
+    assert.equal(find("AuditEvent", { entityId: first._id, action: "waitlist" })[0].entityLabel, "Fay Student");
+  });
+});
@@ -1,29 +1,121 @@
 import React, { useContext, useState } from 'react';
 import Button from '@/components/Button/Button';
 import Overlay from '@/components/Overlay';
+import FormInput from '@/components/Form/FormInput';
 import { SignOutButton } from '@clerk/clerk-react'
 import { enrollInClass, unenrollInClass } from '@/wrappers/class-wrapper';
+import { updateUser } from '@/wrappers/user-wrapper';
 import { IoTimeOutline, IoCalendarOutline } from "react-icons/io5";
 import { useLocation } from 'wouter';
 import { useUser } from '@clerk/clerk-react';
 import { useTranslation } from "react-i18next";
 import { UserContext } from '@/contexts/UserContext.jsx';
-import { localizeNumber, toTitleCase } from "@/utils/formatters";
+import { localizeNumber } from "@/utils/formatters";
+import useEnrollmentWindow from '@/hooks/useEnrollmentWindow';
+import useClassTitle from '@/hooks/useClassTitle';
+import useTimezones, { useSlotFormatter } from '@/hooks/useTimezones';
+import SlotTimes from '@/components/Class/SlotTimes';
 
-const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
+// Server errors carry a `code` (translation key) and an English fallback message.
+const useEnrollmentErrorText = () => {
+  const { t } = useTranslation();
+  return (error) => {
+    const data = error?.response?.data || {};
+    return data.code ? t(data.code, { defaultValue: data.message }) : t('enrollment_error', { defaultValue: 'Something went wrong. Please try again.' });
+  };
+}
+
+// Shown when the server rejects enrolling because the class meets at the same time as
+// one the student is in. Both slots are shown in the student's preferred time zone.
+const ScheduleConflictNote = ({ conflict }) => {
+  const { t } = useTranslation();
+  const classTitle = useClassTitle();
+  const other = conflict.class;
+  const { primary } = useTimezones();
+  const formatSlot = useSlotFormatter();
+  const className = `${classTitle(other)}: ${other.ageGroup === "all" ? t(`for_${other.ageGroup}`) : t(`${other.ageGroup}_class`)}`;
+
+  const describe = (slot) => {
+    const time = formatSlot(slot, primary);
+    return time ? `${time.dayName} ${time.time} (${time.zoneName})` : '';
+  };
+
+  return (
+    <div className='text-red-500'>
+      <p>
+        {t('schedule_conflict_desc', {
+          className,
+          defaultValue: 'This class meets at the same time as {{className}}, which you are already enrolled in.',
+        })}
+      </p>
+      <ul className='list-disc ps-5'>
+        <li>{t('this_class', { defaultValue: 'This class' })}: {describe(conflict.slot)}</li>
+        <li>{className} ({t('with_name', { name: other.instructor })}): {describe(conflict.conflictingSlot)}</li>
+      </ul>
+    </div>
+  )
+}
+
+// Full classes (no seats left) take new students onto their waitlist instead.
+const isFull = (classObj) => classObj.seatsLeft === 0;
+
+const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup, setWaitlistPosition, setRequestPending }) => {
   const { t, i18n } = useTranslation();
+  const classTitle = useClassTitle();
   const [confirming, setConfirming] = useState(true);
+  const [position, setPosition] = useState(null);
+  const [requested, setRequested] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [conflict, setConflict] = useState(null);
+  // Set when the class has an age range and the student has no age on record
+  const [needsAge, setNeedsAge] = useState(false);
+  const [age, setAge] = useState("");
   const [, setLocation] = useLocation();
   const { user, setUser } = useContext(UserContext);
+  const getErrorText = useEnrollmentErrorText();
 
   const handleEnrollOrUnenroll = async () => {
-    if (isEnroll) {
-      await enrollInClass(classObj._id, userId);
-    } else {
-      await unenrollInClass(classObj._id, userId);
-      setShowPopup(false);
+    try {
+      if (isEnroll) {
+        const result = await enrollInClass(classObj._id, userId);
+        if (result?.status === 'waitlisted') {
+          setPosition(result.position);
+          setWaitlistPosition(result.position);
+        }
+        if (result?.status === 'requested') {
+          setRequested(true);
+          setRequestPending(true);
+        }
+      } else {
+        await unenrollInClass(classObj._id, userId);
+        setWaitlistPosition(null);
+        setRequestPending(false);
+        setShowPopup(false);
+      }
+      setConfirming(false);
+    } catch (error) {
+      setConflict(error.response?.data?.conflict || null);
+      setNeedsAge(error.response?.data?.code === 'age_required');
+      setErrorMessage(getErrorText(error));
+    }
+  }
+
+  // Saves the age the student entered, then tries enrolling again
+  const handleSaveAgeAndEnroll = async () => {
+    const value = Number(age);
+    if (!Number.isInteger(value) || value <= 0 || value > 120) {
+      setErrorMessage(t('invalid_age', { defaultValue: 'Enter your age in years.' }));
+      return;
     }
-    setConfirming(false);
+    try {
+      const updated = await updateUser(userId, { age: value });
+      setUser(prev => ({ ...prev, age: updated.age }));
+      setNeedsAge(false);
+    } catch (error) {
+      setErrorMessage(getErrorText(error));
+      return;
+    }
+    await handleEnrollOrUnenroll();
   }
 
   if (user.enrolledClasses.includes(classObj._id)) {
@@ -62,13 +154,7 @@ const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
           <div>
             <h3 className='font-extrabold'>{t('registering_for')}</h3>
             <p className='text-base sm:text-lg'>
-              {t('level_num', {
-                num: typeof classObj.level === 'number'
-                  ? localizeNumber(classObj.level, i18n.language)
-                  : classObj.level === "ielts"
-                    ? "IELTS" : toTitleCase(classObj.level),
-                ns: 'levels'
-              })}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
+              {classTitle(classObj)}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
             </p>
           </div>
           <p className="text-base text-[#86858F]">{t('instructor_name', { name: classObj.instructor })}</p>
@@ -77,32 +163,95 @@ const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
             <IoCalendarOutline className="text-xl row-start-2" />
             {classObj.schedule.map((schedule, index) => (
               <React.Fragment key={index}>
-                {index === 1 && <div className="row-span-full h-full border-[1px]"></div>}
-                <p className="row-start-1 w-max">{schedule.startTime}</p>
-                <p className="row-start-2 w-max">{t(`${schedule.day.toLowerCase()}`)}</p>
+                {index > 0 && <div className="row-span-full h-full border-[1px]"></div>}
+                <SlotTimes slot={schedule} />
               </React.Fragment>
             ))}
           </div>
+          {conflict
+            ? <ScheduleConflictNote conflict={conflict} />
+            : errorMessage && <p className='text-red-500'>{errorMessage}</p>}
+          {needsAge && <div className='space-y-2'>
+            <label>{t('your_age', { defaultValue: 'Your age' })}</label>
+            <FormInput
+              type='number'
+              name='age'
+              placeholder={t('your_age', { defaultValue: 'Your age' })}
+              value={age}
+              onChange={(e) => setAge(e.target.value)}
+              isRequired={true}
+            />
+          </div>}
         </div>
+        {classObj.approvalRequired ? (
+          <p className='text-base'>
+            {t('approval_required_desc', {
+              defaultValue: 'This class needs approval. Send a request and the instructor will review it; we will email you when it is approved or declined.',
+            })}
+          </p>
+        ) : isFull(classObj) && (
+          <p className='text-base'>
+            {t('class_full_desc', {
+              defaultValue: 'This class is full. Confirm to join the waitlist: if a seat opens up, you will be enrolled automatically and we will email you.',
+            })}
+          </p>
+        )}
         <div className='grid grid-cols-2 w-fit gap-x-2'>
-          <Button label={t("confirm")} onClick={handleEnrollOrUnenroll} />
+          <Button
+            label={classObj.approvalRequired
+              ? t('send_request', { defaultValue: 'Send request' })
+              : isFull(classObj) ? t('join_waitlist', { defaultValue: 'Join waitlist' }) : t("confirm")}
+            onClick={needsAge ? handleSaveAgeAndEnroll : handleEnrollOrUnenroll} />
           <Button
             label={t("cancel")}
             isOutline={true}
             onClick={() => { setShowPopup(false) }} />
         </div>
+      </div> : requested ? <div className='flex flex-col gap-y-5'>
+        <div>
+          <h3 className='font-extrabold'>{t('request_sent', { defaultValue: 'Request sent' })}</h3>
+          <p className='text-base sm:text-lg'>
+            {t('request_sent_desc', {
+              defaultValue: 'The instructor will review your request. We will email you with their decision, and you can follow it in your student portal.',
+            })}
+          </p>
+        </div>
+        <div className='grid grid-cols-2 w-fit gap-x-2'>
+          <Button label={t('ok', { defaultValue: 'OK' })} onClick={() => setShowPopup(false)} />
+          <Button
+            label={t('withdraw_request', { defaultValue: 'Withdraw request' })}
+            isOutline={true}
+            onClick={() => {
+              isEnroll = false;
+              handleEnrollOrUnenroll();
+            }} />
+        </div>
+      </div> : position ? <div className='flex flex-col gap-y-5'>
+        <div>
+          <h3 className='font-extrabold'>{t('joined_waitlist', { defaultValue: "You're on the waitlist" })}</h3>
+          <p className='text-base sm:text-lg'>
+            {t('waitlist_position_desc', {
+              position: localizeNumber(position, i18n.language),
+              defaultValue: 'You are number {{position}} in line. If a seat opens up, you will be enrolled automatically and we will email you.',
+            })}
+          </p>
+        </div>
+        <div className='grid grid-cols-2 w-fit gap-x-2'>
+          <Button label={t('ok', { defaultValue: 'OK' })} onClick={() => setShowPopup(false)} />
+          <Button
+            label={t('leave_waitlist', { defaultValue: 'Leave waitlist' })}
+            isOutline={true}
+            onClick={() => {
+              isEnroll = false;
+              handleEnrollOrUnenroll();
+            }} />
+        </div>
       </div> : <div className='flex flex-col gap-y-5'>
         <div className='flex flex-col gap-y-4'>
           <div>
             <h3 className='font-extrabold'>{t('congrats_registered')}</h3>
             <p className='text-base sm:text-lg'>
-              {t('level_num', {
-                num: typeof classObj.level === 'number'
-                  ? localizeNumber(classObj.level, i18n.language)
-                  : classObj.level === "ielts"
-                    ? "IELTS" : toTitleCase(classObj.level),
-                ns: 'levels'
-              })}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)} ({t('with_name', { name: classObj.instructor })})
+              {classTitle(classObj)}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)} ({t('with_name', { name: classObj.instructor })})
             </p>
           </div>
           <p className='text-base text-[#86858F]'>{t('congrats_registered_desc')}</p>
@@ -129,27 +278,37 @@ const EnrollPopup = ({ isEnroll, classObj, userId, setShowPopup }) => {
   )
 }
 
-const UnenrollPopup = ({ classObj, userId, setShowPopup }) => {
-  const { t, i18n } = useTranslation();
+// Also used to leave a class's waitlist (`waitlisted`) or withdraw a request to join (`requested`).
+const UnenrollPopup = ({ classObj, userId, setShowPopup, waitlisted = false, requested = false }) => {
+  const { t } = useTranslation();
+  const classTitle = useClassTitle();
+  const [errorMessage, setErrorMessage] = useState("");
+  const getErrorText = useEnrollmentErrorText();
+
   const handleUnenroll = async () => {
-    await unenrollInClass(classObj._id, userId);
-    setShowPopup(false);
-    window.location.reload();
+    try {
+      await unenrollInClass(classObj._id, userId);
+      setShowPopup(false);
+      window.location.reload();
+    } catch (error) {
+      setErrorMessage(getErrorText(error));
+    }
   }
 
   return (
     <Overlay width={'w-[22rem]'}>
       <div className="space-y-1">
-        <h3 className='font-extrabold'>{t('unenroll_confirmation')}</h3>
+        <h3 className='font-extrabold'>
+          {requested
+            ? t('withdraw_request_confirmation', { defaultValue: 'Withdraw your request to join this class?' })
+            : waitlisted
+              ? t('leave_waitlist_confirmation', { defaultValue: 'Leave the waitlist for this class?' })
+              : t('unenroll_confirmation')}
+        </h3>
         <p className='text-base sm:text-lg'>
-          {t('level_num', {
-            num: typeof classObj.level === 'number'
-              ? localizeNumber(classObj.level, i18n.language)
-              : classObj.level === "ielts"
-                ? "IELTS" : toTitleCase(classObj.level),
-            ns: 'levels'
-          })}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
+          {classTitle(classObj)}: {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`) : t(`${classObj.ageGroup}_class`)}
         </p>
+        {errorMessage && <p className='text-red-500'>{errorMessage}</p>}
       </div>
       <div className='grid grid-cols-2 w-fit gap-x-2'>
         <Button label={t('confirm')} onClick={handleUnenroll} />
@@ -208,27 +367,77 @@ const NotStudentPopup = ({ setShowPopup }) => {
   )
 }
 
+// "3 seats left" while seats remain, "5 on the waitlist" once full; nothing when unlimited.
+const SeatsNote = ({ classObj }) => {
+  const { t, i18n } = useTranslation();
+  if (classObj.seatsLeft == null) return null;
+
+  const count = isFull(classObj) ? classObj.waitlistCount || 0 : classObj.seatsLeft;
+  if (isFull(classObj) && count === 0) return null;
+  const options = { count, num: localizeNumber(count, i18n.language) };
+
+  return (
+    <p className='text-sm text-[#86858F] whitespace-nowrap'>
+      {isFull(classObj)
+        ? t('waitlist_count', { ...options, defaultValue: '{{num}} on the waitlist' })
+        : t('seats_left', { ...options, defaultValue_one: '{{num}} seat left', defaultValue_other: '{{num}} seats left' })}
+    </p>
+  )
+}
+
 const EnrollButton = ({ classObj, isEnroll }) => {
   const [showEnrollPopup, setShowEnrollPopup] = useState(false);
   const [showUnenrollPopup, setShowUnenrollPopup] = useState(false);
   const [showSignUpPopup, setShowSignUpPopup] = useState(false);
   const [showNotStudentPopup, setShowNotStudentPopup] = useState(false);
+  const [waitlistPosition, setWaitlistPosition] = useState(classObj.waitlistPosition || null);
+  const [requestPending, setRequestPending] = useState(Boolean(classObj.requestPending));
   const { isSignedIn } = useUser();
   const { user } = useContext(UserContext);
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { isOpen, opensAt } = useEnrollmentWindow(classObj);
+
+  // Level prerequisites the student has not met (set by the API for students)
+  const isLocked = Boolean(classObj.levelLocked);
+
+  const enrollLabel = isLocked
+    ? t('locked', { defaultValue: 'Locked' })
+    : !isOpen
+      ? opensAt
+        ? t('opens_soon', { defaultValue: 'Opens soon' })
+        : t('enrollment_closed')
+      : classObj.approvalRequired
+        ? t('request_to_join', { defaultValue: 'Request to join' })
+        : isFull(classObj)
+          ? t('join_waitlist', { defaultValue: 'Join waitlist' })
+          : t('enroll');
 
   return (
     <>
-      {isEnroll ? <Button
-        label={classObj.isEnrollmentOpen ? t('enroll') : t('enrollment_closed')}
-        onClick={
-          isSignedIn
-            ? user?.privilege === "student"
-              ? () => setShowEnrollPopup(true)
-              : () => setShowNotStudentPopup(true)
-            : () => setShowSignUpPopup(true)}
-        isDisabled={!classObj.isEnrollmentOpen}
-      /> : <Button
+      {isEnroll ? requestPending ? <Button
+        label={t('request_pending', { defaultValue: 'Request pending' })}
+        isOutline={true}
+        onClick={() => setShowUnenrollPopup(true)}
+      /> : waitlistPosition ? <Button
+        label={t('on_waitlist', {
+          position: localizeNumber(waitlistPosition, i18n.language),
+          defaultValue: 'On waitlist (#{{position}})',
+        })}
+        isOutline={true}
+        onClick={() => setShowUnenrollPopup(true)}
+      /> : <div className='flex items-center gap-x-3'>
+        <Button
+          label={enrollLabel}
+          onClick={
+            isSignedIn
+              ? user?.privilege === "student"
+                ? () => setShowEnrollPopup(true)
+                : () => setShowNotStudentPopup(true)
+              : () => setShowSignUpPopup(true)}
+          isDisabled={!isOpen || isLocked}
+        />
+        {isOpen && !isLocked && <SeatsNote classObj={classObj} />}
+      </div> : <Button
         label={t("unenroll")}
         onClick={() => {
           setShowUnenrollPopup(true)
@@ -238,11 +447,15 @@ const EnrollButton = ({ classObj, isEnroll }) => {
         isEnroll={isEnroll}
         classObj={classObj}
         userId={user._id}
-        setShowPopup={setShowEnrollPopup} />}
+        setShowPopup={setShowEnrollPopup}
+        setWaitlistPosition={setWaitlistPosition}
+        setRequestPending={setRequestPending} />}
       {showUnenrollPopup && <UnenrollPopup
         classObj={classObj}
         userId={user._id}
-        setShowPopup={setShowUnenrollPopup} />}
+        setShowPopup={setShowUnenrollPopup}
+        waitlisted={isEnroll && Boolean(waitlistPosition)}
+        requested={isEnroll && requestPending} />}
       {showSignUpPopup && <SignUpPopup
         setShowPopup={setShowSignUpPopup} />}
       {showNotStudentPopup && <NotStudentPopup
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { useTranslation } from "react-i18next";
+import Button from '@/components/Button/Button';
+import Overlay from '@/components/Overlay';
+import { getCalendarLink, regenerateCalendarLink } from '@/wrappers/user-wrapper';
+
+// "Subscribe to calendar" button. Its popup shows the signed-in user's calendar feed link
+// (every class they are enrolled in or teach) to open in a calendar app or copy, and can
+// replace the link when it was shared by mistake.
+const CalendarSubscribe = () => {
+  const { t } = useTranslation();
+  const [path, setPath] = useState(null);
+  const [showPopup, setShowPopup] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const url = path ? `${window.location.origin}${path}` : '';
+  const errorText = t('calendar_link_error', { defaultValue: 'Could not get your calendar link. Please try again.' });
+
+  const handleOpen = async () => {
+    setShowPopup(true);
+    setErrorMessage('');
+    try {
+      setPath(await getCalendarLink());
+    } catch (error) {
+      console.error('Error getting calendar link:', error);
+      setErrorMessage(errorText);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 3000);
+    } catch (error) {
+      console.error('Error copying calendar link:', error);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    setErrorMessage('');
+    try {
+      setPath(await regenerateCalendarLink());
+      setCopied(false);
+    } catch (error) {
+      console.error('Error regenerating calendar link:', error);
+      setErrorMessage(errorText);
+    }
+  };
+
+  return (
+    <>
+      <Button label={t('subscribe_calendar', { defaultValue: 'Subscribe to calendar' })} isOutline={true} onClick={handleOpen} />
+      {showPopup && (
+        <Overlay width={'w-full max-w-lg'}>
+          <h3 className='font-extrabold'>{t('subscribe_calendar', { defaultValue: 'Subscribe to calendar' })}</h3>
+          <p>
+            {t('subscribe_calendar_desc', {
+              defaultValue:
+                'Add your classes to your phone or computer calendar. They stay up to date as your classes change. For Google Calendar, copy the link and add it under "From URL".',
+            })}
+          </p>
+          {url && <input readOnly value={url} onFocus={(e) => e.target.select()} className='w-full py-2 px-3 border border-gray-400 rounded-sm text-sm' />}
+          <p className='text-sm text-neutral-500'>
+            {t('calendar_link_private', {
+              defaultValue: 'Anyone with this link can see your class schedule. If you shared it by mistake, reset it; the old link will stop working.',
+            })}
+          </p>
+          {errorMessage && <p className='text-red-500'>{errorMessage}</p>}
+          <div className='flex flex-wrap gap-2'>
+            {url && <a href={url.replace(/^https?:/, 'webcal:')}>
+              <Button label={t('open_in_calendar', { defaultValue: 'Open in calendar app' })} />
+            </a>}
+            {url && <Button
+              label={copied ? t('copied', { defaultValue: 'Copied!' }) : t('copy_link', { defaultValue: 'Copy link' })}
+              isOutline={true}
+              onClick={handleCopy}
+            />}
+            {url && <Button label={t('reset_link', { defaultValue: 'Reset link' })} isOutline={true} onClick={handleRegenerate} />}
+            <Button label={t('close', { defaultValue: 'Close' })} isOutline={true} onClick={() => setShowPopup(false)} />
+          </div>
+        </Overlay>
+      )}
+    </>
+  );
+};
+
+export default CalendarSubscribe;
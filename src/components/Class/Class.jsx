@@ -2,14 +2,18 @@ import React, { useEffect, useRef, useState } from 'react';
 import { IoTimeOutline, IoCalendarOutline } from "react-icons/io5";
 import EnrollButton from '@/components/Button/EnrollButton';
 import EditButton from '@/components/Button/EditButton';
+import EnrollmentWindowNote from '@/components/Class/EnrollmentWindowNote';
+import useEnrollmentWindow from '@/hooks/useEnrollmentWindow';
 import { useTranslation } from "react-i18next";
-import { localizeNumber, toTitleCase } from "@/utils/formatters";
-import { convertTime, to12HourFormat } from '@/utils/time-utils';
+import useClassTitle from '@/hooks/useClassTitle';
+import SlotTimes from '@/components/Class/SlotTimes';
 
 // possible modes: enroll, unenroll, edit
 // editURL used for edit page URL to navigate to
 const Class = ({ classObj, modes = ["enroll"], editURL = "", isSimplified }) => {
-  const { t, i18n } = useTranslation();
+  const { t } = useTranslation();
+  const classTitle = useClassTitle();
+  const { isOpen, opensAt } = useEnrollmentWindow(classObj);
   const [showScrollHint, setShowScrollHint] = useState(false);
   const scheduleRef = useRef(null);
 
@@ -29,19 +33,15 @@ const Class = ({ classObj, modes = ["enroll"], editURL = "", isSimplified }) =>
   }, []);
 
   return isSimplified ? (
-    <div className={`${!classObj.isEnrollmentOpen ? "bg-neutral-200 cursor-not-allowed" : "hover:shadow-shadow-hover transition-shadow"} shadow-shadow rounded-2xl py-8 px-7 flex gap-x-3 items-center justify-between relative`}>
-      {!classObj.isEnrollmentOpen && <p className='font-extrabold italic text-neutral-700 absolute bottom-2 left-0 right-0 mx-auto w-full'>
-        Enrollment Closed
-      </p>}
+    <div className={`${!isOpen ? "bg-neutral-200 cursor-not-allowed" : "hover:shadow-shadow-hover transition-shadow"} shadow-shadow rounded-2xl py-8 px-7 flex gap-x-3 items-center justify-between relative`}>
+      {!isOpen && (opensAt
+        ? <EnrollmentWindowNote classObj={classObj} className='absolute bottom-2 left-0 right-0 mx-auto justify-center' />
+        : <p className='font-extrabold italic text-neutral-700 absolute bottom-2 left-0 right-0 mx-auto w-full'>
+          {t('enrollment_closed', { defaultValue: 'Enrollment Closed' })}
+        </p>)}
       <div className={`flex items-center gap-x-6`}>
-        <h3 className={`font-extrabold text-left ${classObj.isEnrollmentOpen ? "text-dark-blue-800" : "text-neutral-500"}`}>
-          {t('level_num', {
-            num: typeof classObj.level === 'number'
-              ? localizeNumber(classObj.level, i18n.language)
-              : classObj.level === "ielts"
-                ? "IELTS" : toTitleCase(classObj.level),
-            ns: 'levels'
-          })}
+        <h3 className={`font-extrabold text-left ${isOpen ? "text-dark-blue-800" : "text-neutral-500"}`}>
+          {classTitle(classObj)}
         </h3>
         <p className='text-neutral-600'>
           {classObj.ageGroup === "all"
@@ -49,7 +49,7 @@ const Class = ({ classObj, modes = ["enroll"], editURL = "", isSimplified }) =>
             : t(`${classObj.ageGroup}_class`)}
         </p>
       </div>
-      <p className={`sm:text-lg ${classObj.isEnrollmentOpen ? "text-black" : "text-neutral-500"}`}>
+      <p className={`sm:text-lg ${isOpen ? "text-black" : "text-neutral-500"}`}>
         {t('taught_by_name', { name: classObj.instructor })}
       </p>
     </div>
@@ -73,34 +73,9 @@ const Class = ({ classObj, modes = ["enroll"], editURL = "", isSimplified }) =>
         <IoCalendarOutline className="text-xl row-start-2" />
 
         {classObj.schedule.map((schedule, index) => {
-          const convertedStartTimeEST = schedule?.startTime
-            ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "America/New_York")
-            : { time: '', day: '' };
-          const convertedEndTimeEST = schedule?.endTime
-            ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "America/New_York")
-            : { time: '', day: '' };
-          const convertedStartTimeIST = schedule?.startTime
-            ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "Europe/Istanbul")
-            : { time: '', day: '' };
-          const convertedEndTimeIST = schedule?.endTime
-            ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "Europe/Istanbul")
-            : { time: '', day: '' };
-
           return (
             <React.Fragment key={index}>
-              <div className='row-start-1 w-max'>
-                {/* EST Time */}
-                <p className='w-full'>
-                  {to12HourFormat(convertedStartTimeEST.time)}-{to12HourFormat(convertedEndTimeEST.time)} (EST)
-                </p>
-                {/* Istanbul Times */}
-                <p className='w-full'>
-                  {convertedStartTimeIST.time}-{convertedEndTimeIST.time} (Istanbul)
-                </p>
-              </div>
-              <p className="row-start-2 w-max">
-                {t(convertedStartTimeEST.day.toLowerCase())} (EST) | {t(convertedStartTimeIST.day.toLowerCase())} (Istanbul)
-              </p>
+              <SlotTimes slot={schedule} />
 
               {/* Divider */}
               {index !== classObj.schedule.length - 1 && <div className="row-span-full h-full border-[1px]"></div>}
@@ -112,6 +87,8 @@ const Class = ({ classObj, modes = ["enroll"], editURL = "", isSimplified }) =>
         <p className="text-xs italic text-neutral-400 mb-4">Scroll to see more times →</p>
       )}
 
+      {modes.includes("enroll") && <EnrollmentWindowNote classObj={classObj} className="mb-3" />}
+
       <div className="flex gap-3">
         {modes.includes("enroll") && (
           <EnrollButton classObj={classObj} isEnroll={true} />
@@ -1,7 +1,8 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { IoTimeOutline, IoCalendarOutline } from "react-icons/io5";
 import Button from '@/components/Button/Button';
-import { convertTime, to12HourFormat } from '@/utils/time-utils';
+import EnrollmentWindowNote from '@/components/Class/EnrollmentWindowNote';
+import SlotTimes from '@/components/Class/SlotTimes';
 
 const Class = ({ classObj }) => {
   const [showScrollHint, setShowScrollHint] = useState(false);
@@ -40,34 +41,9 @@ const Class = ({ classObj }) => {
         <IoCalendarOutline className="text-xl row-start-2" />
 
         {classObj.schedule.map((schedule, index) => {
-          const convertedStartTimeEST = schedule?.startTime
-            ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "America/New_York")
-            : { time: '', day: '' };
-          const convertedEndTimeEST = schedule?.endTime
-            ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "America/New_York")
-            : { time: '', day: '' };
-          const convertedStartTimeIST = schedule?.startTime
-            ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "Europe/Istanbul")
-            : { time: '', day: '' };
-          const convertedEndTimeIST = schedule?.endTime
-            ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "Europe/Istanbul")
-            : { time: '', day: '' };
-
           return (
             <React.Fragment key={index}>
-              <div className='row-start-1 w-max'>
-                {/* EST Time */}
-                <p className='w-full'>
-                  {to12HourFormat(convertedStartTimeEST.time)}-{to12HourFormat(convertedEndTimeEST.time)} (EST)
-                </p>
-                {/* Istanbul Times */}
-                <p className='w-full'>
-                  {convertedStartTimeIST.time}-{convertedEndTimeIST.time} (Istanbul)
-                </p>
-              </div>
-              <p className="row-start-2 w-max">
-                {convertedStartTimeEST.day} (EST) | {convertedStartTimeIST.day} (Istanbul)
-              </p>
+              <SlotTimes slot={schedule} />
 
               {/* Divider */}
               {index !== classObj.schedule.length - 1 && <div className="row-span-full h-full border-[1px]"></div>}
@@ -79,6 +55,7 @@ const Class = ({ classObj }) => {
         <p className="text-xs italic text-neutral-400 mb-4">Scroll to see more times →</p>
       )}
 
+      <EnrollmentWindowNote classObj={classObj} className="mb-3" />
       <Button label="Enroll" />
     </div>
   );
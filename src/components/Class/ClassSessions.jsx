@@ -0,0 +1,231 @@
+import { useEffect, useState } from "react";
+import { IoCalendarOutline } from "react-icons/io5";
+import Button from '@/components/Button/Button';
+import FormInput from '@/components/Form/FormInput';
+import Overlay from '@/components/Overlay';
+import SkeletonUser from "@/components/Skeletons/SkeletonUser";
+import { useDateTimeFormatter } from '@/hooks/useTimezones';
+import { toDateTimeLocal, fromDateTimeLocal } from '@/utils/time-utils';
+import { getClassSessions, changeClassSession, recordSessionAttendance } from '@/wrappers/class-wrapper';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAST_DAYS = 14;
+const UPCOMING_DAYS = 60;
+const ATTENDANCE_STATUSES = ["present", "absent", "late", "excused"];
+
+const isMoved = (session) => session.startsAt !== session.scheduledStart;
+
+// Asks why a session is cancelled or moved and, when moving it, its new times
+// (datetime-local inputs in the browser's time zone).
+const SessionChangePopup = ({ session, action, onConfirm, onClose }) => {
+  const formatDateTime = useDateTimeFormatter();
+  const [reason, setReason] = useState("");
+  const [startsAt, setStartsAt] = useState(toDateTimeLocal(session.startsAt));
+  const [endsAt, setEndsAt] = useState(toDateTimeLocal(session.endsAt));
+
+  return (
+    <Overlay width={'w-full max-w-lg'}>
+      <form
+        className="flex flex-col gap-y-4 py-3 px-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onConfirm({ action, reason, startsAt: fromDateTimeLocal(startsAt), endsAt: fromDateTimeLocal(endsAt) });
+        }}>
+        <h3 className="font-extrabold">
+          {action === "cancel" ? "Cancel" : "Move"} the {formatDateTime(session.scheduledStart)} session?
+        </h3>
+        {action === "reschedule" && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <div>
+              <label>Starts</label>
+              <FormInput type="datetime-local" name="startsAt" value={startsAt} onChange={(e) => setStartsAt(e.target.value)} isRequired={true} />
+            </div>
+            <div>
+              <label>Ends</label>
+              <FormInput type="datetime-local" name="endsAt" value={endsAt} onChange={(e) => setEndsAt(e.target.value)} isRequired={true} />
+            </div>
+          </div>
+        )}
+        <div className="w-full">
+          <label>Reason (shown to students)</label>
+          <FormInput
+            type="textarea"
+            name="reason"
+            placeholder="e.g. The instructor is ill"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            isRequired={true}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-x-2">
+          <Button label="Back" isOutline={true} onClick={onClose} />
+          <Button label={action === "cancel" ? "Cancel session" : "Move session"} type="submit" />
+        </div>
+      </form>
+    </Overlay>
+  )
+}
+
+// Who came to a session, and the instructor's notes on it.
+const AttendancePopup = ({ session, students, onConfirm, onClose }) => {
+  const formatDateTime = useDateTimeFormatter();
+  const [statuses, setStatuses] = useState(
+    Object.fromEntries((session.attendance || []).map(({ student, status }) => [student, status]))
+  );
+  const [notes, setNotes] = useState(session.notes || "");
+
+  return (
+    <Overlay width={'w-full max-w-lg'}>
+      <form
+        className="flex flex-col gap-y-4 py-3 px-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onConfirm({
+            attendance: Object.entries(statuses).filter(([, status]) => status).map(([student, status]) => ({ student, status })),
+            notes,
+          });
+        }}>
+        <h3 className="font-extrabold">Attendance for {formatDateTime(session.startsAt)}</h3>
+        <ul className="space-y-2 max-h-72 overflow-y-auto">
+          {students.map(student => (
+            <li key={student._id} className="flex items-center justify-between gap-x-3">
+              <span>{student.firstName} {student.lastName}</span>
+              <select
+                value={statuses[student._id] || ""}
+                onChange={(e) => setStatuses(prev => ({ ...prev, [student._id]: e.target.value }))}
+                className="py-1 px-2 border border-gray-400 rounded-sm"
+              >
+                <option value="">Not taken</option>
+                {ATTENDANCE_STATUSES.map(status => (
+                  <option key={status} value={status}>{status[0].toUpperCase() + status.slice(1)}</option>
+                ))}
+              </select>
+            </li>
+          ))}
+        </ul>
+        <div className="w-full">
+          <label>Notes</label>
+          <FormInput
+            type="textarea"
+            name="notes"
+            placeholder="e.g. Covered unit 4; homework is exercise 2"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            isRequired={false}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-x-2">
+          <Button label="Back" isOutline={true} onClick={onClose} />
+          <Button label="Save" type="submit" />
+        </div>
+      </form>
+    </Overlay>
+  )
+}
+
+// A class's sessions from two weeks ago to two months ahead. Sessions that have not
+// started can be cancelled, moved or restored (unless `readOnly`, e.g. once the term has
+// ended); ones that have started take attendance and notes for the `students` on the roster.
+const ClassSessions = ({ classId, students = [], readOnly = false, onError }) => {
+  const formatDateTime = useDateTimeFormatter();
+  const [sessions, setSessions] = useState(null);
+  const [changing, setChanging] = useState(null); // { session, action }
+  const [taking, setTaking] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchSessions = async () => {
+    try {
+      const now = Date.now();
+      setSessions(await getClassSessions({
+        classIds: [classId],
+        from: new Date(now - PAST_DAYS * DAY_MS),
+        to: new Date(now + UPCOMING_DAYS * DAY_MS),
+      }));
+    } catch (error) {
+      console.error('Error fetching class sessions:', error);
+      onError?.("Error loading sessions");
+    }
+  };
+
+  useEffect(() => {
+    if (classId) fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [classId]);
+
+  const save = async (request) => {
+    try {
+      setIsSaving(true);
+      const updated = await request();
+      setSessions(prev => prev
+        .map(session => session._id === updated._id ? updated : session)
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt)));
+    } catch (error) {
+      console.error('Error saving session:', error);
+      onError?.(`Error: ${error.response?.data?.message || "Failed to update the session"}`);
+      await fetchSessions();
+    } finally {
+      setIsSaving(false);
+      setChanging(null);
+      setTaking(null);
+    }
+  };
+
+  const now = new Date();
+
+  return (
+    <div>
+      <h2 className="mb-2">Sessions</h2>
+      <div className="text-indigo-900 inline-flex gap-x-2 items-center mb-6">
+        <IoCalendarOutline />
+        <p>Times in your time zone · students see cancellations and moves with the reason</p>
+      </div>
+      {!sessions
+        ? <SkeletonUser count={1} />
+        : sessions.length === 0
+          ? <p className="text-gray-500">No sessions in the next {UPCOMING_DAYS} days. Sessions come from the class&apos;s schedule and term.</p>
+          : <ul className="space-y-2 w-full lg:w-2/3">
+            {sessions.map(session => {
+              const isCancelled = session.status === "cancelled";
+              const hasStarted = new Date(session.startsAt) <= now;
+              return (
+                <li key={session._id} className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                  <div className="flex-1 min-w-0">
+                    <p className={isCancelled || isMoved(session) ? "line-through text-gray-500" : ""}>
+                      {formatDateTime(session.scheduledStart)}
+                    </p>
+                    {isMoved(session) && !isCancelled && <p className="text-orange-600">Moved to {formatDateTime(session.startsAt)}</p>}
+                    {session.reason && <p className="text-sm text-gray-500">{session.reason}</p>}
+                  </div>
+                  {isCancelled && <span className="text-sm rounded-full px-3 py-1 bg-red-100 text-red-700">Cancelled</span>}
+                  {!readOnly && !hasStarted && !isCancelled &&
+                    <Button label="Cancel" isOutline isDisabled={isSaving} onClick={() => setChanging({ session, action: "cancel" })} />}
+                  {!readOnly && !hasStarted &&
+                    <Button label="Move" isOutline isDisabled={isSaving} onClick={() => setChanging({ session, action: "reschedule" })} />}
+                  {!readOnly && !hasStarted && (isCancelled || isMoved(session)) && <Button
+                    label="Restore"
+                    isDisabled={isSaving}
+                    onClick={() => save(() => changeClassSession(classId, session._id, { action: "restore" }))}
+                  />}
+                  {hasStarted && !isCancelled &&
+                    <Button label="Attendance" isOutline isDisabled={isSaving} onClick={() => setTaking(session)} />}
+                </li>
+              );
+            })}
+          </ul>}
+      {changing && <SessionChangePopup
+        session={changing.session}
+        action={changing.action}
+        onConfirm={(change) => save(() => changeClassSession(classId, changing.session._id, change))}
+        onClose={() => setChanging(null)}
+      />}
+      {taking && <AttendancePopup
+        session={taking}
+        students={students}
+        onConfirm={(record) => save(() => recordSessionAttendance(classId, taking._id, record))}
+        onClose={() => setTaking(null)}
+      />}
+    </div>
+  )
+}
+
+export default ClassSessions;
@@ -0,0 +1,87 @@
+import { useEffect, useState } from "react";
+import { Link } from 'wouter';
+import { IoArrowUp, IoArrowDown, IoHourglassOutline } from "react-icons/io5";
+import UserItem from "@/components/UserItem";
+import SkeletonUser from "@/components/Skeletons/SkeletonUser";
+import { getClassWaitlist, reorderClassWaitlist } from '@/wrappers/class-wrapper';
+
+// Ordered waitlist for a class, with up/down controls to change who is next in line.
+// `refreshKey` reloads the list (e.g. after a save that may have promoted students).
+const ClassWaitlist = ({ classId, refreshKey, onError }) => {
+  const [waitlist, setWaitlist] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchWaitlist = async () => {
+    try {
+      setWaitlist(await getClassWaitlist(classId));
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+      onError?.("Error loading the waitlist");
+    }
+  };
+
+  useEffect(() => {
+    if (classId) fetchWaitlist();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [classId, refreshKey]);
+
+  const move = async (index, offset) => {
+    const reordered = [...waitlist];
+    const [student] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, student);
+
+    try {
+      setIsSaving(true);
+      setWaitlist(reordered);
+      await reorderClassWaitlist(classId, reordered.map(s => s._id));
+    } catch (error) {
+      console.error('Error reordering waitlist:', error);
+      onError?.(`Error: ${error.response?.data?.message || "Failed to reorder the waitlist"}`);
+      await fetchWaitlist();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const arrowStyles = "p-2 rounded-sm hover:bg-[#ECF7FE] disabled:text-gray-300 disabled:hover:bg-transparent";
+
+  return (
+    <div>
+      <h2 className="mb-2">Waitlist</h2>
+      <div className="text-indigo-900 inline-flex gap-x-2 items-center mb-6">
+        <IoHourglassOutline />
+        <p>{waitlist ? waitlist.length : 0} waiting · first in line is enrolled when a seat opens</p>
+      </div>
+      {!waitlist
+        ? <SkeletonUser count={1} />
+        : <ol className="space-y-1 w-full lg:w-2/3">
+          {waitlist.map((student, index) => (
+            <li key={student._id} className="flex items-center gap-x-3">
+              <span className="w-6 text-right text-gray-500">{index + 1}.</span>
+              <Link href={`/admin/user/${encodeURIComponent(student._id)}`} className="flex-1 min-w-0">
+                <UserItem userData={student} privilege="admin" />
+              </Link>
+              <button
+                type="button"
+                aria-label="Move up"
+                className={arrowStyles}
+                disabled={isSaving || index === 0}
+                onClick={() => move(index, -1)}>
+                <IoArrowUp />
+              </button>
+              <button
+                type="button"
+                aria-label="Move down"
+                className={arrowStyles}
+                disabled={isSaving || index === waitlist.length - 1}
+                onClick={() => move(index, 1)}>
+                <IoArrowDown />
+              </button>
+            </li>
+          ))}
+        </ol>}
+    </div>
+  )
+}
+
+export default ClassWaitlist;
@@ -0,0 +1,40 @@
+import Button from '@/components/Button/Button';
+import useEnrollmentWindow from '@/hooks/useEnrollmentWindow';
+import { formatDateTime } from '@/utils/formatters';
+
+const OPTIONS = [
+  { value: null, label: "Follow schedule" },
+  { value: "open", label: "Force open" },
+  { value: "closed", label: "Force closed" },
+];
+
+// Current enrollment status of a saved class and the admin override: follow the
+// scheduled window, or force enrollment open or closed regardless of it.
+const EnrollmentOverride = ({ classObj, onChange }) => {
+  const { isOpen, opensAt, closesAt } = useEnrollmentWindow(classObj);
+  const current = classObj.enrollmentOverride || null;
+
+  const status = isOpen
+    ? closesAt ? `Enrollment open until ${formatDateTime(closesAt)}` : "Enrollment open"
+    : opensAt ? `Enrollment opens ${formatDateTime(opensAt)}` : "Enrollment closed";
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+      <div className="flex gap-x-2">
+        {OPTIONS.map(option => (
+          <Button
+            key={option.label}
+            label={option.label}
+            isOutline={current !== option.value}
+            onClick={() => current !== option.value && onChange(option.value)}
+          />
+        ))}
+      </div>
+      <p className={isOpen ? "text-green-700" : "text-neutral-500"}>
+        {status}{current && " (override)"}
+      </p>
+    </div>
+  )
+}
+
+export default EnrollmentOverride;
@@ -0,0 +1,116 @@
+import { useEffect, useState } from "react";
+import { Link } from 'wouter';
+import { IoMailUnreadOutline } from "react-icons/io5";
+import Button from '@/components/Button/Button';
+import FormInput from '@/components/Form/FormInput';
+import Overlay from '@/components/Overlay';
+import UserItem from "@/components/UserItem";
+import SkeletonUser from "@/components/Skeletons/SkeletonUser";
+import { getClassRequests, decideClassRequest } from '@/wrappers/class-wrapper';
+
+// Asks for an optional message to send with a declined request.
+const DeclinePopup = ({ student, onConfirm, onClose }) => {
+  const [note, setNote] = useState("");
+
+  return (
+    <Overlay width={'w-full max-w-lg'}>
+      <form
+        className="flex flex-col gap-y-4 py-3 px-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onConfirm(note);
+        }}>
+        <h3 className="font-extrabold">Decline {student.firstName}&apos;s request?</h3>
+        <div className="w-full">
+          <label>Message to the student (optional)</label>
+          <FormInput
+            type="textarea"
+            name="note"
+            placeholder="e.g. Please take the placement test first"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            isRequired={false}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-x-2">
+          <Button label="Cancel" isOutline={true} onClick={onClose} />
+          <Button label="Decline" type="submit" />
+        </div>
+      </form>
+    </Overlay>
+  )
+}
+
+// Pending enrollment requests for a class that requires approval, oldest first.
+// Approving enrolls the student (or waitlists them when the class is full) and
+// `onDecided` lets the page reload its roster. Admins get links to each student.
+const EnrollmentRequests = ({ classId, privilege = "admin", onDecided, onError }) => {
+  const [requests, setRequests] = useState(null);
+  const [declining, setDeclining] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchRequests = async () => {
+    try {
+      setRequests(await getClassRequests(classId));
+    } catch (error) {
+      console.error('Error fetching enrollment requests:', error);
+      onError?.("Error loading enrollment requests");
+    }
+  };
+
+  useEffect(() => {
+    if (classId) fetchRequests();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [classId]);
+
+  const decide = async (request, decision, note = "") => {
+    try {
+      setIsSaving(true);
+      await decideClassRequest(classId, request._id, decision, note);
+      setRequests(prev => prev.filter(r => r._id !== request._id));
+      await onDecided?.();
+    } catch (error) {
+      console.error('Error deciding enrollment request:', error);
+      onError?.(`Error: ${error.response?.data?.message || "Failed to update the request"}`);
+      await fetchRequests();
+    } finally {
+      setIsSaving(false);
+      setDeclining(null);
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="mb-2">Enrollment Requests</h2>
+      <div className="text-indigo-900 inline-flex gap-x-2 items-center mb-6">
+        <IoMailUnreadOutline />
+        <p>{requests ? requests.length : 0} waiting for approval · the student is emailed either way</p>
+      </div>
+      {!requests
+        ? <SkeletonUser count={1} />
+        : <ul className="space-y-1 w-full lg:w-2/3">
+          {requests.map(request => (
+            <li key={request._id} className="flex items-center gap-x-3">
+              {privilege === "admin"
+                ? <Link href={`/admin/user/${encodeURIComponent(request.student._id)}`} className="flex-1 min-w-0">
+                  <UserItem userData={request.student} privilege="admin" />
+                </Link>
+                : <div className="flex-1 min-w-0"><UserItem userData={request.student} /></div>}
+              <span className="text-sm text-gray-500 whitespace-nowrap">
+                {new Date(request.createdAt).toLocaleDateString()}
+              </span>
+              <Button label="Approve" isDisabled={isSaving} onClick={() => decide(request, "approve")} />
+              <Button label="Decline" isOutline isDisabled={isSaving} onClick={() => setDeclining(request)} />
+            </li>
+          ))}
+        </ul>}
+      {declining && <DeclinePopup
+        student={declining.student}
+        onConfirm={(note) => decide(declining, "decline", note)}
+        onClose={() => setDeclining(null)}
+      />}
+    </div>
+  )
+}
+
+export default EnrollmentRequests;
@@ -0,0 +1,56 @@
+import FormInput from '@/components/Form/FormInput';
+
+// Enrollment settings for a class edit form: opening and closing times, as
+// datetime-local strings in the admin's time zone (see toDateTimeLocal /
+// fromDateTimeLocal in time-utils), and whether requests need approval.
+// `onChange` receives input-like events ({ target: { name, value } }).
+const EnrollmentSettingsInputs = ({ opensAt, closesAt, approvalRequired, onChange }) => {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <div className="w-full space-y-3 mb-6">
+      <div className="grid grid-cols-2 gap-x-10 w-full">
+        <div className="space-y-3">
+          <label className="mx-1">Enrollment Opens</label>
+          <FormInput
+            type="datetime-local"
+            name="enrollmentOpensAt"
+            value={opensAt}
+            onChange={onChange}
+            isRequired={false}
+          />
+        </div>
+        <div className="space-y-3">
+          <label className="mx-1">Enrollment Closes</label>
+          <FormInput
+            type="datetime-local"
+            name="enrollmentClosesAt"
+            value={closesAt}
+            onChange={onChange}
+            isRequired={false}
+          />
+        </div>
+      </div>
+      <p className="italic text-blue-500">
+        Enter times in your time zone ({timeZone}). Leave empty to open right away or never close.
+      </p>
+      <label className="flex items-start gap-x-3 cursor-pointer mx-1">
+        <input
+          type="checkbox"
+          className="mt-1.5"
+          name="approvalRequired"
+          checked={Boolean(approvalRequired)}
+          onChange={(e) => onChange({ target: { name: e.target.name, value: e.target.checked } })}
+        />
+        <span>
+          <span className="block">Require approval</span>
+          <span className="block text-sm text-gray-600">
+            Students ask to join and the instructor or an admin approves or declines each request.
+          </span>
+        </span>
+      </label>
+    </div>
+  )
+}
+
+export default EnrollmentSettingsInputs;
@@ -0,0 +1,40 @@
+import { useTranslation } from "react-i18next";
+import { IoHourglassOutline } from "react-icons/io5";
+import useEnrollmentWindow from "@/hooks/useEnrollmentWindow";
+import { timeUntil } from "@/utils/enrollment-window";
+import { formatCountdown, formatDateTime } from "@/utils/formatters";
+
+// Within this long of an opening or closing, show a countdown instead of the date
+const COUNTDOWN_MS = 3 * 24 * 60 * 60 * 1000;
+
+// "Enrollment opens in 2d 5h" / "Enrollment closes on Oct 30, 2026, 5:00 PM", in the
+// reader's language and time zone. Nothing when no opening or closing is scheduled.
+const EnrollmentWindowNote = ({ classObj, className = "" }) => {
+  const { t, i18n } = useTranslation();
+  const { opensAt, closesAt, now } = useEnrollmentWindow(classObj);
+
+  const next = opensAt || closesAt;
+  if (!next) return null;
+
+  const isSoon = next - now < COUNTDOWN_MS;
+  const options = isSoon
+    ? { time: formatCountdown(timeUntil(next, now), i18n.language) }
+    : { date: formatDateTime(next, i18n.language) };
+
+  const text = opensAt
+    ? isSoon
+      ? t('enrollment_opens_in', { ...options, defaultValue: 'Enrollment opens in {{time}}' })
+      : t('enrollment_opens_on', { ...options, defaultValue: 'Enrollment opens on {{date}}' })
+    : isSoon
+      ? t('enrollment_closes_in', { ...options, defaultValue: 'Enrollment closes in {{time}}' })
+      : t('enrollment_closes_on', { ...options, defaultValue: 'Enrollment closes on {{date}}' });
+
+  return (
+    <p className={`text-sm text-indigo-900 inline-flex gap-x-2 items-center ${className}`}>
+      <IoHourglassOutline className="shrink-0" />
+      {text}
+    </p>
+  );
+};
+
+export default EnrollmentWindowNote;
@@ -1,13 +1,43 @@
-import { IoChevronForward, IoChevronBack } from "react-icons/io5";
+import { IoChevronForward, IoChevronBack, IoLockClosedOutline, IoLockOpenOutline, IoStar } from "react-icons/io5";
 import { interpolateHsl } from 'd3-interpolate';
 import { useTranslation } from "react-i18next";
 import { localizeNumber } from "@/utils/formatters";
 
-const Level = ({ level, isSimplified, isArrowRight, numLevels }) => {
+// lockState ("locked" | "unlocked") is set for students on levels with prerequisites.
+const LockBadge = ({ lockState }) => {
+  const { t } = useTranslation();
+  if (!lockState) return null;
+  const isLocked = lockState === "locked";
+  return (
+    <span
+      className={`inline-flex items-center gap-x-1 text-sm ${isLocked ? "text-neutral-500" : "text-green-700"}`}
+      title={isLocked ? t('locked', { defaultValue: 'Locked' }) : t('unlocked', { defaultValue: 'Unlocked' })}>
+      {isLocked ? <IoLockClosedOutline /> : <IoLockOpenOutline />}
+      {isLocked ? t('locked', { defaultValue: 'Locked' }) : t('unlocked', { defaultValue: 'Unlocked' })}
+    </span>
+  )
+}
+
+// Marks the level a student's placement test recommended.
+const RecommendedBadge = () => {
+  const { t } = useTranslation();
+  return (
+    <span className="inline-flex items-center gap-x-1 text-sm text-amber-700">
+      <IoStar />
+      {t('recommended', { defaultValue: 'Recommended' })}
+    </span>
+  )
+}
+
+// Pass `program` instead of `level` for a tile standing for a program without levels.
+const Level = ({ level, program, isSimplified, isArrowRight, numLevels, lockState, isRecommended }) => {
   const hslInterpolator = interpolateHsl("#F7FBFD", "#1C5773");
-  const isString = typeof level.level === "string";
-  const levelColor = isString ? "#594BD2" : hslInterpolator(level.level / numLevels);
+  const levelColor = program ? "#594BD2" : hslInterpolator(level.level / numLevels);
   const { t, i18n } = useTranslation();
+  const title = program
+    ? program._id ? t(`program_name_${program._id}`, { ns: "levels", defaultValue: program.name }) : program.name
+    : t('level_num', { num: localizeNumber(level.level, i18n.language), ns: "levels" });
+  const subtitle = program ? "" : level._id ? t(`level_name_${level._id}`, { ns: "levels" }) : "";
 
   return isSimplified ? (
     <div className="h-full shadow-shadow hover:shadow-shadow-hover transition-shadow rounded-2xl">
@@ -15,10 +45,10 @@ const Level = ({ level, isSimplified, isArrowRight, numLevels }) => {
         className={`h-full py-8 px-7 flex ${isArrowRight ? "" : "flex-row-reverse"} gap-x-3 items-center justify-between bg-white rounded-2xl overflow-hidden transition-shadow`}
         style={{ boxShadow: isArrowRight ? `inset -0.5em 0 ${levelColor}` : `inset 0.5em 0 ${levelColor}` }}>
         <div className={`w-full flex flex-col ${isArrowRight ? "sm:flex-row-reverse" : "sm:flex-row"} sm:justify-between sm:items-center`}>
-          <h3 className="font-extrabold text-dark-blue-800">
-            {isString ? t(`${level.level}_level`) : t('level_num', { num: localizeNumber(level.level, i18n.language), ns: "levels" })}
-          </h3>
-          <p className="text-neutral-600">{level._id ? t(`level_name_${level._id}`, { ns: "levels" }) : ""}</p>
+          <h3 className="font-extrabold text-dark-blue-800">{title}</h3>
+          <p className="text-neutral-600">{subtitle}</p>
+          <LockBadge lockState={lockState} />
+          {isRecommended && <RecommendedBadge />}
         </div>
         {isArrowRight ? <IoChevronForward className="text-2xl text-[#2F2F32]" /> : <IoChevronBack className="text-2xl text-[#2F2F32]" />}
       </div>
@@ -26,13 +56,15 @@ const Level = ({ level, isSimplified, isArrowRight, numLevels }) => {
   ) : (
     <div className="w-full h-full rounded-2xl shadow-shadow hover:shadow-shadow-hover transition-shadow grid grid-rows-2">
       <div
-        style={{ backgroundImage: `url('/images/${level.image ?? 'level_img_0.webp'}')` }}
+        style={{ backgroundImage: `url('/images/${(program || level).image ?? 'level_img_0.webp'}')` }}
         className={`bg-no-repeat bg-cover bg-center rounded-t-2xl`}></div>
       <div className="bg-white px-6 py-8 row-start-2 rounded-b-2xl space-y-1">
-        <h3 className='font-extrabold'>
-          {isString ? t(`${level.level}_level`) : t('level_num', { num: localizeNumber(level.level, i18n.language), ns: "levels" })}
-        </h3>
-        <p className="text-base sm:text-lg">{t(`level_name_${level._id}`, { ns: "levels" })}</p>
+        <h3 className='font-extrabold'>{title}</h3>
+        <p className="text-base sm:text-lg">{subtitle}</p>
+        <div className="flex flex-wrap gap-x-4">
+          <LockBadge lockState={lockState} />
+          {isRecommended && <RecommendedBadge />}
+        </div>
       </div>
     </div>
   )
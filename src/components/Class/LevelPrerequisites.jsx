@@ -0,0 +1,51 @@
+import { IoLockClosedOutline, IoLockOpenOutline } from "react-icons/io5";
+import { useTranslation } from "react-i18next";
+import { localizeNumber } from "@/utils/formatters";
+import { checkLevelAccess } from "@/utils/level-prerequisites";
+
+// What unlocks a level with prerequisites (any one of them), and for students
+// whether they have unlocked it. Renders nothing for levels open to everyone.
+const LevelPrerequisites = ({ level, student, className = "" }) => {
+  const { t, i18n } = useTranslation();
+  const rules = level?.prerequisites || [];
+  if (!rules.length) return null;
+
+  const num = (value) => localizeNumber(value, i18n.language);
+  const describe = (rule) => {
+    switch (rule.kind) {
+      case "completed_level":
+        return t('prereq_completed_level', { num: num(rule.level), defaultValue: 'Complete Level {{num}}' });
+      case "placement":
+        return t('prereq_placement', {
+          num: num(level.level),
+          defaultValue: 'Place into Level {{num}} or higher on the placement test',
+        });
+      default:
+        return t('prereq_admin_override', { defaultValue: 'Get permission from an administrator' });
+    }
+  };
+
+  const isStudent = student?.privilege === "student";
+  const { unlocked } = checkLevelAccess(level, student);
+
+  return (
+    <div className={`text-base ${className}`}>
+      {isStudent && <p className={`inline-flex items-center gap-x-2 font-semibold ${unlocked ? "text-green-700" : "text-red-600"}`}>
+        {unlocked ? <IoLockOpenOutline /> : <IoLockClosedOutline />}
+        {unlocked
+          ? t('level_unlocked_desc', { defaultValue: 'You have unlocked this level.' })
+          : t('level_locked_desc', { defaultValue: 'This level is locked for you.' })}
+      </p>}
+      <p className="text-neutral-600">
+        {rules.length > 1
+          ? t('level_prereqs_any', { defaultValue: 'To join its classes, do one of the following:' })
+          : t('level_prereqs_one', { defaultValue: 'To join its classes:' })}
+      </p>
+      <ul className="list-disc ps-5 text-neutral-600">
+        {rules.map((rule, index) => <li key={index}>{describe(rule)}</li>)}
+      </ul>
+    </div>
+  )
+}
+
+export default LevelPrerequisites;
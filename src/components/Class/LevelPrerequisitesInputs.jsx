@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import FormInput from '@/components/Form/FormInput';
+
+const parseLevels = (text) =>
+  [...new Set(text.split(',').map(s => s.trim()).filter(s => s !== '').map(Number).filter(n => !isNaN(n)))];
+
+// Prerequisites for a level edit form (see src/utils/level-prerequisites.js). Each
+// checked option is an alternative way in; `onChange` receives the new
+// prerequisites array. Admin overrides on a student's page always unlock the level.
+const LevelPrerequisitesInputs = ({ prerequisites, onChange }) => {
+  const completed = prerequisites.filter(rule => rule.kind === "completed_level");
+  const [completedInput, setCompletedInput] = useState(completed.map(rule => rule.level).join(', '));
+  const [requireCompleted, setRequireCompleted] = useState(completed.length > 0);
+  const has = (kind) => prerequisites.some(rule => rule.kind === kind);
+
+  const update = ({ completedLevels, placement, adminOnly }) => {
+    onChange([
+      ...completedLevels.map(level => ({ kind: "completed_level", level })),
+      ...(placement ? [{ kind: "placement" }] : []),
+      ...(adminOnly ? [{ kind: "admin_override" }] : []),
+    ]);
+  };
+  const current = {
+    completedLevels: requireCompleted ? parseLevels(completedInput) : [],
+    placement: has("placement"),
+    adminOnly: has("admin_override"),
+  };
+
+  return (
+    <div className="space-y-3">
+      <label>Prerequisites</label>
+      <p className="text-sm text-gray-600">
+        Students need any one of the checked options to join this level&apos;s classes. Leave all unchecked to open
+        the level to everyone.
+      </p>
+      <label className="flex items-start gap-x-3 cursor-pointer">
+        <input
+          type="checkbox"
+          className="mt-1.5"
+          checked={requireCompleted}
+          onChange={(e) => {
+            setRequireCompleted(e.target.checked);
+            update({ ...current, completedLevels: e.target.checked ? parseLevels(completedInput) : [] });
+          }}
+        />
+        <span className="flex-1 space-y-2">
+          <span className="block">Completed level</span>
+          {requireCompleted && <FormInput
+            type="text"
+            name="completedLevels"
+            placeholder="Ex. 2 (separate several levels with commas)"
+            value={completedInput}
+            onChange={(e) => {
+              setCompletedInput(e.target.value);
+              update({ ...current, completedLevels: parseLevels(e.target.value) });
+            }}
+            isRequired={false}
+          />}
+        </span>
+      </label>
+      <label className="flex items-start gap-x-3 cursor-pointer">
+        <input
+          type="checkbox"
+          className="mt-1.5"
+          checked={current.placement}
+          onChange={(e) => update({ ...current, placement: e.target.checked })}
+        />
+        <span>Placement test result at this level or higher</span>
+      </label>
+      <label className="flex items-start gap-x-3 cursor-pointer">
+        <input
+          type="checkbox"
+          className="mt-1.5"
+          checked={current.adminOnly}
+          onChange={(e) => update({ ...current, adminOnly: e.target.checked })}
+        />
+        <span>
+          <span className="block">Admin override</span>
+          <span className="block text-sm text-gray-600">
+            An admin unlocks the level for each student on their user page.
+          </span>
+        </span>
+      </label>
+    </div>
+  )
+}
+
+export default LevelPrerequisitesInputs;
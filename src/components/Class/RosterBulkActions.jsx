@@ -0,0 +1,198 @@
+import { useEffect, useState } from "react";
+import Button from "@/components/Button/Button";
+import FormInput from "@/components/Form/FormInput";
+import Overlay from "@/components/Overlay";
+import { getAllClasses, changeRoster } from '@/wrappers/class-wrapper';
+import { formatClassLabel, toTitleCase } from '@/utils/formatters';
+import usePrograms from '@/hooks/usePrograms';
+
+const ACTIONS = {
+  transfer: { label: "Transfer to Class", verb: "Transfer", done: "transferred" },
+  add: { label: "Add to Class", verb: "Add", done: "added" },
+  remove: { label: "Remove from Class", verb: "Remove", done: "removed" },
+};
+
+const studentName = (student) => `${toTitleCase(student.firstName || "")} ${toTitleCase(student.lastName || "")}`.trim();
+
+// Form for one bulk action, then the server's per-student report.
+// Without `fromClass`, the class to leave is picked from the selected students' classes.
+// `onClose` gets whether the change was applied.
+const RosterChangePopup = ({ action, students, fromClass, onClose }) => {
+  const programs = usePrograms();
+  const [classes, setClasses] = useState([]);
+  const [fromClassId, setFromClassId] = useState(fromClass?._id || "");
+  const [toClassId, setToClassId] = useState("");
+  const [reason, setReason] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [report, setReport] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const leaving = action !== "add";
+  const joining = action !== "remove";
+
+  useEffect(() => {
+    if (!joining) return;
+    getAllClasses()
+      .then(setClasses)
+      .catch((error) => console.error('Error fetching classes:', error));
+  }, [joining]);
+
+  // Classes the selected students are in, each once
+  const sourceClasses = fromClass
+    ? [fromClass]
+    : [...new Map(students.flatMap((s) => s.enrolledClasses || []).map((cls) => [cls._id, cls])).values()];
+  const targets = classes.filter((cls) => cls._id !== fromClassId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      setErrorMessage("");
+      const result = await changeRoster({
+        action,
+        students: students.map((s) => s._id),
+        fromClassId: leaving ? fromClassId : null,
+        toClassId: joining ? toClassId : null,
+        reason,
+      });
+      setReport(result);
+    } catch (error) {
+      console.error('Error changing roster:', error);
+      setErrorMessage(error.response?.data?.message || "Failed to change the roster");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (report) {
+    const failed = report.results.filter((r) => !r.ok);
+    const waitlisted = report.results.filter((r) => r.status === "waitlisted");
+    return (
+      <Overlay width="w-full max-w-xl">
+        <div className="space-y-5">
+          <h3 className="font-extrabold">{ACTIONS[action].label}</h3>
+          <p>
+            {report.applied
+              ? `${report.results.length - waitlisted.length} student(s) ${ACTIONS[action].done}${
+                waitlisted.length ? `; the class is full, so ${waitlisted.length} joined the waitlist` : ""}.`
+              : `Nothing was changed: ${failed.length} of ${report.results.length} student(s) could not be ${ACTIONS[action].done}.`}
+          </p>
+          <ul className="space-y-2 overflow-y-auto max-h-[40vh] text-sm">
+            {report.results.map((result) => (
+              <li key={result.user._id} className="border-b border-gray-100 pb-2">
+                <span className="font-semibold">{result.user.label || result.user._id}</span>
+                <span className={`block ${result.ok ? "text-gray-500" : "text-red-600"}`}>
+                  {!result.ok
+                    ? result.message
+                    : result.status === "waitlisted"
+                      ? `${report.applied ? "On" : "Goes on"} the waitlist${result.position ? ` (#${result.position})` : ""}`
+                      : report.applied ? "Done" : "Ready"}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <Button label="Close" isOutline={true} onClick={() => onClose(report.applied)} />
+        </div>
+      </Overlay>
+    );
+  }
+
+  return (
+    <Overlay width="w-full max-w-xl">
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <div className="space-y-1">
+          <h3 className="font-extrabold">{ACTIONS[action].label}</h3>
+          <p className="text-sm text-gray-600">
+            {students.length} student(s): {students.map(studentName).join(", ")}
+          </p>
+          <p className="text-sm text-gray-600">
+            Either every student is changed or none are.
+            {action === "add" && " Students who do not fit in the class join its waitlist."}
+          </p>
+        </div>
+        {leaving && !fromClass && <div className="flex flex-col">
+          <label htmlFor="fromClassId">From class</label>
+          <select
+            id="fromClassId"
+            className="border border-gray-400 rounded-sm px-4 py-3"
+            value={fromClassId}
+            onChange={(e) => setFromClassId(e.target.value)}
+            required
+          >
+            <option value="" disabled>Select a class</option>
+            {sourceClasses.map((cls) => (
+              <option key={cls._id} value={cls._id}>{formatClassLabel(cls, programs)}</option>
+            ))}
+          </select>
+        </div>}
+        {leaving && fromClass && <p>From: {formatClassLabel(fromClass, programs)}</p>}
+        {joining && <div className="flex flex-col">
+          <label htmlFor="toClassId">{leaving ? "To class" : "Class"}</label>
+          <select
+            id="toClassId"
+            className="border border-gray-400 rounded-sm px-4 py-3"
+            value={toClassId}
+            onChange={(e) => setToClassId(e.target.value)}
+            required
+          >
+            <option value="" disabled>Select a class</option>
+            {targets.map((cls) => (
+              <option key={cls._id} value={cls._id}>{formatClassLabel(cls, programs)}</option>
+            ))}
+          </select>
+        </div>}
+        <div>
+          <label>Reason (optional)</label>
+          <FormInput
+            type="text"
+            name="reason"
+            placeholder="Ex. Section split"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            isRequired={false}
+          />
+        </div>
+        {errorMessage && <p className="text-red-500">{errorMessage}</p>}
+        <div className="flex gap-x-2">
+          <Button
+            label={isSaving ? "Saving..." : `${ACTIONS[action].verb} ${students.length}`}
+            type="submit"
+            isDisabled={isSaving} />
+          <Button label="Cancel" isOutline={true} onClick={() => onClose(false)} />
+        </div>
+      </form>
+    </Overlay>
+  );
+};
+
+// Bar of bulk actions for the students selected in a roster list.
+// `fromClass` is the class whose roster is shown (EditClass); `onDone` runs after a
+// change was applied, to clear the selection and reload the list.
+const RosterBulkActions = ({ students, fromClass, onClear, onDone }) => {
+  const [action, setAction] = useState(null);
+
+  if (students.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 border border-gray-200 rounded-sm bg-gray-50 px-4 py-3">
+      <p className="grow">{students.length} selected</p>
+      {Object.entries(ACTIONS).map(([key, { label }]) => (
+        <Button key={key} label={label} isOutline={key !== "transfer"} onClick={() => setAction(key)} />
+      ))}
+      <button type="button" className="text-blue-500 hover:underline px-2" onClick={onClear}>
+        Clear
+      </button>
+      {action && <RosterChangePopup
+        action={action}
+        students={students}
+        fromClass={fromClass}
+        onClose={(applied) => {
+          setAction(null);
+          if (applied) onDone();
+        }}
+      />}
+    </div>
+  );
+};
+
+export default RosterBulkActions;
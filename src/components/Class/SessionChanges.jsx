@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import useClassTitle from '@/hooks/useClassTitle';
+import { useDateTimeFormatter } from '@/hooks/useTimezones';
+import { getClassSessions } from '@/wrappers/class-wrapper';
+
+const UPCOMING_DAYS = 30;
+
+// Upcoming sessions of `classes` that were cancelled or moved, with the reason given.
+// Renders nothing when every session meets as scheduled.
+const SessionChanges = ({ classes }) => {
+  const { t } = useTranslation();
+  const classTitle = useClassTitle();
+  const formatDateTime = useDateTimeFormatter();
+  const [sessions, setSessions] = useState([]);
+
+  const classIds = classes.map(cls => cls._id).join(',');
+  useEffect(() => {
+    if (!classIds) {
+      setSessions([]);
+      return;
+    }
+    const now = new Date();
+    getClassSessions({ classIds: classIds.split(','), from: now, to: new Date(now.getTime() + UPCOMING_DAYS * 24 * 60 * 60 * 1000) })
+      .then((all) => setSessions(all.filter(session => session.status === 'cancelled' || session.startsAt !== session.scheduledStart)))
+      .catch(() => setSessions([]));
+  }, [classIds]);
+
+  if (!sessions.length) return null;
+
+  return (
+    <ul className='space-y-3 w-full lg:w-2/3 mb-8'>
+      {sessions.map((session) => {
+        const cls = classes.find(c => c._id === session.class);
+        const isCancelled = session.status === 'cancelled';
+        return (
+          <li key={session._id} className='flex flex-wrap items-center gap-x-4 gap-y-2 shadow-shadow rounded-2xl py-4 px-6'>
+            <div className='grow'>
+              <p className='font-extrabold text-dark-blue-800'>{cls ? classTitle(cls) : ''}</p>
+              <p className='text-sm'>
+                {isCancelled
+                  ? t('session_cancelled_on', { defaultValue: 'No class on {{time}}', time: formatDateTime(session.scheduledStart) })
+                  : t('session_moved_from_to', {
+                    defaultValue: 'The {{from}} class is moved to {{to}}',
+                    from: formatDateTime(session.scheduledStart),
+                    to: formatDateTime(session.startsAt),
+                  })}
+              </p>
+              {session.reason && <p className='text-sm text-neutral-500'>{session.reason}</p>}
+            </div>
+            <span className={`text-sm rounded-full px-3 py-1 ${isCancelled ? 'bg-red-100 text-red-700' : 'bg-orange-100 text-orange-700'}`}>
+              {isCancelled
+                ? t('session_status_cancelled', { defaultValue: 'Cancelled' })
+                : t('session_status_moved', { defaultValue: 'Moved' })}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default SessionChanges;
@@ -0,0 +1,26 @@
+import useTimezones, { useSlotFormatter } from '@/hooks/useTimezones';
+
+// One schedule slot on a class card: its times on the first grid row and its day on the
+// second, in the viewer's time zone and, when they picked one, their second zone.
+const SlotTimes = ({ slot }) => {
+  const { primary, secondary } = useTimezones();
+  const formatSlot = useSlotFormatter();
+  const times = [primary, secondary].filter(Boolean).map((zone) => formatSlot(slot, zone)).filter(Boolean);
+
+  return (
+    <>
+      <div className='row-start-1 w-max'>
+        {times.map((time, index) => (
+          <p key={index} className='w-full'>{time.time} ({time.zoneName})</p>
+        ))}
+      </div>
+      <p className="row-start-2 w-max">
+        {times.length > 1 && times[0].day !== times[1].day
+          ? times.map((time) => `${time.dayName} (${time.zoneName})`).join(' | ')
+          : times[0]?.dayName}
+      </p>
+    </>
+  )
+}
+
+export default SlotTimes;
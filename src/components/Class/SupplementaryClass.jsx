@@ -1,8 +1,9 @@
 import React, { useEffect, useRef, useState } from 'react';
 import EditButton from '@/components/Button/EditButton';
 import EnrollButton from '@/components/Button/EnrollButton'
+import EnrollmentWindowNote from '@/components/Class/EnrollmentWindowNote';
 import { useTranslation } from "react-i18next";
-import { convertTime, to12HourFormat } from '@/utils/time-utils';
+import SlotTimes from '@/components/Class/SlotTimes';
 import { IoTimeOutline, IoCalendarOutline } from "react-icons/io5";
 
 // possible modes: enroll, unenroll, or edit
@@ -39,34 +40,9 @@ const SupplementaryClass = ({ cls, modes = ["enroll"], editURL = "" }) => {
           <IoCalendarOutline className="text-xl row-start-2" />
 
           {cls.schedule.map((schedule, index) => {
-            const convertedStartTimeEST = schedule?.startTime
-              ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "America/New_York")
-              : { time: '' };
-            const convertedEndTimeEST = schedule?.endTime
-              ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "America/New_York")
-              : { time: '' };
-            const convertedStartTimeIST = schedule?.startTime
-              ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "Europe/Istanbul")
-              : { time: '' };
-            const convertedEndTimeIST = schedule?.endTime
-              ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "Europe/Istanbul")
-              : { time: '' };
-
             return (
               <React.Fragment key={index}>
-                <div className='row-start-1 w-max'>
-                  {/* EST Time */}
-                  <p className='w-full'>
-                    {to12HourFormat(convertedStartTimeEST.time)}-{to12HourFormat(convertedEndTimeEST.time)} (EST)
-                  </p>
-                  {/* Istanbul Times */}
-                  <p className='w-full'>
-                    {convertedStartTimeIST.time}-{convertedEndTimeIST.time} (Istanbul)
-                  </p>
-                </div>
-                <p className="row-start-2 w-max">
-                  {t(convertedStartTimeEST.day.toLowerCase())} (EST) | {t(convertedStartTimeIST.day.toLowerCase())} (Istanbul)
-                </p>
+                <SlotTimes slot={schedule} />
 
                 {/* Divider */}
                 {index !== cls.schedule.length - 1 && <div className="row-span-full h-full border-[1px]"></div>}
@@ -77,6 +53,7 @@ const SupplementaryClass = ({ cls, modes = ["enroll"], editURL = "" }) => {
         {showScrollHint && (
           <p className="text-xs italic text-neutral-400 mb-4">Scroll to see more times →</p>
         )}
+        {modes.includes("enroll") && <EnrollmentWindowNote classObj={cls} />}
       </div>
       <div className='flex gap-3 mb-4 ml-5'>
         {modes.includes("edit") && <EditButton classId={cls._id} editURL={editURL} />}
@@ -1,7 +1,8 @@
 import React, { useEffect, useRef, useState } from 'react';
 import Button from '@/components/Button/Button';
+import EnrollmentWindowNote from '@/components/Class/EnrollmentWindowNote';
 import { IoTimeOutline, IoCalendarOutline } from "react-icons/io5";
-import { convertTime, to12HourFormat } from '@/utils/time-utils';
+import SlotTimes from '@/components/Class/SlotTimes';
 
 // possible modes: enroll, unenroll, or edit
 const SupplementaryClass = ({ cls }) => {
@@ -36,34 +37,9 @@ const SupplementaryClass = ({ cls }) => {
           <IoCalendarOutline className="text-xl row-start-2" />
 
           {cls.schedule.map((schedule, index) => {
-            const convertedStartTimeEST = schedule?.startTime
-              ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "America/New_York")
-              : { time: '' };
-            const convertedEndTimeEST = schedule?.endTime
-              ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "America/New_York")
-              : { time: '' };
-            const convertedStartTimeIST = schedule?.startTime
-              ? convertTime(schedule.day, schedule.startTime, "Etc/UTC", "Europe/Istanbul")
-              : { time: '' };
-            const convertedEndTimeIST = schedule?.endTime
-              ? convertTime(schedule.day, schedule.endTime, "Etc/UTC", "Europe/Istanbul")
-              : { time: '' };
-
             return (
               <React.Fragment key={index}>
-                <div className='row-start-1 w-max'>
-                  {/* EST Time */}
-                  <p className='w-full'>
-                    {to12HourFormat(convertedStartTimeEST.time)}-{to12HourFormat(convertedEndTimeEST.time)} (EST)
-                  </p>
-                  {/* Istanbul Times */}
-                  <p className='w-full'>
-                    {convertedStartTimeIST.time}-{convertedEndTimeIST.time} (Istanbul)
-                  </p>
-                </div>
-                <p className="row-start-2 w-max">
-                  {convertedStartTimeEST.day} (EST) | {convertedStartTimeIST.day} (Istanbul)
-                </p>
+                <SlotTimes slot={schedule} />
 
                 {/* Divider */}
                 {index !== cls.schedule.length - 1 && <div className="row-span-full h-full border-[1px]"></div>}
@@ -74,6 +50,7 @@ const SupplementaryClass = ({ cls }) => {
         {showScrollHint && (
           <p className="text-xs italic text-neutral-400 mb-4">Scroll to see more times →</p>
         )}
+        <EnrollmentWindowNote classObj={cls} />
       </div>
       <div className="mb-4 ml-5"><Button label="Enroll" /></div>
     </div>
@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import Dropdown from '@/components/Dropdown/Dropdown';
+import { getAgeGroups } from '@/wrappers/age-group-wrapper';
+import { describeAgeRange } from '@/utils/age-groups';
+import { toTitleCase } from '@/utils/formatters';
+
+// Picks one of the age groups defined on the Age Groups admin page.
+// `onSelect` receives the group's name, which is what classes store.
+const AgeGroupDropdown = ({ selectedName, onSelect }) => {
+  const [groups, setGroups] = useState([]);
+
+  useEffect(() => {
+    getAgeGroups()
+      .then(setGroups)
+      .catch((error) => console.error('Error fetching age groups:', error));
+  }, []);
+
+  return (
+    <Dropdown
+      label={
+        <div>
+          <p className={`text-center w-full ${selectedName ? "" : "text-gray-500"}`}>
+            {selectedName ? toTitleCase(selectedName) : "Select Age Group"}
+          </p>
+        </div>
+      }
+      buttonClassName="justify-between w-full text-base sm:text-lg py-3 px-4 border border-gray-400 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-300">
+      {groups.map((group) => (
+        <button
+          type='button'
+          key={group._id}
+          className={`
+            block w-full py-3 px-4 text-base sm:text-lg text-left
+            ${selectedName === group.name ? 'text-blue-500 bg-gray-50' : 'text-gray-700'}
+            hover:bg-gray-100`}
+          onClick={() => onSelect(group.name)}>
+          {toTitleCase(group.name)}
+          <span className="block text-sm text-gray-500">{toTitleCase(describeAgeRange(group))}</span>
+        </button>
+      ))}
+    </Dropdown>
+  )
+}
+
+export default AgeGroupDropdown;
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react';
+import Dropdown from '@/components/Dropdown/Dropdown';
+import { getInstructors } from '@/wrappers/user-wrapper';
+import { toTitleCase } from '@/utils/formatters';
+
+// Picks an instructor account. `onSelect` receives the instructor user object.
+// `fallbackName` is shown for classes not yet linked to an account.
+const InstructorDropdown = ({ selectedId, onSelect, fallbackName = "" }) => {
+  const [instructors, setInstructors] = useState([]);
+
+  useEffect(() => {
+    getInstructors()
+      .then(setInstructors)
+      .catch((error) => console.error('Error fetching instructors:', error));
+  }, []);
+
+  const fullName = (instructor) => `${toTitleCase(instructor.firstName)} ${toTitleCase(instructor.lastName)}`;
+  const selected = instructors.find((instructor) => instructor._id === selectedId);
+  let label = "Select Instructor";
+  if (selected) {
+    label = fullName(selected);
+  } else if (fallbackName) {
+    // Still loading the linked account, or a legacy name-only class
+    label = selectedId ? toTitleCase(fallbackName) : `${toTitleCase(fallbackName)} (unlinked)`;
+  }
+
+  return (
+    <Dropdown
+      label={
+        <div>
+          <p className={`text-center w-full ${selected ? "" : "text-gray-500"}`}>{label}</p>
+        </div>
+      }
+      buttonClassName="justify-between w-full text-base sm:text-lg py-3 px-4 border border-gray-400 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-300">
+      {instructors.map((instructor) => (
+        <button
+          type='button'
+          key={instructor._id}
+          className={`
+            block w-full py-3 px-4 text-base sm:text-lg text-left
+            ${selectedId === instructor._id ? 'text-blue-500 bg-gray-50' : 'text-gray-700'}
+            hover:bg-gray-100`}
+          onClick={() => onSelect(instructor)}>
+          {fullName(instructor)}
+          <span className="block text-sm text-gray-500">{instructor.email}</span>
+        </button>
+      ))}
+    </Dropdown>
+  )
+}
+
+export default InstructorDropdown;
@@ -0,0 +1,37 @@
+import Dropdown from '@/components/Dropdown/Dropdown';
+import usePrograms from '@/hooks/usePrograms';
+
+// Picks one of the programs defined on the Programs admin page.
+// `onSelect` receives the program; classes store its slug.
+const ProgramDropdown = ({ selectedSlug, onSelect }) => {
+  const programs = usePrograms();
+  const selected = programs.find((program) => program.slug === selectedSlug);
+
+  return (
+    <Dropdown
+      label={
+        <div>
+          <p className={`text-center w-full ${selected ? "" : "text-gray-500"}`}>
+            {selected ? selected.name : "Select Program"}
+          </p>
+        </div>
+      }
+      buttonClassName="justify-between w-full text-base sm:text-lg py-3 px-4 border border-gray-400 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-300">
+      {programs.map((program) => (
+        <button
+          type='button'
+          key={program.slug}
+          className={`
+            block w-full py-3 px-4 text-base sm:text-lg text-left
+            ${selectedSlug === program.slug ? 'text-blue-500 bg-gray-50' : 'text-gray-700'}
+            hover:bg-gray-100`}
+          onClick={() => onSelect(program)}>
+          {program.name}
+          <span className="block text-sm text-gray-500">{program.isLevelBased ? "With levels" : "No levels"}</span>
+        </button>
+      ))}
+    </Dropdown>
+  )
+}
+
+export default ProgramDropdown;
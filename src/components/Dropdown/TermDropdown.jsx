@@ -0,0 +1,51 @@
+import { useTranslation } from 'react-i18next';
+import Dropdown from '@/components/Dropdown/Dropdown';
+import useTerms from '@/hooks/useTerms';
+import { termStatus } from '@/utils/terms';
+
+const STATUS_LABELS = { current: 'Current', upcoming: 'Upcoming', past: 'Ended' };
+
+// Picks one of the terms defined on the Terms admin page; `terms` narrows the choices.
+// `onSelect` receives the term; classes store its _id.
+const TermDropdown = ({ selectedId, onSelect, terms = null }) => {
+  const { t, i18n } = useTranslation();
+  const allTerms = useTerms();
+  const options = terms || allTerms || [];
+  const selected = (allTerms || options).find((term) => String(term._id) === String(selectedId));
+
+  const formatDay = (date) =>
+    new Date(date).toLocaleDateString(i18n.language, { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+
+  return (
+    <Dropdown
+      label={
+        <div>
+          <p className={`text-center w-full ${selected ? "" : "text-gray-500"}`}>
+            {selected ? selected.name : t('select_term', { defaultValue: 'Select Term' })}
+          </p>
+        </div>
+      }
+      buttonClassName="justify-between w-full text-base sm:text-lg py-3 px-4 border border-gray-400 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-300">
+      {options.map((term) => {
+        const status = termStatus(term);
+        return (
+          <button
+            type='button'
+            key={term._id}
+            className={`
+              block w-full py-3 px-4 text-base sm:text-lg text-left
+              ${String(selectedId) === String(term._id) ? 'text-blue-500 bg-gray-50' : 'text-gray-700'}
+              hover:bg-gray-100`}
+            onClick={() => onSelect(term)}>
+            {term.name}
+            <span className="block text-sm text-gray-500">
+              {formatDay(term.startDate)} – {formatDay(term.endDate)} · {t(`term_status_${status}`, { defaultValue: STATUS_LABELS[status] })}
+            </span>
+          </button>
+        );
+      })}
+    </Dropdown>
+  )
+}
+
+export default TermDropdown;
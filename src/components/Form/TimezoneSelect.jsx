@@ -0,0 +1,31 @@
+import { useMemo } from 'react';
+import { DateTime } from 'luxon';
+import { listTimezones } from '@/utils/time-utils';
+
+// Picks an IANA time zone, listed with its current UTC offset ("Asia/Almaty (UTC+5)").
+// The empty option (`emptyLabel`) stands for no zone; `onChange` gets the change event.
+const TimezoneSelect = ({ name, value, onChange, emptyLabel }) => {
+  const options = useMemo(() => {
+    const now = DateTime.now();
+    return listTimezones().map((zone) => ({
+      zone,
+      label: `${zone.replaceAll('_', ' ')} (UTC${now.setZone(zone).toFormat('ZZ')})`,
+    }));
+  }, []);
+
+  return (
+    <select
+      name={name}
+      value={value || ''}
+      onChange={onChange}
+      className="text-base sm:text-lg w-full py-3 px-4 border border-gray-400 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-300 bg-white"
+    >
+      <option value="">{emptyLabel}</option>
+      {options.map(({ zone, label }) => (
+        <option key={zone} value={zone}>{label}</option>
+      ))}
+    </select>
+  )
+}
+
+export default TimezoneSelect;
@@ -2,7 +2,7 @@
  * src/components/NavBar.jsx
  *
  * Top navigation (desktop + mobile).
- * - Role-aware links (admin vs public)
+ * - Capability-aware links (admin pages the user may open vs public)
  * - Mobile menu toggle + click-outside close
  * - Clerk sign-out rendered as an explicit <button> for reliable styling
  * - Prominent "Donate" button (desktop + mobile)
@@ -16,15 +16,39 @@ import LanguageDropdown from '@/components/Dropdown/LanguageDropdown';
 import { IoMenuOutline } from "react-icons/io5";
 import { SignOutButton, SignedIn, SignedOut } from '@clerk/clerk-react';
 import { UserContext } from '../../contexts/UserContext';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useTranslation } from "react-i18next";
 
+// Admin pages and the capability each one needs
+const ADMIN_LINKS = [
+  { href: "/admin/levels", label: "Classes", capability: "manage_classes" },
+  { href: "/admin/students", label: "Students", capability: "manage_users" },
+  { href: "/admin/instructors", label: "Instructors", capability: "manage_users" },
+  { href: "/admin/volunteers", label: "Volunteers", capability: "review_volunteers" },
+  { href: "/admin/schedule", label: "Schedule", capability: "manage_classes" },
+  { href: "/admin/placement", label: "Placement Test", capability: "manage_classes" },
+  { href: "/admin/age-groups", label: "Age Groups", capability: ["manage_classes", "manage_users"] },
+  { href: "/admin/programs", label: "Programs", capability: "manage_classes" },
+  { href: "/admin/terms", label: "Terms", capability: "manage_classes" },
+  { href: "/admin/translations", label: "Translations", capability: "edit_translations" },
+  { href: "/admin/roles", label: "Roles", capability: "manage_roles" },
+  { href: "/admin/audit", label: "Audit Log", capability: "view_audit_log" },
+  { href: "/admin/donations", label: "Donations", capability: "view_donations" },
+  { href: "/admin/trash", label: "Recently Deleted", capability: ["manage_users", "manage_classes"] },
+];
+
 const NavBar = () => {
   const mobileMenuRef = useRef(null);
   const menuButtonRef = useRef(null);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const { t } = useTranslation();
 
+  const adminLinks = ADMIN_LINKS.filter((link) => can(...[].concat(link.capability)));
+  // Staff who are not admins keep a link to their own dashboard
+  const hasDashboard = user && user.privilege !== "admin";
+
   useEffect(() => {
     const handleClickOutside = (e) => {
       if (
@@ -50,14 +74,12 @@ const NavBar = () => {
           </Link>
 
           <div className="hidden lg:flex lg:items-center lg:gap-x-10 xl:gap-x-20">
-            {user?.privilege === "admin" ? (
+            {adminLinks.length > 0 ? (
               <>
-                <NavLink href="/admin/levels">Classes</NavLink>
-                <NavLink href="/admin/students">Students</NavLink>
-                <NavLink href="/admin/instructors">Instructors</NavLink>
-                <NavLink href="/admin/volunteers">Volunteers</NavLink>
-                <NavLink href="/admin/schedule">Schedule</NavLink>
-                <NavLink href="/admin/translations">Translations</NavLink>
+                {adminLinks.map((link) => (
+                  <NavLink key={link.href} href={link.href}>{link.label}</NavLink>
+                ))}
+                {hasDashboard && <NavLink href={`/${user.privilege}`}>{t("dashboard")}</NavLink>}
               </>
             ) : (
               <>
@@ -131,14 +153,14 @@ const NavBar = () => {
             </span>
           </Link>
 
-          {user?.privilege === "admin" ? (
+          {adminLinks.length > 0 ? (
             <>
-              <NavLink href="/admin/levels" isMobile={true} onClick={closeMenu}>Classes</NavLink>
-              <NavLink href="/admin/students" isMobile={true} onClick={closeMenu}>Students</NavLink>
-              <NavLink href="/admin/instructors" isMobile={true} onClick={closeMenu}>Instructors</NavLink>
-              <NavLink href="/admin/volunteers" isMobile={true} onClick={closeMenu}>Volunteers</NavLink>
-              <NavLink href="/admin/schedule" isMobile={true} onClick={closeMenu}>Schedule</NavLink>
-              <NavLink href="/admin/translations" isMobile={true} onClick={closeMenu}>Translations</NavLink>
+              {adminLinks.map((link) => (
+                <NavLink key={link.href} href={link.href} isMobile={true} onClick={closeMenu}>{link.label}</NavLink>
+              ))}
+              {hasDashboard && (
+                <NavLink href={`/${user.privilege}`} isMobile={true} onClick={closeMenu}>{t("dashboard")}</NavLink>
+              )}
 
               <SignedIn>
                 <SignOutButton>
@@ -21,21 +21,25 @@ import ForgotPassword from "@/pages/onboarding/ForgotPassword";
 import ResetPasswordCode from "@/pages/onboarding/ResetPasswordCode";
 import ResetPassword from "@/pages/onboarding/ResetPassword";
 import StudentPortal from '@/pages/dashboards/StudentPortal';
+import PlacementTest from '@/pages/dashboards/PlacementTest';
 import AdminLevels from '@/pages/dashboards/admin/AdminLevels';
-import AdminConversations from '@/pages/dashboards/admin/AdminConversations';
-import AdminIelts from '@/pages/dashboards/admin/AdminIelts';
 import AdminStudents from '@/pages/dashboards/admin/AdminStudents';
 import AdminInstructors from '@/pages/dashboards/admin/AdminInstructors';
 import AdminSchedule from '@/pages/dashboards/admin/AdminSchedule';
 import AdminVolunteers from "@/pages/dashboards/admin/AdminVolunteers";
+import AdminRoles from "@/pages/dashboards/admin/AdminRoles";
+import AdminAudit from "@/pages/dashboards/admin/AdminAudit";
+import AdminTrash from "@/pages/dashboards/admin/AdminTrash";
+import AdminDonations from "@/pages/dashboards/admin/AdminDonations";
+import AdminPlacement from "@/pages/dashboards/admin/AdminPlacement";
+import AdminAgeGroups from "@/pages/dashboards/admin/AdminAgeGroups";
+import AdminPrograms from "@/pages/dashboards/admin/AdminPrograms";
+import AdminTerms from "@/pages/dashboards/admin/AdminTerms";
+import AdminProgramClasses from "@/pages/dashboards/admin/AdminProgramClasses";
 import EditLevel from '@/pages/dashboards/admin/editPages/EditLevel';
 import AddLevel from '@/pages/dashboards/admin/editPages/AddLevel';
 import EditClass from '@/pages/dashboards/admin/editPages/EditClass';
 import AddClass from '@/pages/dashboards/admin/editPages/AddClass';
-import EditConversation from '@/pages/dashboards/admin/editPages/EditConversation';
-import EditIelts from '@/pages/dashboards/admin/editPages/EditIelts';
-import AddConversation from '@/pages/dashboards/admin/editPages/AddConversation';
-import AddIelts from '@/pages/dashboards/admin/editPages/AddIelts';
 import EditUser from '@/pages/dashboards/admin/editPages/EditUser';
 import InstructorView from '@/pages/dashboards/InstructorView';
 import AdminTranslations from '@/pages/dashboards/admin/AdminTranslations';
@@ -64,18 +68,13 @@ export default function PageRoutes() {
       <Route path="/reset-password-code" component={ResetPasswordCode} />
       <Route path="/reset-password" component={ResetPassword} />
       <Route path="/student" component={StudentPortal} />
+      <Route path="/student/placement" component={PlacementTest} />
 
       {/* Donation routes */}
       <Route path="/donate" component={Donate} />
       <Route path="/donate/thank-you" component={DonateThankYou} />
 
       <Route path="/admin/levels" component={AdminLevels} />
-      <Route path="/admin/levels/conversations" component={AdminConversations} />
-      <Route path="/admin/levels/conversations/new" component={AddConversation} />
-      <Route path="/admin/levels/conversations/:id" component={EditConversation} />
-      <Route path="/admin/levels/ielts" component={AdminIelts} />
-      <Route path="/admin/levels/ielts/new" component={AddIelts} />
-      <Route path="/admin/levels/ielts/:id" component={EditIelts} />
       <Route path="/admin/levels/new" component={AddLevel} />
       <Route path="/admin/levels/:id" component={EditLevel} />
       <Route path="/admin/levels/class/new" component={AddClass} />
@@ -86,6 +85,15 @@ export default function PageRoutes() {
       <Route path="/admin/user/:id" component={EditUser} />
       <Route path="/admin/schedule" component={AdminSchedule} />
       <Route path="/admin/translations" component={AdminTranslations} />
+      <Route path="/admin/roles" component={AdminRoles} />
+      <Route path="/admin/audit" component={AdminAudit} />
+      <Route path="/admin/trash" component={AdminTrash} />
+      <Route path="/admin/donations" component={AdminDonations} />
+      <Route path="/admin/placement" component={AdminPlacement} />
+      <Route path="/admin/age-groups" component={AdminAgeGroups} />
+      <Route path="/admin/programs" component={AdminPrograms} />
+      <Route path="/admin/programs/:slug" component={AdminProgramClasses} />
+      <Route path="/admin/terms" component={AdminTerms} />
 
       <Route path="/instructor" component={InstructorView} />
       <Route path="/style" component={StyleGuide} />
@@ -3,12 +3,57 @@ import { Link } from 'wouter';
 import Button from '@/components/Button/Button';
 import EditButton from '@/components/Button/EditButton';
 import { useTranslation } from "react-i18next";
-import { localizeNumber, toTitleCase, ensureHttps } from "@/utils/formatters";
-import { convertTime, to12HourFormat } from '@/utils/time-utils';
+import useClassTitle from "@/hooks/useClassTitle";
+import { ensureHttps } from "@/utils/formatters";
+import { describeClassProgram } from "@/utils/programs";
+import { slotInZone } from '@/utils/time-utils';
+import useTimezones, { useSlotFormatter, useDateTimeFormatter } from '@/hooks/useTimezones';
+import { getClassSessions } from '@/wrappers/class-wrapper';
 
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// `filters` are describeClassProgram() keys of the programs and levels to show; empty shows all
 const Schedule = ({ privilege, classes, filters = [] }) => {
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 640);
   const { t, i18n } = useTranslation();
+  const { primary } = useTimezones();
+  const [sessions, setSessions] = useState([]);
+
+  // This week's cancelled and moved sessions
+  const classIds = classes.map(classObj => classObj._id).join(',');
+  useEffect(() => {
+    if (!classIds) {
+      setSessions([]);
+      return;
+    }
+    const now = new Date();
+    getClassSessions({ classIds: classIds.split(','), from: now, to: new Date(now.getTime() + WEEK_MS) })
+      .then(setSessions)
+      .catch(() => setSessions([]));
+  }, [classIds]);
+
+  // Every slot placed on the day and at the time it meets in the viewer's time zone
+  const slots = classes
+    .flatMap(classObj => classObj.schedule.map(schedule => (
+      {
+        ...schedule,
+        _id: classObj._id,
+        program: classObj.program,
+        level: classObj.level,
+        ageGroup: classObj.ageGroup,
+        instructor: classObj.instructor,
+        link: classObj.link,
+        local: slotInZone(schedule, primary)
+      })))
+    .filter(schedule => schedule.local)
+    .map(schedule => ({
+      ...schedule,
+      // The session of the slot's next meeting, when it is in the schedule's week
+      session: sessions.find(session =>
+        session.class === schedule._id && new Date(session.scheduledStart).getTime() === schedule.local.start.toMillis()),
+    }))
+    .filter(schedule => filters.length === 0 || filters.includes(describeClassProgram(schedule)))
+    .sort((a, b) => (a.local.start.hour * 60 + a.local.start.minute) - (b.local.start.hour * 60 + b.local.start.minute)); // Sort by time
 
   useEffect(() => {
     const handleResize = () => {
@@ -68,19 +113,8 @@ const Schedule = ({ privilege, classes, filters = [] }) => {
               key={day}
               className={`table-cell p-[.125rem] sm:p-2 align-top ${index !== array.length - 1 ? 'border-r border-gray-300' : ''}`}
             >
-              {classes
-                .flatMap(classObj => classObj.schedule.map(schedule => (
-                  {
-                    ...schedule,
-                    _id: classObj._id,
-                    level: classObj.level,
-                    ageGroup: classObj.ageGroup,
-                    instructor: classObj.instructor,
-                    link: classObj.link
-                  })))
-                .filter(schedule => schedule.day.slice(0, 3).toUpperCase() === day)
-                .filter(schedule => filters.length === 0 || filters.includes(schedule.level))
-                .sort((a, b) => new Date(`1970/01/01 ${a.startTime}`) - new Date(`1970/01/01 ${b.startTime}`)) // Sort by time
+              {slots
+                .filter(schedule => schedule.local.day.slice(0, 3).toUpperCase() === day)
                 .map((classObj, index) => {
                   const classElement = <ScheduleClass key={index} classObj={classObj} isMobile={isMobile} privilege={privilege} />;
 
@@ -120,46 +154,45 @@ const Schedule = ({ privilege, classes, filters = [] }) => {
 }
 
 const ScheduleClass = ({ privilege, classObj, isMobile }) => {
-  const { t, i18n } = useTranslation();
+  const { t } = useTranslation();
+  const classTitle = useClassTitle();
 
-  const convertedStartTimeEST = classObj?.startTime
-    ? convertTime(classObj.day, classObj.startTime, "Etc/UTC", "America/New_York")
-    : { time: '', day: '' };
-  const convertedEndTimeEST = classObj?.endTime
-    ? convertTime(classObj.day, classObj.endTime, "Etc/UTC", "America/New_York")
-    : { time: '', day: '' };
-  const convertedStartTimeIST = classObj?.startTime
-    ? convertTime(classObj.day, classObj.startTime, "Etc/UTC", "Europe/Istanbul")
-    : { time: '', day: '' };
-  const convertedEndTimeIST = classObj?.endTime
-    ? convertTime(classObj.day, classObj.endTime, "Etc/UTC", "Europe/Istanbul")
-    : { time: '', day: '' };
+  const { primary, secondary } = useTimezones();
+  const formatSlot = useSlotFormatter();
+  const formatDateTime = useDateTimeFormatter();
+  const times = [primary, secondary].filter(Boolean).map((zone) => formatSlot(classObj, zone)).filter(Boolean);
+  const { session } = classObj;
+  const isCancelled = session?.status === 'cancelled';
+  const isMoved = session && !isCancelled && session.startsAt !== session.scheduledStart;
 
   return (
-    <div className="bg-blue-100 rounded-xs sm:rounded-sm border-[0.5px] border-gray-200 p-1 sm:p-3 mb-1 sm:mb-2">
-      <p className="text-blue-700 text-[0.75rem] sm:text-[0.875rem] text-balance">
-        {to12HourFormat(convertedStartTimeEST.time)}-{to12HourFormat(convertedEndTimeEST.time)} (EST)
-      </p>
-      <p className="text-blue-700 text-[0.75rem] sm:text-[0.875rem] text-balance">
-        {convertedStartTimeIST.time}-{convertedEndTimeIST.time} (Ist)
-      </p>
+    <div
+      title={session?.reason || undefined}
+      className={`${isCancelled ? 'bg-gray-100' : 'bg-blue-100'} rounded-xs sm:rounded-sm border-[0.5px] border-gray-200 p-1 sm:p-3 mb-1 sm:mb-2`}
+    >
+      {times.map((time, index) => (
+        <p
+          key={index}
+          className={`${isCancelled || isMoved ? 'line-through text-gray-500' : 'text-blue-700'} text-[0.75rem] sm:text-[0.875rem] text-balance`}
+        >
+          {time.time} ({index > 0 && time.day !== times[0].day ? `${time.dayName}, ` : ''}{time.zoneName})
+        </p>
+      ))}
+      {isCancelled && (
+        <p className="font-semibold text-red-600 text-[0.675rem] sm:text-xs">
+          {t('session_cancelled', { defaultValue: 'Cancelled this week' })}
+        </p>
+      )}
+      {isMoved && (
+        <p className="font-semibold text-orange-600 text-[0.675rem] sm:text-xs text-balance">
+          {t('session_moved_to', { defaultValue: 'Moved to {{time}}', time: formatDateTime(session.startsAt) })}
+        </p>
+      )}
       <p
-        title={t('level_num', {
-          num: typeof classObj.level === 'number'
-            ? localizeNumber(classObj.level, i18n.language)
-            : classObj.level === "ielts"
-              ? "IELTS" : toTitleCase(classObj.level),
-          ns: 'levels'
-        })}
+        title={classTitle(classObj)}
         className="font-extrabold text-[0.75rem] sm:text-[0.875rem] sm:mt-2 truncate"
       >
-        {t('level_num', {
-          num: typeof classObj.level === 'number'
-            ? localizeNumber(classObj.level, i18n.language)
-            : classObj.level === "ielts"
-              ? "IELTS" : toTitleCase(classObj.level),
-          ns: 'levels'
-        })}
+        {classTitle(classObj)}
       </p>
       <p className="text-gray-800 text-[0.675rem] sm:text-xs sm:mb-3 break-words">
         {classObj.ageGroup === "all" ? t(`for_${classObj.ageGroup}`).toUpperCase() : t(`${classObj.ageGroup}_class`).toUpperCase()}
@@ -172,27 +205,7 @@ const ScheduleClass = ({ privilege, classObj, isMobile }) => {
           </a>
         ) : <EditButton
           classId={classObj._id}
-          editURL={
-            privilege === "admin" ? (() => {
-              switch (true) {
-                case typeof classObj.level === "number":
-                  return `/admin/levels/class`;
-                case classObj.level === "conversation":
-                  return `/admin/levels/conversations`;
-                case classObj.level === "ielts":
-                  return `/admin/levels/ielts`;
-              }
-            })() : (() => {
-              switch (true) {
-                case typeof classObj.level === "number":
-                  return `/instructor/class`;
-                case classObj.level === "conversation":
-                  return `/instructor/conversation`;
-                case classObj.level === "ielts":
-                  return `/instructor/ielts`;
-              }
-            })()
-          }
+          editURL={privilege === "admin" ? `/admin/levels/class` : `/instructor/class`}
         />
       )}
     </div>
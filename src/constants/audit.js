@@ -0,0 +1,32 @@
+// Audit log vocabulary, shared by the AuditEvent schema and the /admin/audit page.
+export const AUDIT_ENTITY_TYPES = {
+  class: "Classes",
+  level: "Levels",
+  user: "Users",
+  volunteer: "Volunteers",
+  translation: "Translations",
+  role: "Roles",
+  placement_question: "Placement questions",
+  age_group: "Age groups",
+  program: "Programs",
+  term: "Terms",
+};
+
+export const AUDIT_ACTIONS = {
+  create: "Created",
+  update: "Updated",
+  delete: "Deleted",
+  restore: "Restored",
+  purge: "Purged",
+  enroll: "Enrolled",
+  unenroll: "Unenrolled",
+  waitlist: "Waitlist",
+  assign_roles: "Assigned roles",
+  status: "Changed status",
+  transfer: "Imported",
+  repair: "Repaired",
+  request: "Enrollment request",
+  placement: "Placement test",
+  complete: "Completed class",
+  class_transfer: "Transferred class",
+};
@@ -0,0 +1,34 @@
+// Named permissions, shared by the API (requireCapability) and the client (useCapabilities).
+// Roles bundle capabilities and are assigned to users from the admin Roles screen.
+export const CAPABILITIES = {
+  manage_classes: "Create, edit and delete levels, programs, terms, classes, age groups and placement questions",
+  review_volunteers: "View, export and update volunteer applications",
+  edit_translations: "Edit site translations",
+  view_donations: "View donation settings and reports",
+  manage_users: "View, edit and remove student and instructor accounts",
+  manage_roles: "Define roles and assign them to users",
+  view_audit_log: "View the log of administrative changes",
+};
+
+export const CAPABILITY_KEYS = Object.keys(CAPABILITIES);
+
+// Capabilities granted by `User.privilege` alone, before any roles.
+export const PRIVILEGE_CAPABILITIES = {
+  admin: CAPABILITY_KEYS,
+  instructor: [],
+  student: [],
+};
+
+// Starter roles created by `npm run migrate:roles` (api folder).
+export const DEFAULT_ROLES = [
+  {
+    name: "Volunteer Coordinator",
+    description: "Reviews volunteer applications",
+    capabilities: ["review_volunteers"],
+  },
+  {
+    name: "Translator",
+    description: "Edits site translations",
+    capabilities: ["edit_translations"],
+  },
+];
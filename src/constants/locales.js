@@ -0,0 +1,5 @@
+// Languages and i18next namespaces served from /api/locales.
+// Shared by the client (i18n.js) and the translation API, which rejects anything else.
+export const SUPPORTED_LNGS = ["en", "ug", "ru", "tr", "zh"];
+
+export const NAMESPACES = ["default", "levels"];
@@ -0,0 +1,32 @@
+// Columns offered by GET /api/students-export (key → header label).
+// Shared by the export API and the AdminStudents export dialog.
+export const STUDENT_EXPORT_COLUMNS = {
+  firstName: "First Name",
+  lastName: "Last Name",
+  email: "Email",
+  whatsapp: "WhatsApp",
+  age: "Age",
+  creationDate: "Account Creation Date",
+  program: "Program",
+  level: "Level",
+  ageGroup: "Age Group",
+  instructor: "Instructor",
+  link: "Link",
+  schedule: "Schedule", // one column per requested timezone
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  "firstName",
+  "lastName",
+  "email",
+  "creationDate",
+  "program",
+  "level",
+  "ageGroup",
+  "instructor",
+  "link",
+  "schedule",
+];
+
+// IANA zones used for schedule columns when none are requested.
+export const DEFAULT_EXPORT_TIMEZONES = ["America/New_York", "Europe/Istanbul"];
@@ -0,0 +1,16 @@
+import { useContext } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+
+// Effective capabilities of the signed-in user (privilege + roles), as returned
+// by GET /api/user. Keys are listed in src/constants/capabilities.js.
+const useCapabilities = () => {
+  const { user } = useContext(UserContext);
+  const capabilities = user?.capabilities || [];
+
+  // True when the user holds any of the given capabilities (like requireCapability)
+  const can = (...keys) => keys.some((key) => capabilities.includes(key));
+
+  return { capabilities, can };
+};
+
+export default useCapabilities;
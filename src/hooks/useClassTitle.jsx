@@ -0,0 +1,25 @@
+import { useTranslation } from "react-i18next";
+import usePrograms from "@/hooks/usePrograms";
+import { localizeNumber } from "@/utils/formatters";
+import { DEFAULT_PROGRAM } from "@/utils/programs";
+
+// Translated name of a class's program and level, e.g. "Level 3", "IELTS" or
+// "Kids Reading Level 2". Returns a function so lists can name each of their classes.
+const useClassTitle = () => {
+  const { t, i18n } = useTranslation();
+  const programs = usePrograms();
+
+  return (cls) => {
+    const slug = cls?.program || DEFAULT_PROGRAM;
+    const program = programs.find((p) => p.slug === slug);
+    const programName = program?._id
+      ? t(`program_name_${program._id}`, { ns: 'levels', defaultValue: program.name })
+      : program?.name || slug;
+    if (typeof cls?.level !== 'number') return programName;
+
+    const levelName = t('level_num', { num: localizeNumber(cls.level, i18n.language), ns: 'levels' });
+    return slug === DEFAULT_PROGRAM ? levelName : `${programName} ${levelName}`;
+  };
+};
+
+export default useClassTitle;
@@ -0,0 +1,23 @@
+import { useState, useEffect } from "react";
+import { getEnrollmentState } from "@/utils/enrollment-window";
+
+const TICK_MS = 30 * 1000;
+
+// Enrollment state of a class that follows the clock: while an opening or closing is
+// scheduled the state is recomputed every 30 seconds, so countdowns tick and the
+// enroll button flips when the window opens or closes without a reload.
+const useEnrollmentWindow = (classObj) => {
+    const [now, setNow] = useState(() => new Date());
+    const state = getEnrollmentState(classObj, now);
+    const nextChange = (state.opensAt || state.closesAt)?.getTime();
+
+    useEffect(() => {
+        if (!nextChange) return;
+        const interval = setInterval(() => setNow(new Date()), TICK_MS);
+        return () => clearInterval(interval);
+    }, [nextChange]);
+
+    return { ...state, now };
+};
+
+export default useEnrollmentWindow;
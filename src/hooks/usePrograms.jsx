@@ -0,0 +1,34 @@
+import { useEffect, useState } from "react";
+import { getPrograms } from "@/wrappers/program-wrapper";
+import { DEFAULT_PROGRAMS } from "@/utils/programs";
+
+// Programs rarely change, so one request is shared by every component on the page.
+// Admin pages that edit programs call reloadPrograms() afterwards.
+let cached = null;
+
+export const reloadPrograms = () => {
+  cached = getPrograms();
+  cached.catch(() => {
+    cached = null; // try again next time
+  });
+  return cached;
+};
+
+// The programs from /api/programs, by order; the starting programs until they load.
+const usePrograms = () => {
+  const [programs, setPrograms] = useState(DEFAULT_PROGRAMS);
+
+  useEffect(() => {
+    let active = true;
+    (cached || reloadPrograms())
+      .then((data) => active && setPrograms(data))
+      .catch((error) => console.error("Error fetching programs:", error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return programs;
+};
+
+export default usePrograms;
@@ -0,0 +1,36 @@
+import { useEffect, useState } from "react";
+import { getTerms } from "@/wrappers/term-wrapper";
+
+// Terms rarely change, so one request is shared by every component on the page.
+// Admin pages that edit terms call reloadTerms() afterwards.
+let cached = null;
+
+export const reloadTerms = () => {
+  cached = getTerms();
+  cached.catch(() => {
+    cached = null; // try again next time
+  });
+  return cached;
+};
+
+// The terms from /api/terms, newest first; null until they load.
+const useTerms = () => {
+  const [terms, setTerms] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    (cached || reloadTerms())
+      .then((data) => active && setTerms(data))
+      .catch((error) => {
+        console.error("Error fetching terms:", error);
+        if (active) setTerms([]);
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return terms;
+};
+
+export default useTerms;
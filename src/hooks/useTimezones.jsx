@@ -0,0 +1,47 @@
+import { useContext } from "react";
+import { useTranslation } from "react-i18next";
+import { DateTime } from "luxon";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import { slotInZone, isValidTimezone, browserTimezone } from "@/utils/time-utils";
+
+// Time zones the viewer sees class times in: their profile's zone (the browser's when
+// unset or signed out) and the optional second zone shown alongside it.
+const useTimezones = () => {
+  const { user } = useContext(UserContext);
+  const primary = isValidTimezone(user?.timezone) ? user.timezone : browserTimezone();
+  const secondary =
+    isValidTimezone(user?.secondaryTimezone) && user.secondaryTimezone !== primary ? user.secondaryTimezone : null;
+  return { primary, secondary };
+};
+
+// Formats a weekly class slot in a time zone for the UI language:
+// { day: "Monday", dayName: translated day, time: "7:30 PM–9:00 PM", zoneName: "EDT" }, or null.
+export const useSlotFormatter = () => {
+  const { t, i18n } = useTranslation();
+
+  return (slot, zone) => {
+    const converted = slotInZone(slot, zone);
+    if (!converted) return null;
+    const format = (dt) => dt.setLocale(i18n.language).toLocaleString({ hour: "numeric", minute: "2-digit" });
+    return {
+      day: converted.day,
+      dayName: t(converted.day.toLowerCase()),
+      time: `${format(converted.start)}–${format(converted.end)}`,
+      zoneName: converted.zoneName,
+    };
+  };
+};
+
+// Formats a date and time in a time zone (the primary one by default) for the UI language:
+// "Mon, Oct 26, 2:00 PM EDT".
+export const useDateTimeFormatter = () => {
+  const { i18n } = useTranslation();
+  const { primary } = useTimezones();
+
+  return (date, zone = primary) =>
+    DateTime.fromJSDate(new Date(date), { zone })
+      .setLocale(i18n.language)
+      .toLocaleString({ weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short" });
+};
+
+export default useTimezones;
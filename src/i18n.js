@@ -8,6 +8,7 @@ import i18n from "i18next";
 import HttpBackend from "i18next-http-backend";
 import LanguageDetector from "i18next-browser-languagedetector";
 import { initReactI18next } from "react-i18next";
+import { SUPPORTED_LNGS, NAMESPACES } from "@/constants/locales";
 
 if (!i18n.isInitialized) {
   i18n
@@ -17,10 +18,10 @@ if (!i18n.isInitialized) {
     .init({
       fallbackLng: "en",
 
-      supportedLngs: ["en", "ug", "ru", "tr", "zh"],
+      supportedLngs: SUPPORTED_LNGS,
       load: "languageOnly",
 
-      ns: ["default", "levels"],
+      ns: NAMESPACES,
       defaultNS: "default",
 
       backend: {
@@ -12,6 +12,8 @@ import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import { localizeNumber, toTitleCase } from "@/utils/formatters";
+import { levelLockState } from '@/utils/level-prerequisites';
+import LevelPrerequisites from '@/components/Class/LevelPrerequisites';
 
 const ClassesPage = () => {
   const { t, i18n } = useTranslation();
@@ -30,7 +32,8 @@ const ClassesPage = () => {
       setLocation("/levels");
     }
 
-    const classFilter = new URLSearchParams(`level=${levelNum}`);
+    // Classes of terms that have ended can no longer be joined
+    const classFilter = new URLSearchParams(`level=${levelNum}&term=open`);
 
     const fetchData = async () => {
       const classData = await getClasses(classFilter);
@@ -80,6 +83,7 @@ const ClassesPage = () => {
                 </span>
               ))}
           </div>
+          {allowRender && <LevelPrerequisites level={level} student={user} className="mt-8 max-w-2xl" />}
         </div>
       </div>
 
@@ -111,6 +115,7 @@ const ClassesPage = () => {
                   <Level
                     level={allLevels[currentLevelIndex - 1]}
                     numLevels={allLevels.length}
+                    lockState={levelLockState(allLevels[currentLevelIndex - 1], user)}
                     isSimplified
                   />
                 </Link>
@@ -120,6 +125,7 @@ const ClassesPage = () => {
                   <Level
                     level={allLevels[currentLevelIndex + 1]}
                     numLevels={allLevels.length}
+                    lockState={levelLockState(allLevels[currentLevelIndex + 1], user)}
                     isArrowRight
                     isSimplified
                   />
@@ -1,24 +1,52 @@
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useContext } from 'react';
+import { UserContext } from '@/contexts/UserContext.jsx';
 import { Link } from "wouter"
 import { useTranslation } from "react-i18next";
 import { getLevels } from '@/wrappers/level-wrapper';
-import { getConversations } from '@/wrappers/conversation-wrapper';
-import { getIelts } from '@/wrappers/ielts-wrapper';
+import { getClasses } from '@/wrappers/class-wrapper';
+import { getPrograms } from '@/wrappers/program-wrapper';
 import Level from '@/components/Class/Level'
 import SupplementaryClass from '@/components/Class/SupplementaryClass';
 import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import SkeletonLevel from '@/components/Skeletons/SkeletonLevel';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import { levelLockState } from '@/utils/level-prerequisites';
+import { localizeNumber } from '@/utils/formatters';
+
+// For students: the level their placement test recommended, or an invitation to take it.
+const PlacementBanner = ({ placementLevel }) => {
+  const { t, i18n } = useTranslation();
+
+  return (
+    <div className='flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-x-4 border border-blue-200 bg-blue-50 rounded-sm p-4 mb-8 sm:mb-12'>
+      <p className='grow'>
+        {placementLevel != null
+          ? t('placement_recommends_level', {
+            defaultValue: 'Your placement test recommends Level {{num}}.',
+            num: localizeNumber(placementLevel, i18n.language),
+          })
+          : t('placement_invite', { defaultValue: 'Not sure where to start? Take the placement test.' })}
+      </p>
+      <Link href={placementLevel != null ? `/levels/${placementLevel}/classes` : '/student/placement'} className='text-blue-600 underline'>
+        {placementLevel != null
+          ? t('placement_see_classes', { defaultValue: 'See classes for this level' })
+          : t('placement_start', { defaultValue: 'Start the test' })}
+      </Link>
+    </div>
+  )
+}
 
 const LevelsPage = () => {
   const [levels, setLevels] = useState([]);
-  const [conversations, setConversations] = useState([]);
-  const [ielts, setIelts] = useState([]);
+  // Programs without levels, each with its classes: [{ program, classes }]
+  const [programSections, setProgramSections] = useState([]);
   const [allowRender, setAllowRender] = useState(false);
+  const { user } = useContext(UserContext);
   const { t } = useTranslation();
   const showSkeleton = useDelayedSkeleton(!allowRender);
+  const isStudent = user?.privilege === "student";
 
   // styles
   const descriptionStyle = "font-light text-base sm:text-lg"
@@ -29,10 +57,11 @@ const LevelsPage = () => {
     const fetchLevels = async () => {
       const levels = await getLevels();
       setLevels(levels);
-      const conversations = await getConversations();
-      setConversations(conversations);
-      const ielts = await getIelts();
-      setIelts(ielts);
+      const programs = (await getPrograms()).filter((program) => !program.isLevelBased);
+      setProgramSections(await Promise.all(programs.map(async (program) => ({
+        program,
+        classes: await getClasses(`program=${encodeURIComponent(program.slug)}&term=open`),
+      }))));
       setAllowRender(true);
     };
     fetchLevels();
@@ -44,6 +73,7 @@ const LevelsPage = () => {
         <h1 className='font-extrabold mb-2 text-blue-700'>{allowRender ? t("browse_classes") : showSkeleton && <Skeleton width={"32%"} />}</h1>
         <p className={descriptionStyle}>{allowRender ? t("levelspage_description") : showSkeleton && <Skeleton />}</p>
       </section>
+      {allowRender && isStudent && <PlacementBanner placementLevel={user.placementLevel} />}
       <section className={sectionStyle}>
         <h2 className="font-extrabold mb-1">{allowRender ? t("levelspage_reg_class_heading") : showSkeleton && <Skeleton width={"32%"} />}</h2>
         <p className={descriptionStyle}>{allowRender ? t("levelspage_reg_class_description") : showSkeleton && <Skeleton />}</p>
@@ -54,7 +84,10 @@ const LevelsPage = () => {
                 .sort((l1, l2) => l1.level - l2.level)
                 .map((level, levelIndex) => (
                   <Link key={levelIndex} href={`/levels/${encodeURIComponent(level.level)}/classes`}>
-                    <Level level={level} />
+                    <Level
+                      level={level}
+                      lockState={levelLockState(level, user)}
+                      isRecommended={isStudent && user.placementLevel === level.level} />
                   </Link>
                 ))
               ) : (
@@ -66,34 +99,25 @@ const LevelsPage = () => {
       <section>
         <h2 className="font-extrabold mb-1">{allowRender ? t("levelspage_supp_class_heading") : showSkeleton && <Skeleton width={"32%"} />}</h2>
         <p className={descriptionStyle}>{allowRender ? t("levelspage_supp_class_description") : showSkeleton && <Skeleton />}</p>
-        <section className='mt-10'>
-          <h3 className='font-extrabold'>{allowRender ? t("levelspage_convo_class_heading") : showSkeleton && <Skeleton width={"32%"} />}</h3>
-          <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
-            {allowRender
-              ? conversations.length > 0
-                ? (conversations.map((conversation, conversationIndex) => (
-                  <SupplementaryClass key={conversationIndex} cls={conversation} />
-                ))
-                ) : (
-                  <p className="text-gray-500">{t("no_conversations_available")}</p>
-                )
-              : showSkeleton && <SkeletonLevel count={4} />}
-          </div>
-        </section>
-        <section className='mt-16'>
-          <h3 className='font-extrabold'>{allowRender ? t("levelspage_ietl_class_heading") : showSkeleton && <Skeleton width={"32%"} />}</h3>
-          <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
-            {allowRender
-              ? ielts.length > 0
-                ? (ielts.map((cls, ieltsIndex) => (
-                  <SupplementaryClass key={ieltsIndex} cls={cls} />
-                ))
-                ) : (
-                  <p className="text-gray-500">{t("no_ielts_available")}</p>
-                )
-              : showSkeleton && <SkeletonLevel count={4} />}
-          </div>
-        </section>
+        {allowRender
+          ? programSections.map(({ program, classes }) => (
+            <section key={program.slug} className='mt-10'>
+              <h3 className='font-extrabold'>{t(`program_name_${program._id}`, { ns: 'levels', defaultValue: program.name })}</h3>
+              {program.description && (
+                <p className={descriptionStyle}>{t(`program_desc_${program._id}`, { ns: 'levels', defaultValue: program.description })}</p>
+              )}
+              <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
+                {classes.length > 0
+                  ? classes.map((cls) => <SupplementaryClass key={cls._id} cls={cls} />)
+                  : <p className="text-gray-500">{t("no_program_classes_available", { defaultValue: "No classes available yet." })}</p>}
+              </div>
+            </section>
+          ))
+          : showSkeleton && (
+            <div className={`${courseDivStyle} lg:grid-cols-4 md:grid-cols-3 sm:grid-cols-2 auto-rows-fr`}>
+              <SkeletonLevel count={4} />
+            </div>
+          )}
       </section>
     </div>
   );
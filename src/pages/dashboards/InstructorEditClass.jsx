@@ -11,6 +11,9 @@ import UserItem from "@/components/UserItem";
 import SkeletonUser from "@/components/Skeletons/SkeletonUser";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import Unauthorized from "@/pages/Unauthorized";
+import Alert from '@/components/Alert';
+import EnrollmentRequests from '@/components/Class/EnrollmentRequests';
+import ClassSessions from '@/components/Class/ClassSessions';
 
 const InstructorEditClass = () => {
   const { user } = useContext(UserContext);
@@ -20,6 +23,8 @@ const InstructorEditClass = () => {
 
   const params = useParams();
   const [link, setLink] = useState('');
+  const [approvalRequired, setApprovalRequired] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
   const [students, setStudents] = useState([]);
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
@@ -40,6 +45,7 @@ const InstructorEditClass = () => {
     try {
       const data = await getClassById(params.id);
       setLink(data.link || '');
+      setApprovalRequired(Boolean(data.approvalRequired));
       const students = await getClassStudents(data._id);
       console.log(students)
       setStudents(students);
@@ -70,6 +76,7 @@ const InstructorEditClass = () => {
 
   return (
     <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage !== "" && <Alert message={alertMessage} />}
       <BackButton label={"Dashboard"} href={"/instructor"} />
       <div>
         <h1 className="font-extrabold mb-1">Edit Class</h1>
@@ -105,6 +112,29 @@ const InstructorEditClass = () => {
             : showSkeleton && <SkeletonUser count={3} />}
         </div>
       </div>
+
+      {allowRender && approvalRequired && <EnrollmentRequests
+        classId={params.id}
+        privilege="instructor"
+        onDecided={fetchClass}
+        onError={(message) => {
+          setAlertMessage(message);
+          setTimeout(() => {
+            setAlertMessage("");
+          }, 4000);
+        }}
+      />}
+
+      {allowRender && <ClassSessions
+        classId={params.id}
+        students={students}
+        onError={(message) => {
+          setAlertMessage(message);
+          setTimeout(() => {
+            setAlertMessage("");
+          }, 4000);
+        }}
+      />}
     </div>
   )
 }
@@ -9,13 +9,20 @@ import { useTranslation } from "react-i18next";
 import Button from '@/components/Button/Button';
 import FormInput from '@/components/Form/FormInput';
 import PhoneInput from '@/components/Form/PhoneInput/PhoneInput';
+import TimezoneSelect from '@/components/Form/TimezoneSelect';
 import Overlay from '@/components/Overlay';
 import Alert from '@/components/Alert';
 import Schedule from '@/components/Schedule';
+import CalendarSubscribe from '@/components/CalendarSubscribe';
 import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import SkeletonSchedule from '@/components/Skeletons/SkeletonSchedule';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import useTerms from '@/hooks/useTerms';
+import useTimezones from '@/hooks/useTimezones';
+import TermDropdown from '@/components/Dropdown/TermDropdown';
+import { findCurrentTerm, classInTerm, isTermEnded } from '@/utils/terms';
+import { browserTimezone } from '@/utils/time-utils';
 import Unauthorized from '../Unauthorized';
 import { toTitleCase } from '@/utils/formatters';
 import { formatPhoneNumberIntl, isPossiblePhoneNumber } from 'react-phone-number-input';
@@ -34,15 +41,24 @@ const InstructorView = () => {
     whatsapp: '',
     age: '',
     gender: '',
+    timezone: '',
+    secondaryTimezone: '',
   });
   const [alertMessage, setAlertMessage] = useState("");
   const { t } = useTranslation();
   const showSkeleton = useDelayedSkeleton(!allowRender);
+  const terms = useTerms();
+  const timezones = useTimezones();
+  const [termId, setTermId] = useState(null);
+
+  // The schedule shows one term at a time, the current one unless another is picked
+  const selectedTerm = terms?.find(term => term._id === termId) || findCurrentTerm(terms);
+  const termClasses = selectedTerm ? classes.filter(cls => classInTerm(cls, selectedTerm._id)) : classes;
 
   useEffect(() => {
     const fetchData = async () => {
       if (user) {
-        let instructorClasses = await getAllClasses(`instructor=${toTitleCase(user.firstName)}`); // TODO: should use first and last name
+        let instructorClasses = await getAllClasses(`instructorId=${user._id}`);
         setClasses(instructorClasses);
         setAllowRender(true);
       }
@@ -61,7 +77,12 @@ const InstructorView = () => {
     e.preventDefault();
     try {
       if (isPossiblePhoneNumber(editFormData.whatsapp) || editFormData.whatsapp === "") {
-        await updateUser(user._id, editFormData);
+        // An empty choice means the browser's zone, or no second zone
+        const zones = {
+          timezone: editFormData.timezone || null,
+          secondaryTimezone: editFormData.secondaryTimezone || null,
+        };
+        await updateUser(user._id, { ...editFormData, ...zones });
         setUser(prev => ({
           ...prev,
           firstName: editFormData.firstName,
@@ -69,7 +90,8 @@ const InstructorView = () => {
           email: editFormData.email,
           whatsapp: editFormData.whatsapp,
           age: editFormData.age,
-          gender: editFormData.gender
+          gender: editFormData.gender,
+          ...zones
         }))
         setShowEditModal(false);
       } else {
@@ -91,6 +113,8 @@ const InstructorView = () => {
       whatsapp: user.whatsapp || '',
       age: user.age || '',
       gender: user.gender ? toTitleCase(user.gender) : '',
+      timezone: user.timezone || '',
+      secondaryTimezone: user.secondaryTimezone || '',
     });
     setShowEditModal(true);
   };
@@ -143,15 +167,32 @@ const InstructorView = () => {
                 <p className='text-black col-start-1'>{t("age")}</p>
                 <p className='text-gray-500 col-start-2'>{user.age ? user.age : "N/A"}</p>
                 <p className='text-black col-start-1'>{t("gender")}</p>
-                <p className='text-gray-500 col-start-2'>{user.gender ? toTitleCase(user.gender) : "N/A"}</p></>
+                <p className='text-gray-500 col-start-2'>{user.gender ? toTitleCase(user.gender) : "N/A"}</p>
+                <p className='text-black col-start-1'>{t("time_zone", { defaultValue: "Time zone" })}</p>
+                <p className='text-gray-500 col-start-2'>
+                  {[timezones.primary, timezones.secondary].filter(Boolean).map(zone => zone.replaceAll('_', ' ')).join(' / ')}
+                </p></>
               : showSkeleton && <div className='w-40 lg:w-64'>
-                <Skeleton count={4} />
+                <Skeleton count={5} />
               </div>}
           </div>
         </div>
         <section>
-          <h2 className='font-extrabold my-8'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
-          {allowRender ? <Schedule privilege={user.privilege} classes={classes} /> : showSkeleton && <SkeletonSchedule />}
+          <div className='flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 my-8'>
+            <h2 className='font-extrabold'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+            {allowRender && <div className='flex flex-col sm:flex-row sm:items-center gap-4'>
+              <CalendarSubscribe />
+              {terms?.length > 0 && <div className='w-full sm:w-72'>
+                <TermDropdown selectedId={selectedTerm?._id} onSelect={(term) => setTermId(term._id)} />
+              </div>}
+            </div>}
+          </div>
+          {allowRender && isTermEnded(selectedTerm) && (
+            <p className='mb-6 text-neutral-500'>
+              {t('term_ended_read_only', { defaultValue: '{{term}} has ended; its classes can no longer be changed.', term: selectedTerm.name })}
+            </p>
+          )}
+          {allowRender ? <Schedule privilege={user.privilege} classes={termClasses} /> : showSkeleton && <SkeletonSchedule />}
         </section>
         {showEditModal && <Overlay width={'w-1/2'}>
           <form onSubmit={handleEditUser} className="flex flex-col gap-y-6 py-3 px-2">
@@ -222,6 +263,26 @@ const InstructorView = () => {
                 />
               </div>
             </div>
+            <div className='sm:flex gap-y-6 sm:gap-y-0 sm:gap-x-6'>
+              <div className='w-full'>
+                <label>Time zone</label>
+                <TimezoneSelect
+                  name="timezone"
+                  value={editFormData.timezone}
+                  onChange={handleInputChange}
+                  emptyLabel={`Automatic (${browserTimezone()})`}
+                />
+              </div>
+              <div className='w-full'>
+                <label>Also show times in</label>
+                <TimezoneSelect
+                  name="secondaryTimezone"
+                  value={editFormData.secondaryTimezone}
+                  onChange={handleInputChange}
+                  emptyLabel="None"
+                />
+              </div>
+            </div>
             <div className="grid grid-cols-2 gap-x-2">
               <Button
                 label="Cancel"
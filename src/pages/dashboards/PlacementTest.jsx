@@ -0,0 +1,259 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import { Link, useLocation } from 'wouter';
+import { useAuth } from '@clerk/clerk-react';
+import { useTranslation } from "react-i18next";
+import Skeleton from 'react-loading-skeleton';
+import 'react-loading-skeleton/dist/skeleton.css';
+import { UserContext } from '@/contexts/UserContext.jsx';
+import { getPlacementStatus, startPlacementTest, submitPlacementTest } from '@/wrappers/placement-wrapper';
+import Button from '@/components/Button/Button';
+import FormInput from '@/components/Form/FormInput';
+import Alert from '@/components/Alert';
+import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import Unauthorized from '../Unauthorized';
+import { formatDateTime, localizeNumber } from '@/utils/formatters';
+
+const errorText = (error, t) => {
+  const data = error?.response?.data || {};
+  return data.code ? t(data.code, { defaultValue: data.message }) : data.message || 'Something went wrong';
+};
+
+const msUntil = (date) => Math.max(0, new Date(date).getTime() - Date.now());
+
+// Time left on a test as m:ss, counting down every second. Calls `onExpire` once at zero.
+const Countdown = ({ expiresAt, onExpire }) => {
+  const { t, i18n } = useTranslation();
+  const [msLeft, setMsLeft] = useState(() => msUntil(expiresAt));
+  const expired = useRef(false);
+  // The latest callback, so expiring submits the answers given so far
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const left = msUntil(expiresAt);
+      setMsLeft(left);
+      if (left === 0 && !expired.current) {
+        expired.current = true;
+        onExpireRef.current();
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [expiresAt]);
+
+  const totalSeconds = Math.ceil(msLeft / 1000);
+  const minutes = new Intl.NumberFormat(i18n.language).format(Math.floor(totalSeconds / 60));
+  const seconds = new Intl.NumberFormat(i18n.language, { minimumIntegerDigits: 2 }).format(totalSeconds % 60);
+
+  return (
+    <p className={`font-extrabold tabular-nums ${totalSeconds <= 60 ? 'text-red-600' : 'text-dark-blue-800'}`}>
+      {t('placement_time_left', { defaultValue: 'Time left: {{time}}', time: `${minutes}:${seconds}` })}
+    </p>
+  );
+};
+
+// One question: radio buttons for multiple choice, a text box for fill-in.
+const PlacementQuestion = ({ question, index, value, onChange }) => {
+  const { t, i18n } = useTranslation();
+
+  return (
+    <fieldset className='shadow-shadow rounded-2xl py-5 px-6 space-y-3'>
+      <legend className='sr-only'>
+        {t('placement_question_num', { defaultValue: 'Question {{num}}', num: localizeNumber(index + 1, i18n.language) })}
+      </legend>
+      <p className='font-semibold'>
+        <span className='text-neutral-500 me-2'>{localizeNumber(index + 1, i18n.language)}.</span>
+        {question.prompt}
+      </p>
+      {question.type === 'multiple_choice'
+        ? question.choices.map((choice, choiceIndex) => (
+          <label key={choiceIndex} className='flex items-center gap-x-3 cursor-pointer'>
+            <input
+              type='radio'
+              name={`question-${question._id}`}
+              checked={value === String(choiceIndex)}
+              onChange={() => onChange(String(choiceIndex))}
+            />
+            <span>{choice}</span>
+          </label>
+        ))
+        : <FormInput
+          type='text'
+          name={`question-${question._id}`}
+          placeholder={t('placement_your_answer', { defaultValue: 'Your answer' })}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          isRequired={false}
+        />}
+    </fieldset>
+  );
+};
+
+// The placement test: an intro with the last result, the timed test itself, and the
+// recommended level once it is scored on the server.
+const PlacementTest = () => {
+  const { user, setUser } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isLoaded, isSignedIn } = useAuth();
+  const { t, i18n } = useTranslation();
+  const [status, setStatus] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+  const showSkeleton = useDelayedSkeleton(!status);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const placement = await getPlacementStatus();
+        setStatus(placement);
+        if (placement.inProgress) setAttempt(placement.inProgress);
+      } catch (error) {
+        console.error('Error loading placement test:', error);
+        showAlert(`Error: ${errorText(error, t)}`);
+      }
+    };
+
+    if (isLoaded) {
+      if (!isSignedIn) {
+        setLocation("/login");
+      } else if (user?.privilege === "student" && !status) {
+        fetchData();
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user]);
+
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  const handleStart = async () => {
+    try {
+      setAttempt(await startPlacementTest());
+      setAnswers({});
+    } catch (error) {
+      console.error('Error starting placement test:', error);
+      const retakeAt = error?.response?.data?.retakeAt;
+      if (retakeAt) setStatus(prev => ({ ...prev, retakeAt }));
+      showAlert(`Error: ${errorText(error, t)}`);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (isSubmitting || !attempt) return;
+    setIsSubmitting(true);
+    try {
+      const scored = await submitPlacementTest(attempt._id, answers);
+      setResult(scored);
+      setAttempt(null);
+      setUser(prev => ({ ...prev, placementLevel: scored.recommendedLevel }));
+    } catch (error) {
+      console.error('Error submitting placement test:', error);
+      showAlert(`Error: ${errorText(error, t)}`);
+      if (error?.response?.status === 409) {
+        setAttempt(null);
+        setStatus(await getPlacementStatus().catch(() => status));
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (user && user.privilege !== "student") {
+    return <Unauthorized />
+  }
+
+  const num = (value) => localizeNumber(value, i18n.language);
+  const latest = result || status?.latest;
+  const answeredCount = Object.values(answers).filter(value => String(value).trim() !== '').length;
+
+  return (
+    <>
+      {alertMessage && <Alert message={alertMessage} />}
+      <div className='page-format max-w-[64rem] space-y-8'>
+        <div className='space-y-2'>
+          <h1 className='font-extrabold'>{t('placement_test', { defaultValue: 'Placement test' })}</h1>
+          {!attempt && <p className='text-neutral-600'>
+            {t('placement_test_desc', {
+              defaultValue: 'Answer questions from every level so we can recommend where to start. You have {{minutes}} minutes once you begin.',
+              minutes: num(status?.timeLimitMinutes ?? 30),
+            })}
+          </p>}
+        </div>
+
+        {!status && showSkeleton && <Skeleton count={4} />}
+
+        {status && !attempt && <section className='space-y-6'>
+          {latest && <div className='border border-green-300 bg-green-50 rounded-sm p-4 space-y-1'>
+            <p className='font-extrabold'>
+              {t('placement_recommended', {
+                defaultValue: 'Recommended level: Level {{num}}',
+                num: num(latest.recommendedLevel),
+              })}
+            </p>
+            <p className='text-sm text-neutral-600'>
+              {t('placement_score', {
+                defaultValue: '{{score}} of {{total}} correct · {{date}}',
+                score: num(latest.score),
+                total: num(latest.total),
+                date: formatDateTime(latest.submittedAt, i18n.language),
+              })}
+            </p>
+            <Link href={`/levels/${latest.recommendedLevel}/classes`} className='inline-block text-blue-600 underline'>
+              {t('placement_see_classes', { defaultValue: 'See classes for this level' })}
+            </Link>
+          </div>}
+          {status.retakeAt && !result
+            ? <p className='text-neutral-600'>
+              {t('placement_retake_on', {
+                defaultValue: 'You can take the test again on {{date}}.',
+                date: formatDateTime(status.retakeAt, i18n.language),
+              })}
+            </p>
+            : !result && <Button
+              label={latest
+                ? t('placement_retake', { defaultValue: 'Retake the test' })
+                : t('placement_start', { defaultValue: 'Start the test' })}
+              onClick={handleStart}
+            />}
+        </section>}
+
+        {attempt && <form onSubmit={handleSubmit} className='space-y-6'>
+          <div className='sticky top-0 z-10 bg-white py-3 flex flex-wrap items-center justify-between gap-4 border-b'>
+            <Countdown expiresAt={attempt.expiresAt} onExpire={handleSubmit} />
+            <p className='text-neutral-600'>
+              {t('placement_answered', {
+                defaultValue: '{{count}} of {{total}} answered',
+                count: num(answeredCount),
+                total: num(attempt.questions.length),
+              })}
+            </p>
+          </div>
+          {attempt.questions.map((question, index) => (
+            <PlacementQuestion
+              key={question._id}
+              question={question}
+              index={index}
+              value={answers[question._id]}
+              onChange={(value) => setAnswers(prev => ({ ...prev, [question._id]: value }))}
+            />
+          ))}
+          <Button
+            label={t('placement_submit', { defaultValue: 'Submit answers' })}
+            type="submit"
+            isDisabled={isSubmitting}
+          />
+        </form>}
+      </div>
+    </>
+  );
+}
+
+export default PlacementTest;
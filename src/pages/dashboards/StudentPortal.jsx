@@ -1,5 +1,14 @@
 import { useContext, useEffect, useState } from 'react';
-import { updateUser, getStudentsClasses } from '@/wrappers/user-wrapper';
+import {
+  updateUser,
+  getStudentsClasses,
+  downloadMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getEnrollmentRequests,
+  getEnrollmentHistory,
+} from '@/wrappers/user-wrapper';
+import { unenrollInClass } from '@/wrappers/class-wrapper';
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useLocation } from 'wouter';
 import { useAuth } from '@clerk/clerk-react'
@@ -7,8 +16,11 @@ import Class from '@/components/Class/Class'
 import Button from '@/components/Button/Button';
 import FormInput from '@/components/Form/FormInput';
 import PhoneInput from '@/components/Form/PhoneInput/PhoneInput';
+import TimezoneSelect from '@/components/Form/TimezoneSelect';
 import Overlay from '@/components/Overlay';
 import Schedule from '@/components/Schedule';
+import CalendarSubscribe from '@/components/CalendarSubscribe';
+import SessionChanges from '@/components/Class/SessionChanges';
 import Alert from '@/components/Alert';
 import { IoAdd, IoCreateOutline } from "react-icons/io5";
 import { useTranslation } from "react-i18next";
@@ -17,12 +29,156 @@ import 'react-loading-skeleton/dist/skeleton.css';
 import SkeletonClass from '@/components/Skeletons/SkeletonClass';
 import SkeletonSchedule from '@/components/Skeletons/SkeletonSchedule';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import useClassTitle from '@/hooks/useClassTitle';
+import useTerms from '@/hooks/useTerms';
+import useTimezones from '@/hooks/useTimezones';
+import TermDropdown from '@/components/Dropdown/TermDropdown';
+import { findCurrentTerm, classInTerm, isTermEnded } from '@/utils/terms';
+import { browserTimezone } from '@/utils/time-utils';
 import Unauthorized from '../Unauthorized';
-import { toTitleCase } from '@/utils/formatters';
+import { localizeNumber, toTitleCase } from '@/utils/formatters';
 import { formatPhoneNumberIntl, isPossiblePhoneNumber } from 'react-phone-number-input';
 
+// Confirmation for "Delete my account": the student types their email to confirm.
+const DeleteAccountPopup = ({ email, onScheduled, onClose }) => {
+  const { t } = useTranslation();
+  const [confirmEmail, setConfirmEmail] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    try {
+      const { deletionScheduledFor } = await requestAccountDeletion(confirmEmail);
+      onScheduled(deletionScheduledFor);
+    } catch (error) {
+      const data = error?.response?.data || {};
+      setErrorMessage(data.code ? t(data.code, { defaultValue: data.message }) : data.message || 'Something went wrong');
+    }
+  };
+
+  return (
+    <Overlay width={'w-full max-w-lg'}>
+      <form onSubmit={handleConfirm} className="flex flex-col gap-y-4 py-3 px-2">
+        <h3 className='font-extrabold'>{t('delete_account', { defaultValue: 'Delete my account' })}</h3>
+        <p>
+          {t('delete_account_warning', {
+            defaultValue:
+              'Your account will be closed after a grace period: you will be removed from your classes and will no longer be able to sign in. You can cancel any time before then.',
+          })}
+        </p>
+        <div className="w-full">
+          <label>{t('delete_account_confirm', { defaultValue: 'Type {{email}} to confirm', email })}</label>
+          <FormInput
+            type="email"
+            name="confirmEmail"
+            placeholder={email}
+            value={confirmEmail}
+            onChange={(e) => setConfirmEmail(e.target.value)}
+            isRequired={true}
+          />
+        </div>
+        {errorMessage && <p className='text-red-500'>{errorMessage}</p>}
+        <div className="grid grid-cols-2 gap-x-2">
+          <Button label={t("cancel")} isOutline={true} onClick={onClose} />
+          <Button label={t("confirm")} type="submit" />
+        </div>
+      </form>
+    </Overlay>
+  );
+};
+
+const REQUEST_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+};
+
+// Requests to join classes that need approval: pending ones can be withdrawn,
+// decided ones show the outcome and the instructor's message.
+const EnrollmentRequestList = ({ requests, onWithdraw }) => {
+  const { t, i18n } = useTranslation();
+  const classTitle = useClassTitle();
+
+  return (
+    <ul className='space-y-3 w-full lg:w-2/3'>
+      {requests.map((request) => {
+        const cls = request.class;
+        return (
+          <li key={request._id} className='flex flex-wrap items-center gap-x-4 gap-y-2 shadow-shadow rounded-2xl py-4 px-6'>
+            <div className='grow'>
+              <p className='font-extrabold text-dark-blue-800'>
+                {classTitle(cls)}: {cls.ageGroup === "all" ? t(`for_${cls.ageGroup}`) : t(`${cls.ageGroup}_class`)}
+              </p>
+              <p className='text-sm text-neutral-500'>
+                {t('with_name', { name: cls.instructor })} · {t('requested_on', {
+                  defaultValue: 'Requested {{date}}',
+                  date: new Date(request.createdAt).toLocaleDateString(i18n.language),
+                })}
+              </p>
+              {request.status === 'declined' && request.note && (
+                <p className='text-sm mt-1'>{request.note}</p>
+              )}
+            </div>
+            <span className={`text-sm rounded-full px-3 py-1 ${REQUEST_STATUS_STYLES[request.status]}`}>
+              {t(`request_${request.status}`, {
+                defaultValue: { pending: 'Pending', approved: 'Approved', declined: 'Declined' }[request.status],
+              })}
+            </span>
+            {request.status === 'pending' && <Button
+              label={t('withdraw_request', { defaultValue: 'Withdraw request' })}
+              isOutline={true}
+              onClick={() => onWithdraw(request)}
+            />}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+const PAST_STATUS_LABELS = {
+  completed: 'Completed',
+  transferred: 'Transferred',
+  dropped: 'Left the class',
+};
+
+// Classes the student has finished, left or moved out of, newest first.
+const PastClassList = ({ records }) => {
+  const { t, i18n } = useTranslation();
+  const classTitle = useClassTitle();
+
+  return (
+    <ul className='space-y-3 w-full lg:w-2/3'>
+      {records.map((record) => {
+        const cls = record.classInfo;
+        return (
+          <li key={record._id} className='flex flex-wrap items-center gap-x-4 gap-y-2 shadow-shadow rounded-2xl py-4 px-6'>
+            <div className='grow'>
+              <p className='font-extrabold text-dark-blue-800'>
+                {classTitle(cls)}: {cls.ageGroup === "all" ? t(`for_${cls.ageGroup}`) : t(`${cls.ageGroup}_class`)}
+              </p>
+              <p className='text-sm text-neutral-500'>
+                {t('with_name', { name: cls.instructor })} · {t('enrollment_dates', {
+                  defaultValue: '{{start}} – {{end}}',
+                  start: new Date(record.enrolledAt || record.waitlistedAt || record.createdAt).toLocaleDateString(i18n.language),
+                  end: new Date(record.endedAt).toLocaleDateString(i18n.language),
+                })}
+              </p>
+            </div>
+            <span className='text-sm rounded-full px-3 py-1 bg-gray-100 text-gray-700'>
+              {t(`enrollment_${record.status}`, { defaultValue: PAST_STATUS_LABELS[record.status] })}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
 const StudentPortal = () => {
   const [classes, setClasses] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [pastClasses, setPastClasses] = useState([]);
   const { user, setUser } = useContext(UserContext);
   const [, setLocation] = useLocation();
   const { isLoaded, isSignedIn } = useAuth();
@@ -35,16 +191,34 @@ const StudentPortal = () => {
     whatsapp: '',
     age: '',
     gender: '',
+    timezone: '',
+    secondaryTimezone: '',
   });
   const [alertMessage, setAlertMessage] = useState("");
-  const { t } = useTranslation();
+  const [showDeleteAccount, setShowDeleteAccount] = useState(false);
+  const { t, i18n } = useTranslation();
   const showSkeleton = useDelayedSkeleton(!allowRender);
+  const terms = useTerms();
+  const timezones = useTimezones();
+  const [termId, setTermId] = useState(null);
+
+  // Courses and schedule show one term at a time, the current one unless another is picked
+  const selectedTerm = terms?.find(term => term._id === termId) || findCurrentTerm(terms);
+  const termClasses = selectedTerm ? classes.filter(cls => classInTerm(cls, selectedTerm._id)) : classes;
+  const termEnded = isTermEnded(selectedTerm);
 
   useEffect(() => {
     const fetchData = async () => {
       if (user) {
-        const userClasses = await getStudentsClasses(user._id);
+        const [userClasses, userRequests, history] = await Promise.all([
+          getStudentsClasses(user._id),
+          getEnrollmentRequests(user._id),
+          getEnrollmentHistory(user._id),
+        ]);
         setClasses(userClasses);
+        setRequests(userRequests);
+        // A dropped record that was never active is a waitlist spot, not a class taken
+        setPastClasses(history.filter(record => record.endedAt && (record.enrolledAt || record.status !== 'dropped')));
         setAllowRender(true);
       }
     };
@@ -62,7 +236,12 @@ const StudentPortal = () => {
     e.preventDefault();
     try {
       if (isPossiblePhoneNumber(editFormData.whatsapp) || editFormData.whatsapp === "") {
-        await updateUser(user._id, editFormData);
+        // An empty choice means the browser's zone, or no second zone
+        const zones = {
+          timezone: editFormData.timezone || null,
+          secondaryTimezone: editFormData.secondaryTimezone || null,
+        };
+        await updateUser(user._id, { ...editFormData, ...zones });
         setUser(prev => ({
           ...prev,
           firstName: editFormData.firstName,
@@ -70,7 +249,8 @@ const StudentPortal = () => {
           email: editFormData.email,
           whatsapp: editFormData.whatsapp,
           age: editFormData.age,
-          gender: editFormData.gender
+          gender: editFormData.gender,
+          ...zones
         }))
         setShowEditModal(false);
       } else {
@@ -92,10 +272,47 @@ const StudentPortal = () => {
       whatsapp: user.whatsapp || '',
       age: user.age || '',
       gender: user.gender ? toTitleCase(user.gender) : '',
+      timezone: user.timezone || '',
+      secondaryTimezone: user.secondaryTimezone || '',
     });
     setShowEditModal(true);
   };
 
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => {
+      setAlertMessage("");
+    }, 4000);
+  };
+
+  const handleDownloadData = async (format) => {
+    try {
+      await downloadMyData(format);
+    } catch (error) {
+      console.error('Error downloading data:', error);
+      showAlert(`Error: ${t('download_data_error', { defaultValue: 'Could not download your data' })}`);
+    }
+  };
+
+  const handleWithdrawRequest = async (request) => {
+    try {
+      await unenrollInClass(request.class._id, user._id);
+      setRequests(prev => prev.filter(r => r._id !== request._id));
+    } catch (error) {
+      console.error('Error withdrawing request:', error);
+      showAlert(`Error: ${t('withdraw_request_error', { defaultValue: 'Could not withdraw your request' })}`);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      await cancelAccountDeletion();
+      setUser(prev => ({ ...prev, deletionScheduledFor: null }));
+    } catch (error) {
+      console.error('Error cancelling account deletion:', error);
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setEditFormData((prevEditFormData) => ({
@@ -112,6 +329,17 @@ const StudentPortal = () => {
     <>
       {alertMessage && <Alert message={alertMessage} />}
       <div className='page-format max-w-[96rem] space-y-12'>
+        {allowRender && user.deletionScheduledFor && (
+          <div className='flex flex-col sm:flex-row sm:items-center gap-4 border border-red-300 bg-red-50 rounded-sm p-4'>
+            <p className='grow'>
+              {t('account_deletion_scheduled', {
+                defaultValue: 'Your account will be deleted on {{date}}.',
+                date: new Date(user.deletionScheduledFor).toLocaleDateString(i18n.language),
+              })}
+            </p>
+            <Button label={t('keep_account', { defaultValue: 'Keep my account' })} onClick={handleCancelDeletion} />
+          </div>
+        )}
         <div>
           {allowRender
             ? <div className='flex flex-col sm:flex-row sm:items-end flex-wrap gap-x-5 mb-1'>
@@ -144,18 +372,32 @@ const StudentPortal = () => {
                 <p className='text-black col-start-1'>{t("age")}</p>
                 <p className='text-gray-500 col-start-2'>{user.age ? user.age : "N/A"}</p>
                 <p className='text-black col-start-1'>{t("gender")}</p>
-                <p className='text-gray-500 col-start-2'>{user.gender ? toTitleCase(user.gender) : "N/A"}</p></>
+                <p className='text-gray-500 col-start-2'>{user.gender ? toTitleCase(user.gender) : "N/A"}</p>
+                <p className='text-black col-start-1'>{t("time_zone", { defaultValue: "Time zone" })}</p>
+                <p className='text-gray-500 col-start-2'>
+                  {[timezones.primary, timezones.secondary].filter(Boolean).map(zone => zone.replaceAll('_', ' ')).join(' / ')}
+                </p></>
               : showSkeleton && <div className='w-40 lg:w-64'>
-                <Skeleton count={4} />
+                <Skeleton count={5} />
               </div>}
           </div>
         </div>
         <section className='my-12'>
-          <h2 className='font-extrabold mb-6'>{allowRender ? t("your_courses") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+          <div className='flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6'>
+            <h2 className='font-extrabold'>{allowRender ? t("your_courses") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+            {allowRender && terms?.length > 0 && <div className='w-full sm:w-72'>
+              <TermDropdown selectedId={selectedTerm?._id} onSelect={(term) => setTermId(term._id)} />
+            </div>}
+          </div>
+          {allowRender && termEnded && (
+            <p className='mb-6 text-neutral-500'>
+              {t('term_ended_note', { defaultValue: '{{term}} has ended. Its classes are shown for your records.', term: selectedTerm.name })}
+            </p>
+          )}
           <div className='grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-6'>
             {allowRender
-              ? classes.map((classObj, classIndex) => (
-                <Class key={classIndex} classObj={classObj} modes={["unenroll"]} />
+              ? termClasses.map((classObj, classIndex) => (
+                <Class key={classIndex} classObj={classObj} modes={termEnded ? [] : ["unenroll"]} />
               ))
               : showSkeleton && <SkeletonClass count={3} />}
             <div className="flex justify-center sm:justify-normal items-center w-full">
@@ -167,11 +409,80 @@ const StudentPortal = () => {
             </div>
           </div>
         </section>
+        {allowRender && requests.length > 0 && (
+          <section>
+            <h2 className='font-extrabold mb-6'>{t('enrollment_requests', { defaultValue: 'Enrollment requests' })}</h2>
+            <EnrollmentRequestList requests={requests} onWithdraw={handleWithdrawRequest} />
+          </section>
+        )}
+        {allowRender && pastClasses.length > 0 && (
+          <section>
+            <h2 className='font-extrabold mb-6'>{t('past_classes', { defaultValue: 'Past classes' })}</h2>
+            <PastClassList records={pastClasses} />
+          </section>
+        )}
+        {allowRender && (
+          <section>
+            <h2 className='font-extrabold mb-4'>{t('placement_test', { defaultValue: 'Placement test' })}</h2>
+            <div className='flex flex-col sm:flex-row sm:items-center gap-4'>
+              <p>
+                {user.placementLevel != null
+                  ? t('placement_recommends_level', {
+                    defaultValue: 'Your placement test recommends Level {{num}}.',
+                    num: localizeNumber(user.placementLevel, i18n.language),
+                  })
+                  : t('placement_portal_desc', {
+                    defaultValue: 'Take a short timed test to find the level that suits you.',
+                  })}
+              </p>
+              <Button
+                label={user.placementLevel != null
+                  ? t('placement_view', { defaultValue: 'View results' })
+                  : t('placement_start', { defaultValue: 'Start the test' })}
+                isOutline={user.placementLevel != null}
+                onClick={() => setLocation("/student/placement")}
+              />
+            </div>
+          </section>
+        )}
         {/* TODO: add supp classes */}
         <section>
-          <h2 className='font-extrabold my-8'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
-          {allowRender ? <Schedule privilege={user.privilege} classes={classes} /> : showSkeleton && <SkeletonSchedule />}
+          <div className='flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 my-8'>
+            <h2 className='font-extrabold'>{allowRender ? t("class_schedule") : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+            {allowRender && <CalendarSubscribe />}
+          </div>
+          {allowRender && !termEnded && <SessionChanges classes={termClasses} />}
+          {allowRender ? <Schedule privilege={user.privilege} classes={termClasses} /> : showSkeleton && <SkeletonSchedule />}
+        </section>
+        <section>
+          <h2 className='font-extrabold my-8'>{allowRender ? t('your_account', { defaultValue: 'Your account' }) : showSkeleton && <Skeleton width={"12rem"} />}</h2>
+          {allowRender && <div className='flex flex-wrap gap-4'>
+            <Button
+              label={t('download_my_data', { defaultValue: 'Download my data' })}
+              onClick={() => handleDownloadData('zip')}
+            />
+            <Button
+              label={t('download_my_data_json', { defaultValue: 'Download as JSON' })}
+              isOutline={true}
+              onClick={() => handleDownloadData('json')}
+            />
+            {!user.deletionScheduledFor && <Button
+              label={t('delete_account', { defaultValue: 'Delete my account' })}
+              isOutline={true}
+              onClick={() => setShowDeleteAccount(true)}
+            />}
+          </div>}
         </section>
+        {showDeleteAccount && (
+          <DeleteAccountPopup
+            email={user.email}
+            onClose={() => setShowDeleteAccount(false)}
+            onScheduled={(deletionScheduledFor) => {
+              setUser(prev => ({ ...prev, deletionScheduledFor }));
+              setShowDeleteAccount(false);
+            }}
+          />
+        )}
         {showEditModal && (
           <Overlay width={'w-1/2'}>
             <form onSubmit={handleEditUser} className="flex flex-col gap-y-6 py-3 px-2">
@@ -242,6 +553,26 @@ const StudentPortal = () => {
                   />
                 </div>
               </div>
+              <div className='sm:flex gap-y-6 sm:gap-y-0 sm:gap-x-6'>
+                <div className='w-full'>
+                  <label>{t("time_zone", { defaultValue: "Time zone" })}</label>
+                  <TimezoneSelect
+                    name="timezone"
+                    value={editFormData.timezone}
+                    onChange={handleInputChange}
+                    emptyLabel={t("time_zone_automatic", { zone: browserTimezone(), defaultValue: "Automatic ({{zone}})" })}
+                  />
+                </div>
+                <div className='w-full'>
+                  <label>{t("secondary_time_zone", { defaultValue: "Also show times in" })}</label>
+                  <TimezoneSelect
+                    name="secondaryTimezone"
+                    value={editFormData.secondaryTimezone}
+                    onChange={handleInputChange}
+                    emptyLabel={t("none", { defaultValue: "None" })}
+                  />
+                </div>
+              </div>
               <div className="grid grid-cols-2 gap-x-2">
                 <Button
                   label={t("cancel")}
@@ -0,0 +1,321 @@
+// src/pages/dashboards/admin/AdminAgeGroups.jsx
+// Admin Age Groups dashboard.
+// Features:
+// - Auth-gated (manage_classes to edit age groups, manage_users for the report)
+// - Lists age groups with their age ranges and how many classes use each
+// - Create / edit ranges / delete unused age groups
+// - Report of students whose age is outside the range of a class they are in
+//
+// Notes:
+// - Enrolling checks the range; students with no age on record are asked for it.
+// - Changing a range does not unenroll anyone; the report shows who no longer fits.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import { useLocation, Link } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import Button from "@/components/Button/Button";
+import DeleteButton from "@/components/Button/DeleteButton";
+import FormInput from "@/components/Form/FormInput";
+import Overlay from "@/components/Overlay";
+import Alert from "@/components/Alert";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import useCapabilities from "@/hooks/useCapabilities";
+import {
+  getAgeGroups,
+  createAgeGroup,
+  updateAgeGroup,
+  deleteAgeGroup,
+  getAgeMismatches,
+} from "@/wrappers/age-group-wrapper.js";
+import { describeAgeRange } from "@/utils/age-groups";
+import { formatClassLabel, toTitleCase } from "@/utils/formatters";
+
+const PROBLEM_LABELS = {
+  missing_age: "No age on record",
+  too_young: "Too young",
+  too_old: "Too old",
+};
+
+const EMPTY_GROUP = { name: "", minAge: "", maxAge: "" };
+
+// The form keeps empty bounds as ""
+const toForm = (group) => ({ ...group, minAge: group.minAge ?? "", maxAge: group.maxAge ?? "" });
+
+// Students enrolled in classes whose age range they are outside of.
+const AgeMismatchReport = ({ refreshKey }) => {
+  const [rows, setRows] = useState(null);
+  const showSkeleton = useDelayedSkeleton(!rows);
+
+  useEffect(() => {
+    getAgeMismatches()
+      .then(setRows)
+      .catch((error) => {
+        console.error("Error loading age report:", error);
+        setRows([]);
+      });
+  }, [refreshKey]);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="mb-1">Students Outside Their Class Age Range</h2>
+        <p className="text-gray-600">
+          Students enrolled before a range was set or changed, or whose age changed since. Update their age or
+          move them to another class from their user page.
+        </p>
+      </div>
+      <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-700">
+            <tr>
+              <th className="text-left px-4 py-3">Student</th>
+              <th className="text-left px-4 py-3">Age</th>
+              <th className="text-left px-4 py-3">Class</th>
+              <th className="text-left px-4 py-3">Age group</th>
+              <th className="text-left px-4 py-3">Problem</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {!rows ? (
+              <tr>
+                <td className="px-4 py-3" colSpan={5}>{showSkeleton && <Skeleton count={2} />}</td>
+              </tr>
+            ) : rows.length === 0 ? (
+              <tr>
+                <td className="px-4 py-8 text-gray-500" colSpan={5}>
+                  Every student fits the age range of their classes.
+                </td>
+              </tr>
+            ) : (
+              rows.map((row) => (
+                <tr key={`${row.student._id}-${row.class._id}`} className="text-gray-800">
+                  <td className="px-4 py-3">
+                    <Link href={`/admin/user/${encodeURIComponent(row.student._id)}`} className="text-blue-500 hover:underline">
+                      {toTitleCase(row.student.firstName || "")} {toTitleCase(row.student.lastName || "")}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-3">{row.student.age ?? "—"}</td>
+                  <td className="px-4 py-3">{formatClassLabel(row.class)}</td>
+                  <td className="px-4 py-3">{toTitleCase(row.ageGroup.name)} ({describeAgeRange(row.ageGroup)})</td>
+                  <td className="px-4 py-3">{PROBLEM_LABELS[row.problem]}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const AdminAgeGroups = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const { can } = useCapabilities();
+
+  const [loading, setLoading] = useState(true);
+  const showSkeleton = useDelayedSkeleton(loading);
+  const [groups, setGroups] = useState([]);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [reportKey, setReportKey] = useState(0);
+
+  // null when closed; otherwise the age group being edited (no _id for a new group)
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    loadGroups();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  async function loadGroups() {
+    try {
+      setLoading(true);
+      setGroups(await getAgeGroups());
+    } catch (err) {
+      const status = err?.response?.status;
+      if (status === 401) setLocation("/login");
+      else console.error("loadGroups error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => setAlertMessage(""), 4000);
+  };
+
+  const setField = (name, value) => setEditing((prev) => ({ ...prev, [name]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const range = { minAge: editing.minAge, maxAge: editing.maxAge };
+      if (editing._id) {
+        await updateAgeGroup(editing._id, range);
+      } else {
+        await createAgeGroup({ name: editing.name, ...range });
+      }
+      setEditing(null);
+      setReportKey((key) => key + 1);
+      await loadGroups();
+    } catch (err) {
+      console.error("Save age group failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to save age group"}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteAgeGroup(editing._id);
+      setEditing(null);
+      await loadGroups();
+    } catch (err) {
+      console.error("Delete age group failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to delete age group"}`);
+    }
+  };
+
+  // Guard: class managers edit age groups, user managers see the report
+  if (user && !can("manage_classes") && !can("manage_users")) {
+    return <Unauthorized />;
+  }
+
+  return (
+    <>
+      {alertMessage && <Alert message={alertMessage} />}
+      <div className="page-format max-w-[96rem] space-y-10">
+        <div className="flex flex-col items-start md:flex-row md:items-center md:justify-between">
+          <div className="mb-6 md:m-0">
+            <h1 className="font-extrabold mb-2">Age Groups</h1>
+            <p>
+              Students can only enroll in classes whose age group includes their age. Groups without a minimum or
+              maximum age are open to everyone.
+            </p>
+          </div>
+          {can("manage_classes") && (
+            <Button label={"New Age Group"} onClick={() => setEditing(toForm(EMPTY_GROUP))} />
+          )}
+        </div>
+
+        <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-700">
+              <tr>
+                <th className="text-left px-4 py-3">Name</th>
+                <th className="text-left px-4 py-3">Ages</th>
+                <th className="text-left px-4 py-3">Classes</th>
+                <th className="text-left px-4 py-3"></th>
+              </tr>
+            </thead>
+
+            <tbody className="divide-y divide-gray-100">
+              {loading ? (
+                Array.from({ length: 3 }).map((_, i) => (
+                  <tr key={i}>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={80} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={120} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={30} />}</td>
+                    <td className="px-4 py-3"></td>
+                  </tr>
+                ))
+              ) : groups.length === 0 ? (
+                <tr>
+                  <td className="px-4 py-8 text-gray-500" colSpan={4}>
+                    No age groups yet. Run the age group migration to create the starting ones.
+                  </td>
+                </tr>
+              ) : (
+                groups.map((group) => (
+                  <tr key={group._id} className="text-gray-800">
+                    <td className="px-4 py-3 font-semibold">{toTitleCase(group.name)}</td>
+                    <td className="px-4 py-3">{toTitleCase(describeAgeRange(group))}</td>
+                    <td className="px-4 py-3">{group.classCount}</td>
+                    <td className="px-4 py-3 text-right">
+                      {can("manage_classes") && (
+                        <button
+                          type="button"
+                          className="text-blue-500 hover:underline"
+                          onClick={() => setEditing(toForm(group))}
+                        >
+                          Edit
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {can("manage_users") && <AgeMismatchReport refreshKey={reportKey} />}
+      </div>
+
+      {editing && (
+        <Overlay width="w-full max-w-lg">
+          <form onSubmit={handleSave} className="space-y-5">
+            <h3 className="font-extrabold">{editing._id ? `Edit ${toTitleCase(editing.name)}` : "New Age Group"}</h3>
+            {!editing._id && (
+              <div className="space-y-3">
+                <label className="mx-1">Name (lowercase, used in class forms and translations)</label>
+                <FormInput
+                  type="text"
+                  name="name"
+                  placeholder="e.g. teens"
+                  value={editing.name}
+                  onChange={(e) => setField("name", e.target.value)}
+                  isRequired={true}
+                />
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-x-4">
+              <div className="space-y-3">
+                <label className="mx-1">Minimum age</label>
+                <FormInput
+                  type="number"
+                  name="minAge"
+                  placeholder="No minimum"
+                  value={editing.minAge}
+                  onChange={(e) => setField("minAge", e.target.value)}
+                  isRequired={false}
+                />
+              </div>
+              <div className="space-y-3">
+                <label className="mx-1">Maximum age</label>
+                <FormInput
+                  type="number"
+                  name="maxAge"
+                  placeholder="No maximum"
+                  value={editing.maxAge}
+                  onChange={(e) => setField("maxAge", e.target.value)}
+                  isRequired={false}
+                />
+              </div>
+            </div>
+            <p className="text-sm text-gray-600">Both ages are included. Enrolled students are not removed when the range changes.</p>
+            <div className="flex flex-wrap gap-2">
+              <Button label="Save" type="submit" />
+              <Button label="Cancel" isOutline={true} onClick={() => setEditing(null)} />
+              {editing._id && editing.classCount === 0 && <DeleteButton item="age group" onDelete={handleDelete} />}
+            </div>
+          </form>
+        </Overlay>
+      )}
+    </>
+  );
+};
+
+export default AdminAgeGroups;
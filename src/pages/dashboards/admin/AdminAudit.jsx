@@ -0,0 +1,296 @@
+// src/pages/dashboards/admin/AdminAudit.jsx
+// Admin Audit Log dashboard.
+// Features:
+// - Auth-gated (view_audit_log capability)
+// - Filter by actor, entity type, date range and target (e.g. a student's name)
+// - Shows each change as field: before → after
+//
+// Notes:
+// - Events are written by the API whenever classes, levels, users, volunteers,
+//   translations or roles change; this page is read-only.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import useCapabilities from "@/hooks/useCapabilities";
+import { useLocation } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import SearchBar from "@/components/SearchBar";
+import Dropdown from "@/components/Dropdown/Dropdown";
+import Pagination from "@/components/Pagination/Pagination.jsx";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from "@/constants/audit.js";
+import { getAuditActors, getAuditEvents } from "@/wrappers/audit-wrapper.js";
+
+const PAGE_SIZE = 50;
+
+const ENTITY_OPTIONS = [
+  { value: "", label: "All Types" },
+  ...Object.entries(AUDIT_ENTITY_TYPES).map(([value, label]) => ({ value, label })),
+];
+
+function formatDateTime(d) {
+  if (!d) return "";
+  return new Date(d).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// Short, readable rendering of a stored before/after value
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value) && value.every((v) => typeof v !== "object")) return value.join(", ") || "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+const filterButtonClassName = "text-black min-w-fit border border-gray-400 px-5 py-3 gap-1 rounded-sm bg-white";
+
+const AdminAudit = () => {
+  const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+
+  const [loading, setLoading] = useState(true);
+  const [allowRender, setAllowRender] = useState(false);
+  const showSkeleton = useDelayedSkeleton(loading);
+
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actors, setActors] = useState([]);
+
+  const [page, setPage] = useState(1);
+  const [actorFilter, setActorFilter] = useState("");
+  const [entityFilter, setEntityFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [searchInput, setSearchInput] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+
+  // Debounce search input for fewer requests
+  useEffect(() => {
+    const id = setTimeout(() => setDebouncedSearch(searchInput), 350);
+    return () => clearTimeout(id);
+  }, [searchInput]);
+
+  // Initial auth gate + first page load
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    (async () => {
+      try {
+        setLoading(true);
+        const [actorList] = await Promise.all([getAuditActors(), loadPage(1)]);
+        setActors(actorList || []);
+        setAllowRender(true);
+      } catch (err) {
+        console.error("AdminAudit init error:", err);
+      } finally {
+        setLoading(false);
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user?._id]);
+
+  // Reload when filters change
+  useEffect(() => {
+    if (!allowRender) return;
+    loadPage(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [actorFilter, entityFilter, fromDate, toDate, debouncedSearch]);
+
+  async function loadPage(nextPage) {
+    try {
+      setPage(nextPage);
+      setLoading(true);
+
+      const data = await getAuditEvents({
+        page: nextPage,
+        limit: PAGE_SIZE,
+        actor: actorFilter,
+        entityType: entityFilter,
+        from: fromDate,
+        to: toDate,
+        q: debouncedSearch.trim(),
+      });
+
+      setItems(data.items || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      const status = err?.response?.status;
+      if (status === 401) setLocation("/login");
+      else console.error("loadPage error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Guard: only audit viewers can view
+  if (user && !can("view_audit_log")) {
+    return <Unauthorized />;
+  }
+
+  const actorLabel = actors.find((a) => a._id === actorFilter)?.name || "All Actors";
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      <div className="mb-6 md:m-0">
+        <h1 className="font-extrabold mb-2">Audit Log</h1>
+        <p>See who changed classes, levels, users, volunteers, translations and roles, and what changed.</p>
+      </div>
+
+      <div className="w-full flex flex-col gap-4 lg:flex-row">
+        <SearchBar
+          input={searchInput}
+          setInput={setSearchInput}
+          placeholder={"Search by target, e.g. a student's name or \"Level 3\""}
+        />
+
+        <Dropdown
+          label={<span className="whitespace-nowrap">{actorLabel}</span>}
+          buttonClassName={filterButtonClassName}
+        >
+          {[{ _id: "", name: "All Actors" }, ...actors].map((actor) => (
+            <button
+              key={actor._id || "all"}
+              className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
+                actorFilter === actor._id ? "text-blue-500 bg-gray-50" : "text-gray-700"
+              }`}
+              onClick={() => setActorFilter(actor._id)}
+            >
+              {actor.name || actor.email}
+            </button>
+          ))}
+        </Dropdown>
+
+        <Dropdown
+          label={
+            <span className="whitespace-nowrap">
+              {ENTITY_OPTIONS.find((o) => o.value === entityFilter)?.label || "All Types"}
+            </span>
+          }
+          buttonClassName={filterButtonClassName}
+        >
+          {ENTITY_OPTIONS.map((opt) => (
+            <button
+              key={opt.value || "all"}
+              className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
+                entityFilter === opt.value ? "text-blue-500 bg-gray-50" : "text-gray-700"
+              }`}
+              onClick={() => setEntityFilter(opt.value)}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </Dropdown>
+
+        <label className="flex items-center gap-x-2 whitespace-nowrap">
+          From
+          <input
+            type="date"
+            className="border border-gray-400 rounded-sm px-3 py-2"
+            value={fromDate}
+            max={toDate || undefined}
+            onChange={(e) => setFromDate(e.target.value)}
+          />
+        </label>
+        <label className="flex items-center gap-x-2 whitespace-nowrap">
+          To
+          <input
+            type="date"
+            className="border border-gray-400 rounded-sm px-3 py-2"
+            value={toDate}
+            min={fromDate || undefined}
+            onChange={(e) => setToDate(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="text-indigo-900 inline-flex items-center gap-x-2">
+        <p className="flex">{allowRender ? `${total} event(s)` : showSkeleton && <Skeleton width={"8rem"} />}</p>
+      </div>
+
+      <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-700">
+            <tr>
+              <th className="text-left px-4 py-3">When</th>
+              <th className="text-left px-4 py-3">Actor</th>
+              <th className="text-left px-4 py-3">Action</th>
+              <th className="text-left px-4 py-3">Target</th>
+              <th className="text-left px-4 py-3">Changes</th>
+            </tr>
+          </thead>
+
+          <tbody className="divide-y divide-gray-100">
+            {!allowRender || loading ? (
+              Array.from({ length: 8 }).map((_, i) => (
+                <tr key={i}>
+                  <td className="px-4 py-3">{showSkeleton && <Skeleton width={130} />}</td>
+                  <td className="px-4 py-3">{showSkeleton && <Skeleton width={120} />}</td>
+                  <td className="px-4 py-3">{showSkeleton && <Skeleton width={80} />}</td>
+                  <td className="px-4 py-3">{showSkeleton && <Skeleton width={160} />}</td>
+                  <td className="px-4 py-3">{showSkeleton && <Skeleton />}</td>
+                </tr>
+              ))
+            ) : items.length === 0 ? (
+              <tr>
+                <td className="px-4 py-8 text-gray-500" colSpan={5}>
+                  No events found.
+                </td>
+              </tr>
+            ) : (
+              items.map((event) => (
+                <tr key={event._id} className="text-gray-800 align-top">
+                  <td className="px-4 py-3 whitespace-nowrap">{formatDateTime(event.createdAt)}</td>
+                  <td className="px-4 py-3">
+                    <span className="block">{event.actorName || "—"}</span>
+                    <span className="block text-gray-500">{event.actorEmail}</span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">{AUDIT_ACTIONS[event.action] || event.action}</td>
+                  <td className="px-4 py-3">
+                    <span className="block">{event.entityLabel || "—"}</span>
+                    <span className="block text-gray-500">
+                      {AUDIT_ENTITY_TYPES[event.entityType] || event.entityType}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 space-y-1">
+                    {event.summary && <p className="font-semibold">{event.summary}</p>}
+                    {(event.changes || []).map((change) => (
+                      <p key={change.field} className="break-words">
+                        <span className="font-semibold">{change.field}:</span> {formatValue(change.before)} →{" "}
+                        {formatValue(change.after)}
+                      </p>
+                    ))}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {allowRender && total > 0 && (
+        <div className="pt-6">
+          <Pagination
+            page={page}
+            total={total}
+            limit={PAGE_SIZE}
+            busy={loading}
+            onChange={(p) => {
+              if (p !== page) loadPage(p);
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAudit;
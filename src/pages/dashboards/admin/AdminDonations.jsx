@@ -0,0 +1,110 @@
+// src/pages/dashboards/admin/AdminDonations.jsx
+// Admin "Donations" dashboard.
+// Features:
+// - Auth-gated (view_donations capability)
+// - Shows whether donations are on and which payment providers are ready,
+//   with the settings each one is missing
+//
+// Notes:
+// - Settings come from the API's environment (DONATIONS_ENABLED, BASE_URL, STRIPE_*, PAYPAL_*)
+//   and are changed there, not here. Secrets are reported as set or missing only.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import useCapabilities from "@/hooks/useCapabilities";
+import { useLocation } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import { getDonationSettings } from "@/wrappers/donation-wrapper.js";
+
+// One row per setting: label and how to read it from the settings response
+const ROWS = [
+  { label: "Donations enabled (DONATIONS_ENABLED)", value: (s) => s.enabled },
+  { label: "Site URL (BASE_URL)", value: (s) => s.baseUrl || false },
+  { label: "Card payments (Stripe)", value: (s) => s.stripe.available, isProvider: true },
+  { label: "Stripe secret key", value: (s) => s.stripe.secretKeySet },
+  { label: "PayPal", value: (s) => s.paypal.available, isProvider: true },
+  { label: "PayPal environment (PAYPAL_ENV)", value: (s) => s.paypal.environment },
+  { label: "PayPal client ID", value: (s) => s.paypal.clientIdSet },
+  { label: "PayPal client secret", value: (s) => s.paypal.clientSecretSet },
+];
+
+const formatSetting = (value, isProvider) => {
+  if (typeof value === "string") return value;
+  if (isProvider) return value ? "Ready" : "Unavailable";
+  return value ? "Set" : "Missing";
+};
+
+const AdminDonations = () => {
+  const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+
+  const [loading, setLoading] = useState(true);
+  const showSkeleton = useDelayedSkeleton(loading);
+  const [settings, setSettings] = useState(null);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    loadSettings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  async function loadSettings() {
+    try {
+      setLoading(true);
+      setSettings(await getDonationSettings());
+    } catch (err) {
+      const status = err?.response?.status;
+      if (status === 401) setLocation("/login");
+      else console.error("loadSettings error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Guard: only users who may view donations
+  if (user && !can("view_donations")) {
+    return <Unauthorized />;
+  }
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      <div className="mb-6 md:m-0">
+        <h1 className="font-extrabold mb-2">Donations</h1>
+        <p>How the donate page is set up. Settings are changed in the server&apos;s environment.</p>
+      </div>
+
+      <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+        <table className="min-w-full text-sm">
+          <tbody className="divide-y divide-gray-100">
+            {ROWS.map((row) => (
+              <tr key={row.label} className="text-gray-800">
+                <td className="px-4 py-3 font-semibold">{row.label}</td>
+                <td className="px-4 py-3">
+                  {loading
+                    ? showSkeleton && <Skeleton width={90} />
+                    : settings
+                      ? formatSetting(row.value(settings), row.isProvider)
+                      : "—"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminDonations;
@@ -3,6 +3,7 @@
 
 import { useContext, useEffect, useMemo, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import { getUsersPaginated } from '@/wrappers/user-wrapper.js';
@@ -19,6 +20,7 @@ const PAGE_SIZE = 24;
 
 const AdminInstructors = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
 
@@ -67,7 +69,7 @@ const AdminInstructors = () => {
     [total]
   );
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_users")) {
     return <Unauthorized />;
   }
 
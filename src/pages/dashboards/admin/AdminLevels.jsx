@@ -4,17 +4,21 @@ import Button from '@/components/Button/Button';
 import SkeletonLevel from '@/components/Skeletons/SkeletonLevel';
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import { getLevels } from '@/wrappers/level-wrapper';
 import Unauthorized from "@/pages/Unauthorized";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import usePrograms from '@/hooks/usePrograms';
 
 const AdminLevels = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [levels, setLevels] = useState([]);
+  const programs = usePrograms();
   const [allowRender, setAllowRender] = useState(false);
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
@@ -36,7 +40,7 @@ const AdminLevels = () => {
     }
   }, [isLoaded, isSignedIn, user]);
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_classes")) {
     return <Unauthorized />;
   }
 
@@ -45,7 +49,7 @@ const AdminLevels = () => {
       <div className="flex justify-between items-end">
         <div>
           <h1 className="font-extrabold mb-2">All Levels</h1>
-          <p>Browse, add, and delete levels.</p>
+          <p>Browse, add, and delete levels. Programs without levels are listed after them.</p>
         </div>
         <div>
           <Button
@@ -73,30 +77,15 @@ const AdminLevels = () => {
                   </div>
                 </Link>
               ))}
-            <Link href="/admin/levels/conversations">
-              <div className="rounded-lg">
-                <Level
-                  level={{
-                    level: "conversation",
-                    name: "",
-                  }}
-                  isSimplified
-                  isArrowRight
-                />
-              </div>
-            </Link>
-            <Link href="/admin/levels/ielts">
-              <div className="rounded-lg">
-                <Level
-                  level={{
-                    level: "ielts",
-                    name: "",
-                  }}
-                  isSimplified
-                  isArrowRight
-                />
-              </div>
-            </Link>
+            {programs
+              .filter((program) => !program.isLevelBased)
+              .map((program) => (
+                <Link key={program.slug} href={`/admin/programs/${encodeURIComponent(program.slug)}`}>
+                  <div className="rounded-lg">
+                    <Level program={program} isSimplified isArrowRight />
+                  </div>
+                </Link>
+              ))}
           </>
         ) : showSkeleton && (
           <SkeletonLevel count={6} isSimplified isArrowRight />
@@ -0,0 +1,359 @@
+// src/pages/dashboards/admin/AdminPlacement.jsx
+// Admin Placement Test dashboard.
+// Features:
+// - Auth-gated (manage_classes capability)
+// - Lists the question bank, filterable by level
+// - Create / edit / delete multiple-choice and fill-in questions
+//
+// Notes:
+// - Each test draws questions from every level; inactive questions are never drawn.
+// - Students' results are shown on their Edit User page.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import { useLocation } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import Button from "@/components/Button/Button";
+import DeleteButton from "@/components/Button/DeleteButton";
+import FormInput from "@/components/Form/FormInput";
+import Overlay from "@/components/Overlay";
+import Alert from "@/components/Alert";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import useCapabilities from "@/hooks/useCapabilities";
+import {
+  getPlacementQuestions,
+  createPlacementQuestion,
+  updatePlacementQuestion,
+  deletePlacementQuestion,
+} from "@/wrappers/placement-wrapper.js";
+
+const TYPE_LABELS = { multiple_choice: "Multiple choice", fill_in: "Fill in" };
+
+const EMPTY_QUESTION = {
+  level: "",
+  skill: "",
+  type: "multiple_choice",
+  prompt: "",
+  choices: ["", "", "", ""],
+  correctChoice: 0,
+  acceptedAnswers: "",
+  active: true,
+};
+
+// The form keeps accepted answers as one answer per line
+const toForm = (question) => ({
+  ...question,
+  choices: question.choices?.length ? [...question.choices] : [...EMPTY_QUESTION.choices],
+  correctChoice: question.correctChoice ?? 0,
+  acceptedAnswers: (question.acceptedAnswers || []).join("\n"),
+});
+
+const fromForm = ({ level, skill, type, prompt, choices, correctChoice, acceptedAnswers, active }) => ({
+  level: Number(level),
+  skill: skill.trim(),
+  type,
+  prompt: prompt.trim(),
+  choices,
+  correctChoice,
+  acceptedAnswers: acceptedAnswers.split("\n"),
+  active,
+});
+
+const AdminPlacement = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const { can } = useCapabilities();
+
+  const [loading, setLoading] = useState(true);
+  const showSkeleton = useDelayedSkeleton(loading);
+  const [questions, setQuestions] = useState([]);
+  const [levelFilter, setLevelFilter] = useState("");
+  const [alertMessage, setAlertMessage] = useState("");
+
+  // null when closed; otherwise the question being edited (no _id for a new question)
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    loadQuestions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  async function loadQuestions() {
+    try {
+      setLoading(true);
+      setQuestions(await getPlacementQuestions());
+    } catch (err) {
+      const status = err?.response?.status;
+      if (status === 401) setLocation("/login");
+      else console.error("loadQuestions error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => setAlertMessage(""), 4000);
+  };
+
+  const setField = (name, value) => setEditing((prev) => ({ ...prev, [name]: value }));
+
+  const setChoice = (index, value) =>
+    setEditing((prev) => ({ ...prev, choices: prev.choices.map((c, i) => (i === index ? value : c)) }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      if (editing._id) {
+        await updatePlacementQuestion(editing._id, fromForm(editing));
+      } else {
+        await createPlacementQuestion(fromForm(editing));
+      }
+      setEditing(null);
+      await loadQuestions();
+    } catch (err) {
+      console.error("Save question failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to save question"}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deletePlacementQuestion(editing._id);
+      setEditing(null);
+      await loadQuestions();
+    } catch (err) {
+      console.error("Delete question failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to delete question"}`);
+    }
+  };
+
+  // Guard: only class managers can view
+  if (user && !can("manage_classes")) {
+    return <Unauthorized />;
+  }
+
+  const levels = [...new Set(questions.map((q) => q.level))].sort((a, b) => a - b);
+  const shown = levelFilter === "" ? questions : questions.filter((q) => q.level === Number(levelFilter));
+
+  return (
+    <>
+      {alertMessage && <Alert message={alertMessage} />}
+      <div className="page-format max-w-[96rem] space-y-10">
+        <div className="flex flex-col items-start md:flex-row md:items-center md:justify-between">
+          <div className="mb-6 md:m-0">
+            <h1 className="font-extrabold mb-2">Placement Test</h1>
+            <p>
+              Each test draws active questions from every level. The highest level a student passes
+              becomes their recommended level.
+            </p>
+          </div>
+          <Button label={"New Question"} onClick={() => setEditing(toForm(EMPTY_QUESTION))} />
+        </div>
+
+        <div className="flex items-center gap-x-3">
+          <label htmlFor="levelFilter">Level</label>
+          <select
+            id="levelFilter"
+            className="border border-gray-300 rounded-sm px-2 py-1"
+            value={levelFilter}
+            onChange={(e) => setLevelFilter(e.target.value)}
+          >
+            <option value="">All levels</option>
+            {levels.map((level) => (
+              <option key={level} value={level}>Level {level}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-700">
+              <tr>
+                <th className="text-left px-4 py-3">Level</th>
+                <th className="text-left px-4 py-3">Skill</th>
+                <th className="text-left px-4 py-3">Type</th>
+                <th className="text-left px-4 py-3">Question</th>
+                <th className="text-left px-4 py-3">Answer</th>
+                <th className="text-left px-4 py-3">Status</th>
+                <th className="text-left px-4 py-3"></th>
+              </tr>
+            </thead>
+
+            <tbody className="divide-y divide-gray-100">
+              {loading ? (
+                Array.from({ length: 3 }).map((_, i) => (
+                  <tr key={i}>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={30} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={80} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={100} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={60} />}</td>
+                    <td className="px-4 py-3"></td>
+                  </tr>
+                ))
+              ) : shown.length === 0 ? (
+                <tr>
+                  <td className="px-4 py-8 text-gray-500" colSpan={7}>
+                    No questions yet.
+                  </td>
+                </tr>
+              ) : (
+                shown.map((question) => (
+                  <tr key={question._id} className="text-gray-800 align-top">
+                    <td className="px-4 py-3 font-semibold">{question.level}</td>
+                    <td className="px-4 py-3">{question.skill || "—"}</td>
+                    <td className="px-4 py-3">{TYPE_LABELS[question.type]}</td>
+                    <td className="px-4 py-3">{question.prompt}</td>
+                    <td className="px-4 py-3">
+                      {question.type === "multiple_choice"
+                        ? question.choices[question.correctChoice]
+                        : question.acceptedAnswers.join(", ")}
+                    </td>
+                    <td className="px-4 py-3">{question.active ? "Active" : "Inactive"}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        type="button"
+                        className="text-blue-500 hover:underline"
+                        onClick={() => setEditing(toForm(question))}
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {editing && (
+        <Overlay width="w-full max-w-xl">
+          <form onSubmit={handleSave} className="space-y-5 overflow-y-auto max-h-[70vh]">
+            <h3 className="font-extrabold">{editing._id ? "Edit Question" : "New Question"}</h3>
+            <div className="grid grid-cols-2 gap-x-4">
+              <div className="space-y-3">
+                <label className="mx-1">Level</label>
+                <FormInput
+                  type="number"
+                  name="level"
+                  placeholder="e.g. 2"
+                  value={editing.level}
+                  onChange={(e) => setField("level", e.target.value)}
+                  isRequired={true}
+                />
+              </div>
+              <div className="space-y-3">
+                <label className="mx-1">Skill</label>
+                <FormInput
+                  type="text"
+                  name="skill"
+                  placeholder="e.g. grammar, vocabulary"
+                  value={editing.skill}
+                  onChange={(e) => setField("skill", e.target.value)}
+                  isRequired={false}
+                />
+              </div>
+            </div>
+            <fieldset className="flex gap-x-6">
+              <legend className="mx-1 mb-2">Type</legend>
+              {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                <label key={type} className="flex items-center gap-x-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="type"
+                    checked={editing.type === type}
+                    onChange={() => setField("type", type)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </fieldset>
+            <div className="space-y-3">
+              <label className="mx-1">Question</label>
+              <FormInput
+                type="textarea"
+                name="prompt"
+                placeholder="e.g. She ___ to school every day."
+                value={editing.prompt}
+                onChange={(e) => setField("prompt", e.target.value)}
+                isRequired={true}
+              />
+            </div>
+            {editing.type === "multiple_choice" ? (
+              <fieldset className="space-y-2">
+                <legend className="mx-1 mb-2">Choices (select the correct one; leave unused choices blank)</legend>
+                {editing.choices.map((choice, index) => (
+                  <div key={index} className="flex items-center gap-x-3">
+                    <input
+                      type="radio"
+                      name="correctChoice"
+                      aria-label={`Choice ${index + 1} is correct`}
+                      checked={editing.correctChoice === index}
+                      onChange={() => setField("correctChoice", index)}
+                    />
+                    <FormInput
+                      type="text"
+                      name={`choice-${index}`}
+                      placeholder={`Choice ${index + 1}`}
+                      value={choice}
+                      onChange={(e) => setChoice(index, e.target.value)}
+                      isRequired={false}
+                    />
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="text-blue-500 hover:underline"
+                  onClick={() => setField("choices", [...editing.choices, ""])}
+                >
+                  Add a choice
+                </button>
+              </fieldset>
+            ) : (
+              <div className="space-y-3">
+                <label className="mx-1">Accepted answers (one per line; case and final punctuation are ignored)</label>
+                <FormInput
+                  type="textarea"
+                  name="acceptedAnswers"
+                  placeholder={"goes\nwalks"}
+                  value={editing.acceptedAnswers}
+                  onChange={(e) => setField("acceptedAnswers", e.target.value)}
+                  isRequired={true}
+                />
+              </div>
+            )}
+            <label className="flex items-center gap-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={editing.active}
+                onChange={(e) => setField("active", e.target.checked)}
+              />
+              Active (included in new tests)
+            </label>
+            <div className="flex flex-wrap gap-2">
+              <Button label="Save" type="submit" />
+              <Button label="Cancel" isOutline={true} onClick={() => setEditing(null)} />
+              {editing._id && <DeleteButton item="question" onDelete={handleDelete} />}
+            </div>
+          </form>
+        </Overlay>
+      )}
+    </>
+  );
+};
+
+export default AdminPlacement;
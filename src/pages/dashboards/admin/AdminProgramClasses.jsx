@@ -1,45 +1,54 @@
-
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
-import { useLocation } from 'wouter';
+import useCapabilities from '@/hooks/useCapabilities';
+import { useLocation, useParams } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import SupplementaryClass from '@/components/Class/SupplementaryClass';
 import Button from '@/components/Button/Button';
-import { getConversations } from '@/wrappers/conversation-wrapper';
+import { getClasses } from '@/wrappers/class-wrapper';
 import BackButton from "@/components/Button/BackButton";
 import Unauthorized from "@/pages/Unauthorized";
 import SkeletonLevel from '@/components/Skeletons/SkeletonLevel';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import usePrograms from '@/hooks/usePrograms';
 
-const AdminConversations = () => {
+// Classes of one program without levels (e.g. Conversation or IELTS), by slug.
+const AdminProgramClasses = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
+  const { slug } = useParams();
+  const programs = usePrograms();
   const [allowRender, setAllowRender] = useState(false);
-  const [conversationClasses, setConversationClasses] = useState([]);
+  const [classes, setClasses] = useState([]);
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
+  const programName = programs.find((program) => program.slug === slug)?.name || slug;
+
   useEffect(() => {
     if (isLoaded) {
       if (!isSignedIn) {
         setLocation("/login");
       } else {
-        fetchConversations();
+        fetchClasses();
       }
     }
-  }, [isLoaded, isSignedIn, user]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn, user, slug]);
 
-  const fetchConversations = async () => {
+  const fetchClasses = async () => {
     try {
-      const data = await getConversations();
-      setConversationClasses(data);
+      // Classes of terms that have ended are listed on the Terms page
+      const data = await getClasses(`program=${encodeURIComponent(slug)}&term=open`);
+      setClasses(data);
       setAllowRender(true);
     } catch (error) {
-      console.error("Failed to fetch conversation classes", error);
+      console.error("Failed to fetch program classes", error);
     }
   };
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_classes")) {
     return <Unauthorized />;
   }
 
@@ -48,24 +57,24 @@ const AdminConversations = () => {
       <BackButton label={"All Levels"} />
       <div className="flex justify-between items-end">
         <div>
-          <h1 className="font-extrabold mb-2">All Conversation Classes</h1>
-          <p>Browse, edit and delete conversation classes.</p>
+          <h1 className="font-extrabold mb-2">All {programName} Classes</h1>
+          <p>Browse, edit and delete {programName} classes.</p>
         </div>
         <div>
           <Button
-            label="+ Add Conversation Class"
+            label={`+ Add ${programName} Class`}
             isOutline
-            onClick={() => setLocation("/admin/levels/conversations/new")} />
+            onClick={() => setLocation(`/admin/levels/class/new?program=${encodeURIComponent(slug)}`)} />
         </div>
       </div>
       <div className="grid auto-rows-fr grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {allowRender
-          ? conversationClasses.map((conversation) => (
+          ? classes.map((cls) => (
             <SupplementaryClass
-              key={conversation._id}
-              cls={conversation}
+              key={cls._id}
+              cls={cls}
               modes={["edit"]}
-              editURL="/admin/levels/conversations"
+              editURL="/admin/levels/class"
             />
           ))
           : showSkeleton && <SkeletonLevel count={3} />}
@@ -74,4 +83,4 @@ const AdminConversations = () => {
   );
 };
 
-export default AdminConversations;
+export default AdminProgramClasses;
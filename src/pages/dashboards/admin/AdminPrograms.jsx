@@ -0,0 +1,283 @@
+// src/pages/dashboards/admin/AdminPrograms.jsx
+// Admin Programs dashboard.
+// Features:
+// - Auth-gated (manage_classes)
+// - Lists programs (tracks) in page order, with how many classes each has
+// - Create / edit / delete programs without classes
+//
+// Notes:
+// - Level-based programs' classes have a level and are listed under the levels;
+//   the others get their own section on the Levels page.
+// - Names and descriptions are sent to translation when saved.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import { useLocation, Link } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import Button from "@/components/Button/Button";
+import DeleteButton from "@/components/Button/DeleteButton";
+import FormInput from "@/components/Form/FormInput";
+import ImagePicker from "@/components/ImagePicker";
+import Overlay from "@/components/Overlay";
+import Alert from "@/components/Alert";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import useCapabilities from "@/hooks/useCapabilities";
+import { reloadPrograms } from "@/hooks/usePrograms";
+import { createProgram, updateProgram, deleteProgram } from "@/wrappers/program-wrapper.js";
+import { levelImgs } from "@/constants/images";
+
+const EMPTY_PROGRAM = {
+  slug: "",
+  name: "",
+  description: "",
+  image: "level_img_0.webp",
+  isLevelBased: false,
+  order: "",
+};
+
+const AdminPrograms = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const { can } = useCapabilities();
+
+  const [loading, setLoading] = useState(true);
+  const showSkeleton = useDelayedSkeleton(loading);
+  const [programs, setPrograms] = useState([]);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
+
+  // null when closed; otherwise the program being edited (no _id for a new program)
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    loadPrograms();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  async function loadPrograms() {
+    try {
+      setLoading(true);
+      setPrograms(await reloadPrograms());
+    } catch (err) {
+      console.error("loadPrograms error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => setAlertMessage(""), 4000);
+  };
+
+  const setField = (name, value) => setEditing((prev) => ({ ...prev, [name]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const { name, description, image, isLevelBased, order } = editing;
+      if (editing._id) {
+        await updateProgram(editing._id, { name, description, image, isLevelBased, order });
+      } else {
+        await createProgram({ slug: editing.slug, name, description, image, isLevelBased, order });
+      }
+      setEditing(null);
+      await loadPrograms();
+    } catch (err) {
+      console.error("Save program failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to save program"}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteProgram(editing._id);
+      setEditing(null);
+      await loadPrograms();
+    } catch (err) {
+      console.error("Delete program failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to delete program"}`);
+    }
+  };
+
+  if (user && !can("manage_classes")) {
+    return <Unauthorized />;
+  }
+
+  return (
+    <>
+      {alertMessage && <Alert message={alertMessage} />}
+      <div className="page-format max-w-[96rem] space-y-10">
+        <div className="flex flex-col items-start md:flex-row md:items-center md:justify-between">
+          <div className="mb-6 md:m-0">
+            <h1 className="font-extrabold mb-2">Programs</h1>
+            <p>
+              Every class belongs to a program. Classes of programs with levels are listed under their level; each
+              program without levels has its own section on the Levels page.
+            </p>
+          </div>
+          <Button label={"New Program"} onClick={() => setEditing({ ...EMPTY_PROGRAM })} />
+        </div>
+
+        <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-700">
+              <tr>
+                <th className="text-left px-4 py-3">Name</th>
+                <th className="text-left px-4 py-3">Slug</th>
+                <th className="text-left px-4 py-3">Levels</th>
+                <th className="text-left px-4 py-3">Order</th>
+                <th className="text-left px-4 py-3">Classes</th>
+                <th className="text-left px-4 py-3"></th>
+              </tr>
+            </thead>
+
+            <tbody className="divide-y divide-gray-100">
+              {loading ? (
+                Array.from({ length: 3 }).map((_, i) => (
+                  <tr key={i}>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={120} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={80} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={30} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={30} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={30} />}</td>
+                    <td className="px-4 py-3"></td>
+                  </tr>
+                ))
+              ) : programs.length === 0 ? (
+                <tr>
+                  <td className="px-4 py-8 text-gray-500" colSpan={6}>
+                    No programs yet. Run the program migration to create the starting ones.
+                  </td>
+                </tr>
+              ) : (
+                programs.map((program) => (
+                  <tr key={program._id} className="text-gray-800">
+                    <td className="px-4 py-3 font-semibold">
+                      {program.isLevelBased ? (
+                        program.name
+                      ) : (
+                        <Link href={`/admin/programs/${encodeURIComponent(program.slug)}`} className="text-blue-500 hover:underline">
+                          {program.name}
+                        </Link>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">{program.slug}</td>
+                    <td className="px-4 py-3">{program.isLevelBased ? "Yes" : "No"}</td>
+                    <td className="px-4 py-3">{program.order}</td>
+                    <td className="px-4 py-3">{program.classCount}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        type="button"
+                        className="text-blue-500 hover:underline"
+                        onClick={() => setEditing({ ...program })}
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {editing && !isOpenImagePicker && (
+        <Overlay width="w-full max-w-lg">
+          <form onSubmit={handleSave} className="space-y-5">
+            <h3 className="font-extrabold">{editing._id ? `Edit ${editing.name}` : "New Program"}</h3>
+            {!editing._id && (
+              <div className="space-y-3">
+                <label className="mx-1">Slug (lowercase, used in links; cannot be changed later)</label>
+                <FormInput
+                  type="text"
+                  name="slug"
+                  placeholder="e.g. kids-reading"
+                  value={editing.slug}
+                  onChange={(e) => setField("slug", e.target.value)}
+                  isRequired={true}
+                />
+              </div>
+            )}
+            <div className="space-y-3">
+              <label className="mx-1">Name</label>
+              <FormInput
+                type="text"
+                name="name"
+                placeholder="e.g. Kids Reading"
+                value={editing.name}
+                onChange={(e) => setField("name", e.target.value)}
+                isRequired={true}
+              />
+            </div>
+            <div className="space-y-3">
+              <label className="mx-1">Description</label>
+              <FormInput
+                type="text"
+                name="description"
+                placeholder="Shown on the Levels page"
+                value={editing.description}
+                onChange={(e) => setField("description", e.target.value)}
+                isRequired={false}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-x-4">
+              <div className="space-y-3">
+                <label className="mx-1">Order</label>
+                <FormInput
+                  type="number"
+                  name="order"
+                  placeholder="0"
+                  value={editing.order}
+                  onChange={(e) => setField("order", e.target.value)}
+                  isRequired={false}
+                />
+              </div>
+              <div className="space-y-3">
+                <label className="mx-1">Image</label>
+                <Button label="Select Image" isOutline={true} onClick={() => setIsOpenImagePicker(true)} />
+              </div>
+            </div>
+            <label className="flex items-center gap-x-2 mx-1">
+              <input
+                type="checkbox"
+                checked={editing.isLevelBased}
+                disabled={Boolean(editing._id && editing.classCount)}
+                onChange={(e) => setField("isLevelBased", e.target.checked)}
+              />
+              Classes have levels
+            </label>
+            {Boolean(editing._id && editing.classCount) && (
+              <p className="text-sm text-gray-600">Whether classes have levels can only change while the program has no classes.</p>
+            )}
+            <div className="flex flex-wrap gap-2">
+              <Button label="Save" type="submit" />
+              <Button label="Cancel" isOutline={true} onClick={() => setEditing(null)} />
+              {editing._id && editing.classCount === 0 && <DeleteButton item="program" onDelete={handleDelete} />}
+            </div>
+          </form>
+        </Overlay>
+      )}
+      {editing && isOpenImagePicker && <ImagePicker
+        images={levelImgs}
+        selectedImage={editing.image}
+        setImage={(newImage) => setField("image", newImage)}
+        setPickerOpen={setIsOpenImagePicker}
+      />}
+    </>
+  );
+};
+
+export default AdminPrograms;
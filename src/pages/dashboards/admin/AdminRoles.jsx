@@ -0,0 +1,240 @@
+// src/pages/dashboards/admin/AdminRoles.jsx
+// Admin Roles dashboard.
+// Features:
+// - Auth-gated (manage_roles capability)
+// - Lists roles with their capabilities and member counts
+// - Create / edit / delete roles
+//
+// Notes:
+// - Roles are assigned to individual users from the Edit User page.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import { useLocation } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import Button from "@/components/Button/Button";
+import DeleteButton from "@/components/Button/DeleteButton";
+import FormInput from "@/components/Form/FormInput";
+import Overlay from "@/components/Overlay";
+import Alert from "@/components/Alert";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import useCapabilities from "@/hooks/useCapabilities";
+import { getRoles, createRole, updateRole, deleteRole } from "@/wrappers/role-wrapper.js";
+
+const EMPTY_ROLE = { name: "", description: "", capabilities: [] };
+
+const AdminRoles = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const { can } = useCapabilities();
+
+  const [loading, setLoading] = useState(true);
+  const showSkeleton = useDelayedSkeleton(loading);
+  const [roles, setRoles] = useState([]);
+  const [capabilities, setCapabilities] = useState({});
+  const [alertMessage, setAlertMessage] = useState("");
+
+  // null when closed; otherwise the role being edited (no _id for a new role)
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    loadRoles();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  async function loadRoles() {
+    try {
+      setLoading(true);
+      const data = await getRoles();
+      setRoles(data.roles || []);
+      setCapabilities(data.capabilities || {});
+    } catch (err) {
+      const status = err?.response?.status;
+      if (status === 401) setLocation("/login");
+      else console.error("loadRoles error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => setAlertMessage(""), 4000);
+  };
+
+  const toggleCapability = (key) => {
+    setEditing((prev) => ({
+      ...prev,
+      capabilities: prev.capabilities.includes(key)
+        ? prev.capabilities.filter((c) => c !== key)
+        : [...prev.capabilities, key],
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { _id, name, description, capabilities: roleCapabilities } = editing;
+    try {
+      if (_id) {
+        await updateRole(_id, { name, description, capabilities: roleCapabilities });
+      } else {
+        await createRole({ name, description, capabilities: roleCapabilities });
+      }
+      setEditing(null);
+      await loadRoles();
+    } catch (err) {
+      console.error("Save role failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to save role"}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteRole(editing._id);
+      setEditing(null);
+      await loadRoles();
+    } catch (err) {
+      console.error("Delete role failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to delete role"}`);
+    }
+  };
+
+  // Guard: only role managers can view
+  if (user && !can("manage_roles")) {
+    return <Unauthorized />;
+  }
+
+  return (
+    <>
+      {alertMessage && <Alert message={alertMessage} />}
+      <div className="page-format max-w-[96rem] space-y-10">
+        <div className="flex flex-col items-start md:flex-row md:items-center md:justify-between">
+          <div className="mb-6 md:m-0">
+            <h1 className="font-extrabold mb-2">Roles</h1>
+            <p>Bundle capabilities into roles, then assign roles to users from their profile.</p>
+          </div>
+          <Button label={"New Role"} onClick={() => setEditing(EMPTY_ROLE)} />
+        </div>
+
+        <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-700">
+              <tr>
+                <th className="text-left px-4 py-3">Name</th>
+                <th className="text-left px-4 py-3">Description</th>
+                <th className="text-left px-4 py-3">Capabilities</th>
+                <th className="text-left px-4 py-3">Users</th>
+                <th className="text-left px-4 py-3"></th>
+              </tr>
+            </thead>
+
+            <tbody className="divide-y divide-gray-100">
+              {loading ? (
+                Array.from({ length: 3 }).map((_, i) => (
+                  <tr key={i}>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={140} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={30} />}</td>
+                    <td className="px-4 py-3"></td>
+                  </tr>
+                ))
+              ) : roles.length === 0 ? (
+                <tr>
+                  <td className="px-4 py-8 text-gray-500" colSpan={5}>
+                    No roles yet.
+                  </td>
+                </tr>
+              ) : (
+                roles.map((role) => (
+                  <tr key={role._id} className="text-gray-800 align-top">
+                    <td className="px-4 py-3 font-semibold">{role.name}</td>
+                    <td className="px-4 py-3">{role.description || "—"}</td>
+                    <td className="px-4 py-3">
+                      {role.capabilities.length ? role.capabilities.join(", ") : "—"}
+                    </td>
+                    <td className="px-4 py-3">{role.userCount}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        type="button"
+                        className="text-blue-500 hover:underline"
+                        onClick={() => setEditing({ ...role })}
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {editing && (
+        <Overlay width="w-full max-w-xl">
+          <form onSubmit={handleSave} className="space-y-5 overflow-y-auto max-h-[70vh]">
+            <h3 className="font-extrabold">{editing._id ? "Edit Role" : "New Role"}</h3>
+            <div className="space-y-3">
+              <label className="mx-1">Name</label>
+              <FormInput
+                type="text"
+                name="name"
+                placeholder="e.g. Volunteer Coordinator"
+                value={editing.name}
+                onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                isRequired={true}
+              />
+            </div>
+            <div className="space-y-3">
+              <label className="mx-1">Description</label>
+              <FormInput
+                type="text"
+                name="description"
+                placeholder="Description"
+                value={editing.description}
+                onChange={(e) => setEditing((prev) => ({ ...prev, description: e.target.value }))}
+                isRequired={false}
+              />
+            </div>
+            <fieldset className="space-y-2">
+              <legend className="mx-1 mb-2">Capabilities</legend>
+              {Object.entries(capabilities).map(([key, description]) => (
+                <label key={key} className="flex items-start gap-x-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="mt-1.5"
+                    checked={editing.capabilities.includes(key)}
+                    onChange={() => toggleCapability(key)}
+                  />
+                  <span>
+                    <span className="block font-semibold">{key}</span>
+                    <span className="block text-sm text-gray-600">{description}</span>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+            <div className="flex flex-wrap gap-2">
+              <Button label="Save" type="submit" />
+              <Button label="Cancel" isOutline={true} onClick={() => setEditing(null)} />
+              {editing._id && <DeleteButton item="role" onDelete={handleDelete} />}
+            </div>
+          </form>
+        </Overlay>
+      )}
+    </>
+  );
+};
+
+export default AdminRoles;
@@ -1,5 +1,6 @@
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useAuth } from '@clerk/clerk-react';
 import { useLocation } from 'wouter';
 import { getAllClasses } from '@/wrappers/class-wrapper';
@@ -7,18 +8,32 @@ import Dropdown from '@/components/Dropdown/Dropdown';
 import Schedule from '@/components/Schedule';
 import SkeletonSchedule from '@/components/Skeletons/SkeletonSchedule';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import usePrograms from '@/hooks/usePrograms';
+import useTerms from '@/hooks/useTerms';
+import TermDropdown from '@/components/Dropdown/TermDropdown';
+import { describeClassProgram } from '@/utils/programs';
+import { findCurrentTerm, classInTerm, isTermEnded } from '@/utils/terms';
 import Unauthorized from "@/pages/Unauthorized";
 
 const AdminSchedule = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [classes, setClasses] = useState([]);
   const [currFilters, setCurrFilters] = useState([]);
   const [allowRender, setAllowRender] = useState(false);
   const showSkeleton = useDelayedSkeleton(!allowRender);
+  const programs = usePrograms();
+  const terms = useTerms();
+  const [termId, setTermId] = useState(null);
 
-  const levels = [...new Set(classes.map(obj => obj.level))];
+  // One term at a time, the current one unless another is picked
+  const selectedTerm = terms?.find(term => term._id === termId) || findCurrentTerm(terms);
+  const termClasses = selectedTerm ? classes.filter(cls => classInTerm(cls, selectedTerm._id)) : classes;
+
+  // One filter per program and level; Schedule matches classes by the same key
+  const filterOptions = [...new Map(termClasses.map(obj => [describeClassProgram(obj), obj])).entries()];
 
   useEffect(() => {
     if (isLoaded) {
@@ -45,35 +60,43 @@ const AdminSchedule = () => {
         : [...currFilters, level])
   }
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_classes")) {
     return <Unauthorized />;
   }
 
   return (
     <div className="page-format max-w-[96rem] space-y-10">
       <h1 className="font-extrabold">Schedule</h1>
-      <div className="w-fit">
-        <Dropdown
-          label={
-            <div className="flex items-center justify-center gap-x-1">
-              <span className="whitespace-nowrap">Filter By</span>
-            </div>
-          }
-          buttonClassName="w-fit text-black border border-gray-300 px-5 py-3 gap-1 rounded-sm bg-white"
-        >
-          {levels.map((level, index) => (
-            <button
-              key={index}
-              className={`text-left px-4 py-2 text-black ${currFilters.includes(level) ? 'text-blue-500 bg-gray-50' : 'text-gray-700'}
-              hover:bg-gray-50`}
-              onClick={() => handleAddFilter(level)}
-            >
-              {level === "ielts" ? "IELTS" : level === "conversation" ? "Conversation" : `Level ${level}`}
-            </button>
-          ))}
-        </Dropdown>
+      <div className="flex flex-wrap items-center gap-4">
+        {terms?.length > 0 && <div className="w-full sm:w-72">
+          <TermDropdown selectedId={selectedTerm?._id} onSelect={(term) => setTermId(term._id)} />
+        </div>}
+        <div className="w-fit">
+          <Dropdown
+            label={
+              <div className="flex items-center justify-center gap-x-1">
+                <span className="whitespace-nowrap">Filter By</span>
+              </div>
+            }
+            buttonClassName="w-fit text-black border border-gray-300 px-5 py-3 gap-1 rounded-sm bg-white"
+          >
+            {filterOptions.map(([key, obj]) => (
+              <button
+                key={key}
+                className={`text-left px-4 py-2 text-black ${currFilters.includes(key) ? 'text-blue-500 bg-gray-50' : 'text-gray-700'}
+                hover:bg-gray-50`}
+                onClick={() => handleAddFilter(key)}
+              >
+                {describeClassProgram(obj, programs)}
+              </button>
+            ))}
+          </Dropdown>
+        </div>
       </div>
-      {allowRender ? <Schedule privilege={user.privilege} classes={classes} filters={currFilters} /> : showSkeleton && < SkeletonSchedule />}
+      {allowRender && isTermEnded(selectedTerm) && (
+        <p className="text-gray-600">{selectedTerm.name} has ended; its classes are read-only.</p>
+      )}
+      {allowRender ? <Schedule privilege="admin" classes={termClasses} filters={currFilters} /> : showSkeleton && < SkeletonSchedule />}
     </div>
   )
 }
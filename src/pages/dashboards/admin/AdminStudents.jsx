@@ -3,11 +3,12 @@
 
 import { useContext, useEffect, useMemo, useState } from "react";
 import { UserContext } from "@/contexts/UserContext.jsx";
+import useCapabilities from "@/hooks/useCapabilities";
 import { useLocation, Link } from "wouter";
 import { useAuth } from "@clerk/clerk-react";
 import { IoPersonOutline } from "react-icons/io5";
 import { getLevels } from "@/wrappers/level-wrapper";
-import { getStudentsForExport, getStudentsWithClasses } from "@/wrappers/user-wrapper.js";
+import { downloadStudentsExport, getStudentsWithClasses, reconcileEnrollments } from "@/wrappers/user-wrapper.js";
 import Unauthorized from "@/pages/Unauthorized";
 import Dropdown from "@/components/Dropdown/Dropdown";
 import Button from "@/components/Button/Button";
@@ -17,9 +18,17 @@ import SkeletonUser from "@/components/Skeletons/SkeletonUser";
 import Skeleton from "react-loading-skeleton";
 import "react-loading-skeleton/dist/skeleton.css";
 import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
-import ExcelExport from "export-xlsx";
-import { SETTINGS_FOR_EXPORT } from "@/assets/excel_export_settings";
+import usePrograms from "@/hooks/usePrograms";
+import Overlay from "@/components/Overlay";
+import FormInput from "@/components/Form/FormInput";
+import Alert from "@/components/Alert";
+import {
+  STUDENT_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_TIMEZONES,
+} from "@/constants/student-export";
 import Pagination from "@/components/Pagination/Pagination.jsx";
+import RosterBulkActions from "@/components/Class/RosterBulkActions";
 
 const PAGE_SIZE = 100; // capped by backend at 200
 
@@ -37,8 +46,180 @@ function normalizeLevelValue(lv) {
   return raw ?? "";
 }
 
+// Export dialog: format, columns and schedule timezones. Uses the page's current level/search filters.
+const ExportOverlay = ({ level, q, onClose, onError }) => {
+  const [format, setFormat] = useState("xlsx");
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [timezones, setTimezones] = useState(DEFAULT_EXPORT_TIMEZONES.join(", "));
+  const [isExporting, setIsExporting] = useState(false);
+
+  const toggleColumn = (key) => {
+    setColumns((prev) =>
+      prev.includes(key)
+        ? prev.filter((c) => c !== key)
+        : Object.keys(STUDENT_EXPORT_COLUMNS).filter((c) => c === key || prev.includes(c))
+    );
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    try {
+      setIsExporting(true);
+      await downloadStudentsExport({
+        format,
+        level,
+        q,
+        columns,
+        timezones: timezones.split(",").map((tz) => tz.trim()).filter(Boolean),
+      });
+      onClose();
+    } catch (error) {
+      console.error("Error exporting students:", error);
+      // Blob responses carry the JSON error body as text
+      const body = await error.response?.data?.text?.().catch(() => "");
+      let message = "Error exporting students";
+      try {
+        message = JSON.parse(body).message || message;
+      } catch {
+        // keep the generic message
+      }
+      onError(message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Overlay width="w-full max-w-xl">
+      <form onSubmit={handleExport} className="space-y-5 overflow-y-auto max-h-[70vh]">
+        <div className="space-y-1">
+          <h3 className="font-extrabold">Export Students</h3>
+          <p className="text-sm text-gray-600">Uses the current level and search filters.</p>
+        </div>
+        <div className="flex gap-x-6">
+          {["xlsx", "csv"].map((f) => (
+            <label key={f} className="flex items-center gap-x-2 cursor-pointer">
+              <input type="radio" name="format" checked={format === f} onChange={() => setFormat(f)} />
+              {f.toUpperCase()}
+            </label>
+          ))}
+        </div>
+        <fieldset className="grid grid-cols-2 gap-2">
+          <legend className="mb-2">Columns</legend>
+          {Object.entries(STUDENT_EXPORT_COLUMNS).map(([key, label]) => (
+            <label key={key} className="flex items-center gap-x-2 cursor-pointer">
+              <input type="checkbox" checked={columns.includes(key)} onChange={() => toggleColumn(key)} />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+        {columns.includes("schedule") && (
+          <div className="space-y-2">
+            <label>Schedule timezones (IANA, comma separated)</label>
+            <FormInput
+              type="text"
+              name="timezones"
+              placeholder="America/New_York, Europe/Istanbul"
+              value={timezones}
+              onChange={(e) => setTimezones(e.target.value)}
+              isRequired={true}
+            />
+          </div>
+        )}
+        <div className="flex gap-x-2">
+          <Button
+            label={isExporting ? "Exporting..." : "Export"}
+            type="submit"
+            isDisabled={isExporting || columns.length === 0} />
+          <Button label="Cancel" isOutline={true} onClick={onClose} />
+        </div>
+      </form>
+    </Overlay>
+  );
+};
+
+// Enrollment check: lists classes and rosters that disagree (a dry run), then repairs them on request.
+const ReconcileOverlay = ({ onClose, onRepaired, onError }) => {
+  const [report, setReport] = useState(null);
+  const [isRepairing, setIsRepairing] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setReport(await reconcileEnrollments({ dryRun: true }));
+      } catch (err) {
+        console.error("Enrollment check failed:", err);
+        onError(err?.response?.data?.message || "Failed to check enrollments");
+        onClose();
+      }
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleRepair = async () => {
+    try {
+      setIsRepairing(true);
+      const result = await reconcileEnrollments({ dryRun: false });
+      setReport(result);
+      onRepaired();
+    } catch (err) {
+      console.error("Enrollment repair failed:", err);
+      onError(err?.response?.data?.message || "Failed to repair enrollments");
+    } finally {
+      setIsRepairing(false);
+    }
+  };
+
+  return (
+    <Overlay width="w-full max-w-2xl">
+      <div className="space-y-5">
+        <div>
+          <h3 className="font-extrabold">Check Enrollments</h3>
+          <p className="text-base text-gray-500">
+            Finds students whose classes and class rosters disagree, and links to deleted classes or accounts.
+          </p>
+        </div>
+
+        {!report ? (
+          <Skeleton count={3} />
+        ) : (
+          <>
+            <p>
+              Checked {report.checkedUsers} user(s) and {report.checkedClasses} class(es):{" "}
+              {report.fixes.length === 0
+                ? "everything is in sync."
+                : `${report.fixes.length} problem(s) ${report.applied ? "repaired" : "found"}.`}
+            </p>
+            {report.fixes.length > 0 && (
+              <ul className="space-y-2 overflow-y-auto max-h-[40vh] text-sm">
+                {report.fixes.map((item, i) => (
+                  <li key={i} className="border-b border-gray-100 pb-2">
+                    <span className="font-semibold">{item.user.label}</span> · {item.class.label}
+                    <span className="block text-gray-500">{item.description}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        <div className="flex gap-x-2">
+          {report && !report.applied && report.fixes.length > 0 && (
+            <Button
+              label={isRepairing ? "Repairing..." : `Repair ${report.fixes.length}`}
+              onClick={handleRepair}
+              isDisabled={isRepairing} />
+          )}
+          <Button label="Close" isOutline={true} onClick={onClose} />
+        </div>
+      </div>
+    </Overlay>
+  );
+};
+
 const AdminStudents = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
 
@@ -48,10 +229,16 @@ const AdminStudents = () => {
   const [total, setTotal] = useState(0);        // total rows matching filters (server)
   const [levels, setLevels] = useState([]);
   const [page, setPage] = useState(1);
-  const [currFilter, setCurrFilter] = useState(null); // number | "conversation" | "ielts" | null
+  const [currFilter, setCurrFilter] = useState(null); // level number | program slug | null
+  const programs = usePrograms();
   const [searchInput, setSearchInput] = useState("");
   const [debouncedSearch, setDebouncedSearch] = useState("");
   const [allowRender, setAllowRender] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showReconcile, setShowReconcile] = useState(false);
+  const [alertMessage, setAlertMessage] = useState("");
+  // Students picked for a bulk roster change, by id; kept across pages and filters
+  const [selected, setSelected] = useState({});
   const showSkeleton = useDelayedSkeleton(loading);
 
   // Debounce search to avoid API spam
@@ -136,30 +323,66 @@ const AdminStudents = () => {
     }
   }
 
+  const toggleSelected = (student) => {
+    setSelected((prev) => {
+      const { [student._id]: removed, ...rest } = prev;
+      return removed ? rest : { ...prev, [student._id]: student };
+    });
+  };
+
+  const pageSelected = students.length > 0 && students.every((s) => selected[s._id]);
+  const togglePage = () => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      for (const s of students) {
+        if (pageSelected) delete next[s._id];
+        else next[s._id] = s;
+      }
+      return next;
+    });
+  };
+
   // Guard: only admins can view this page
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_users")) {
     return <Unauthorized />;
   }
 
-  // Export as Excel (server returns pre-shaped export data)
-  const handleExportStudents = async () => {
-    try {
-      const data = await getStudentsForExport();
-      const excelExport = new ExcelExport();
-      excelExport.downloadExcel(SETTINGS_FOR_EXPORT, [data]);
-    } catch (error) {
-      console.error("Error exporting students:", error);
-    }
-  };
-
   return (
     <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage && <Alert message={alertMessage} />}
+      {showExport && (
+        <ExportOverlay
+          level={currFilter ?? null}
+          q={debouncedSearch.trim()}
+          onClose={() => setShowExport(false)}
+          onError={(message) => {
+            setAlertMessage(`Error: ${message}`);
+            setTimeout(() => setAlertMessage(""), 4000);
+          }}
+        />
+      )}
+      {showReconcile && (
+        <ReconcileOverlay
+          onClose={() => setShowReconcile(false)}
+          onRepaired={() => loadPage(page)}
+          onError={(message) => {
+            setAlertMessage(`Error: ${message}`);
+            setTimeout(() => setAlertMessage(""), 4000);
+          }}
+        />
+      )}
       <div className="flex flex-col items-start md:flex-row md:items-center md:justify-between">
         <div className="mb-6 md:m-0">
           <h1 className="font-extrabold mb-2">Students</h1>
           <p>List of all students enrolled in Dillar Classes</p>
         </div>
-        <Button label={"Export Students"} onClick={handleExportStudents} />
+        <div className="flex gap-x-2">
+          {/* Repairs touch class rosters as well as accounts */}
+          {can("manage_classes") && (
+            <Button label={"Check Enrollments"} isOutline={true} onClick={() => setShowReconcile(true)} />
+          )}
+          <Button label={"Export Students"} onClick={() => setShowExport(true)} />
+        </div>
       </div>
 
       <div className="w-full inline-flex gap-x-4">
@@ -173,7 +396,9 @@ const AdminStudents = () => {
           label={
             <div className="flex items-center justify-center gap-x-1">
               <span className="whitespace-nowrap">
-                {currFilter ? `Level ${currFilter}` : "All Levels"}
+                {typeof currFilter === "string"
+                  ? programs.find((program) => program.slug === currFilter)?.name || currFilter
+                  : currFilter !== null ? `Level ${currFilter}` : "All Levels"}
               </span>
             </div>
           }
@@ -207,25 +432,18 @@ const AdminStudents = () => {
             );
           })}
 
-          {/* Supplemental classes */}
-          <button
-            key="conversation"
-            className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
-              currFilter === "conversation" ? "text-blue-500 bg-gray-50" : "text-gray-700"
-            }`}
-            onClick={() => setCurrFilter("conversation")}
-          >
-            Conversation
-          </button>
-          <button
-            key="ielts"
-            className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
-              currFilter === "ielts" ? "text-blue-500 bg-gray-50" : "text-gray-700"
-            }`}
-            onClick={() => setCurrFilter("ielts")}
-          >
-            IELTS
-          </button>
+          {/* Programs without levels */}
+          {programs.filter((program) => !program.isLevelBased).map((program) => (
+            <button
+              key={program.slug}
+              className={`w-full text-left px-4 py-2 text-base font-normal text-black hover:bg-gray-100 ${
+                currFilter === program.slug ? "text-blue-500 bg-gray-50" : "text-gray-700"
+              }`}
+              onClick={() => setCurrFilter(program.slug)}
+            >
+              {program.name}
+            </button>
+          ))}
         </Dropdown>
       </div>
 
@@ -236,14 +454,44 @@ const AdminStudents = () => {
         </p>
       </div>
 
+      {/* Bulk changes edit class rosters */}
+      {allowRender && can("manage_classes") && (
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-x-2 cursor-pointer">
+            <input type="checkbox" checked={pageSelected} onChange={togglePage} />
+            Select page
+          </label>
+          <div className="grow">
+            <RosterBulkActions
+              students={Object.values(selected)}
+              onClear={() => setSelected({})}
+              onDone={() => {
+                setSelected({});
+                loadPage(page);
+              }}
+            />
+          </div>
+        </div>
+      )}
+
       <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-x-14 gap-y-3">
         {!allowRender || loading ? (
           <SkeletonUser count={12} />
         ) : (
           students.map((u) => (
-            <Link key={u._id} to={`/admin/user/${encodeURIComponent(u._id)}`}>
-              <UserItem key={u._id} privilege="admin" userData={u} isShowClass />
-            </Link>
+            <div key={u._id} className="flex items-center gap-x-2">
+              {can("manage_classes") && (
+                <input
+                  type="checkbox"
+                  aria-label={`Select ${u.firstName} ${u.lastName}`}
+                  checked={Boolean(selected[u._id])}
+                  onChange={() => toggleSelected(u)}
+                />
+              )}
+              <Link to={`/admin/user/${encodeURIComponent(u._id)}`} className="flex-1 min-w-0">
+                <UserItem privilege="admin" userData={u} isShowClass />
+              </Link>
+            </div>
           ))
         )}
       </div>
@@ -0,0 +1,393 @@
+// src/pages/dashboards/admin/AdminTerms.jsx
+// Admin Terms dashboard.
+// Features:
+// - Auth-gated (manage_classes)
+// - Lists academic terms, newest first, with their dates, status and class count
+// - Create / edit / delete terms without classes
+// - Browses a term's classes and rolls selected ones over to another term
+//
+// Notes:
+// - Rolling over copies classes with their schedule, instructor and settings but no
+//   students; classes the other term already has a copy of are skipped.
+// - Classes of terms that have ended are read-only, but can still be rolled over.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import { useLocation, Link } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import Button from "@/components/Button/Button";
+import DeleteButton from "@/components/Button/DeleteButton";
+import FormInput from "@/components/Form/FormInput";
+import TermDropdown from "@/components/Dropdown/TermDropdown";
+import Overlay from "@/components/Overlay";
+import Alert from "@/components/Alert";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import useCapabilities from "@/hooks/useCapabilities";
+import usePrograms from "@/hooks/usePrograms";
+import { reloadTerms } from "@/hooks/useTerms";
+import { createTerm, updateTerm, deleteTerm, rolloverTerm } from "@/wrappers/term-wrapper.js";
+import { getClasses } from "@/wrappers/class-wrapper";
+import { formatClassLabel } from "@/utils/formatters";
+import { termStatus, isTermEnded, findCurrentTerm, findNextTerm, toDateInput } from "@/utils/terms";
+
+const EMPTY_TERM = { name: "", startDate: "", endDate: "" };
+
+const STATUS_STYLES = {
+  current: "bg-green-100 text-green-800",
+  upcoming: "bg-blue-100 text-blue-800",
+  past: "bg-gray-100 text-gray-700",
+};
+const STATUS_LABELS = { current: "Current", upcoming: "Upcoming", past: "Ended" };
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString(undefined, { timeZone: "UTC", month: "short", day: "numeric", year: "numeric" });
+
+const AdminTerms = () => {
+  const { user } = useContext(UserContext);
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+  const { can } = useCapabilities();
+  const programs = usePrograms();
+
+  const [loading, setLoading] = useState(true);
+  const showSkeleton = useDelayedSkeleton(loading);
+  const [terms, setTerms] = useState([]);
+  const [alertMessage, setAlertMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+
+  // null when closed; otherwise the term being edited (no _id for a new term)
+  const [editing, setEditing] = useState(null);
+
+  // The term whose classes are listed, its classes and the ones ticked for rollover
+  const [selectedId, setSelectedId] = useState(null);
+  const [classes, setClasses] = useState([]);
+  const [checkedIds, setCheckedIds] = useState([]);
+  const [targetId, setTargetId] = useState(null);
+  const [isRolling, setIsRolling] = useState(false);
+
+  const selected = terms.find((term) => term._id === selectedId) || null;
+  const targets = selected
+    ? terms.filter((term) => term._id !== selected._id && !isTermEnded(term))
+    : [];
+  const suggested = selected ? findNextTerm(targets, selected) : null;
+  const target = targets.find((term) => term._id === targetId) || suggested;
+
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    loadTerms();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  useEffect(() => {
+    setCheckedIds([]);
+    setTargetId(null);
+    if (selectedId) loadClasses(selectedId);
+  }, [selectedId]);
+
+  async function loadTerms() {
+    try {
+      setLoading(true);
+      const data = await reloadTerms();
+      setTerms(data);
+      setSelectedId((prev) => prev || findCurrentTerm(data)?._id || null);
+    } catch (err) {
+      console.error("loadTerms error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadClasses(termId) {
+    try {
+      // The term filter also lists classes without a term; only the term's own can be rolled over
+      const data = await getClasses(`term=${encodeURIComponent(termId)}`);
+      setClasses(data.filter((cls) => cls.term === termId));
+    } catch (err) {
+      console.error("loadClasses error:", err);
+    }
+  }
+
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => setAlertMessage(""), 4000);
+  };
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(""), 4000);
+  };
+
+  const setField = (name, value) => setEditing((prev) => ({ ...prev, [name]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const { name, startDate, endDate } = editing;
+      if (editing._id) {
+        await updateTerm(editing._id, { name, startDate, endDate });
+      } else {
+        await createTerm({ name, startDate, endDate });
+      }
+      setEditing(null);
+      await loadTerms();
+    } catch (err) {
+      console.error("Save term failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to save term"}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteTerm(editing._id);
+      if (selectedId === editing._id) setSelectedId(null);
+      setEditing(null);
+      await loadTerms();
+    } catch (err) {
+      console.error("Delete term failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to delete term"}`);
+    }
+  };
+
+  const toggleChecked = (classId) =>
+    setCheckedIds((prev) => (prev.includes(classId) ? prev.filter((id) => id !== classId) : [...prev, classId]));
+
+  const handleRollover = async () => {
+    try {
+      setIsRolling(true);
+      const { created, skipped } = await rolloverTerm(selected._id, { classIds: checkedIds, toTermId: target._id });
+      setCheckedIds([]);
+      showSuccess(
+        `Rolled over ${created.length} class(es) to ${target.name}` +
+          (skipped.length ? `; ${skipped.length} already had a copy there` : "")
+      );
+      await loadTerms();
+    } catch (err) {
+      console.error("Rollover failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to roll over classes"}`);
+    } finally {
+      setIsRolling(false);
+    }
+  };
+
+  if (user && !can("manage_classes")) {
+    return <Unauthorized />;
+  }
+
+  return (
+    <>
+      {alertMessage && <Alert message={alertMessage} />}
+      {successMessage && <Alert message={successMessage} isSuccess />}
+      <div className="page-format max-w-[96rem] space-y-10">
+        <div className="flex flex-col items-start md:flex-row md:items-center md:justify-between">
+          <div className="mb-6 md:m-0">
+            <h1 className="font-extrabold mb-2">Terms</h1>
+            <p>
+              Classes belong to a term. Portals and the schedule open on the current term; once a term has ended its
+              classes are read-only.
+            </p>
+          </div>
+          <Button label={"New Term"} onClick={() => setEditing({ ...EMPTY_TERM })} />
+        </div>
+
+        <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-700">
+              <tr>
+                <th className="text-left px-4 py-3">Name</th>
+                <th className="text-left px-4 py-3">Dates</th>
+                <th className="text-left px-4 py-3">Status</th>
+                <th className="text-left px-4 py-3">Classes</th>
+                <th className="text-left px-4 py-3"></th>
+              </tr>
+            </thead>
+
+            <tbody className="divide-y divide-gray-100">
+              {loading && terms.length === 0 ? (
+                Array.from({ length: 3 }).map((_, i) => (
+                  <tr key={i}>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={120} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={160} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={60} />}</td>
+                    <td className="px-4 py-3">{showSkeleton && <Skeleton width={30} />}</td>
+                    <td className="px-4 py-3"></td>
+                  </tr>
+                ))
+              ) : terms.length === 0 ? (
+                <tr>
+                  <td className="px-4 py-8 text-gray-500" colSpan={5}>
+                    No terms yet. Add one, or run the term migration to put existing classes in a first term.
+                  </td>
+                </tr>
+              ) : (
+                terms.map((term) => {
+                  const status = termStatus(term);
+                  return (
+                    <tr key={term._id} className={`text-gray-800 ${term._id === selectedId ? "bg-blue-50" : ""}`}>
+                      <td className="px-4 py-3 font-semibold">
+                        <button
+                          type="button"
+                          className="text-blue-500 hover:underline"
+                          onClick={() => setSelectedId(term._id)}
+                        >
+                          {term.name}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3">
+                        {formatDay(term.startDate)} – {formatDay(term.endDate)}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`rounded-full px-3 py-1 ${STATUS_STYLES[status]}`}>{STATUS_LABELS[status]}</span>
+                      </td>
+                      <td className="px-4 py-3">{term.classCount}</td>
+                      <td className="px-4 py-3 text-right">
+                        <button
+                          type="button"
+                          className="text-blue-500 hover:underline"
+                          onClick={() =>
+                            setEditing({
+                              ...term,
+                              startDate: toDateInput(term.startDate),
+                              endDate: toDateInput(term.endDate),
+                            })
+                          }
+                        >
+                          Edit
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {selected && (
+          <section className="space-y-4">
+            <div>
+              <h2 className="font-extrabold mb-1">{selected.name} classes</h2>
+              {isTermEnded(selected) && (
+                <p className="text-gray-600">This term has ended; its classes are read-only.</p>
+              )}
+            </div>
+
+            {classes.length === 0 ? (
+              <p className="text-gray-500">No classes in this term.</p>
+            ) : (
+              <>
+                <div className="flex flex-wrap items-center gap-4">
+                  <label className="flex items-center gap-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={checkedIds.length === classes.length}
+                      onChange={(e) => setCheckedIds(e.target.checked ? classes.map((cls) => cls._id) : [])}
+                    />
+                    Select all
+                  </label>
+                  {targets.length > 0 ? (
+                    <>
+                      <div className="w-full sm:w-72">
+                        <TermDropdown
+                          selectedId={target?._id}
+                          terms={targets}
+                          onSelect={(term) => setTargetId(term._id)}
+                        />
+                      </div>
+                      <Button
+                        label={isRolling ? "Rolling over..." : `Roll over to ${target ? target.name : "next term"}`}
+                        onClick={handleRollover}
+                        isDisabled={isRolling || !target || checkedIds.length === 0}
+                      />
+                    </>
+                  ) : (
+                    <p className="text-gray-600">Add a current or upcoming term to roll classes over to.</p>
+                  )}
+                </div>
+
+                <ul className="divide-y divide-gray-100 rounded-md border border-gray-200 bg-white">
+                  {classes.map((cls) => (
+                    <li key={cls._id} className="flex flex-wrap items-center gap-x-4 gap-y-1 px-4 py-3">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${formatClassLabel(cls, programs)}`}
+                        checked={checkedIds.includes(cls._id)}
+                        onChange={() => toggleChecked(cls._id)}
+                      />
+                      <Link
+                        href={`/admin/levels/class/${encodeURIComponent(cls._id)}`}
+                        className="grow text-blue-500 hover:underline"
+                      >
+                        {formatClassLabel(cls, programs)}
+                      </Link>
+                      <span className="text-gray-600">
+                        {cls.schedule.map((slot) => `${slot.day} ${slot.startTime}–${slot.endTime}`).join(", ")}
+                      </span>
+                      <span className="text-gray-600">{(cls.roster || []).length} student(s)</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </section>
+        )}
+      </div>
+
+      {editing && (
+        <Overlay width="w-full max-w-lg">
+          <form onSubmit={handleSave} className="space-y-5">
+            <h3 className="font-extrabold">{editing._id ? `Edit ${editing.name}` : "New Term"}</h3>
+            <div className="space-y-3">
+              <label className="mx-1">Name</label>
+              <FormInput
+                type="text"
+                name="name"
+                placeholder="e.g. Fall 2026"
+                value={editing.name}
+                onChange={(e) => setField("name", e.target.value)}
+                isRequired={true}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-x-4">
+              <div className="space-y-3">
+                <label className="mx-1">First day</label>
+                <FormInput
+                  type="date"
+                  name="startDate"
+                  value={editing.startDate}
+                  onChange={(e) => setField("startDate", e.target.value)}
+                  isRequired={true}
+                />
+              </div>
+              <div className="space-y-3">
+                <label className="mx-1">Last day</label>
+                <FormInput
+                  type="date"
+                  name="endDate"
+                  value={editing.endDate}
+                  onChange={(e) => setField("endDate", e.target.value)}
+                  isRequired={true}
+                />
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Button label="Save" type="submit" />
+              <Button label="Cancel" isOutline={true} onClick={() => setEditing(null)} />
+              {editing._id && editing.classCount === 0 && <DeleteButton item="term" onDelete={handleDelete} />}
+            </div>
+          </form>
+        </Overlay>
+      )}
+    </>
+  );
+};
+
+export default AdminTerms;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import SearchBar from '@/components/SearchBar';
@@ -11,10 +12,11 @@ import Unauthorized from "@/pages/Unauthorized";
 import SkeletonTranslationRow from '@/components/Skeletons/SkeletonTranslationRow';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import { IoChevronDownOutline, IoCreateOutline } from "react-icons/io5";
-import { getTranslations, editTranslation } from '@/wrappers/translation-wrapper';
+import { getTranslations, editTranslation, getTranslationHistory } from '@/wrappers/translation-wrapper';
 
 const AdminTranslations = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const { isSignedIn, isLoaded } = useAuth();
   const [, setLocation] = useLocation();
   const [allowRender, setAllowRender] = useState(false);
@@ -71,7 +73,7 @@ const AdminTranslations = () => {
     });
   }
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("edit_translations")) {
     return <Unauthorized />;
   }
 
@@ -190,6 +192,36 @@ const TranslationTable = ({ label, translations, ns, fetchTranslations, setters,
   )
 }
 
+// Recent edits of one key, shown in the edit overlay
+const RevisionList = ({ lng, ns, translationKey }) => {
+  const [revisions, setRevisions] = useState(null);
+
+  useEffect(() => {
+    getTranslationHistory(lng, ns, translationKey)
+      .then(setRevisions)
+      .catch(() => setRevisions([]));
+  }, [lng, ns, translationKey]);
+
+  if (!revisions || revisions.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <label>Recent edits</label>
+      <ul className="max-h-40 overflow-y-auto text-sm text-gray-600 space-y-2">
+        {revisions.map((rev) => (
+          <li key={rev._id} className="border-l-2 border-gray-300 pl-3">
+            <p>
+              {new Date(rev.createdAt).toLocaleString()} by{" "}
+              {rev.editor ? `${rev.editor.firstName} ${rev.editor.lastName}` : rev.editorEmail || "unknown"}
+            </p>
+            <p className="text-gray-400">Previous: {rev.previousValue ?? "(none)"}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
 const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
   // const [alertMessage, setAlertMessage] = useState("");
 
@@ -320,6 +352,7 @@ const TableRow = ({ id, translations, ns, fetchTranslations, setters }) => {
               isRequired={true}
             />
           </div>
+          <RevisionList lng={formData.lng} ns={ns} translationKey={formData.key} />
           <div className="grid grid-cols-2 gap-x-2">
             <Button
               label="Cancel"
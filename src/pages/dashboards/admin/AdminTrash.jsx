@@ -0,0 +1,191 @@
+// src/pages/dashboards/admin/AdminTrash.jsx
+// Admin "Recently deleted" dashboard.
+// Features:
+// - Auth-gated (manage_users for users, manage_classes for classes and levels)
+// - Lists trashed users, classes and levels with who deleted them and when
+// - Restore puts the item back, re-linking rosters and level translations
+//
+// Notes:
+// - Items are purged for good after the retention period returned by the API.
+
+import { useContext, useEffect, useState } from "react";
+import { UserContext } from "@/contexts/UserContext.jsx";
+import useCapabilities from "@/hooks/useCapabilities";
+import { useLocation } from "wouter";
+import { useAuth } from "@clerk/clerk-react";
+import Unauthorized from "@/pages/Unauthorized";
+import Alert from "@/components/Alert";
+import Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import useDelayedSkeleton from "@/hooks/useDelayedSkeleton";
+import { getTrash, restoreFromTrash } from "@/wrappers/trash-wrapper.js";
+import { describeClassProgram } from "@/utils/programs";
+
+const fullName = (u) => (u ? `${u.firstName} ${u.lastName}` : "—");
+
+// Columns shown for each trash type
+const SECTIONS = [
+  {
+    type: "users",
+    title: "Users",
+    name: fullName,
+    details: (u) => `${u.email} · ${u.privilege}`,
+  },
+  {
+    type: "classes",
+    title: "Classes",
+    name: (cls) => describeClassProgram(cls),
+    details: (c) => `${c.ageGroup} · ${c.instructor} · ${c.roster?.length || 0} student(s)`,
+  },
+  {
+    type: "levels",
+    title: "Levels",
+    name: (l) => `Level ${l.level}`,
+    details: (l) => l.name,
+  },
+];
+
+function formatDate(d) {
+  if (!d) return "";
+  return new Date(d).toLocaleDateString(undefined, { dateStyle: "medium" });
+}
+
+const AdminTrash = () => {
+  const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
+  const [, setLocation] = useLocation();
+  const { isSignedIn, isLoaded } = useAuth();
+
+  const [loading, setLoading] = useState(true);
+  const showSkeleton = useDelayedSkeleton(loading);
+  const [trash, setTrash] = useState({});
+  const [restoringId, setRestoringId] = useState(null);
+  const [alertMessage, setAlertMessage] = useState("");
+
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    if (!isSignedIn) {
+      setLocation("/login");
+      return;
+    }
+
+    loadTrash();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoaded, isSignedIn]);
+
+  async function loadTrash() {
+    try {
+      setLoading(true);
+      setTrash(await getTrash());
+    } catch (err) {
+      const status = err?.response?.status;
+      if (status === 401) setLocation("/login");
+      else console.error("loadTrash error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setTimeout(() => setAlertMessage(""), 4000);
+  };
+
+  const handleRestore = async (type, id) => {
+    try {
+      setRestoringId(id);
+      await restoreFromTrash(type, id);
+      setTrash((prev) => ({ ...prev, [type]: prev[type].filter((item) => item._id !== id) }));
+      showAlert("Restored");
+    } catch (err) {
+      console.error("Restore failed:", err);
+      showAlert(`Error: ${err.response?.data?.message || "Failed to restore"}`);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  // Guard: only user or class managers can view
+  if (user && !can("manage_users", "manage_classes")) {
+    return <Unauthorized />;
+  }
+
+  const sections = SECTIONS.filter((section) => loading || trash[section.type]);
+
+  return (
+    <div className="page-format max-w-[96rem] space-y-10">
+      {alertMessage && <Alert message={alertMessage} />}
+      <div className="mb-6 md:m-0">
+        <h1 className="font-extrabold mb-2">Recently Deleted</h1>
+        <p>
+          Deleted items can be restored here
+          {trash.retentionDays ? ` for ${trash.retentionDays} days, after which they are removed for good` : ""}.
+        </p>
+      </div>
+
+      {sections.map((section) => (
+        <section key={section.type} className="space-y-4">
+          <h2 className="font-bold text-xl">{section.title}</h2>
+          <div className="w-full overflow-x-auto rounded-md border border-gray-200 bg-white">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-gray-700">
+                <tr>
+                  <th className="text-left px-4 py-3">Name</th>
+                  <th className="text-left px-4 py-3">Details</th>
+                  <th className="text-left px-4 py-3">Deleted by</th>
+                  <th className="text-left px-4 py-3">Deleted</th>
+                  <th className="text-left px-4 py-3">Purged</th>
+                  <th className="text-left px-4 py-3"></th>
+                </tr>
+              </thead>
+
+              <tbody className="divide-y divide-gray-100">
+                {loading ? (
+                  Array.from({ length: 2 }).map((_, i) => (
+                    <tr key={i}>
+                      <td className="px-4 py-3">{showSkeleton && <Skeleton width={120} />}</td>
+                      <td className="px-4 py-3">{showSkeleton && <Skeleton />}</td>
+                      <td className="px-4 py-3">{showSkeleton && <Skeleton width={120} />}</td>
+                      <td className="px-4 py-3">{showSkeleton && <Skeleton width={90} />}</td>
+                      <td className="px-4 py-3">{showSkeleton && <Skeleton width={90} />}</td>
+                      <td className="px-4 py-3"></td>
+                    </tr>
+                  ))
+                ) : trash[section.type].length === 0 ? (
+                  <tr>
+                    <td className="px-4 py-8 text-gray-500" colSpan={6}>
+                      Nothing here.
+                    </td>
+                  </tr>
+                ) : (
+                  trash[section.type].map((item) => (
+                    <tr key={item._id} className="text-gray-800 align-top">
+                      <td className="px-4 py-3 font-semibold">{section.name(item)}</td>
+                      <td className="px-4 py-3">{section.details(item)}</td>
+                      <td className="px-4 py-3">{fullName(item.deletedBy)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap">{formatDate(item.deletedAt)}</td>
+                      <td className="px-4 py-3 whitespace-nowrap">{formatDate(item.purgeAt)}</td>
+                      <td className="px-4 py-3 text-right">
+                        <button
+                          type="button"
+                          className="text-blue-500 hover:underline disabled:text-gray-400"
+                          disabled={restoringId === item._id}
+                          onClick={() => handleRestore(section.type, item._id)}
+                        >
+                          Restore
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default AdminTrash;
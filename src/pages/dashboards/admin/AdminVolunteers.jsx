@@ -1,7 +1,7 @@
 // src/pages/dashboards/admin/AdminVolunteers.jsx
 // Admin Volunteers dashboard.
 // Features:
-// - Auth-gated (admins only)
+// - Auth-gated (review_volunteers capability)
 // - Search, status filter, pagination
 // - Status updates (optimistic UI)
 // - CSV export
@@ -12,6 +12,7 @@
 
 import { useContext, useEffect, useMemo, useState } from "react";
 import { UserContext } from "@/contexts/UserContext.jsx";
+import useCapabilities from "@/hooks/useCapabilities";
 import { useLocation } from "wouter";
 import { useAuth } from "@clerk/clerk-react";
 import Unauthorized from "@/pages/Unauthorized";
@@ -76,6 +77,7 @@ function labelOrDash(map, value) {
 
 const AdminVolunteers = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
 
@@ -153,8 +155,8 @@ const AdminVolunteers = () => {
     }
   }
 
-  // Guard: only admins can view
-  if (user && user.privilege !== "admin") {
+  // Guard: only volunteer reviewers can view
+  if (user && !can("review_volunteers")) {
     return <Unauthorized />;
   }
 
@@ -1,36 +1,62 @@
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import FormInput from '@/components/Form/FormInput'
 import Button from '@/components/Button/Button';
 import DayDropdown from '@/components/Dropdown/DayDropdown';
+import InstructorDropdown from '@/components/Dropdown/InstructorDropdown';
+import AgeGroupDropdown from '@/components/Dropdown/AgeGroupDropdown';
 import BackButton from "@/components/Button/BackButton";
 import Alert from '@/components/Alert';
+import ProgramDropdown from '@/components/Dropdown/ProgramDropdown';
+import TermDropdown from '@/components/Dropdown/TermDropdown';
 import ClassPreview from '@/components/Class/ClassPreview';
+import SupplementaryClassPreview from "@/components/Class/SupplementaryClassPreview";
+import ImagePicker from "@/components/ImagePicker";
+import { levelImgs } from "@/constants/images";
 import { createClass } from '@/wrappers/class-wrapper.js';
 import { IoAdd, IoTrashBinOutline } from "react-icons/io5";
 import Unauthorized from "@/pages/Unauthorized";
 import { convertIfNumber } from "@/utils/formatters";
+import usePrograms from '@/hooks/usePrograms';
+import { DEFAULT_PROGRAM } from '@/utils/programs';
+import useTerms from '@/hooks/useTerms';
+import { findCurrentTerm, isTermEnded } from '@/utils/terms';
 
+// Adds a class to any program. `?program=<slug>` preselects the program; only
+// level-based programs ask for a level, the others pick a card image instead.
+// Classes go in the current term unless another current or upcoming one is picked.
 const AddClass = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [alertMessage, setAlertMessage] = useState("")
+  const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
+  const programs = usePrograms();
+  const openTerms = (useTerms() || []).filter((term) => !isTermEnded(term));
 
   const [classData, setClassData] = useState({
+    term: '',
+    program: new URLSearchParams(window.location.search).get("program") || DEFAULT_PROGRAM,
     level: '',
     ageGroup: '',
     instructor: '',
+    instructorId: '',
     schedule: [
       {
         day: '',
         startTime: '',
         endTime: ''
       }
-    ]
+    ],
+    image: "level_img_0.webp"
   });
+  const program = programs.find((p) => p.slug === classData.program);
+  const isLevelBased = program?.isLevelBased ?? true;
+  const termId = classData.term || findCurrentTerm(openTerms)?._id || '';
 
   useEffect(() => {
     if (isLoaded) {
@@ -51,11 +77,10 @@ const AddClass = () => {
   const handleAddClass = async (e) => {
     e.preventDefault();
     classData.ageGroup = classData.ageGroup.toLowerCase();
-    classData.level = convertIfNumber(classData.level);
-    const allowedAges = ["all", "children", "adults"]
+    classData.level = isLevelBased ? convertIfNumber(classData.level) : null;
     try {
-      if (!allowedAges.includes(classData.ageGroup)) {
-        setAlertMessage(`Age group must be all, children, or adult`);
+      if (!classData.ageGroup) {
+        setAlertMessage(`Select an age group`);
         setTimeout(() => {
           setAlertMessage("");
         }, 4000);
@@ -63,6 +88,7 @@ const AddClass = () => {
         // Filter out any time objects that are empty (i.e., missing a day or time)
         const filteredClassData = {
           ...classData,
+          term: termId,
           schedule: classData.schedule.filter(time => time.day && time.startTime && time.endTime),
         };
         await createClass(filteredClassData);
@@ -77,7 +103,7 @@ const AddClass = () => {
     }
   }
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_classes")) {
     return <Unauthorized />;
   }
 
@@ -85,20 +111,38 @@ const AddClass = () => {
     <>
       {alertMessage !== "" && <Alert message={alertMessage} />}
       <div className="page-format max-w-[96rem] space-y-10">
-        <BackButton label={"All Classs"} />
+        <BackButton label={"Back"} />
         <div className="space-y-2">
           <h1 className="font-extrabold">Add Class</h1>
           <p className="font-light text-base sm:text-lg">Fill out new class data</p>
         </div>
-        <div className="w-1/3">
+        <div className="w-1/3 space-y-3">
           <h2 className="mb-2">Class Preview</h2>
-          <ClassPreview
-            classObj={classData}
-          />
+          {isLevelBased
+            ? <ClassPreview classObj={classData} />
+            : <>
+              <SupplementaryClassPreview cls={classData} />
+              <Button label="Select Image" onClick={() => setIsOpenImagePicker(true)} />
+            </>}
         </div>
         <form onSubmit={handleAddClass} className="w-full lg:w-2/3">
+          {openTerms.length > 0 && <div className="w-full sm:w-1/2 space-y-3 mb-6">
+            <label className="mx-1">Term</label>
+            <TermDropdown
+              selectedId={termId}
+              terms={openTerms}
+              onSelect={(term) => setClassData(prev => ({ ...prev, term: term._id }))}
+            />
+          </div>}
           <div className="flex justify-start space-x-10 mb-6">
             <div className="space-y-3">
+              <label className="mx-1">Program</label>
+              <ProgramDropdown
+                selectedSlug={classData.program}
+                onSelect={(selected) => setClassData(prev => ({ ...prev, program: selected.slug }))}
+              />
+            </div>
+            {isLevelBased && <div className="space-y-3">
               <label className="mx-1">Level</label>
               <FormInput
                 type="text"
@@ -108,27 +152,24 @@ const AddClass = () => {
                 onChange={handleInputChange}
                 isRequired={true}
               />
-            </div>
+            </div>}
             <div className="space-y-3">
               <label className="mx-1">Age Group</label>
-              <FormInput
-                type="text"
-                name="ageGroup"
-                placeholder="Age Group"
-                value={classData.ageGroup}
-                onChange={handleInputChange}
-                isRequired={true}
+              <AgeGroupDropdown
+                selectedName={classData.ageGroup}
+                onSelect={(ageGroup) => setClassData(prev => ({ ...prev, ageGroup }))}
               />
             </div>
             <div className="space-y-3">
               <label className="mx-1">Instructor</label>
-              <FormInput
-                type="text"
-                name="instructor"
-                placeholder="Instructor"
-                value={classData.instructor}
-                onChange={handleInputChange}
-                isRequired={true}
+              <InstructorDropdown
+                selectedId={classData.instructorId}
+                fallbackName={classData.instructor}
+                onSelect={(instructor) => setClassData(prev => ({
+                  ...prev,
+                  instructorId: instructor._id,
+                  instructor: instructor.firstName
+                }))}
               />
             </div>
           </div>
@@ -223,10 +264,18 @@ const AddClass = () => {
             <Button
               label="Cancel"
               isOutline={true}
-              onClick={() => setLocation("/admin/levels/classs")} />
+              onClick={() => history.back()} />
           </div>
         </form>
       </div>
+      {isOpenImagePicker && <ImagePicker
+        images={levelImgs}
+        selectedImage={classData.image}
+        setImage={(newImage) => {
+          setClassData(prev => ({ ...prev, image: newImage }));
+        }}
+        setPickerOpen={setIsOpenImagePicker}
+      />}
     </>
   )
 }
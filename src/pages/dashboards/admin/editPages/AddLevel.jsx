@@ -1,5 +1,6 @@
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation } from 'wouter';
 import { createLevel } from '@/wrappers/level-wrapper.js';
 import { useAuth } from '@clerk/clerk-react';
@@ -12,9 +13,11 @@ import ImagePicker from "@/components/ImagePicker";
 import { levelImgs } from "@/constants/images";
 import Unauthorized from "@/pages/Unauthorized";
 import LevelPreview from '@/components/Class/LevelPreview';
+import LevelPrerequisitesInputs from '@/components/Class/LevelPrerequisitesInputs';
 
 const AddLevel = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [levelData, setLevelData] = useState({
@@ -22,7 +25,8 @@ const AddLevel = () => {
     name: '',
     description: '',
     skills: [],
-    image: "level_img_0.webp"
+    image: "level_img_0.webp",
+    prerequisites: []
   });
   const [skillsInput, setSkillsInput] = useState(''); // Separate state for skills input field
   const [alertMessage, setAlertMessage] = useState("")
@@ -113,7 +117,7 @@ const AddLevel = () => {
     }
   };
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_classes")) {
     return <Unauthorized />;
   }
 
@@ -202,6 +206,10 @@ const AddLevel = () => {
               ))}
             </div>
           </div>
+          <LevelPrerequisitesInputs
+            prerequisites={levelData.prerequisites}
+            onChange={(prerequisites) => setLevelData(prev => ({ ...prev, prerequisites }))}
+          />
           {/* TODO: change text to saving... when in the process of saving level */}
           <Button label={isSaving ? "Saving..." : "Save"} type="submit" isDisabled={isSaving} />
         </form>
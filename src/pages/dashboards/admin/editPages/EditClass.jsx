@@ -1,5 +1,6 @@
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation, useParams, Link } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import FormInput from '@/components/Form/FormInput'
@@ -7,6 +8,10 @@ import Button from '@/components/Button/Button';
 import DeleteButton from "@/components/Button/DeleteButton";
 import BackButton from "@/components/Button/BackButton";
 import DayDropdown from '@/components/Dropdown/DayDropdown';
+import InstructorDropdown from '@/components/Dropdown/InstructorDropdown';
+import AgeGroupDropdown from '@/components/Dropdown/AgeGroupDropdown';
+import ProgramDropdown from '@/components/Dropdown/ProgramDropdown';
+import TermDropdown from '@/components/Dropdown/TermDropdown';
 import UserItem from "@/components/UserItem";
 import Alert from '@/components/Alert';
 import { IoAdd, IoTrashBinOutline, IoPersonOutline } from "react-icons/io5";
@@ -14,33 +19,66 @@ import { updateClass, deleteClass, getClassById, getClassStudents } from '@/wrap
 import Unauthorized from "@/pages/Unauthorized";
 import SkeletonUser from "@/components/Skeletons/SkeletonUser";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
+import EnrollmentSettingsInputs from '@/components/Class/EnrollmentSettingsInputs';
+import EnrollmentRequests from '@/components/Class/EnrollmentRequests';
+import EnrollmentOverride from '@/components/Class/EnrollmentOverride';
+import { toDateTimeLocal, fromDateTimeLocal } from '@/utils/time-utils';
 import ClassPreview from '@/components/Class/ClassPreview';
+import SupplementaryClassPreview from "@/components/Class/SupplementaryClassPreview";
+import ImagePicker from "@/components/ImagePicker";
+import { levelImgs } from "@/constants/images";
+import usePrograms from '@/hooks/usePrograms';
+import { DEFAULT_PROGRAM } from '@/utils/programs';
+import useTerms from '@/hooks/useTerms';
+import { isTermEnded } from '@/utils/terms';
+import ClassWaitlist from '@/components/Class/ClassWaitlist';
+import ClassSessions from '@/components/Class/ClassSessions';
+import RosterBulkActions from '@/components/Class/RosterBulkActions';
 
+// Edits a class of any program; only level-based programs show the level input,
+// the others pick a card image instead. Classes of a term that has ended are read-only.
 const EditClass = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [allowRender, setAllowRender] = useState(false);
   const [alertMessage, setAlertMessage] = useState("")
   const [successMessage, setSuccessMessage] = useState("")
   const [isSaving, setIsSaving] = useState(false);
+  const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
+  const programs = usePrograms();
+  const terms = useTerms();
 
   const params = useParams();
   const [classObj, setClassObj] = useState(null);
   const [classData, setClassData] = useState({
+    term: '',
+    program: DEFAULT_PROGRAM,
     level: '',
     ageGroup: '',
     instructor: '',
+    instructorId: '',
     link: '',
+    enrollmentOpensAt: '',
+    enrollmentClosesAt: '',
+    approvalRequired: false,
+    capacity: '',
     schedule: [
       {
         day: '',
         startTime: '',
         endTime: ''
       }
-    ]
+    ],
+    image: ''
   });
+  const isLevelBased = programs.find((p) => p.slug === classData.program)?.isLevelBased ?? true;
+  const classTerm = terms?.find((term) => term._id === classObj?.term);
+  const endedTerm = isTermEnded(classTerm) ? classTerm : null;
   const [students, setStudents] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [waitlistKey, setWaitlistKey] = useState(0);
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
   useEffect(() => {
@@ -61,11 +99,19 @@ const EditClass = () => {
       const classObj = await getClassById(params.classId);
       setClassObj(classObj);
       setClassData({
-        level: classObj.level,
+        term: classObj.term || '',
+        program: classObj.program || DEFAULT_PROGRAM,
+        level: classObj.level ?? '',
         ageGroup: classObj.ageGroup,
         instructor: classObj.instructor,
+        instructorId: classObj.instructorId || '',
         link: classObj.link,
-        schedule: classData.schedule
+        enrollmentOpensAt: toDateTimeLocal(classObj.enrollmentOpensAt),
+        enrollmentClosesAt: toDateTimeLocal(classObj.enrollmentClosesAt),
+        approvalRequired: Boolean(classObj.approvalRequired),
+        capacity: classObj.capacity ?? '',
+        schedule: classData.schedule,
+        image: classObj.image || "level_img_0.webp"
       });
       if (classObj.schedule.length !== 0) {
         setClassData(prev => ({
@@ -75,6 +121,8 @@ const EditClass = () => {
       }
       const students = await getClassStudents(classObj._id);
       setStudents(students);
+      // Saves can promote students off the waitlist
+      setWaitlistKey(key => key + 1);
       setAllowRender(true);
     }
   };
@@ -89,10 +137,9 @@ const EditClass = () => {
   const handleEditClass = async (e) => {
     e.preventDefault();
     classData.ageGroup = classData.ageGroup.toLowerCase();
-    const allowedAges = ["all", "children", "adults"]
     try {
-      if (!allowedAges.includes(classData.ageGroup)) {
-        setAlertMessage(`Age group must be all, children, or adult`);
+      if (!classData.ageGroup) {
+        setAlertMessage(`Select an age group`);
         setTimeout(() => {
           setAlertMessage("");
         }, 4000);
@@ -101,7 +148,10 @@ const EditClass = () => {
 
         const filteredClassData = {
           ...classData,
+          level: isLevelBased ? classData.level : null,
           schedule: classData.schedule.filter(time => time.day && time.startTime && time.endTime),
+          enrollmentOpensAt: fromDateTimeLocal(classData.enrollmentOpensAt),
+          enrollmentClosesAt: fromDateTimeLocal(classData.enrollmentClosesAt),
         };
 
         if (filteredClassData.schedule.length === 0) {
@@ -129,11 +179,9 @@ const EditClass = () => {
     }
   }
 
-  const handleOpenOrCloseEnrollment = async () => {
+  const handleEnrollmentOverride = async (enrollmentOverride) => {
     try {
-      await updateClass(classObj._id, {
-        isEnrollmentOpen: !classObj.isEnrollmentOpen
-      });
+      await updateClass(classObj._id, { enrollmentOverride });
       await fetchClass();
     } catch (error) {
       console.error('Error changing enrollment status:', error);
@@ -157,17 +205,29 @@ const EditClass = () => {
     }
   }
 
+  const toggleSelected = (studentId) => {
+    setSelectedIds(prev => prev.includes(studentId) ? prev.filter(id => id !== studentId) : [...prev, studentId]);
+  };
+
   const handleReset = () => {
     setClassData(prev => ({
-      level: classObj.level,
+      term: classObj.term || '',
+      program: classObj.program || DEFAULT_PROGRAM,
+      level: classObj.level ?? '',
       ageGroup: classObj.ageGroup,
       instructor: classObj.instructor,
+      instructorId: classObj.instructorId || '',
       link: classObj.link,
-      schedule: classObj.schedule.length !== 0 ? classObj.schedule : prev.schedule
+      enrollmentOpensAt: toDateTimeLocal(classObj.enrollmentOpensAt),
+      enrollmentClosesAt: toDateTimeLocal(classObj.enrollmentClosesAt),
+      approvalRequired: Boolean(classObj.approvalRequired),
+      capacity: classObj.capacity ?? '',
+      schedule: classObj.schedule.length !== 0 ? classObj.schedule : prev.schedule,
+      image: classObj.image || "level_img_0.webp"
     }));
   };
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_classes")) {
     return <Unauthorized />;
   }
 
@@ -176,22 +236,48 @@ const EditClass = () => {
       {alertMessage !== "" && <Alert message={alertMessage} />}
       {successMessage !== "" && <Alert message={successMessage} isSuccess />}
       <div className="page-format max-w-[96rem] space-y-10">
-        <BackButton label="Back to Level" />
+        <BackButton label="Back" />
         <div>
           <h1 className="font-extrabold mb-2">Edit Class</h1>
           <h3 className="font-light text-base sm:text-lg">Edit class and student information</h3>
         </div>
+        {endedTerm && (
+          <p className="rounded-md border border-yellow-300 bg-yellow-50 px-4 py-3 text-yellow-900">
+            {endedTerm.name} has ended, so this class is read-only. Roll it over to a new term from the Terms page to
+            run it again.
+          </p>
+        )}
         <div className="space-y-3">
           <h2>Class Preview</h2>
-          <div className="w-full md:w-1/3">
-            <ClassPreview
-              classObj={classData}
-            />
+          <div className="w-full md:w-1/3 space-y-3">
+            {isLevelBased
+              ? <ClassPreview classObj={{ ...classData, enrollmentOverride: classObj?.enrollmentOverride }} />
+              : <>
+                <SupplementaryClassPreview cls={{ ...classData, enrollmentOverride: classObj?.enrollmentOverride }} />
+                <Button label="Select Image" onClick={() => setIsOpenImagePicker(true)} />
+              </>}
           </div>
         </div>
         <form onSubmit={handleEditClass} className="w-full lg:w-2/3">
-          <div className="grid grid-cols-3 gap-x-10 w-full mb-6">
+          <div className="grid grid-cols-2 gap-x-10 w-full mb-6">
+            <div className="w-full space-y-3">
+              <label className="mx-1">Term</label>
+              <TermDropdown
+                selectedId={classData.term}
+                terms={(terms || []).filter((term) => !isTermEnded(term))}
+                onSelect={(term) => setClassData(prev => ({ ...prev, term: term._id }))}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-x-10 w-full mb-6">
             <div className="w-full space-y-3">
+              <label className="mx-1">Program</label>
+              <ProgramDropdown
+                selectedSlug={classData.program}
+                onSelect={(selected) => setClassData(prev => ({ ...prev, program: selected.slug }))}
+              />
+            </div>
+            {isLevelBased && <div className="w-full space-y-3">
               <label className="mx-1">Level</label>
               <FormInput
                 type="text"
@@ -201,41 +287,59 @@ const EditClass = () => {
                 onChange={handleInputChange}
                 isRequired={true}
               />
-            </div>
+            </div>}
+          </div>
+          <div className="grid grid-cols-2 gap-x-10 w-full mb-6">
             <div className="w-full space-y-3">
               <label className="mx-1">Age Group</label>
-              <FormInput
-                type="text"
-                name="ageGroup"
-                placeholder="Age Group"
-                value={classData.ageGroup}
-                onChange={handleInputChange}
-                isRequired={true}
+              <AgeGroupDropdown
+                selectedName={classData.ageGroup}
+                onSelect={(ageGroup) => setClassData(prev => ({ ...prev, ageGroup }))}
               />
             </div>
             <div className="w-full space-y-3">
               <label className="mx-1">Instructor</label>
+              <InstructorDropdown
+                selectedId={classData.instructorId}
+                fallbackName={classData.instructor}
+                onSelect={(instructor) => setClassData(prev => ({
+                  ...prev,
+                  instructorId: instructor._id,
+                  instructor: instructor.firstName
+                }))}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-x-10 w-full mb-6">
+            <div className="col-span-2 space-y-3">
+              <label className="mx-1">Class Link</label>
               <FormInput
                 type="text"
-                name="instructor"
-                placeholder="Instructor"
-                value={classData.instructor}
+                name="link"
+                placeholder="Enter class link"
+                value={classData.link}
                 onChange={handleInputChange}
                 isRequired={true}
               />
             </div>
+            <div className="space-y-3">
+              <label className="mx-1">Capacity</label>
+              <FormInput
+                type="number"
+                name="capacity"
+                placeholder="Unlimited"
+                value={classData.capacity}
+                onChange={handleInputChange}
+                isRequired={false}
+              />
+            </div>
           </div>
-          <div className="w-full mb-6">
-            <label className="mx-1">Class Link</label>
-            <FormInput
-              type="text"
-              name="link"
-              placeholder="Enter class link"
-              value={classData.link}
-              onChange={handleInputChange}
-              isRequired={true}
-            />
-          </div>
+          <EnrollmentSettingsInputs
+            opensAt={classData.enrollmentOpensAt}
+            closesAt={classData.enrollmentClosesAt}
+            approvalRequired={classData.approvalRequired}
+            onChange={handleInputChange}
+          />
           <div className="w-full space-y-3 mb-6">
             <div className="flex w-full gap-x-4">
               <div className="w-full grid grid-cols-2 gap-x-10">
@@ -329,7 +433,7 @@ const EditClass = () => {
               }));
             }} />
           <div className="space-x-2 mt-8">
-            <Button label={isSaving ? "Saving..." : "Save"} type="submit" isDisabled={isSaving} />
+            <Button label={isSaving ? "Saving..." : "Save"} type="submit" isDisabled={isSaving || Boolean(endedTerm)} />
             <Button
               label="Reset"
               isOutline={true}
@@ -337,34 +441,106 @@ const EditClass = () => {
           </div>
         </form>
         <div>
-          <div className="flex items-center gap-8 mb-2">
-            <h2>List of Students</h2>
-            {allowRender && <Button
-              label={classObj.isEnrollmentOpen ? "Close Enrollment" : "Open Enrollment"}
-              isOutline={!classObj.isEnrollmentOpen}
-              onClick={handleOpenOrCloseEnrollment}
+          <h2 className="mb-2">List of Students</h2>
+          <div className="mb-4">
+            {allowRender && !endedTerm && <EnrollmentOverride
+              classObj={classObj}
+              onChange={handleEnrollmentOverride}
             />}
           </div>
           <div className="text-indigo-900 inline-flex gap-x-2 items-center mb-6">
             <IoPersonOutline />
-            <p>{students.length} enrolled</p>
+            <p>
+              {students.length} enrolled
+              {allowRender && classObj.capacity != null && ` of ${classObj.capacity} seats`}
+            </p>
           </div>
+          {allowRender && !endedTerm && students.length > 0 && (
+            <div className="flex flex-wrap items-center gap-4 mb-4">
+              <label className="flex items-center gap-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.length === students.length}
+                  onChange={(e) => setSelectedIds(e.target.checked ? students.map(s => s._id) : [])}
+                />
+                Select all
+              </label>
+              <div className="grow">
+                <RosterBulkActions
+                  students={students.filter(s => selectedIds.includes(s._id))}
+                  fromClass={classObj}
+                  onClear={() => setSelectedIds([])}
+                  onDone={async () => {
+                    setSelectedIds([]);
+                    await fetchClass();
+                  }}
+                />
+              </div>
+            </div>
+          )}
           <div className="grid grid-cols-1 sm:grid-cols-3 gap-x-14 gap-y-3">
             {allowRender
               ? (students.map(student => (
-                <Link key={student._id} href={`/admin/user/${encodeURIComponent(student._id)}`}>
-                  <UserItem
-                    userData={student}
-                    privilege="admin"
-                  />
-                </Link>
+                <div key={student._id} className="flex items-center gap-x-2">
+                  {!endedTerm && <input
+                    type="checkbox"
+                    aria-label={`Select ${student.firstName} ${student.lastName}`}
+                    checked={selectedIds.includes(student._id)}
+                    onChange={() => toggleSelected(student._id)}
+                  />}
+                  <Link href={`/admin/user/${encodeURIComponent(student._id)}`} className="flex-1 min-w-0">
+                    <UserItem
+                      userData={student}
+                      privilege="admin"
+                    />
+                  </Link>
+                </div>
               ))
               )
               : showSkeleton && <SkeletonUser count={3} />}
           </div>
         </div>
-        <DeleteButton item="class" onDelete={handleDeleteClass} />
+        {allowRender && <ClassWaitlist
+          classId={classObj._id}
+          refreshKey={waitlistKey}
+          onError={(message) => {
+            setAlertMessage(message);
+            setTimeout(() => {
+              setAlertMessage("");
+            }, 4000);
+          }}
+        />}
+        {allowRender && classObj.approvalRequired && <EnrollmentRequests
+          classId={classObj._id}
+          onDecided={fetchClass}
+          onError={(message) => {
+            setAlertMessage(message);
+            setTimeout(() => {
+              setAlertMessage("");
+            }, 4000);
+          }}
+        />}
+        {allowRender && <ClassSessions
+          classId={classObj._id}
+          students={students}
+          readOnly={Boolean(endedTerm)}
+          onError={(message) => {
+            setAlertMessage(message);
+            setTimeout(() => {
+              setAlertMessage("");
+            }, 4000);
+          }}
+        />}
+        {!endedTerm && <DeleteButton item="class" onDelete={handleDeleteClass} />}
       </div>
+      {isOpenImagePicker && <ImagePicker
+        images={levelImgs}
+        selectedImage={classData.image}
+        setImage={(newImage) => {
+          setClassData(prev => ({ ...prev, image: newImage }));
+        }}
+        setPickerOpen={setIsOpenImagePicker}
+      />}
     </>
   )
 }
@@ -1,5 +1,6 @@
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation, useParams } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
 import { useTranslation } from "react-i18next";
@@ -18,9 +19,11 @@ import Unauthorized from "@/pages/Unauthorized";
 import SkeletonClass from "@/components/Skeletons/SkeletonClass";
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
 import LevelPreview from '@/components/Class/LevelPreview';
+import LevelPrerequisitesInputs from '@/components/Class/LevelPrerequisitesInputs';
 
 const EditLevel = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const { isSignedIn, isLoaded } = useAuth();
   const [allowRender, setAllowRender] = useState(false);
@@ -36,13 +39,15 @@ const EditLevel = () => {
     name: '',
     description: '',
     image: '',
-    skills: []
+    skills: [],
+    prerequisites: []
   });
   const [skillsInput, setSkillsInput] = useState(''); // Separate state for skills input field
   const [isOpenImagePicker, setIsOpenImagePicker] = useState(false);
   const [alertMessage, setAlertMessage] = useState("")
   const [successMessage, setSuccessMessage] = useState("")
   const [showDeletePopup, setShowDeletePopup] = useState(false);
+  const [formVersion, setFormVersion] = useState(0); // remounts inputs that keep their own state on load/reset
   const showSkeleton = useDelayedSkeleton(!allowRender);
 
   useEffect(() => {
@@ -68,11 +73,13 @@ const EditLevel = () => {
         name: level.name || '',
         description: level.description || '',
         image: level.image || 'level_img_0.webp',
-        skills: skills
+        skills: skills,
+        prerequisites: level.prerequisites || []
       });
 
       // Initialize the skills input field
       setSkillsInput(skills.join(', '));
+      setFormVersion(v => v + 1);
     }
   }, [level]);
 
@@ -83,7 +90,8 @@ const EditLevel = () => {
         setLocation("/admin/levels");
       }
       setLevel(levelRes[0]);
-      const classRes = await getClasses(`level=${levelNum}`);
+      // Classes of terms that have ended are listed on the Terms page
+      const classRes = await getClasses(`level=${levelNum}&term=open`);
       setClasses(classRes);
       setAllowRender(true);
     }
@@ -193,12 +201,14 @@ const EditLevel = () => {
       name: level.name || '',
       description: level.description || '',
       skills: skills,
-      image: level.image
+      image: level.image,
+      prerequisites: level.prerequisites || []
     });
     setSkillsInput(skills.join(', '));
+    setFormVersion(v => v + 1);
   };
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_classes")) {
     return <Unauthorized />;
   }
 
@@ -290,6 +300,11 @@ const EditLevel = () => {
               ))}
             </div>
           </div>
+          {allowRender && <LevelPrerequisitesInputs
+            key={`${level._id}-${formVersion}`}
+            prerequisites={levelData.prerequisites}
+            onChange={(prerequisites) => setLevelData(prev => ({ ...prev, prerequisites }))}
+          />}
           {/* Action buttons */}
           <div className="flex gap-x-2">
             <Button label={isSaving ? "Saving..." : "Save"} type="submit" isDisabled={isSaving} />
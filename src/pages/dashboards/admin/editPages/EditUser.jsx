@@ -1,9 +1,21 @@
 import { useContext, useEffect, useState } from "react";
 import { UserContext } from '@/contexts/UserContext.jsx';
+import useCapabilities from '@/hooks/useCapabilities';
 import { useLocation, useParams } from 'wouter';
 import { useAuth } from '@clerk/clerk-react';
-import { updateUser, getUser, deleteUser, getStudentsClasses } from '@/wrappers/user-wrapper.js';
+import {
+  updateUser,
+  getUser,
+  deleteUser,
+  getStudentsClasses,
+  getEnrollmentHistory,
+  completeClass,
+  transferClass,
+} from '@/wrappers/user-wrapper.js';
 import { getClassById, getAllClasses, enrollInClass, unenrollInClass } from '@/wrappers/class-wrapper';
+import { getRoles, assignRoles } from '@/wrappers/role-wrapper';
+import { getLevels } from '@/wrappers/level-wrapper';
+import { getUserPlacementAttempts } from '@/wrappers/placement-wrapper';
 import FormInput from '@/components/Form/FormInput';
 import PhoneInput from '@/components/Form/PhoneInput/PhoneInput';
 import Button from '@/components/Button/Button';
@@ -19,11 +31,320 @@ import Skeleton from 'react-loading-skeleton';
 import 'react-loading-skeleton/dist/skeleton.css';
 import SkeletonClass from '@/components/Skeletons/SkeletonClass';
 import useDelayedSkeleton from '@/hooks/useDelayedSkeleton';
-import { toTitleCase } from '@/utils/formatters';
+import { formatClassLabel, formatDateTime, toTitleCase } from '@/utils/formatters';
+import usePrograms from '@/hooks/usePrograms';
+import { checkLevelAccess, describePrerequisites } from '@/utils/level-prerequisites';
 import { isPossiblePhoneNumber } from 'react-phone-number-input';
 
+// Role checkboxes for role managers; roles add capabilities on top of the privilege.
+const UserRoles = ({ userData, onSaved, onError }) => {
+  const [roles, setRoles] = useState([]);
+  const [selected, setSelected] = useState((userData.roles || []).map(String));
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    getRoles()
+      .then((data) => setRoles(data.roles || []))
+      .catch((error) => console.error('Error fetching roles:', error));
+  }, []);
+
+  const toggleRole = (roleId) => {
+    setSelected(prev => prev.includes(roleId) ? prev.filter(id => id !== roleId) : [...prev, roleId]);
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const updatedUser = await assignRoles(userData._id, selected);
+      onSaved(updatedUser);
+    } catch (error) {
+      console.error('Error assigning roles:', error);
+      onError(error.response?.data?.message || "Failed to assign roles");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="w-full lg:w-2/3 space-y-4 px-2">
+      <h2>Roles</h2>
+      {roles.length === 0
+        ? <p className="text-gray-500">No roles defined yet.</p>
+        : <div className="space-y-2">
+          {roles.map((role) => (
+            <label key={role._id} className="flex items-start gap-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                className="mt-1.5"
+                checked={selected.includes(role._id)}
+                onChange={() => toggleRole(role._id)} />
+              <span>
+                <span className="block font-semibold">{role.name}</span>
+                <span className="block text-sm text-gray-600">{role.capabilities.join(", ") || "No capabilities"}</span>
+              </span>
+            </label>
+          ))}
+        </div>}
+      <p className="text-sm text-gray-600">
+        Current capabilities: {userData.capabilities?.length ? userData.capabilities.join(", ") : "none"}
+      </p>
+      <Button label={isSaving ? "Saving..." : "Save Roles"} onClick={handleSave} isDisabled={isSaving || roles.length === 0} />
+    </div>
+  );
+};
+
+// Level progress for a student: completed levels and placement result, which meet
+// level prerequisites, and admin overrides, which unlock a level whatever its rules.
+// The student's placement tests are listed under the placement level they set.
+const LevelAccess = ({ userData, onSaved, onError }) => {
+  const [levels, setLevels] = useState([]);
+  const [attempts, setAttempts] = useState([]);
+  const [completed, setCompleted] = useState(userData.completedLevels || []);
+  const [overrides, setOverrides] = useState(userData.levelOverrides || []);
+  const [placement, setPlacement] = useState(userData.placementLevel ?? '');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    getLevels()
+      .then(setLevels)
+      .catch((error) => console.error('Error fetching levels:', error));
+    getUserPlacementAttempts(userData._id)
+      .then(setAttempts)
+      .catch((error) => console.error('Error fetching placement tests:', error));
+  }, [userData._id]);
+
+  const toggle = (setList, levelNum) => {
+    setList(prev => prev.includes(levelNum) ? prev.filter(n => n !== levelNum) : [...prev, levelNum]);
+  };
+
+  const placementLevel = placement === '' ? null : Number(placement);
+  const draft = { completedLevels: completed, levelOverrides: overrides, placementLevel };
+
+  const statusText = (level) => {
+    if (!level.prerequisites?.length) return "Open to everyone";
+    const { unlocked, via } = checkLevelAccess(level, draft);
+    if (!unlocked) return `Locked · needs ${describePrerequisites(level)}`;
+    return via === "admin_override" ? "Unlocked by an admin" : via === "placement" ? "Unlocked by placement" : "Unlocked";
+  };
+
+  const handleSave = async () => {
+    if (placementLevel !== null && isNaN(placementLevel)) {
+      onError("Placement level must be a number");
+      return;
+    }
+    try {
+      setIsSaving(true);
+      const updatedUser = await updateUser(userData._id, draft);
+      onSaved(updatedUser);
+    } catch (error) {
+      console.error('Error updating level access:', error);
+      onError(error.response?.data?.message || "Failed to update level access");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="w-full lg:w-2/3 space-y-4 px-2">
+      <h2>Level Access</h2>
+      <div className="w-full sm:w-1/3">
+        <label>Placement Level</label>
+        <FormInput
+          type="text"
+          name="placementLevel"
+          placeholder="No placement result"
+          value={placement}
+          onChange={(e) => setPlacement(e.target.value)}
+          isRequired={false}
+        />
+      </div>
+      <div>
+        <h3 className="text-base font-semibold">Placement Tests</h3>
+        {attempts.length === 0
+          ? <p className="text-sm text-gray-500">No placement tests taken.</p>
+          : <ul className="text-sm text-gray-600">
+            {attempts.map((attempt) => (
+              <li key={attempt._id}>
+                {formatDateTime(attempt.submittedAt || attempt.startedAt)} · {attempt.status === "submitted"
+                  ? `Level ${attempt.recommendedLevel} recommended (${attempt.score}/${attempt.total} correct)`
+                  : "Expired before it was submitted"}
+              </li>
+            ))}
+          </ul>}
+      </div>
+      <table className="w-full text-left">
+        <thead>
+          <tr className="text-sm text-gray-600">
+            <th className="py-1 font-normal">Level</th>
+            <th className="py-1 font-normal">Completed</th>
+            <th className="py-1 font-normal">Override</th>
+            <th className="py-1 font-normal">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {levels.map((level) => (
+            <tr key={level._id} className="border-t">
+              <td className="py-2 pe-3">Level {level.level} · {level.name}</td>
+              <td className="py-2">
+                <input
+                  type="checkbox"
+                  aria-label={`Completed Level ${level.level}`}
+                  checked={completed.includes(level.level)}
+                  onChange={() => toggle(setCompleted, level.level)} />
+              </td>
+              <td className="py-2">
+                <input
+                  type="checkbox"
+                  aria-label={`Unlock Level ${level.level}`}
+                  disabled={!level.prerequisites?.length && !overrides.includes(level.level)}
+                  checked={overrides.includes(level.level)}
+                  onChange={() => toggle(setOverrides, level.level)} />
+              </td>
+              <td className="py-2 text-sm text-gray-600">{statusText(level)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <Button label={isSaving ? "Saving..." : "Save Level Access"} onClick={handleSave} isDisabled={isSaving} />
+    </div>
+  );
+};
+
+const RECORD_STATUS_STYLES = {
+  waitlisted: "bg-yellow-100 text-yellow-800",
+  active: "bg-green-100 text-green-800",
+  completed: "bg-blue-100 text-blue-800",
+  transferred: "bg-purple-100 text-purple-800",
+  dropped: "bg-gray-200 text-gray-700",
+};
+
+// Ends an active enrollment: completed, dropped or transferred to another class, with a reason.
+const EndEnrollmentPopup = ({ record, action, classes, onConfirm, onClose }) => {
+  const programs = usePrograms();
+  const [reason, setReason] = useState("");
+  const [toClassId, setToClassId] = useState("");
+  const targets = classes.filter((cls) => cls._id !== record.class);
+  const titles = { complete: "Mark as Completed", drop: "Drop from Class", transfer: "Transfer to Another Class" };
+
+  return (
+    <Overlay width={"w-full max-w-lg"}>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onConfirm({ reason, toClassId });
+        }}
+        className="flex flex-col gap-y-4 py-3 px-2">
+        <h3 className="font-extrabold">{titles[action]}</h3>
+        <p>{formatClassLabel(record.classInfo, programs)}</p>
+        {action === "transfer" && <div className="flex flex-col">
+          <label htmlFor="toClassId">New class</label>
+          <select
+            id="toClassId"
+            className="border border-gray-400 rounded-sm px-4 py-3"
+            value={toClassId}
+            onChange={(e) => setToClassId(e.target.value)}
+            required
+          >
+            <option value="" disabled>Select a class</option>
+            {targets.map((cls) => (
+              <option key={cls._id} value={cls._id}>{formatClassLabel(cls, programs)}</option>
+            ))}
+          </select>
+        </div>}
+        <div>
+          <label>Reason (optional)</label>
+          <FormInput
+            type="text"
+            name="reason"
+            placeholder={action === "complete" ? "Ex. Passed the end-of-term test" : "Ex. Moved to an evening class"}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            isRequired={false}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-x-2">
+          <Button label="Cancel" isOutline={true} onClick={onClose} />
+          <Button label="Confirm" type="submit" />
+        </div>
+      </form>
+    </Overlay>
+  );
+};
+
+// A student's enrollment records, newest first, each with its timeline of status changes.
+// Active enrollments can be ended here; `changeKey` reloads the list after other changes.
+const EnrollmentHistory = ({ userData, classes, changeKey, onChanged, onError }) => {
+  const programs = usePrograms();
+  const [records, setRecords] = useState([]);
+  const [ending, setEnding] = useState(null); // { record, action }
+
+  useEffect(() => {
+    getEnrollmentHistory(userData._id)
+      .then(setRecords)
+      .catch((error) => console.error('Error fetching enrollment history:', error));
+  }, [userData._id, changeKey]);
+
+  const handleEnd = async ({ reason, toClassId }) => {
+    const { record, action } = ending;
+    try {
+      if (action === "complete") await completeClass(userData._id, record.class, reason);
+      if (action === "drop") await unenrollInClass(record.class, userData._id, reason);
+      if (action === "transfer") await transferClass(userData._id, record.class, toClassId, reason);
+      setEnding(null);
+      onChanged();
+    } catch (error) {
+      console.error('Error ending enrollment:', error);
+      onError(error.response?.data?.message || "Failed to update the enrollment");
+    }
+  };
+
+  return (
+    <div className="w-full lg:w-2/3 space-y-4 px-2">
+      <h2>Enrollment History</h2>
+      {records.length === 0
+        ? <p className="text-gray-500">No enrollments yet.</p>
+        : <ul className="space-y-4">
+          {records.map((record) => (
+            <li key={record._id} className="border rounded-sm p-4 space-y-2">
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                <p className="font-semibold grow">{formatClassLabel(record.classInfo, programs)}</p>
+                <span className={`text-sm rounded-full px-3 py-1 ${RECORD_STATUS_STYLES[record.status]}`}>
+                  {toTitleCase(record.status)}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600">
+                {formatDateTime(record.waitlistedAt || record.enrolledAt || record.createdAt)} – {record.endedAt ? formatDateTime(record.endedAt) : "now"}
+              </p>
+              <ol className="border-s ps-4 space-y-1 text-sm text-gray-700">
+                {record.history.map((change, index) => (
+                  <li key={index}>
+                    {formatDateTime(change.at)} · {toTitleCase(change.status)}
+                    {change.reason && ` · ${change.reason}`}
+                    {change.by && <span className="text-gray-500"> · by {change.by.firstName} {change.by.lastName}</span>}
+                  </li>
+                ))}
+              </ol>
+              {record.status === "active" && <div className="flex flex-wrap gap-2 pt-1">
+                <Button label="Mark Completed" onClick={() => setEnding({ record, action: "complete" })} />
+                <Button label="Transfer" isOutline={true} onClick={() => setEnding({ record, action: "transfer" })} />
+                <Button label="Drop" isOutline={true} onClick={() => setEnding({ record, action: "drop" })} />
+              </div>}
+            </li>
+          ))}
+        </ul>}
+      {ending && <EndEnrollmentPopup
+        record={ending.record}
+        action={ending.action}
+        classes={classes}
+        onConfirm={handleEnd}
+        onClose={() => setEnding(null)} />}
+    </div>
+  );
+};
+
 const EditUser = () => {
   const { user } = useContext(UserContext);
+  const { can } = useCapabilities();
   const [, setLocation] = useLocation();
   const params = useParams();
   const { isSignedIn, isLoaded } = useAuth();
@@ -73,7 +394,7 @@ const EditUser = () => {
       if (userData.data.privilege === "student") {
         userClasses = await getStudentsClasses(userData.data._id);
       } else {
-        userClasses = await getAllClasses(`instructor=${toTitleCase(userData.data.firstName)}`)
+        userClasses = await getAllClasses(`instructorId=${userData.data._id}`)
       }
       setUserClasses(userClasses);
       setUserData(userData.data);
@@ -156,7 +477,7 @@ const EditUser = () => {
     return matchesClass;
   });
 
-  if (user && user.privilege !== "admin") {
+  if (user && !can("manage_users")) {
     return <Unauthorized />;
   }
 
@@ -257,6 +578,47 @@ const EditUser = () => {
           </div>
           <DeleteButton item="user" onDelete={handleDeleteUser} />
         </form>
+        {allowRender && can("manage_roles") && (
+          <UserRoles
+            key={userData._id}
+            userData={userData}
+            onSaved={(updatedUser) => {
+              setUserData(prev => ({ ...prev, roles: updatedUser.roles, capabilities: updatedUser.capabilities }));
+              setSuccessMessage("Successfully updated roles");
+              setTimeout(() => {
+                setSuccessMessage("");
+              }, 4000);
+            }}
+            onError={(message) => {
+              setAlertMessage(`Error: ${message}`);
+              setTimeout(() => {
+                setAlertMessage("");
+              }, 4000);
+            }} />
+        )}
+        {allowRender && userData.privilege === "student" && (
+          <LevelAccess
+            key={userData._id}
+            userData={userData}
+            onSaved={(updatedUser) => {
+              setUserData(prev => ({
+                ...prev,
+                completedLevels: updatedUser.completedLevels,
+                placementLevel: updatedUser.placementLevel,
+                levelOverrides: updatedUser.levelOverrides,
+              }));
+              setSuccessMessage("Successfully updated level access");
+              setTimeout(() => {
+                setSuccessMessage("");
+              }, 4000);
+            }}
+            onError={(message) => {
+              setAlertMessage(`Error: ${message}`);
+              setTimeout(() => {
+                setAlertMessage("");
+              }, 4000);
+            }} />
+        )}
         <div>
           <div className="flex flex-col sm:flex-row sm:items-center mb-6 gap-8">
             <h2>
@@ -277,21 +639,32 @@ const EditUser = () => {
                   key={classObj._id}
                   classObj={classObj}
                   modes={["edit"]}
-                  editURL={(() => {
-                    switch (true) {
-                      case typeof classObj.level === "number":
-                        return `/admin/levels/class`;
-                      case classObj.level === "conversation":
-                        return `/admin/levels/conversations`;
-                      case classObj.level === "ielts":
-                        return `/admin/levels/ielts`;
-                    }
-                  })()} />
+                  editURL="/admin/levels/class" />
               ))
               : showSkeleton && <SkeletonClass count={3} />}
           </div>
         </div>
 
+        {allowRender && userData.privilege === "student" && (
+          <EnrollmentHistory
+            userData={userData}
+            classes={classes}
+            changeKey={userClasses}
+            onChanged={async () => {
+              await fetchData();
+              setSuccessMessage("Successfully updated the enrollment");
+              setTimeout(() => {
+                setSuccessMessage("");
+              }, 4000);
+            }}
+            onError={(message) => {
+              setAlertMessage(`Error: ${message}`);
+              setTimeout(() => {
+                setAlertMessage("");
+              }, 4000);
+            }} />
+        )}
+
         {showOverlay && <Overlay width={'w-[96%] md:w-4/5 lg:w-2/3'}>
           <h3 className="font-extrabold">Search for class</h3>
           <SearchBar input={searchInput} setInput={setSearchInput} placeholder="Search for class by level, age, instructor" />
@@ -306,12 +679,20 @@ const EditUser = () => {
                     className={`${isEnrolled && 'border-2 border-blue-300 rounded-lg *:bg-blue-100'}`}
                     disabled={!classObj.isEnrollmentOpen}
                     onClick={async () => {
-                      if (isEnrolled) {
-                        await unenrollInClass(classObj._id, userData._id);
-                      } else {
-                        await enrollInClass(classObj._id, userData._id);
+                      try {
+                        if (isEnrolled) {
+                          await unenrollInClass(classObj._id, userData._id);
+                        } else {
+                          await enrollInClass(classObj._id, userData._id);
+                        }
+                        await fetchData();
+                      } catch (error) {
+                        console.error('Error changing enrollment:', error);
+                        setAlertMessage(`Error: ${error.response?.data?.message || "Failed to change enrollment"}`);
+                        setTimeout(() => {
+                          setAlertMessage("");
+                        }, 4000);
                       }
-                      await fetchData();
                     }}
                   >
                     <Class classObj={classObj} isSimplified />
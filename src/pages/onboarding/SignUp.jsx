@@ -10,6 +10,7 @@ import Alert from "@/components/Alert";
 import { useSignUp, useAuth } from '@clerk/clerk-react'
 import { UserContext } from '@/contexts/UserContext.jsx';
 import { useTranslation } from "react-i18next";
+import { browserTimezone } from "@/utils/time-utils";
 import { isPossiblePhoneNumber } from 'react-phone-number-input';
 
 export default function SignUp() {
@@ -64,7 +65,7 @@ export default function SignUp() {
 
       if (createUser.status === "complete") {
         await setActive({ session: createUser.createdSessionId })
-        const userData = { ...formData, clerkId: createUser.createdUserId };
+        const userData = { ...formData, clerkId: createUser.createdUserId, timezone: browserTimezone() };
         const response = await postUser(userData);
         if (response.status === 201) {
           setUser(response.data);
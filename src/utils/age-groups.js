@@ -0,0 +1,43 @@
+// Age groups, shared by the API (which checks them on enroll) and the admin pages.
+//
+// Classes name their age group (Class.ageGroup, e.g. "children"); the AgeGroup collection
+// gives each name an age range. Both bounds are inclusive and either may be empty, so a
+// group without bounds (like "all") is open to every age. Classes whose age group is not
+// in the collection are not restricted.
+
+// The groups classes used before ranges were stored, created by the age group migration
+export const DEFAULT_AGE_GROUPS = [
+  { name: "all", minAge: null, maxAge: null },
+  { name: "children", minAge: null, maxAge: 17 },
+  { name: "adults", minAge: 18, maxAge: null },
+];
+
+// Whether an age group limits who may enroll.
+export const isAgeRestricted = (group) => group?.minAge != null || group?.maxAge != null;
+
+/**
+ * Whether a student's age fits an age group.
+ * @param {object|null} group - age group with `minAge` / `maxAge` (null = no bound)
+ * @param {number|null} age - the student's age (User.age)
+ * @returns {"ok" | "missing_age" | "too_young" | "too_old"}
+ */
+export const checkAgeFit = (group, age) => {
+  if (!isAgeRestricted(group)) return "ok";
+  if (age == null || age === "" || Number.isNaN(Number(age))) return "missing_age";
+  if (group.minAge != null && Number(age) < group.minAge) return "too_young";
+  if (group.maxAge != null && Number(age) > group.maxAge) return "too_old";
+  return "ok";
+};
+
+/**
+ * English summary of an age group's range, for admin pages and error messages.
+ * @param {object} group - age group
+ * @returns {string} e.g. "ages 18 and up", "ages 6 to 17" or "all ages"
+ */
+export const describeAgeRange = (group) => {
+  const { minAge = null, maxAge = null } = group || {};
+  if (minAge != null && maxAge != null) return `ages ${minAge} to ${maxAge}`;
+  if (minAge != null) return `ages ${minAge} and up`;
+  if (maxAge != null) return `ages ${maxAge} and under`;
+  return "all ages";
+};
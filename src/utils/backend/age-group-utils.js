@@ -0,0 +1,45 @@
+import User from "../../../server/schemas/User.js";
+import Class from "../../../server/schemas/Class.js";
+import AgeGroup from "../../../server/schemas/AgeGroup.js";
+import { checkAgeFit, isAgeRestricted } from "../../utils/age-groups.js";
+
+/*
+purpose: find students enrolled in classes whose age range they are outside of
+return type:
+  [{ student, class, ageGroup, problem }] sorted by student name, where problem is
+  "missing_age", "too_young" or "too_old"; student is { _id, firstName, lastName,
+  email, age }, class is { _id, level, ageGroup, instructor } and ageGroup is
+  { name, minAge, maxAge }
+notes:
+  Students enrolled before a range was set (or whose age was changed since) show up
+  here; enrolling checks the range, so new mismatches only come from those changes.
+*/
+export const findAgeMismatches = async () => {
+  const groups = (await AgeGroup.find({}).select("name minAge maxAge").lean()).filter(isAgeRestricted);
+  if (!groups.length) return [];
+  const groupsByName = new Map(groups.map((g) => [g.name, g]));
+
+  const classes = await Class.find({ ageGroup: { $in: [...groupsByName.keys()] } })
+    .select("program level ageGroup instructor")
+    .lean();
+  const classesById = new Map(classes.map((c) => [String(c._id), c]));
+
+  const students = await User.find({ privilege: "student", enrolledClasses: { $in: classes.map((c) => c._id) } })
+    .select("firstName lastName email age enrolledClasses")
+    .sort({ lastName: 1, firstName: 1 })
+    .lean();
+
+  const rows = [];
+  for (const { enrolledClasses, ...student } of students) {
+    for (const classId of enrolledClasses) {
+      const cls = classesById.get(String(classId));
+      if (!cls) continue;
+      const { _id, name, minAge, maxAge } = groupsByName.get(cls.ageGroup);
+      const problem = checkAgeFit({ minAge, maxAge }, student.age);
+      if (problem !== "ok") {
+        rows.push({ student, class: cls, ageGroup: { _id, name, minAge, maxAge }, problem });
+      }
+    }
+  }
+  return rows;
+};
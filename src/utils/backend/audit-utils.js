@@ -0,0 +1,70 @@
+import User from "../../../server/schemas/User.js";
+import AuditEvent from "../../../server/schemas/AuditEvent.js";
+import { describeClassProgram } from "../programs.js";
+
+// Bookkeeping and secrets never appear in a diff.
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt", "clerkId"]);
+
+// Plain JSON copy: ObjectIds and dates become strings and nested subdocument
+// `_id`s are dropped, so re-saved arrays (e.g. a schedule) compare equal.
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(obj, (key, value) => (key === "_id" ? undefined : value)));
+};
+
+/*
+purpose: list the fields that differ between two versions of a document
+arguments:
+  before: document (or plain object) before the change, null on create
+  after: document after the change, null on delete
+  options.omit: extra field names to leave out (e.g. large arrays recorded elsewhere)
+return type:
+  [{ field, before, after }]
+*/
+export const diffChanges = (before, after, { omit = [] } = {}) => {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.has(field) && !omit.includes(field))
+    .filter((field) => JSON.stringify(a[field] ?? null) !== JSON.stringify(b[field] ?? null))
+    .map((field) => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+};
+
+// "Level 3 · Adults · Maria", "Conversation · Teens · Ali"
+export const classLabel = (cls) => {
+  if (!cls) return "";
+  return [describeClassProgram(cls), cls.ageGroup, cls.instructor].filter(Boolean).join(" · ");
+};
+
+export const userLabel = (user) => (user ? `${user.firstName || ""} ${user.lastName || ""}`.trim() : "");
+
+/*
+purpose: record an administrative change made by the signed-in user
+arguments:
+  req: Express request (the actor is resolved from the Clerk session), or null for scripts
+  event: { action, entityType, entityId, entityLabel?, summary?, changes? }
+notes:
+  Call after the change has been saved. Failures are logged and swallowed so
+  a missing audit row never undoes or fails the change itself.
+*/
+export const recordAudit = async (req, { entityId, ...event }) => {
+  try {
+    const clerkId = req?.auth?.userId;
+    const actor = clerkId
+      ? await User.findOne({ clerkId }).select("firstName lastName email").lean()
+      : null;
+
+    await AuditEvent.create({
+      ...event,
+      entityId: entityId ? String(entityId) : "",
+      actor: actor?._id || null,
+      actorName: userLabel(actor),
+      actorEmail: actor?.email || "",
+    });
+  } catch (err) {
+    console.error("Failed to record audit event:", err);
+  }
+};
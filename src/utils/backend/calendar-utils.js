@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import { DateTime, IANAZone, FixedOffsetZone } from "luxon";
+import { describeClassProgram } from "../programs.js";
+import { dayOf, isUtcZone, meetingOnOrAfter } from "./schedule-utils.js";
+
+/*
+iCalendar (RFC 5545) feeds of a user's classes, for calendar apps to subscribe to:
+  - Each schedule slot is one weekly VEVENT in the slot's own time zone (TZID), so
+    calendar apps move it with daylight saving time as the class does. Slots stored
+    in UTC are written in UTC.
+  - Events start on the first meeting on or after the first day of the class's term
+    (or the day the class was created when it has no term) and stop after the term's
+    last day. A slot whose end is not after its start runs past midnight.
+  - Cancelled sessions (session-utils.js) are excluded from their weekly event (EXDATE);
+    moved ones are excluded too and added as one-off events at their new times.
+  - Every TZID used gets a VTIMEZONE listing its UTC offset changes over the feed's
+    range, as the standard requires.
+  - Feeds are reached by a secret token instead of a sign-in, since calendar apps
+    cannot sign in; regenerating the token stops the old link from working.
+*/
+
+const PRODID = "-//Dillar Academy//Class Schedule//EN";
+const BYDAY = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const LOCAL_FORMAT = "yyyyMMdd'T'HHmmss";
+const UTC_FORMAT = "yyyyMMdd'T'HHmmss'Z'";
+
+// A new random calendar token (URL-safe, 32 characters)
+export const createCalendarToken = () => crypto.randomBytes(24).toString("base64url");
+
+export const isCalendarToken = (value) => /^[A-Za-z0-9_-]{32}$/.test(String(value || ""));
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space, without splitting characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const withHttps = (url) => (/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+// "+0300", "-0430"
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+};
+
+/*
+purpose: describe a time zone's UTC offsets between two instants as a VTIMEZONE
+arguments:
+  zone: IANA zone name
+  from, to: luxon DateTimes bounding the range the feed's events use
+return type:
+  lines of the VTIMEZONE component
+notes:
+  Offset changes are found day by day and narrowed to the minute. Each change is its
+  own STANDARD or DAYLIGHT observance, starting at the local time before the change.
+*/
+const buildTimezone = (zone, from, to) => {
+  const ianaZone = IANAZone.create(zone);
+  const startMs = from.startOf("day").toMillis();
+  const endMs = to.toMillis();
+
+  const observance = (ms, offsetFrom, offsetTo) => {
+    const local = DateTime.fromMillis(ms, { zone: FixedOffsetZone.instance(offsetFrom) });
+    const zoned = DateTime.fromMillis(ms, { zone });
+    const kind = zoned.isInDST ? "DAYLIGHT" : "STANDARD";
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${local.toFormat(LOCAL_FORMAT)}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `TZNAME:${escapeText(zoned.offsetNameShort || `UTC${formatOffset(offsetTo)}`)}`,
+      `END:${kind}`,
+    ];
+  };
+
+  const initial = ianaZone.offset(startMs);
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${zone}`, ...observance(startMs, initial, initial)];
+
+  const DAY = 24 * 60 * 60 * 1000;
+  let previous = initial;
+  for (let ms = startMs + DAY; ms <= endMs + DAY; ms += DAY) {
+    const offset = ianaZone.offset(ms);
+    if (offset === previous) continue;
+    // Narrow the change down to the minute
+    let low = Math.floor((ms - DAY) / 60000);
+    let high = Math.floor(ms / 60000);
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (ianaZone.offset(middle * 60000) === previous) low = middle;
+      else high = middle;
+    }
+    lines.push(...observance(high * 60000, previous, offset));
+    previous = offset;
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+};
+
+/*
+purpose: build an iCalendar feed of classes
+arguments:
+  classes: lean classes with `_id`, `program`, `level`, `ageGroup`, `instructor`, `link`,
+    `schedule` and `term` (populated with `startDate` and `endDate`, or null)
+  options: { name, programs, sessions } — the calendar's name, known programs (for class
+    names) and the classes' cancelled or moved sessions
+return type:
+  the .ics text (CRLF line endings)
+*/
+export const buildCalendarFeed = (classes, { name = "Dillar Academy Classes", programs, sessions = [] } = {}) => {
+  const stamp = DateTime.utc().toFormat(UTC_FORMAT);
+  const events = [];
+  const zoneRanges = new Map(); // zone → { from, to }
+
+  for (const cls of classes) {
+    const from = dayOf(cls.term?.startDate ? new Date(cls.term.startDate) : cls._id.getTimestamp());
+    const lastDay = cls.term?.endDate ? dayOf(new Date(cls.term.endDate)) : null;
+    const title = describeClassProgram(cls, programs);
+    const summary = cls.ageGroup && cls.ageGroup !== "all" ? `${title} (${cls.ageGroup})` : title;
+    const link = cls.link ? withHttps(cls.link) : "";
+    const description = [
+      cls.instructor ? `Instructor: ${cls.instructor}` : "",
+      link ? `Class link: ${link}` : "",
+    ].filter(Boolean).join("\n");
+
+    const changed = sessions.filter((session) => String(session.class) === String(cls._id));
+    const details = [
+      `SUMMARY:${escapeText(summary)}`,
+      ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+      ...(link ? [`URL:${link}`, `LOCATION:${escapeText(link)}`] : []),
+    ];
+
+    (cls.schedule || []).forEach((slot, index) => {
+      const meeting = meetingOnOrAfter(slot, from);
+      if (!meeting) return;
+      const { zone, dtStart, dtEnd } = meeting;
+      // Terms end at the end of their last day, in the slot's zone
+      const until = lastDay ? DateTime.fromObject(lastDay, { zone }).endOf("day").toUTC() : null;
+      if (until && dtStart > until) return;
+      // Changed sessions that are occurrences of this slot's weekly event
+      const exceptions = changed
+        .map((session) => DateTime.fromJSDate(new Date(session.scheduledStart), { zone }))
+        .filter(
+          (start) =>
+            start >= dtStart &&
+            start.weekday === dtStart.weekday &&
+            start.toFormat("HH:mm") === dtStart.toFormat("HH:mm")
+        );
+
+      const utc = isUtcZone(zone);
+      const formatTime = (dt) => (utc ? `:${dt.toUTC().toFormat(UTC_FORMAT)}` : `;TZID=${zone}:${dt.toFormat(LOCAL_FORMAT)}`);
+      if (!utc) {
+        const range = zoneRanges.get(zone) || { from: dtStart, to: dtEnd };
+        if (dtStart < range.from) range.from = dtStart;
+        const last = until || dtEnd.plus({ years: 2 });
+        if (last > range.to) range.to = last;
+        zoneRanges.set(zone, range);
+      }
+
+      events.push(
+        "BEGIN:VEVENT",
+        `UID:${cls._id}-${slot._id || index}@dillaracademy`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART${formatTime(dtStart)}`,
+        `DTEND${formatTime(dtEnd)}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[dtStart.weekday - 1]}${until ? `;UNTIL=${until.toFormat(UTC_FORMAT)}` : ""}`,
+        ...exceptions.map((start) => `EXDATE${formatTime(start)}`),
+        ...details,
+        "END:VEVENT"
+      );
+    });
+
+    for (const session of changed) {
+      if (session.status === "cancelled") continue;
+      events.push(
+        "BEGIN:VEVENT",
+        `UID:${session._id}@dillaracademy`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${DateTime.fromJSDate(new Date(session.startsAt)).toUTC().toFormat(UTC_FORMAT)}`,
+        `DTEND:${DateTime.fromJSDate(new Date(session.endsAt)).toUTC().toFormat(UTC_FORMAT)}`,
+        ...details,
+        "END:VEVENT"
+      );
+    }
+  }
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+    ...[...zoneRanges].flatMap(([zone, range]) => buildTimezone(zone, range.from, range.to)),
+    ...events,
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
@@ -0,0 +1,39 @@
+import nodemailer from "nodemailer";
+
+/*
+Email goes out through the academy's Gmail account (ADMIN_EMAIL, ADMIN_PASSWORD), the same
+transporter the contact form uses (server/routes/email-routes.js). Without those env vars
+messages are skipped with a warning, so local development works without a mail account.
+*/
+
+export const transporter = nodemailer.createTransport({
+  service: "gmail",
+  auth: {
+    user: process.env.ADMIN_EMAIL,
+    pass: process.env.ADMIN_PASSWORD,
+  },
+});
+
+/*
+purpose: send a plain-text email from the academy's address
+arguments:
+  message: { to, subject, text, replyTo? }
+return type:
+  true when the message was sent, false when it was skipped
+*/
+export const sendMail = async ({ to, subject, text, replyTo }) => {
+  if (!to) return false;
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+    console.warn(`Email "${subject}" not sent: ADMIN_EMAIL and ADMIN_PASSWORD are not set.`);
+    return false;
+  }
+
+  await transporter.sendMail({
+    from: `"Dillar Academy" <${process.env.ADMIN_EMAIL}>`,
+    to,
+    subject,
+    text,
+    ...(replyTo ? { replyTo } : {}),
+  });
+  return true;
+};
@@ -0,0 +1,146 @@
+import EnrollmentRecord, { OPEN_STATUSES } from "../../../server/schemas/EnrollmentRecord.js";
+
+/*
+Enrollment records:
+  - Each time a student joins a class (or its waitlist) an EnrollmentRecord is opened,
+    and it is closed when they leave: dropped, completed or transferred to another
+    class. Only one record per student and class is open at a time; joining again
+    later opens a new one, so the closed records are the student's history.
+  - Records are written in the same transaction as the roster ↔ enrolledClasses link
+    (enrollment-utils.js). The link stays the source of truth for current classes;
+    reconcile-utils.js repairs records that disagree with it.
+  - Moving users or classes to Recently deleted leaves records alone (restoring picks
+    up where it stopped). Purging a class closes its open records as dropped and keeps
+    them; purging or closing an account deletes the student's records.
+*/
+
+const snapshot = (cls) => ({
+  program: cls.program || "",
+  level: cls.level ?? null,
+  ageGroup: cls.ageGroup || "",
+  instructor: cls.instructor || "",
+});
+
+const event = (status, { reason = "", by = null } = {}) => ({
+  status,
+  at: new Date(),
+  reason: String(reason || "").trim().slice(0, 500),
+  by,
+});
+
+/*
+purpose: put a student on a class's waitlist or roster in their history
+arguments:
+  studentId: student
+  cls: class document (program, level, ageGroup and instructor are copied)
+  status: "waitlisted" | "active"
+  options: { reason, by, session }
+notes:
+  Moves an open waitlisted record to active (a promotion), or opens a new record.
+*/
+export const openEnrollmentRecord = async (studentId, cls, status, { reason = "", by = null, session = null } = {}) => {
+  const change = event(status, { reason, by });
+  const dates = status === "active" ? { enrolledAt: change.at } : { waitlistedAt: change.at };
+
+  const moved = await EnrollmentRecord.findOneAndUpdate(
+    { student: studentId, class: cls._id, status: { $in: OPEN_STATUSES } },
+    { $set: { status, reason: change.reason, classInfo: snapshot(cls), ...dates }, $push: { history: change } },
+    { new: true, session }
+  );
+  if (moved) return moved;
+
+  const record = { student: studentId, class: cls._id, classInfo: snapshot(cls), status, reason: change.reason };
+  const [created] = await EnrollmentRecord.create([{ ...record, ...dates, history: [change] }], { session });
+  return created;
+};
+
+/*
+purpose: end a student's open record for a class
+arguments:
+  studentId: student
+  cls: class document
+  status: "dropped" | "completed" | "transferred"
+  options: { reason, by, transferredTo, session }
+notes:
+  When the student has no open record (enrolled before records were kept), a closed
+  one is written so the ending is not lost.
+*/
+export const closeEnrollmentRecord = async (
+  studentId,
+  cls,
+  status,
+  { reason = "", by = null, transferredTo = null, session = null } = {}
+) => {
+  const change = event(status, { reason, by });
+  const closing = { status, reason: change.reason, endedAt: change.at, transferredTo };
+
+  const closed = await EnrollmentRecord.findOneAndUpdate(
+    { student: studentId, class: cls._id, status: { $in: OPEN_STATUSES } },
+    { $set: closing, $push: { history: change } },
+    { new: true, session }
+  );
+  if (closed) return closed;
+
+  const [created] = await EnrollmentRecord.create(
+    [{ student: studentId, class: cls._id, classInfo: snapshot(cls), ...closing, history: [change] }],
+    { session }
+  );
+  return created;
+};
+
+/*
+purpose: end every open record matching a filter the same way (e.g. all of a purged class)
+arguments:
+  filter: EnrollmentRecord filter, narrowed to open records here
+  status: "dropped" | "completed" | "transferred"
+  options: { reason, by, session }
+*/
+export const closeEnrollmentRecords = (filter, status, { reason = "", by = null, session = null } = {}) => {
+  const change = event(status, { reason, by });
+  return EnrollmentRecord.updateMany(
+    { status: { $in: OPEN_STATUSES }, ...filter },
+    { $set: { status, reason: change.reason, endedAt: change.at }, $push: { history: change } },
+    { session }
+  );
+};
+
+/*
+purpose: a student's enrollment history
+arguments:
+  studentId: student
+return type:
+  records (lean), newest first, with `history[].by` populated (first and last name)
+*/
+export const listEnrollmentRecords = (studentId) =>
+  EnrollmentRecord.find({ student: studentId })
+    .sort({ createdAt: -1 })
+    .populate("history.by", "firstName lastName")
+    .lean();
+
+// Ids of the students actively enrolled in any of `classIds`.
+export const studentsActiveIn = (classIds) =>
+  EnrollmentRecord.distinct("student", { class: { $in: classIds }, status: "active" });
+
+/*
+purpose: the classes students are actively enrolled in, per student
+arguments:
+  studentIds: students
+  classSelect: Class fields to load
+return type:
+  Map of student id (string) → class documents (lean), oldest enrollment first
+*/
+export const activeClassesByStudent = async (studentIds, classSelect) => {
+  const records = await EnrollmentRecord.find({ student: { $in: studentIds }, status: "active" })
+    .sort({ enrolledAt: 1 })
+    .select("student class")
+    .populate({ path: "class", select: classSelect })
+    .lean();
+
+  const byStudent = new Map();
+  for (const record of records) {
+    if (!record.class) continue; // the class is in Recently deleted
+    const key = String(record.student);
+    byStudent.set(key, [...(byStudent.get(key) || []), record.class]);
+  }
+  return byStudent;
+};
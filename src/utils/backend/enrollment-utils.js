@@ -0,0 +1,797 @@
+import mongoose from "mongoose";
+import User from "../../../server/schemas/User.js";
+import Class from "../../../server/schemas/Class.js";
+import EnrollmentRequest from "../../../server/schemas/EnrollmentRequest.js";
+import Level from "../../../server/schemas/Level.js";
+import AgeGroup from "../../../server/schemas/AgeGroup.js";
+import { withTransaction } from "../../../server/db.js";
+import { getEnrollmentState } from "../../utils/enrollment-window.js";
+import { checkLevelAccess, describePrerequisites } from "../../utils/level-prerequisites.js";
+import { checkAgeFit, describeAgeRange } from "../../utils/age-groups.js";
+import { recordAudit, classLabel, userLabel } from "./audit-utils.js";
+import { sendMail } from "./email-utils.js";
+import { findScheduleConflict, describeSlot, describeSlotIn } from "./schedule-utils.js";
+import { openEnrollmentRecord, closeEnrollmentRecord, closeEnrollmentRecords } from "./enrollment-record-utils.js";
+import { findEndedTerm } from "./term-utils.js";
+
+/*
+Enrollment errors carry a stable `code` the client can translate
+(e.g. t(code) in EnrollButton) alongside an English fallback message. `details` are extra fields sent
+with the error (e.g. the conflicting class for schedule_conflict).
+*/
+export const enrollmentError = (code, message, statusCode = 400, details = null) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  err.details = details;
+  return err;
+};
+
+// Sends { code, message, ...details } for enrollment errors, or a generic 500 otherwise.
+export const sendEnrollmentError = (res, err, fallbackMessage) => {
+  if (err?.code && err?.statusCode) {
+    return res.status(err.statusCode).json({ ...err.details, code: err.code, message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return res.status(500).json({ code: "server_error", message: fallbackMessage });
+};
+
+const STUDENT_FIELDS =
+  "firstName lastName email privilege age timezone secondaryTimezone enrolledClasses completedLevels placementLevel levelOverrides";
+const CLASS_FIELDS =
+  "program level term ageGroup instructor schedule enrollmentOpensAt enrollmentClosesAt enrollmentOverride waitlist approvalRequired";
+
+const loadStudentAndClass = async (userId, classId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw enrollmentError("invalid_user_id", "Invalid user ID");
+  }
+  if (!classId || !mongoose.Types.ObjectId.isValid(classId)) {
+    throw enrollmentError("invalid_class_id", "Invalid class ID");
+  }
+
+  const [user, cls] = await Promise.all([
+    User.findById(userId).select(STUDENT_FIELDS).lean(),
+    Class.findById(classId).select(CLASS_FIELDS).lean(),
+  ]);
+
+  if (!user) throw enrollmentError("user_not_found", "User not found", 404);
+  if (!cls) throw enrollmentError("class_not_found", "Class not found", 404);
+  if (user.privilege !== "student") {
+    throw enrollmentError("not_student", "Only student accounts can enroll in classes", 403);
+  }
+
+  const isEnrolled = (user.enrolledClasses || []).some((id) => id.toString() === classId.toString());
+  return { user, cls, isEnrolled };
+};
+
+/*
+Roster ↔ enrolledClasses:
+  - A student is enrolled when the class is in their `enrolledClasses` and they are on
+    the class's `roster`. Both sides are always written in one transaction
+    (withTransaction in server/db.js); reconcile-utils.js repairs older drift.
+
+Capacity and waitlist:
+  - `capacity` null means unlimited. Seats are taken with a single conditional
+    update, so two students racing for the last seat cannot both get it.
+  - When a class is full, enrolling puts the student at the end of the ordered
+    `waitlist` instead. Waitlisted students are not on the roster and the class is
+    not in their enrolledClasses until they are promoted.
+  - Whenever a seat may have opened (unenroll, capacity raised, enrollment
+    reopened, a student trashed or closed) promoteFromWaitlist moves the head of
+    the waitlist onto the roster and emails them. The enrollment window only limits
+    new sign-ups; a class an admin has forced closed does not promote.
+
+Approval:
+  - In classes with `approvalRequired`, enrolling creates a pending EnrollmentRequest
+    instead (one per student and class). User managers enrolling a student skip it.
+  - The class's instructor or a class manager approves or declines it
+    (decideEnrollmentRequest). Approving takes a seat, or a waitlist spot when the
+    class is full, even if the enrollment window has closed since the request.
+  - Unenrolling with a pending request withdraws it.
+
+Level prerequisites:
+  - Classes of a numbered level with `prerequisites` only take students who meet one
+    of them (src/utils/level-prerequisites.js), user managers enrolling a student
+    included; an admin unlocks a level for a student with User.levelOverrides.
+    Requests are checked when made, not again when approved.
+
+History:
+  - Every change also opens or closes the student's EnrollmentRecord for the class in
+    the same transaction (enrollment-record-utils.js): waitlisted, active, then dropped,
+    completed or transferred, with who made the change and why.
+  - Completing a class ends the enrollment and, for a numbered level, adds the level to
+    the student's completedLevels. Transferring moves a student straight onto another
+    class's roster; it needs a free seat there and is not subject to the enrollment
+    window or approval, but is to level prerequisites, age groups and schedule conflicts.
+
+Age groups:
+  - A class whose age group has an age range (AgeGroup, src/utils/age-groups.js) only
+    takes students whose User.age is in it, user managers enrolling a student, transfers
+    and bulk changes included. Students with no age on record get "age_required" and are
+    asked for it. Like prerequisites, requests are checked when made.
+
+Bulk roster changes:
+  - changeRosterInBulk moves, adds or removes many students at once: every student is
+    checked as for a single transfer, and either all changes are written in one
+    transaction or none are.
+
+Schedule conflicts:
+  - A student cannot enroll in, join the waitlist of, ask to join or be approved for a
+    class that meets at the same time as one they are enrolled in (schedule-utils.js).
+    This applies to user managers enrolling a student as well; the error names the
+    conflicting class and both time slots. Only classes of the same term (or without
+    one) can clash.
+
+Terms:
+  - Once a class's term has ended (term-utils.js) its roster, waitlist and requests
+    are read-only: enrolling, unenrolling, transfers in or out, bulk changes, reordering
+    the waitlist and approving requests fail with 409 "term_ended". Completing an
+    enrollment still works.
+*/
+const hasSeatsFor = (count) => ({
+  $or: [{ capacity: null }, { $expr: { $lte: [{ $add: [{ $size: "$roster" }, count] }, "$capacity"] } }],
+});
+export const hasSeatLeft = hasSeatsFor(1);
+
+const onWaitlist = (cls, userId) => (cls.waitlist || []).some((id) => id.toString() === userId.toString());
+
+// Seats still free, or null when the class has no capacity limit.
+export const seatsLeft = (cls) =>
+  cls.capacity == null ? null : Math.max(0, cls.capacity - (cls.roster || []).length);
+
+// Throws level_locked when the class's level has prerequisites the student has not met.
+const assertLevelUnlocked = async (user, cls) => {
+  if (typeof cls.level !== "number") return;
+  const level = await Level.findOne({ level: cls.level }).select("level prerequisites").lean();
+  if (!level || checkLevelAccess(level, user).unlocked) return;
+  throw enrollmentError("level_locked", `Level ${level.level} requires ${describePrerequisites(level)}`, 403, {
+    prerequisites: level.prerequisites,
+  });
+};
+
+// Throws age_required (no age on record) or age_not_eligible when the class's age group
+// has an age range the student is outside of.
+const assertAgeEligible = async (user, cls) => {
+  if (!cls.ageGroup) return;
+  const group = await AgeGroup.findOne({ name: cls.ageGroup }).select("name minAge maxAge").lean();
+  const fit = checkAgeFit(group, user.age);
+  if (fit === "ok") return;
+
+  const details = { ageGroup: { name: group.name, minAge: group.minAge, maxAge: group.maxAge } };
+  if (fit === "missing_age") {
+    throw enrollmentError("age_required", `This class is for ${describeAgeRange(group)}; add your age first`, 403, details);
+  }
+  throw enrollmentError("age_not_eligible", `This class is for ${describeAgeRange(group)}`, 403, details);
+};
+
+// Throws term_ended when the class's term is over and its roster is read-only.
+const assertTermOpen = async (cls) => {
+  const term = await findEndedTerm(cls);
+  if (!term) return;
+  throw enrollmentError("term_ended", `${term.name} has ended; its classes can no longer change`, 409, {
+    term: { _id: term._id, name: term.name, endDate: term.endDate },
+  });
+};
+
+// Throws schedule_conflict when `cls` overlaps a class the student is enrolled in.
+// Classes of other terms never clash; classes without a term clash with every term.
+const assertNoScheduleConflict = async (user, cls) => {
+  if (!cls.schedule?.length || !user.enrolledClasses?.length) return;
+  const enrolled = await Class.find({
+    _id: { $in: user.enrolledClasses },
+    ...(cls.term ? { term: { $in: [cls.term, null] } } : {}),
+  })
+    .select("program level ageGroup instructor schedule")
+    .lean();
+  const conflict = findScheduleConflict(cls, enrolled);
+  if (!conflict) return;
+
+  const other = conflict.class;
+  throw enrollmentError(
+    "schedule_conflict",
+    `This class (${describeSlot(conflict.slot)}) meets at the same time as ${classLabel(other)} (${describeSlot(conflict.existingSlot)})`,
+    409,
+    {
+      conflict: {
+        class: { _id: other._id, level: other.level, ageGroup: other.ageGroup, instructor: other.instructor },
+        slot: conflict.slot,
+        conflictingSlot: conflict.existingSlot,
+      },
+    }
+  );
+};
+
+const waitlistPosition = (waitlist, userId) =>
+  waitlist.findIndex((id) => id.toString() === userId.toString()) + 1;
+
+// Seats the student when the class has room, otherwise queues them.
+// Returns { status: "enrolled" } or { status: "waitlisted", position }.
+// `history` ({ reason, by }) is written to the student's EnrollmentRecord.
+const seatOrQueue = async (userId, cls, history = {}) => {
+  const seated = await withTransaction(async (session) => {
+    const taken = await Class.findOneAndUpdate(
+      { _id: cls._id, ...hasSeatLeft },
+      { $addToSet: { roster: userId } },
+      { new: true, session }
+    );
+    if (!taken) return false;
+    await User.updateOne({ _id: userId }, { $addToSet: { enrolledClasses: cls._id } }, { session });
+    await openEnrollmentRecord(userId, cls, "active", { ...history, session });
+    return true;
+  });
+  if (seated) return { status: "enrolled" };
+
+  const queued = await withTransaction(async (session) => {
+    const updated = await Class.findOneAndUpdate(
+      { _id: cls._id, waitlist: { $ne: userId } },
+      { $push: { waitlist: userId } },
+      { new: true, session }
+    ).select("waitlist").lean();
+    if (updated) await openEnrollmentRecord(userId, cls, "waitlisted", { ...history, session });
+    return updated;
+  });
+  if (!queued) {
+    throw enrollmentError("already_waitlisted", "Already on the waitlist for this class", 409);
+  }
+  return { status: "waitlisted", position: waitlistPosition(queued.waitlist, userId) };
+};
+
+// Enroll returns { user, cls, status, position }: status is "enrolled", "requested"
+// (approval needed) or "waitlisted" with the student's 1-based waitlist position.
+// Unenroll returns { user, cls, status } with status "unenrolled", "left_waitlist"
+// or "withdrew_request".
+// `user` and `cls` are lean, for labels in the audit log.
+// skipApproval: set when a user manager enrolls the student.
+// actorId (and `reason` when unenrolling): who made the change and why, for the
+// student's enrollment history.
+export const enrollStudent = async (userId, classId, { skipApproval = false, actorId = null } = {}) => {
+  const { user, cls, isEnrolled } = await loadStudentAndClass(userId, classId);
+
+  if (isEnrolled) {
+    throw enrollmentError("already_enrolled", "Already enrolled in this class", 409);
+  }
+  if (onWaitlist(cls, userId)) {
+    throw enrollmentError("already_waitlisted", "Already on the waitlist for this class", 409);
+  }
+  await assertTermOpen(cls);
+  const { isOpen, opensAt } = getEnrollmentState(cls);
+  if (!isOpen && opensAt) {
+    throw enrollmentError("enrollment_not_open_yet", "Enrollment for this class has not opened yet.", 403);
+  }
+  if (!isOpen) {
+    throw enrollmentError("enrollment_closed", "Enrollment is currently closed for this class.", 403);
+  }
+  await assertLevelUnlocked(user, cls);
+  await assertAgeEligible(user, cls);
+  await assertNoScheduleConflict(user, cls);
+
+  if (cls.approvalRequired && !skipApproval) {
+    try {
+      await EnrollmentRequest.create({ student: userId, class: classId });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      throw enrollmentError("request_pending", "You already asked to join this class", 409);
+    }
+    return { user, cls, status: "requested" };
+  }
+
+  const placement = await seatOrQueue(userId, cls, { by: actorId });
+  // A manager enrolling the student directly settles their open request
+  if (cls.approvalRequired) {
+    await EnrollmentRequest.updateOne(
+      { student: userId, class: classId, status: "pending" },
+      { status: "approved", decidedAt: new Date() }
+    );
+  }
+  return { user, cls, ...placement };
+};
+
+export const unenrollStudent = async (userId, classId, { actorId = null, reason = "" } = {}) => {
+  const { user, cls, isEnrolled } = await loadStudentAndClass(userId, classId);
+  const history = { by: actorId, reason };
+  await assertTermOpen(cls);
+
+  if (!isEnrolled) {
+    if (onWaitlist(cls, userId)) {
+      await withTransaction(async (session) => {
+        await Class.updateOne({ _id: classId }, { $pull: { waitlist: userId } }, { session });
+        await closeEnrollmentRecord(userId, cls, "dropped", {
+          ...history,
+          reason: reason || "Left the waitlist",
+          session,
+        });
+      });
+      return { user, cls, status: "left_waitlist" };
+    }
+    const withdrawn = await EnrollmentRequest.findOneAndUpdate(
+      { student: userId, class: classId, status: "pending" },
+      { status: "withdrawn", decidedAt: new Date() }
+    );
+    if (withdrawn) return { user, cls, status: "withdrew_request" };
+    throw enrollmentError("not_enrolled", "Not enrolled in this class");
+  }
+
+  await withTransaction(async (session) => {
+    await User.updateOne({ _id: userId }, { $pull: { enrolledClasses: classId } }, { session });
+    await Class.updateOne({ _id: classId }, { $pull: { roster: userId } }, { session });
+    await closeEnrollmentRecord(userId, cls, "dropped", { ...history, session });
+  });
+  return { user, cls, status: "unenrolled" };
+};
+
+/*
+purpose: mark a student as having finished a class
+arguments:
+  userId: student
+  classId: class they finished
+  options: { actorId, reason }
+return type:
+  { user, cls } (lean, for the audit log)
+notes:
+  The student leaves the roster (the seat goes to the waitlist, see promoteFromWaitlist)
+  and a numbered level is added to their completedLevels.
+*/
+export const completeEnrollment = async (userId, classId, { actorId = null, reason = "" } = {}) => {
+  const { user, cls, isEnrolled } = await loadStudentAndClass(userId, classId);
+  if (!isEnrolled) throw enrollmentError("not_enrolled", "Not enrolled in this class");
+
+  await withTransaction(async (session) => {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $pull: { enrolledClasses: cls._id },
+        ...(typeof cls.level === "number" ? { $addToSet: { completedLevels: cls.level } } : {}),
+      },
+      { session }
+    );
+    await Class.updateOne({ _id: cls._id }, { $pull: { roster: userId } }, { session });
+    await closeEnrollmentRecord(userId, cls, "completed", { by: actorId, reason, session });
+  });
+  return { user, cls };
+};
+
+/*
+purpose: move a student from one of their classes onto another class's roster
+arguments:
+  userId: student
+  fromClassId: class they are enrolled in
+  toClassId: class to move them to
+  options: { actorId, reason }
+return type:
+  { user, from, to } (lean, for the audit log)
+*/
+export const transferStudent = async (userId, fromClassId, toClassId, { actorId = null, reason = "" } = {}) => {
+  const { user, cls: from, isEnrolled } = await loadStudentAndClass(userId, fromClassId);
+  if (!isEnrolled) throw enrollmentError("not_enrolled", "Not enrolled in this class");
+  if (String(fromClassId) === String(toClassId)) {
+    throw enrollmentError("same_class", "Pick a different class to transfer to");
+  }
+  const { cls: to, isEnrolled: alreadyThere } = await loadStudentAndClass(userId, toClassId);
+  if (alreadyThere) throw enrollmentError("already_enrolled", "Already enrolled in this class", 409);
+  await assertTermOpen(from);
+  await assertTermOpen(to);
+
+  // The class being left does not count as a clash
+  const staying = { ...user, enrolledClasses: user.enrolledClasses.filter((id) => String(id) !== String(from._id)) };
+  await assertLevelUnlocked(user, to);
+  await assertAgeEligible(user, to);
+  await assertNoScheduleConflict(staying, to);
+
+  const moved = await withTransaction(async (session) => {
+    const taken = await Class.findOneAndUpdate(
+      { _id: to._id, ...hasSeatLeft },
+      { $addToSet: { roster: user._id }, $pull: { waitlist: user._id } },
+      { new: true, session }
+    );
+    if (!taken) return false;
+
+    await Class.updateOne({ _id: from._id }, { $pull: { roster: user._id } }, { session });
+    await User.updateOne({ _id: user._id }, { $pull: { enrolledClasses: from._id } }, { session });
+    await User.updateOne({ _id: user._id }, { $addToSet: { enrolledClasses: to._id } }, { session });
+    await closeEnrollmentRecord(user._id, from, "transferred", {
+      by: actorId,
+      reason,
+      transferredTo: to._id,
+      session,
+    });
+    await openEnrollmentRecord(user._id, to, "active", {
+      by: actorId,
+      reason: `Transferred from ${classLabel(from)}`,
+      session,
+    });
+    return true;
+  });
+  if (!moved) throw enrollmentError("class_full", "The class you are transferring to is full", 409);
+
+  return { user, from, to };
+};
+
+export const ROSTER_ACTIONS = ["transfer", "add", "remove"];
+const MAX_BULK_STUDENTS = 200;
+
+/*
+purpose: transfer, add or remove several students at once, all or nothing
+arguments:
+  action: "transfer" (fromClassId → toClassId), "add" (to toClassId, keeping their
+    other classes) or "remove" (from fromClassId)
+  studentIds: students to change
+  options: { fromClassId, toClassId, actorId, reason }
+return type:
+  { applied, from, to, results }: `from` / `to` are the classes (lean, null when not
+  used) and `results` has one { user, ok, status?, position?, code?, message? } per
+  student, in order. Students joining a class get `status` "enrolled", or "waitlisted"
+  and their `position` when adding ran out of seats.
+notes:
+  Every student is checked first, as for a single change (enrolled in the class they
+  leave, not already in the target, level prerequisites, age group, schedule
+  conflicts). Transfers need a free seat for each student; adding seats students in
+  order until the class is full and puts the rest at the end of its waitlist. When any
+  check fails nothing is changed and `applied` is false. Like transfers, adding skips
+  the enrollment window and approval: students on the target's waitlist take a seat
+  when there is one, and their pending requests there are approved.
+*/
+export const changeRosterInBulk = async (
+  action,
+  studentIds,
+  { fromClassId = null, toClassId = null, actorId = null, reason = "" } = {}
+) => {
+  if (!ROSTER_ACTIONS.includes(action)) {
+    throw enrollmentError("invalid_roster_action", `action must be one of: ${ROSTER_ACTIONS.join(", ")}`);
+  }
+  const ids = [...new Set((Array.isArray(studentIds) ? studentIds : []).map(String))];
+  if (!ids.length || ids.length > MAX_BULK_STUDENTS || !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw enrollmentError("invalid_students", `students must be 1 to ${MAX_BULK_STUDENTS} user IDs`);
+  }
+  const leaving = action !== "add";
+  const joining = action !== "remove";
+  if (
+    (leaving && !mongoose.Types.ObjectId.isValid(fromClassId)) ||
+    (joining && !mongoose.Types.ObjectId.isValid(toClassId))
+  ) {
+    throw enrollmentError("invalid_class_id", "Invalid class ID");
+  }
+  if (leaving && joining && String(fromClassId) === String(toClassId)) {
+    throw enrollmentError("same_class", "Pick a different class to transfer to");
+  }
+
+  const [users, from, to] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select(STUDENT_FIELDS).lean(),
+    leaving ? Class.findById(fromClassId).select(CLASS_FIELDS).lean() : null,
+    joining ? Class.findById(toClassId).select(`${CLASS_FIELDS} roster waitlist capacity`).lean() : null,
+  ]);
+  if ((leaving && !from) || (joining && !to)) throw enrollmentError("class_not_found", "Class not found", 404);
+  if (from) await assertTermOpen(from);
+  if (to) await assertTermOpen(to);
+
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+  const inClass = (user, cls) => (user.enrolledClasses || []).some((id) => String(id) === String(cls._id));
+  let seats = to ? seatsLeft(to) : null;
+
+  const results = [];
+  for (const id of ids) {
+    const user = usersById.get(id);
+    try {
+      if (!user) throw enrollmentError("user_not_found", "User not found", 404);
+      if (user.privilege !== "student") {
+        throw enrollmentError("not_student", "Only student accounts can enroll in classes", 403);
+      }
+      if (from && !inClass(user, from)) throw enrollmentError("not_enrolled", "Not enrolled in this class");
+      if (to) {
+        if (inClass(user, to)) throw enrollmentError("already_enrolled", "Already enrolled in this class", 409);
+        await assertLevelUnlocked(user, to);
+        await assertAgeEligible(user, to);
+        // The class being left does not count as a clash
+        const staying = from
+          ? { ...user, enrolledClasses: user.enrolledClasses.filter((c) => String(c) !== String(from._id)) }
+          : user;
+        await assertNoScheduleConflict(staying, to);
+        if (seats === 0) {
+          // Adding queues whoever does not fit; a transfer would leave them without a class
+          if (action !== "add") throw enrollmentError("class_full", "No seat left for this student in the class", 409);
+          results.push({ user, ok: true, status: "waitlisted" });
+          continue;
+        }
+        if (seats !== null) seats -= 1;
+      }
+      results.push({ user, ok: true, ...(to ? { status: "enrolled" } : {}) });
+    } catch (err) {
+      if (!err?.code || !err?.statusCode) throw err;
+      results.push({ user: user || { _id: id }, ok: false, code: err.code, message: err.message });
+    }
+  }
+  if (results.some((result) => !result.ok)) return { applied: false, from, to, results };
+
+  const studentIdsToChange = results.filter((r) => r.status !== "waitlisted").map((r) => r.user._id);
+  const queued = results.filter((r) => r.status === "waitlisted");
+  // Students already on the waitlist keep their place
+  const newlyQueued = queued.map((r) => r.user._id).filter((userId) => !onWaitlist(to, userId));
+  const waitlist = await withTransaction(async (session) => {
+    let updated = to;
+    if (to && studentIdsToChange.length) {
+      updated = await Class.findOneAndUpdate(
+        { _id: to._id, ...hasSeatsFor(studentIdsToChange.length) },
+        { $addToSet: { roster: { $each: studentIdsToChange } }, $pull: { waitlist: { $in: studentIdsToChange } } },
+        { new: true, session }
+      ).lean();
+      // Seats were taken since the check; the transaction is rolled back
+      if (!updated) throw enrollmentError("class_full", "The class no longer has enough seats", 409);
+      await User.updateMany(
+        { _id: { $in: studentIdsToChange } },
+        { $addToSet: { enrolledClasses: to._id } },
+        { session }
+      );
+    }
+    if (newlyQueued.length) {
+      updated = await Class.findOneAndUpdate(
+        { _id: to._id },
+        { $push: { waitlist: { $each: newlyQueued } } },
+        { new: true, session }
+      ).lean();
+      for (const studentId of newlyQueued) {
+        await openEnrollmentRecord(studentId, to, "waitlisted", { by: actorId, reason, session });
+      }
+    }
+    if (to?.approvalRequired) {
+      await EnrollmentRequest.updateMany(
+        { student: { $in: results.map((r) => r.user._id) }, class: to._id, status: "pending" },
+        { status: "approved", decidedBy: actorId, decidedAt: new Date() },
+        { session }
+      );
+    }
+    if (from) {
+      await Class.updateOne({ _id: from._id }, { $pull: { roster: { $in: studentIdsToChange } } }, { session });
+      await User.updateMany(
+        { _id: { $in: studentIdsToChange } },
+        { $pull: { enrolledClasses: from._id } },
+        { session }
+      );
+    }
+    for (const studentId of studentIdsToChange) {
+      if (from) {
+        await closeEnrollmentRecord(studentId, from, to ? "transferred" : "dropped", {
+          by: actorId,
+          reason,
+          transferredTo: to?._id ?? null,
+          session,
+        });
+      }
+      if (to) {
+        await openEnrollmentRecord(studentId, to, "active", {
+          by: actorId,
+          reason: from ? `Transferred from ${classLabel(from)}` : reason,
+          session,
+        });
+      }
+    }
+    return updated?.waitlist || [];
+  });
+
+  for (const result of queued) result.position = waitlistPosition(waitlist, result.user._id);
+  return { applied: true, from, to, results };
+};
+
+// The class's meeting times in the student's time zone (and second zone), one line per slot
+const scheduleLines = (student, cls) => {
+  const zones = [student.timezone, student.secondaryTimezone].filter(Boolean);
+  if (!zones.length) zones.push("Etc/UTC");
+  const lines = (cls.schedule || []).map((slot) => `  ${zones.map((zone) => describeSlotIn(slot, zone)).join(" / ")}`);
+  return lines.length ? [``, `Class times:`, ...lines] : [];
+};
+
+const notifyPromoted = (student, cls) =>
+  sendMail({
+    to: student.email,
+    subject: "A seat opened up: you're enrolled",
+    text: [
+      `Hi ${student.firstName || "there"},`,
+      ``,
+      `A seat opened up in ${classLabel(cls)} and you have been moved off the waitlist.`,
+      `You are now enrolled; the class is on your schedule in the student portal.`,
+      ...scheduleLines(student, cls),
+      ``,
+      `If you no longer want the seat, unenroll from the portal so the next person can have it.`,
+    ].join("\n"),
+  }).catch((err) => console.error("Failed to send waitlist promotion email:", err));
+
+/*
+purpose: fill free seats in a class from the head of its waitlist
+arguments:
+  classId: class to fill
+  req: Express request of the change that freed the seat (for the audit actor), or null
+return type:
+  the promoted students (lean), in promotion order
+notes:
+  Each promotion is audited as an enroll event and the student is emailed. Waitlisted
+  users who are no longer active students (trashed, closed or no longer a student) are
+  dropped from the waitlist: their open record is closed as dropped and a waitlist event
+  is audited.
+*/
+export const promoteFromWaitlist = async (classId, req = null) => {
+  const promoted = [];
+
+  for (;;) {
+    const { before, student, dropped } = await withTransaction(async (session) => {
+      // Seat the head of the waitlist in the same update that checks for a free seat
+      const previous = await Class.findOneAndUpdate(
+        { _id: classId, enrollmentOverride: { $ne: "closed" }, "waitlist.0": { $exists: true }, ...hasSeatLeft },
+        [
+          {
+            $set: {
+              roster: { $concatArrays: ["$roster", [{ $arrayElemAt: ["$waitlist", 0] }]] },
+              waitlist: { $slice: ["$waitlist", 1, { $size: "$waitlist" }] },
+            },
+          },
+        ],
+        { session }
+      ).select("program level ageGroup instructor schedule waitlist").lean();
+      if (!previous) return {};
+
+      const studentId = previous.waitlist[0];
+      const student = await User.findOne({ _id: studentId, privilege: "student" })
+        .select("firstName lastName email timezone secondaryTimezone")
+        .session(session)
+        .lean();
+      if (student) {
+        await User.updateOne({ _id: studentId }, { $addToSet: { enrolledClasses: classId } }, { session });
+        await openEnrollmentRecord(studentId, previous, "active", {
+          reason: "Promoted from the waitlist",
+          session,
+        });
+        return { before: previous, student };
+      }
+
+      await Class.updateOne({ _id: classId }, { $pull: { roster: studentId } }, { session });
+      await closeEnrollmentRecords({ student: studentId, class: classId }, "dropped", {
+        reason: "No longer an active student when a seat opened",
+        session,
+      });
+      // Trashed accounts are hidden from queries; a closed account is gone and has no name
+      const user = await User.findOne({ _id: studentId })
+        .setOptions({ withDeleted: true })
+        .select("firstName lastName")
+        .session(session)
+        .lean();
+      return { before: previous, dropped: { _id: studentId, label: userLabel(user) } };
+    });
+    if (!before) break;
+    if (dropped) {
+      await recordAudit(req, {
+        action: "waitlist",
+        entityType: "user",
+        entityId: dropped._id,
+        entityLabel: dropped.label,
+        summary: `Dropped from the waitlist for ${classLabel(before)}: no longer an active student`,
+      });
+      continue;
+    }
+
+    promoted.push(student);
+
+    await recordAudit(req, {
+      action: "enroll",
+      entityType: "user",
+      entityId: student._id,
+      entityLabel: userLabel(student),
+      summary: `Promoted from the waitlist into ${classLabel(before)}`,
+      changes: [{ field: "enrolledClasses", before: null, after: classLabel(before) }],
+    });
+    void notifyPromoted(student, before);
+  }
+
+  return promoted;
+};
+
+/*
+purpose: replace a class's waitlist order
+arguments:
+  classId: class whose waitlist is reordered
+  order: user ids, which must be exactly the current waitlist in a new order
+return type:
+  the new waitlist (ObjectIds)
+*/
+export const reorderWaitlist = async (classId, order) => {
+  if (!Array.isArray(order)) {
+    throw enrollmentError("invalid_waitlist", "waitlist must be an array of user IDs");
+  }
+  const cls = await Class.findById(classId).select("term waitlist").lean();
+  if (!cls) throw enrollmentError("class_not_found", "Class not found", 404);
+  await assertTermOpen(cls);
+
+  const current = (cls.waitlist || []).map(String);
+  const next = order.map(String);
+  const samePeople =
+    next.length === current.length && new Set(next).size === next.length && next.every((id) => current.includes(id));
+  if (!samePeople) {
+    throw enrollmentError("waitlist_changed", "The waitlist changed; reload and try again", 409);
+  }
+
+  // Only applies if nobody joined or left in the meantime
+  const updated = await Class.findOneAndUpdate(
+    { _id: classId, waitlist: cls.waitlist },
+    { waitlist: next },
+    { new: true }
+  ).select("waitlist").lean();
+  if (!updated) {
+    throw enrollmentError("waitlist_changed", "The waitlist changed; reload and try again", 409);
+  }
+  return updated.waitlist;
+};
+
+const notifyDecision = (student, cls, request, placement) => {
+  const approved = request.status === "approved";
+  const outcome = !approved
+    ? `Your request to join ${classLabel(cls)} was declined.`
+    : placement.status === "waitlisted"
+      ? `Your request to join ${classLabel(cls)} was approved. The class is full, so you are number ${placement.position} on its waitlist; we will email you when a seat opens up.`
+      : `Your request to join ${classLabel(cls)} was approved and you are now enrolled. The class is on your schedule in the student portal.`;
+
+  return sendMail({
+    to: student.email,
+    subject: approved ? "Your enrollment request was approved" : "Your enrollment request was declined",
+    text: [
+      `Hi ${student.firstName || "there"},`,
+      ``,
+      outcome,
+      ...(approved ? scheduleLines(student, cls) : []),
+      ...(request.note ? [``, `Message from your instructor:`, request.note] : []),
+    ].join("\n"),
+  }).catch((err) => console.error("Failed to send enrollment decision email:", err));
+};
+
+/*
+purpose: approve or decline a pending enrollment request and email the student
+arguments:
+  classId: class the request is for
+  requestId: EnrollmentRequest id
+  decision: "approve" | "decline"
+  note: optional message to the student
+  actorId: user deciding
+return type:
+  { request, user, cls, placement } — placement is null when declined, otherwise
+  { status: "enrolled" } or { status: "waitlisted", position }
+*/
+export const decideEnrollmentRequest = async (classId, requestId, { decision, note = "", actorId = null }) => {
+  if (decision !== "approve" && decision !== "decline") {
+    throw enrollmentError("invalid_decision", 'decision must be "approve" or "decline"');
+  }
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw enrollmentError("invalid_request_id", "Invalid request ID");
+  }
+
+  const pending = await EnrollmentRequest.findOne({ _id: requestId, class: classId }).lean();
+  if (!pending) throw enrollmentError("request_not_found", "Request not found", 404);
+  if (pending.status !== "pending") {
+    throw enrollmentError("request_decided", `This request was already ${pending.status}`, 409);
+  }
+  const { user, cls, isEnrolled } = await loadStudentAndClass(pending.student, classId);
+  if (decision === "approve") await assertTermOpen(cls);
+  if (decision === "approve" && !isEnrolled && !onWaitlist(cls, user._id)) {
+    // The student may have enrolled in a clashing class since asking; the request stays pending
+    await assertNoScheduleConflict(user, cls);
+  }
+
+  // Only one reviewer can settle the request
+  const request = await EnrollmentRequest.findOneAndUpdate(
+    { _id: requestId, status: "pending" },
+    {
+      status: decision === "approve" ? "approved" : "declined",
+      decidedBy: actorId,
+      decidedAt: new Date(),
+      note: String(note || "").trim().slice(0, 1000),
+    },
+    { new: true }
+  ).lean();
+  if (!request) throw enrollmentError("request_decided", "This request was already decided", 409);
+
+  let placement = null;
+  if (decision === "approve") {
+    placement = isEnrolled
+      ? { status: "enrolled" }
+      : onWaitlist(cls, user._id)
+        ? { status: "waitlisted", position: waitlistPosition(cls.waitlist, user._id) }
+        : await seatOrQueue(user._id, cls, { by: actorId, reason: "Request approved" });
+  }
+
+  void notifyDecision(user, cls, request, placement);
+  return { request, user, cls, placement };
+};
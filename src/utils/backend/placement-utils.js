@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import User from "../../../server/schemas/User.js";
+import Level from "../../../server/schemas/Level.js";
+import PlacementQuestion from "../../../server/schemas/PlacementQuestion.js";
+import PlacementAttempt from "../../../server/schemas/PlacementAttempt.js";
+
+/*
+Placement test:
+  - A test draws up to PLACEMENT_QUESTIONS_PER_LEVEL active questions for every level
+    that exists, lowest level first, and must be submitted within
+    PLACEMENT_TIME_LIMIT_MINUTES (a short grace covers the network).
+  - Answers are scored here, never in the browser. Multiple-choice answers are the
+    index of a choice; fill-in answers match an accepted answer ignoring case, extra
+    spaces and trailing punctuation.
+  - The recommended level is the highest level passed (PASS_RATIO of its questions
+    right) without failing a lower one, or the lowest level when none is passed. It is
+    stored as User.placementLevel, which also meets "placement" level prerequisites.
+  - Students can retake the test PLACEMENT_RETAKE_DAYS after their last result.
+    Tests left unfinished expire without a result and can be started again.
+*/
+export const PLACEMENT_TIME_LIMIT_MINUTES = Number(process.env.PLACEMENT_TIME_LIMIT_MINUTES) || 30;
+export const PLACEMENT_RETAKE_DAYS = Number(process.env.PLACEMENT_RETAKE_DAYS) || 30;
+export const PLACEMENT_QUESTIONS_PER_LEVEL = Number(process.env.PLACEMENT_QUESTIONS_PER_LEVEL) || 5;
+const PASS_RATIO = 0.6;
+const SUBMIT_GRACE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Placement errors carry a translatable `code`, like enrollment errors (enrollment-utils.js).
+export const placementError = (code, message, statusCode = 400, details = null) => {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  err.details = details;
+  return err;
+};
+
+// Sends { code, message, ...details } for placement errors, or a generic 500 otherwise.
+export const sendPlacementError = (res, err, fallbackMessage) => {
+  if (err?.code && err?.statusCode) {
+    return res.status(err.statusCode).json({ ...err.details, code: err.code, message: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return res.status(500).json({ code: "server_error", message: fallbackMessage });
+};
+
+const normalizeAnswer = (value) =>
+  String(value ?? "")
+    .normalize("NFKC")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[.!?]+$/, "");
+
+const isCorrect = (item, response) => {
+  if (item.type === "multiple_choice") {
+    return response !== "" && Number(response) === item.correctChoice;
+  }
+  const answer = normalizeAnswer(response);
+  return answer !== "" && item.acceptedAnswers.some((accepted) => normalizeAnswer(accepted) === answer);
+};
+
+/*
+purpose: pick the starting level from per-level scores
+arguments:
+  levelScores: [{ level, correct, total }]
+return type:
+  level number, or null when there are no scores
+*/
+export const recommendLevel = (levelScores) => {
+  const sorted = [...levelScores].sort((a, b) => a.level - b.level);
+  let recommended = null;
+  for (const { level, correct, total } of sorted) {
+    if (!total || correct / total < PASS_RATIO) break;
+    recommended = level;
+  }
+  return recommended ?? sorted[0]?.level ?? null;
+};
+
+// What a student sees of a test: no levels and no answer keys.
+export const publicAttempt = (attempt) => ({
+  _id: attempt._id,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  expiresAt: attempt.expiresAt,
+  questions: attempt.items.map((item) => ({
+    _id: item.question,
+    type: item.type,
+    prompt: item.prompt,
+    choices: item.type === "multiple_choice" ? item.choices : [],
+  })),
+});
+
+// A scored attempt without the questions, for results and admin views.
+export const attemptSummary = (attempt) => ({
+  _id: attempt._id,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  submittedAt: attempt.submittedAt,
+  score: attempt.score,
+  total: attempt.items.length,
+  levelScores: attempt.levelScores,
+  recommendedLevel: attempt.recommendedLevel,
+});
+
+const loadStudent = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw placementError("invalid_user_id", "Invalid user ID");
+  }
+  const user = await User.findById(userId).select("firstName lastName privilege placementLevel").lean();
+  if (!user) throw placementError("user_not_found", "User not found", 404);
+  if (user.privilege !== "student") {
+    throw placementError("not_student", "Only student accounts can take the placement test", 403);
+  }
+  return user;
+};
+
+// Marks the student's unfinished test as expired once its time (plus grace) is up.
+const expireStale = (studentId) =>
+  PlacementAttempt.updateMany(
+    { student: studentId, status: "in_progress", expiresAt: { $lt: new Date(Date.now() - SUBMIT_GRACE_MS) } },
+    { status: "expired" }
+  );
+
+const lastResult = (studentId) =>
+  PlacementAttempt.findOne({ student: studentId, status: "submitted" }).sort({ submittedAt: -1 }).lean();
+
+const retakeDate = (result) =>
+  result ? new Date(new Date(result.submittedAt).getTime() + PLACEMENT_RETAKE_DAYS * DAY_MS) : null;
+
+/*
+purpose: the placement test as seen from the student portal
+arguments:
+  userId: student
+return type:
+  { inProgress, latest, retakeAt, timeLimitMinutes } — inProgress is the open test
+  (publicAttempt) or null, latest the last result (attemptSummary) or null, and
+  retakeAt is set while the student has to wait to take the test again
+*/
+export const getPlacementStatus = async (userId) => {
+  const user = await loadStudent(userId);
+  await expireStale(user._id);
+
+  const [open, latest] = await Promise.all([
+    PlacementAttempt.findOne({ student: user._id, status: "in_progress" }).lean(),
+    lastResult(user._id),
+  ]);
+  const retakeAt = retakeDate(latest);
+  return {
+    inProgress: open ? publicAttempt(open) : null,
+    latest: latest ? attemptSummary(latest) : null,
+    retakeAt: retakeAt && retakeAt > new Date() ? retakeAt : null,
+    timeLimitMinutes: PLACEMENT_TIME_LIMIT_MINUTES,
+  };
+};
+
+/*
+purpose: start a placement test, or resume the one in progress
+arguments:
+  userId: student
+return type:
+  publicAttempt of the test
+*/
+export const startPlacementTest = async (userId) => {
+  const user = await loadStudent(userId);
+  await expireStale(user._id);
+
+  const open = await PlacementAttempt.findOne({ student: user._id, status: "in_progress" }).lean();
+  if (open) return publicAttempt(open);
+
+  const retakeAt = retakeDate(await lastResult(user._id));
+  if (retakeAt && retakeAt > new Date()) {
+    throw placementError("placement_retake_later", "You can take the placement test again later", 409, { retakeAt });
+  }
+
+  const levels = (await Level.distinct("level", { deletedAt: null })).sort((a, b) => a - b);
+  const items = [];
+  for (const level of levels) {
+    const drawn = await PlacementQuestion.aggregate([
+      { $match: { level, active: true } },
+      { $sample: { size: PLACEMENT_QUESTIONS_PER_LEVEL } },
+    ]);
+    drawn.forEach((q) =>
+      items.push({
+        question: q._id,
+        level: q.level,
+        skill: q.skill,
+        type: q.type,
+        prompt: q.prompt,
+        choices: q.choices,
+        correctChoice: q.correctChoice,
+        acceptedAnswers: q.acceptedAnswers,
+      })
+    );
+  }
+  if (!items.length) {
+    throw placementError("placement_unavailable", "The placement test is not available yet", 409);
+  }
+
+  try {
+    const attempt = await PlacementAttempt.create({
+      student: user._id,
+      expiresAt: new Date(Date.now() + PLACEMENT_TIME_LIMIT_MINUTES * 60 * 1000),
+      items,
+    });
+    return publicAttempt(attempt);
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    // Started twice at once (e.g. two tabs); hand back the one that won
+    return publicAttempt(await PlacementAttempt.findOne({ student: user._id, status: "in_progress" }).lean());
+  }
+};
+
+/*
+purpose: score a placement test and store the recommended level on the student
+arguments:
+  userId: student
+  attemptId: the test being submitted
+  answers: { [questionId]: response } — choice index or typed answer; missing = unanswered
+return type:
+  { user, attempt } — the student (lean, for the audit log) and the attemptSummary
+*/
+export const submitPlacementTest = async (userId, attemptId, answers = {}) => {
+  const user = await loadStudent(userId);
+  if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+    throw placementError("invalid_attempt_id", "Invalid test ID");
+  }
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    throw placementError("invalid_answers", "answers must map question IDs to responses");
+  }
+
+  const attempt = await PlacementAttempt.findOne({ _id: attemptId, student: user._id }).lean();
+  if (!attempt) throw placementError("attempt_not_found", "Test not found", 404);
+  if (attempt.status !== "in_progress") {
+    throw placementError("placement_submitted", "This test is already finished", 409);
+  }
+  if (Date.now() > new Date(attempt.expiresAt).getTime() + SUBMIT_GRACE_MS) {
+    await PlacementAttempt.updateOne({ _id: attempt._id, status: "in_progress" }, { status: "expired" });
+    throw placementError("placement_expired", "Time ran out before the test was submitted", 409);
+  }
+
+  const byLevel = new Map();
+  const items = attempt.items.map((item) => {
+    const response = String(answers[String(item.question)] ?? "").slice(0, 500);
+    const correct = isCorrect(item, response);
+    const tally = byLevel.get(item.level) || { level: item.level, correct: 0, total: 0 };
+    tally.total += 1;
+    if (correct) tally.correct += 1;
+    byLevel.set(item.level, tally);
+    return { ...item, response, correct };
+  });
+  const levelScores = [...byLevel.values()].sort((a, b) => a.level - b.level);
+  const recommendedLevel = recommendLevel(levelScores);
+
+  // Only one submission counts
+  const scored = await PlacementAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in_progress" },
+    {
+      status: "submitted",
+      submittedAt: new Date(),
+      items,
+      levelScores,
+      score: items.filter((item) => item.correct).length,
+      recommendedLevel,
+    },
+    { new: true }
+  ).lean();
+  if (!scored) throw placementError("placement_submitted", "This test is already finished", 409);
+
+  await User.updateOne({ _id: user._id }, { placementLevel: recommendedLevel });
+  return { user, attempt: attemptSummary(scored) };
+};
+
+// A student's scored and expired tests, newest first (admin views).
+export const listPlacementAttempts = async (userId) => {
+  const attempts = await PlacementAttempt.find({ student: userId, status: { $ne: "in_progress" } })
+    .sort({ createdAt: -1 })
+    .lean();
+  return attempts.map(attemptSummary);
+};
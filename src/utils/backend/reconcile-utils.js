@@ -0,0 +1,213 @@
+import User from "../../../server/schemas/User.js";
+import Class from "../../../server/schemas/Class.js";
+import EnrollmentRecord, { OPEN_STATUSES } from "../../../server/schemas/EnrollmentRecord.js";
+import { withTransaction } from "../../../server/db.js";
+import { recordAudit, classLabel, userLabel } from "./audit-utils.js";
+
+/*
+Finds and repairs enrollment links that drifted apart before enrollment writes were
+transactional (see enrollment-utils.js). The rules follow the links kept by the
+trash (trash-utils.js):
+  - Between an active user and an active class, the user's `enrolledClasses` is the
+    source of truth: the old enroll and unenroll both wrote the user first, so a
+    failed second write left the class roster behind.
+  - A trashed document keeps its own side of a link and the active side drops it, so
+    restoring re-enrolls the student.
+  - Links to documents that no longer exist are removed.
+  - Students on a class roster are not also on its waitlist.
+  - Every link left between an active user and an active class has an open
+    EnrollmentRecord of the matching status (active for the roster, waitlisted for the
+    waitlist), and open records without a link are closed as dropped. Records of
+    trashed or deleted documents are left to the trash (trash-utils.js). Run once
+    after upgrading, this also starts the history of existing enrollments.
+*/
+
+// What each fix does, for the report and the admin page
+export const RECONCILE_FIXES = {
+  missing_class: "Removed a class that no longer exists from the student's classes",
+  trashed_class: "Moved the link to a class in Recently deleted onto that class",
+  missing_from_roster: "Added the student to the class roster",
+  not_enrolled: "Removed the student from a roster their account does not list",
+  missing_user: "Removed a deleted account from the roster or waitlist",
+  trashed_user: "Moved the roster link of a user in Recently deleted onto that user",
+  enrolled_and_waitlisted: "Removed an enrolled student from the waitlist",
+  missing_record: "Started the enrollment history of an existing enrollment",
+  wrong_record_status: "Corrected the status in the student's enrollment history",
+  stale_record: "Closed an enrollment history entry for a class the student is not in",
+};
+
+const RECORD_REASON = "Recorded by the enrollment check";
+
+const key = (id) => String(id);
+
+/*
+purpose: find (and unless dryRun, repair) mismatches between User.enrolledClasses and
+  Class.roster / Class.waitlist, including references to deleted classes and users,
+  and the open EnrollmentRecords those links need
+arguments:
+  dryRun: report what would be fixed without writing
+return type:
+  { checkedUsers, checkedClasses, applied, fixes: [{ type, description, user, class }] }
+  where user and class are { _id, label }
+*/
+export const reconcileEnrollments = async ({ dryRun = false } = {}) => {
+  const [users, classes, openRecords] = await Promise.all([
+    User.find({}).setOptions({ withDeleted: true }).select("firstName lastName enrolledClasses deletedAt").lean(),
+    Class.find({})
+      .setOptions({ withDeleted: true })
+      .select("program level ageGroup instructor roster waitlist deletedAt")
+      .lean(),
+    EnrollmentRecord.find({ status: { $in: OPEN_STATUSES } }).select("student class status").lean(),
+  ]);
+  const usersById = new Map(users.map((u) => [key(u._id), u]));
+  const classesById = new Map(classes.map((c) => [key(c._id), c]));
+
+  const fixes = [];
+  const userOps = [];
+  const classOps = [];
+  const recordOps = [];
+  const expected = new Map(); // "userId:classId" → status of the open record the link needs
+
+  const fix = (type, userId, classId) => {
+    const user = usersById.get(key(userId));
+    const cls = classesById.get(key(classId));
+    fixes.push({
+      type,
+      description: RECONCILE_FIXES[type],
+      user: { _id: userId, label: user ? userLabel(user) : "Deleted account" },
+      class: { _id: classId, label: cls ? classLabel(cls) : "Deleted class" },
+    });
+  };
+  const update = (ops, _id, change) => ops.push({ updateOne: { filter: { _id }, update: change } });
+
+  // Walk each active user's classes
+  for (const user of users) {
+    if (user.deletedAt) continue;
+    for (const classId of user.enrolledClasses || []) {
+      const cls = classesById.get(key(classId));
+      if (!cls) {
+        fix("missing_class", user._id, classId);
+        update(userOps, user._id, { $pull: { enrolledClasses: classId } });
+      } else if (cls.deletedAt) {
+        fix("trashed_class", user._id, classId);
+        update(userOps, user._id, { $pull: { enrolledClasses: classId } });
+        update(classOps, cls._id, { $addToSet: { roster: user._id } });
+      } else {
+        if (!(cls.roster || []).some((id) => key(id) === key(user._id))) {
+          fix("missing_from_roster", user._id, classId);
+          update(classOps, cls._id, { $addToSet: { roster: user._id } });
+        }
+        expected.set(`${key(user._id)}:${key(cls._id)}`, "active");
+      }
+    }
+  }
+
+  // Walk each active class's roster and waitlist
+  for (const cls of classes) {
+    if (cls.deletedAt) continue;
+    const enrolled = new Set(); // roster entries that stay after the repair
+
+    for (const userId of cls.roster || []) {
+      const user = usersById.get(key(userId));
+      if (!user) {
+        fix("missing_user", userId, cls._id);
+        update(classOps, cls._id, { $pull: { roster: userId } });
+      } else if (user.deletedAt) {
+        fix("trashed_user", userId, cls._id);
+        update(classOps, cls._id, { $pull: { roster: userId } });
+        update(userOps, user._id, { $addToSet: { enrolledClasses: cls._id } });
+      } else if (!(user.enrolledClasses || []).some((id) => key(id) === key(cls._id))) {
+        fix("not_enrolled", userId, cls._id);
+        update(classOps, cls._id, { $pull: { roster: userId } });
+      } else {
+        enrolled.add(key(userId));
+      }
+    }
+
+    for (const userId of cls.waitlist || []) {
+      const user = usersById.get(key(userId));
+      if (!user || user.deletedAt) {
+        fix("missing_user", userId, cls._id);
+        update(classOps, cls._id, { $pull: { waitlist: userId } });
+      } else if (enrolled.has(key(userId))) {
+        fix("enrolled_and_waitlisted", userId, cls._id);
+        update(classOps, cls._id, { $pull: { waitlist: userId } });
+      } else {
+        expected.set(`${key(userId)}:${key(cls._id)}`, "waitlisted");
+      }
+    }
+  }
+
+  // Match open enrollment records to the links that stay
+  const now = new Date();
+  const change = (status) => ({ status, at: now, reason: RECORD_REASON, by: null });
+  const dates = (status) => (status === "active" ? { enrolledAt: now } : { waitlistedAt: now });
+  const recorded = new Map(openRecords.map((r) => [`${key(r.student)}:${key(r.class)}`, r]));
+
+  for (const [pair, status] of expected) {
+    const [userId, classId] = pair.split(":");
+    const record = recorded.get(pair);
+    if (!record) {
+      const cls = classesById.get(classId);
+      fix("missing_record", userId, classId);
+      recordOps.push({
+        insertOne: {
+          document: {
+            student: userId,
+            class: classId,
+            classInfo: {
+              program: cls.program || "",
+              level: cls.level ?? null,
+              ageGroup: cls.ageGroup || "",
+              instructor: cls.instructor || "",
+            },
+            status,
+            reason: RECORD_REASON,
+            ...dates(status),
+            history: [change(status)],
+          },
+        },
+      });
+    } else if (record.status !== status) {
+      fix("wrong_record_status", userId, classId);
+      update(recordOps, record._id, {
+        $set: { status, reason: RECORD_REASON, ...dates(status) },
+        $push: { history: change(status) },
+      });
+    }
+  }
+  for (const [pair, record] of recorded) {
+    const user = usersById.get(key(record.student));
+    const cls = classesById.get(key(record.class));
+    if (expected.has(pair) || !user || user.deletedAt || !cls || cls.deletedAt) continue;
+    fix("stale_record", record.student, record.class);
+    update(recordOps, record._id, {
+      $set: { status: "dropped", reason: RECORD_REASON, endedAt: now },
+      $push: { history: change("dropped") },
+    });
+  }
+
+  const applied = !dryRun && fixes.length > 0;
+  if (applied) {
+    await withTransaction(async (session) => {
+      if (userOps.length) await User.bulkWrite(userOps, { session, ordered: true });
+      if (classOps.length) await Class.bulkWrite(classOps, { session, ordered: true });
+      if (recordOps.length) await EnrollmentRecord.bulkWrite(recordOps, { session, ordered: true });
+    });
+  }
+
+  return { checkedUsers: users.length, checkedClasses: classes.length, applied, fixes };
+};
+
+// One audit event per applied fix, on the student's account.
+export const auditReconcileFixes = async (req, { fixes }) => {
+  for (const item of fixes) {
+    await recordAudit(req, {
+      action: "repair",
+      entityType: "user",
+      entityId: item.user._id,
+      entityLabel: item.user.label,
+      summary: `${item.description}: ${item.class.label}`,
+    });
+  }
+};
@@ -0,0 +1,102 @@
+import { DateTime, IANAZone } from "luxon";
+import { slotInZone } from "../time-utils.js";
+
+/*
+Weekly class slots ({ day, startTime, endTime, timezone }, times in 24h "H:mm") are
+compared as intervals on a UTC week, so classes stored in different time zones
+still line up. A slot whose end is not after its start runs past midnight.
+Slots that only touch (one ends as the other starts) do not overlap.
+*/
+const WEEK_MINUTES = 7 * 24 * 60;
+
+// Minutes since Monday 00:00 UTC, or null when the day or time cannot be read
+const toWeekMinutes = (day, time, zone) => {
+  const dt = DateTime.fromFormat(`${day} ${time}`, "cccc H:mm", { zone: zone || "Etc/UTC" });
+  if (!dt.isValid) return null;
+  const utc = dt.toUTC();
+  return (utc.weekday - 1) * 1440 + utc.hour * 60 + utc.minute;
+};
+
+// [start, end) in week minutes; `end` can pass the end of the week
+const slotInterval = (slot) => {
+  const start = toWeekMinutes(slot.day, slot.startTime, slot.timezone);
+  const end = toWeekMinutes(slot.day, slot.endTime, slot.timezone);
+  if (start === null || end === null) return null;
+  // The length from the times alone, since in UTC the end may wrap to the start of the week
+  const length = ((end - start) % 1440 + 1440) % 1440 || 1440;
+  return [start, start + length];
+};
+
+export const slotsOverlap = (a, b) => {
+  const x = slotInterval(a);
+  const y = slotInterval(b);
+  if (!x || !y) return false;
+  // Also compare across the Sunday → Monday wrap
+  return [-WEEK_MINUTES, 0, WEEK_MINUTES].some((shift) => x[0] < y[1] + shift && y[0] + shift < x[1]);
+};
+
+// "Monday 14:00–15:30 UTC", for messages
+export const describeSlot = (slot) => {
+  const zone = !slot.timezone || slot.timezone === "Etc/UTC" ? "UTC" : slot.timezone;
+  return `${slot.day} ${slot.startTime}–${slot.endTime} ${zone}`;
+};
+
+// "Monday 7:30 PM–9:00 PM EDT": the slot at its next meeting in `zone` (UTC when unset), for emails
+export const describeSlotIn = (slot, zone) => {
+  const converted = slotInZone(slot, zone || "Etc/UTC");
+  if (!converted) return describeSlot(slot);
+  const format = (dt) => dt.toFormat("h:mm a", { locale: "en" });
+  return `${converted.day} ${format(converted.start)}–${format(converted.end)} ${converted.zoneName}`;
+};
+
+const UTC_ZONES = ["Etc/UTC", "UTC", "Etc/GMT", "GMT"];
+
+// Whether a slot's zone is UTC (slots without one are)
+export const isUtcZone = (zone) => !zone || UTC_ZONES.includes(zone);
+
+// The calendar day of a date stored as UTC midnight (term days), as luxon date fields
+export const dayOf = (date) => ({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+
+/*
+purpose: find a slot's first meeting on or after a day
+arguments:
+  slot: { day, startTime, endTime, timezone }
+  from: the day, as luxon date fields ({ year, month, day }) in the slot's zone
+return type:
+  { zone, dtStart, dtEnd } — the slot's zone ("Etc/UTC" when unset) and the meeting's start
+  and end as luxon DateTimes in it — or null when the slot cannot be read
+*/
+export const meetingOnOrAfter = (slot, from) => {
+  const zone = isUtcZone(slot.timezone) ? "Etc/UTC" : slot.timezone;
+  const weekday = DateTime.fromFormat(String(slot.day || ""), "cccc", { locale: "en" }).weekday;
+  const start = DateTime.fromFormat(String(slot.startTime || ""), "H:mm");
+  const end = DateTime.fromFormat(String(slot.endTime || ""), "H:mm");
+  if (!weekday || !start.isValid || !end.isValid || !IANAZone.isValidZone(zone)) return null;
+
+  const day = DateTime.fromObject(from, { zone });
+  const date = day.plus({ days: (weekday - day.weekday + 7) % 7 });
+  const dtStart = date.set({ hour: start.hour, minute: start.minute });
+  let dtEnd = date.set({ hour: end.hour, minute: end.minute });
+  if (dtEnd <= dtStart) dtEnd = dtEnd.plus({ days: 1 });
+  return { zone, dtStart, dtEnd };
+};
+
+/*
+purpose: find the first class in `others` that meets at the same time as `cls`
+arguments:
+  cls: class with a `schedule`
+  others: classes with `_id` and `schedule` (e.g. the student's current classes)
+return type:
+  { class, slot, existingSlot } — the clashing class, the slot of `cls` and the slot
+  of the other class that overlap — or null when nothing clashes
+*/
+export const findScheduleConflict = (cls, others) => {
+  for (const other of others) {
+    if (String(other._id) === String(cls._id)) continue;
+    for (const slot of cls.schedule || []) {
+      const existingSlot = (other.schedule || []).find((candidate) => slotsOverlap(slot, candidate));
+      if (existingSlot) return { class: other, slot, existingSlot };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,192 @@
+import { DateTime } from "luxon";
+import Class from "../../../server/schemas/Class.js";
+import Term from "../../../server/schemas/Term.js";
+import ClassSession, { ATTENDANCE_STATUSES } from "../../../server/schemas/ClassSession.js";
+import { dayOf, meetingOnOrAfter } from "./schedule-utils.js";
+
+/*
+Class sessions (server/schemas/ClassSession.js):
+  - A class in a term meets on every date its weekly schedule gives between the term's
+    first and last day, in each slot's time zone. Classes without a term have no sessions.
+  - syncClassSessions() runs after a class's schedule or term changes, after a term's
+    dates change and after rolling over. The first run fills in the whole term; later runs
+    add sessions for new meetings from now on and remove upcoming sessions the schedule no
+    longer has, unless they were cancelled, moved or have attendance or notes. Past
+    sessions are never changed.
+  - A session is moved when `startsAt` differs from `scheduledStart`; restoring puts it
+    back on its scheduled times. Only sessions that have not started can be cancelled,
+    moved or restored; attendance and notes can be taken at any time.
+*/
+
+const MAX_SESSION_HOURS = 12;
+
+// Every meeting of a weekly schedule within a term, as { scheduledStart, scheduledEnd } Dates
+export const scheduledMeetings = (schedule, term) => {
+  const firstDay = dayOf(new Date(term.startDate));
+  const lastDay = dayOf(new Date(term.endDate));
+  const meetings = new Map(); // start time → meeting, so identical slots meet once
+
+  for (const slot of schedule || []) {
+    const meeting = meetingOnOrAfter(slot, firstDay);
+    if (!meeting) continue;
+    const termEnd = DateTime.fromObject(lastDay, { zone: meeting.zone }).endOf("day");
+    // Adding weeks keeps the wall-clock time, so meetings follow daylight saving time
+    for (let week = 0; meeting.dtStart.plus({ weeks: week }) <= termEnd; week++) {
+      const start = meeting.dtStart.plus({ weeks: week }).toJSDate();
+      meetings.set(start.getTime(), { scheduledStart: start, scheduledEnd: meeting.dtEnd.plus({ weeks: week }).toJSDate() });
+    }
+  }
+  return [...meetings.values()].sort((a, b) => a.scheduledStart - b.scheduledStart);
+};
+
+export const isMoved = (session) => new Date(session.startsAt).getTime() !== new Date(session.scheduledStart).getTime();
+
+// Sessions the schedule may remove: nothing about them was changed or recorded
+const isUntouched = (session) =>
+  session.status === "scheduled" && !isMoved(session) && !session.notes && !session.attendance?.length;
+
+/*
+purpose: bring a class's sessions in line with its schedule and term
+arguments:
+  classId: class to sync
+  now: sessions starting before this are left alone (default: now)
+return type:
+  { added, removed }: how many sessions were created and deleted
+*/
+export const syncClassSessions = async (classId, now = new Date()) => {
+  const cls = await Class.findById(classId).select("schedule term").lean();
+  if (!cls) return { added: 0, removed: 0 };
+  const term = cls.term ? await Term.findById(cls.term).select("startDate endDate").lean() : null;
+
+  const expected = new Map((term ? scheduledMeetings(cls.schedule, term) : []).map((m) => [m.scheduledStart.getTime(), m]));
+  const existing = await ClassSession.find({ class: classId })
+    .select("scheduledStart startsAt status notes attendance")
+    .lean();
+  const known = new Set(existing.map((session) => session.scheduledStart.getTime()));
+
+  const stale = existing.filter(
+    (session) => !expected.has(session.scheduledStart.getTime()) && session.scheduledStart > now && isUntouched(session)
+  );
+  const fresh = [...expected.values()].filter(
+    (meeting) => !known.has(meeting.scheduledStart.getTime()) && (!existing.length || meeting.scheduledStart > now)
+  );
+
+  if (stale.length) {
+    await ClassSession.deleteMany({ _id: { $in: stale.map((session) => session._id) } });
+  }
+  if (fresh.length) {
+    try {
+      await ClassSession.insertMany(
+        fresh.map((meeting) => ({
+          class: classId,
+          term: cls.term,
+          ...meeting,
+          startsAt: meeting.scheduledStart,
+          endsAt: meeting.scheduledEnd,
+        })),
+        { ordered: false }
+      );
+    } catch (err) {
+      // A sync running at the same time already added some of them
+      if (err?.code !== 11000 && !err?.writeErrors?.every((e) => e.code === 11000)) throw err;
+    }
+  }
+  return { added: fresh.length, removed: stale.length };
+};
+
+/*
+purpose: cancel, move or restore a session (not saved)
+arguments:
+  session: ClassSession document
+  change: { action: "cancel" | "reschedule" | "restore", reason, startsAt, endsAt }
+  actorId: who made the change
+  now: the current time (default: now)
+return type:
+  an error message, or null when the change was applied
+notes:
+  Cancelling and moving need a reason. Moved sessions keep their scheduled times, so
+  restoring puts them back and the schedule still recognizes them.
+*/
+export const applySessionChange = (session, { action, reason, startsAt, endsAt } = {}, actorId = null, now = new Date()) => {
+  if (!["cancel", "reschedule", "restore"].includes(action)) {
+    return 'Action must be "cancel", "reschedule" or "restore"';
+  }
+  if (session.startsAt <= now) return "This session has already started";
+
+  reason = String(reason || "").trim();
+  if (action !== "restore" && !reason) return "Give a reason for the change";
+  if (reason.length > 500) return "Reason must be at most 500 characters";
+
+  if (action === "cancel") {
+    session.status = "cancelled";
+    session.reason = reason;
+  } else if (action === "reschedule") {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return "Start and end must be valid dates";
+    if (start <= now) return "Move the session to a time that has not passed";
+    if (end <= start) return "The session must end after it starts";
+    if (end - start > MAX_SESSION_HOURS * 60 * 60 * 1000) return `A session can last at most ${MAX_SESSION_HOURS} hours`;
+    Object.assign(session, { status: "scheduled", startsAt: start, endsAt: end, reason });
+  } else {
+    if (session.scheduledStart <= now) return "The session's scheduled time has passed";
+    Object.assign(session, {
+      status: "scheduled",
+      startsAt: session.scheduledStart,
+      endsAt: session.scheduledEnd,
+      reason: "",
+    });
+  }
+  session.changedBy = actorId;
+  session.changedAt = now;
+  return null;
+};
+
+/*
+purpose: set a session's attendance and/or notes (not saved)
+arguments:
+  session: ClassSession document
+  update: { attendance?: [{ student, status }], notes? }
+  roster: ids of the class's students
+return type:
+  an error message, or null when applied
+notes:
+  Attendance can only list students on the roster, or ones already in it (students
+  who have since left the class).
+*/
+export const applyAttendance = (session, { attendance, notes } = {}, roster = []) => {
+  if (attendance !== undefined) {
+    if (!Array.isArray(attendance)) return "Attendance must be a list";
+    const allowed = new Set([...roster, ...session.attendance.map((entry) => entry.student)].map(String));
+    const seen = new Set();
+    for (const entry of attendance) {
+      if (!allowed.has(String(entry?.student)) || seen.has(String(entry.student))) {
+        return "Attendance can only list each of the class's students once";
+      }
+      if (!ATTENDANCE_STATUSES.includes(entry.status)) {
+        return `Attendance must be one of: ${ATTENDANCE_STATUSES.join(", ")}`;
+      }
+      seen.add(String(entry.student));
+    }
+    session.attendance = attendance.map(({ student, status }) => ({ student, status }));
+  }
+  if (notes !== undefined) {
+    notes = String(notes || "");
+    if (notes.length > 5000) return "Notes must be at most 5000 characters";
+    session.notes = notes;
+  }
+  return null;
+};
+
+// Syncs the sessions of every class of a term, e.g. after its dates change
+export const syncTermSessions = async (termId) => {
+  const classIds = await Class.find({ term: termId }).distinct("_id");
+  for (const classId of classIds) {
+    await syncClassSessions(classId);
+  }
+  return classIds.length;
+};
+
+// "Mon 12 Oct 2026, 14:00 UTC", for audit summaries
+export const describeSessionTime = (date) =>
+  DateTime.fromJSDate(new Date(date), { zone: "utc" }).toFormat("ccc d LLL yyyy, HH:mm 'UTC'", { locale: "en" });
@@ -0,0 +1,337 @@
+import ExcelJS from "exceljs";
+import archiver from "archiver";
+import { IANAZone } from "luxon";
+import User from "../../../server/schemas/User.js";
+import Class from "../../../server/schemas/Class.js";
+import EnrollmentRequest from "../../../server/schemas/EnrollmentRequest.js";
+import PlacementAttempt from "../../../server/schemas/PlacementAttempt.js";
+import Volunteer from "../../../server/schemas/Volunteer.js";
+import AuditEvent from "../../../server/schemas/AuditEvent.js";
+import Program from "../../../server/schemas/Program.js";
+import { listEnrollmentRecords, studentsActiveIn, activeClassesByStudent } from "./enrollment-record-utils.js";
+import { convertTime, to12HourFormat } from "../time-utils.js";
+import { describeClassProgram } from "../programs.js";
+import {
+  STUDENT_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_TIMEZONES,
+} from "../../constants/student-export.js";
+
+const escapeRx = (s) => s.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
+
+/*
+purpose: build the User filter for the admin student list and export
+arguments:
+  level: level number, or a program slug such as "ielts" (optional)
+  q: free-text search over name/email and enrolled classes' instructor/age group (optional)
+return type:
+  Mongo filter object, or null when the level or program has no classes (no students can match)
+notes:
+  Class filters match students with an active enrollment record in those classes.
+*/
+export const buildStudentFilter = async ({ level, q } = {}) => {
+  const classIdFilters = [];
+
+  if (typeof level !== "undefined" && level !== null && `${level}`.trim() !== "") {
+    const raw = `${level}`.trim();
+    const classFilter = Number.isNaN(Number(raw)) ? { program: raw.toLowerCase() } : { level: Number(raw) };
+    const levelClasses = await Class.find(classFilter).select("_id").lean();
+    const ids = levelClasses.map((c) => c._id);
+    if (!ids.length) return null;
+    classIdFilters.push({ _id: { $in: await studentsActiveIn(ids) } });
+  }
+
+  const userOr = [];
+  if (typeof q === "string" && q.trim()) {
+    const rx = new RegExp(escapeRx(q.trim()), "i");
+    userOr.push({ firstName: rx }, { lastName: rx }, { email: rx });
+
+    const qInstructors = await User.find({ privilege: "instructor", $or: [{ firstName: rx }, { lastName: rx }] })
+      .select("_id")
+      .lean();
+    const qClasses = await Class.find({
+      $or: [{ instructor: rx }, { instructorId: { $in: qInstructors.map((u) => u._id) } }, { ageGroup: rx }],
+    })
+      .select("_id")
+      .lean();
+    const qIds = qClasses.map((c) => c._id);
+    if (qIds.length) classIdFilters.push({ _id: { $in: await studentsActiveIn(qIds) } });
+  }
+
+  const userFilter = { privilege: "student" };
+  if (userOr.length || classIdFilters.length) {
+    userFilter.$and = [];
+    if (userOr.length) userFilter.$and.push({ $or: userOr });
+    if (classIdFilters.length) userFilter.$and.push({ $and: classIdFilters });
+  }
+  return userFilter;
+};
+
+const exportError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const parseList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/*
+purpose: validate export query options
+arguments:
+  query: { format?: "xlsx" | "csv", columns?: "a,b,c", tz?: "Zone/One,Zone/Two" }
+return type:
+  { format, columns, timezones }; throws an Error with statusCode 400 on bad input
+*/
+export const parseExportOptions = (query = {}) => {
+  const format = String(query.format || "xlsx").toLowerCase();
+  if (!["xlsx", "csv"].includes(format)) throw exportError("format must be xlsx or csv");
+
+  const columns = query.columns ? parseList(query.columns) : DEFAULT_EXPORT_COLUMNS;
+  const unknown = columns.filter((c) => !(c in STUDENT_EXPORT_COLUMNS));
+  if (unknown.length) throw exportError(`Unknown columns: ${unknown.join(", ")}`);
+  if (!columns.length) throw exportError("Select at least one column");
+
+  const timezones = query.tz ? parseList(query.tz) : DEFAULT_EXPORT_TIMEZONES;
+  const invalid = timezones.filter((tz) => !IANAZone.isValidZone(tz));
+  if (invalid.length) throw exportError(`Unknown timezones: ${invalid.join(", ")}`);
+  if (timezones.length > 5) throw exportError("Select at most 5 timezones");
+
+  return { format, columns, timezones };
+};
+
+// "Monday 9:00 AM-10:00 AM" for each meeting, converted from the stored zone to `tz`
+const formatSchedule = (schedule, tz) =>
+  (schedule || [])
+    .map((s) => {
+      const from = s.timezone || "Etc/UTC";
+      const start = convertTime(s.day, s.startTime, from, tz);
+      const end = convertTime(s.day, s.endTime, from, tz);
+      if (!start.time || !end.time) return "";
+      return `${start.day} ${to12HourFormat(start.time)}-${to12HourFormat(end.time)}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+
+const instructorName = (cls) =>
+  cls.instructorId ? `${cls.instructorId.firstName} ${cls.instructorId.lastName}` : cls.instructor;
+
+// Header labels in output order; `schedule` expands to one column per timezone.
+const exportHeaders = (columns, timezones) =>
+  columns.flatMap((key) =>
+    key === "schedule"
+      ? timezones.map((tz) => `${STUDENT_EXPORT_COLUMNS.schedule} (${tz})`)
+      : [STUDENT_EXPORT_COLUMNS[key]]
+  );
+
+// One row per (student, active class); students without classes get one row.
+const studentRows = (student, classes, columns, timezones) =>
+  (classes.length ? classes : [null]).map((cls) =>
+    columns.flatMap((key) => {
+      switch (key) {
+        case "creationDate":
+          return [student.creationDate ? student.creationDate.toISOString().split("T")[0] : ""];
+        case "firstName":
+        case "lastName":
+        case "email":
+        case "whatsapp":
+        case "age":
+          return [student[key] ?? ""];
+        case "program":
+          return [cls?.programName ?? ""];
+        case "instructor":
+          return [cls ? instructorName(cls) : ""];
+        case "schedule":
+          return timezones.map((tz) => (cls ? formatSchedule(cls.schedule, tz) : ""));
+        default:
+          return [cls?.[key] ?? ""];
+      }
+    })
+  );
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Spreadsheet apps run text starting with one of these as a formula, so a student named
+// "=HYPERLINK(...)" would become a live link in the admin's copy. A leading ' keeps it text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const neutralizeFormula = (value) => (typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+// Rows for every student the cursor yields. Classes come from active enrollment records,
+// looked up one batch of students at a time.
+async function* exportRows(cursor, classMap, columns, timezones) {
+  const rowsFor = async (students) => {
+    const active = await activeClassesByStudent(students.map((s) => s._id), "_id");
+    return students.flatMap((student) => {
+      const classes = (active.get(String(student._id)) || []).map((c) => classMap.get(String(c._id))).filter(Boolean);
+      return studentRows(student, classes, columns, timezones).map((row) => row.map(neutralizeFormula));
+    });
+  };
+
+  let batch = [];
+  for await (const student of cursor) {
+    batch.push(student);
+    if (batch.length < EXPORT_BATCH_SIZE) continue;
+    yield* await rowsFor(batch);
+    batch = [];
+  }
+  if (batch.length) yield* await rowsFor(batch);
+}
+
+function csvEscape(v) {
+  const s = String(v ?? "");
+  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+/*
+purpose: stream matching students to `res` as XLSX or CSV
+arguments:
+  res: Express response (headers are set here)
+  filter: User filter from buildStudentFilter (null → header-only file)
+  options: result of parseExportOptions
+notes:
+  Cells that start like a formula (=, +, -, @, tab, carriage return) are written with a leading '.
+*/
+export const streamStudentExport = async (res, filter, { format, columns, timezones }) => {
+  const [classes, programs] = await Promise.all([
+    Class.find()
+      .select("program level ageGroup instructor instructorId link schedule")
+      .populate("instructorId", "firstName lastName")
+      .lean(),
+    Program.find({}).select("slug name").lean(),
+  ]);
+  // `programName` is the program and level as shown in the app, e.g. "IELTS Level 2"
+  const classMap = new Map(
+    classes.map((c) => [c._id.toString(), { ...c, programName: describeClassProgram(c, programs) }])
+  );
+
+  const headers = exportHeaders(columns, timezones);
+  const filename = `dillar_students.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  const cursor = filter
+    ? User.find(filter)
+        .select("firstName lastName email whatsapp age creationDate")
+        .sort({ lastName: 1, firstName: 1 })
+        .lean()
+        .cursor()
+    : [];
+
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.write(headers.map(csvEscape).join(",") + "\n");
+    for await (const row of exportRows(cursor, classMap, columns, timezones)) {
+      res.write(row.map(csvEscape).join(",") + "\n");
+    }
+    res.end();
+    return;
+  }
+
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet("Students");
+  sheet.columns = headers.map((header) => ({ header, width: Math.max(14, header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of exportRows(cursor, classMap, columns, timezones)) {
+    const added = sheet.addRow(row);
+    added.alignment = { vertical: "top", wrapText: true };
+    added.commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+/*
+purpose: gather what we hold about one user for "Download my data"
+arguments:
+  userId: the signed-in user's id
+return type:
+  { exportedAt, profile, enrollments, waitlists, enrollmentRequests, enrollmentHistory,
+    enrollmentActivity, placementTests, volunteerApplications }
+*/
+export const collectUserData = async (userId) => {
+  const profile = await User.findById(userId).select("-clerkId -roles -__v").lean();
+  if (!profile) return null;
+
+  const [enrollments, waitlisted, requests, records, activity, placementTests, volunteerApplications] =
+    await Promise.all([
+      Class.find({ _id: { $in: profile.enrolledClasses } })
+        .select("program level ageGroup instructor link schedule")
+        .lean(),
+      Class.find({ waitlist: profile._id }).select("program level ageGroup instructor schedule waitlist").lean(),
+      EnrollmentRequest.find({ student: profile._id })
+        .select("class status note createdAt decidedAt")
+        .populate({ path: "class", select: "program level ageGroup instructor", options: { withDeleted: true } })
+        .sort({ createdAt: 1 })
+        .lean(),
+      listEnrollmentRecords(profile._id),
+      AuditEvent.find({
+        entityType: "user",
+        entityId: String(userId),
+        action: { $in: ["enroll", "unenroll", "waitlist", "request", "complete", "class_transfer"] },
+      })
+        .select("action summary createdAt")
+        .sort({ createdAt: 1 })
+        .lean(),
+      // Answer keys are left out; each answer keeps whether it was right
+      PlacementAttempt.find({ student: profile._id, status: "submitted" })
+        .select("startedAt submittedAt score recommendedLevel levelScores items.prompt items.response items.correct")
+        .sort({ submittedAt: 1 })
+        .lean(),
+      Volunteer.find({ email: profile.email.toLowerCase() }).select("-__v").lean(),
+    ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    enrollments,
+    waitlists: waitlisted.map(({ waitlist, ...cls }) => ({
+      ...cls,
+      position: waitlist.findIndex((id) => String(id) === String(profile._id)) + 1,
+    })),
+    enrollmentRequests: requests,
+    // Who made each change stays out of the export
+    enrollmentHistory: records.map((record) => ({
+      class: record.classInfo,
+      status: record.status,
+      reason: record.reason,
+      waitlistedAt: record.waitlistedAt,
+      enrolledAt: record.enrolledAt,
+      endedAt: record.endedAt,
+      history: record.history.map(({ status, at, reason }) => ({ status, at, reason })),
+    })),
+    enrollmentActivity: activity.map(({ action, summary, createdAt }) => ({ action, summary, date: createdAt })),
+    placementTests,
+    volunteerApplications,
+  };
+};
+
+/*
+purpose: send collectUserData output as one JSON file, or a ZIP with one JSON file per section
+arguments:
+  res: Express response (headers are set here)
+  data: result of collectUserData
+  format: "json" | "zip"
+*/
+export const sendUserData = async (res, data, format) => {
+  if (format === "json") {
+    res.setHeader("Content-Disposition", 'attachment; filename="dillar_my_data.json"');
+    return res.json(data);
+  }
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", 'attachment; filename="dillar_my_data.zip"');
+  const zip = archiver("zip");
+  zip.pipe(res);
+  for (const [section, value] of Object.entries(data)) {
+    if (section === "exportedAt") continue;
+    zip.append(JSON.stringify(value, null, 2), { name: `${section}.json` });
+  }
+  zip.append(`Exported ${data.exportedAt}\n`, { name: "README.txt" });
+  await zip.finalize();
+};
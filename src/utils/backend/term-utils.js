@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import Term from "../../../server/schemas/Term.js";
+import Class from "../../../server/schemas/Class.js";
+import { withTransaction } from "../../../server/db.js";
+import { isTermEnded, findCurrentTerm } from "../terms.js";
+import { recordAudit, diffChanges, classLabel } from "./audit-utils.js";
+import { syncClassSessions } from "./session-utils.js";
+
+/*
+Terms (src/utils/terms.js):
+  - Classes of a term that has ended are read-only: class edits, deletes and every
+    roster, waitlist and request change are refused (enrollment-utils.js, class-routes.js).
+    Completing a student's enrollment is still allowed, as grades often come in late.
+  - Schedule conflicts are only checked between classes of the same term, so a student
+    can join next term's section of a class that meets at the same time as this term's.
+  - Rolling over copies classes into another term with the same program, level, age
+    group, instructor, schedule and settings, but no students; enrollment windows are
+    left empty for the new term. The copies get their sessions for the new term.
+*/
+
+// The class's term when it has ended, otherwise null.
+export const findEndedTerm = async (cls) => {
+  if (!cls?.term) return null;
+  const term = await Term.findById(cls.term).select("name startDate endDate").lean();
+  return isTermEnded(term) ? term : null;
+};
+
+// The term new classes go in when none is picked, or null when no term is current or upcoming.
+export const defaultTermId = async () => {
+  const terms = await Term.find({}).select("startDate endDate").lean();
+  return findCurrentTerm(terms.filter((term) => !isTermEnded(term)))?._id || null;
+};
+
+// Class query for a `term` query parameter: a term id lists that term's classes and those
+// without a term, "open" those of every term that has not ended. Null for other values.
+export const termFilter = async (value) => {
+  if (value === "open") {
+    const terms = await Term.find({}).select("startDate endDate").lean();
+    return { term: { $nin: terms.filter((term) => isTermEnded(term)).map((term) => term._id) } };
+  }
+  if (!mongoose.Types.ObjectId.isValid(value)) return null;
+  return { term: { $in: [value, null] } };
+};
+
+const ROLLOVER_FIELDS = [
+  "program",
+  "level",
+  "ageGroup",
+  "instructor",
+  "instructorId",
+  "image",
+  "link",
+  "capacity",
+  "approvalRequired",
+];
+
+// Identifies a class by what rolling over copies, to spot classes already copied.
+const rolloverKey = (cls) =>
+  JSON.stringify([
+    cls.program,
+    cls.level ?? null,
+    cls.ageGroup,
+    String(cls.instructorId ?? ""),
+    (cls.schedule || []).map(({ day, startTime, endTime }) => `${day} ${startTime}-${endTime}`).sort(),
+  ]);
+
+/*
+purpose: copy classes into another term with empty rosters
+arguments:
+  req: Express request (for the audit actor)
+  classes: lean classes to copy
+  fromTerm: the term they are in
+  toTerm: the term to copy them to
+return type:
+  { created, skipped }: the new classes (documents) and the classes left out because
+  `toTerm` already has one with the same program, level, age group, instructor and times
+notes:
+  All copies are written in one transaction; each is audited as a class create.
+*/
+export const rolloverClasses = async (req, classes, fromTerm, toTerm) => {
+  const existing = new Set((await Class.find({ term: toTerm._id }).lean()).map(rolloverKey));
+  const skipped = [];
+  const copies = [];
+  for (const cls of classes) {
+    if (existing.has(rolloverKey(cls))) {
+      skipped.push(cls);
+      continue;
+    }
+    existing.add(rolloverKey(cls));
+    copies.push({
+      ...Object.fromEntries(ROLLOVER_FIELDS.filter((field) => field in cls).map((field) => [field, cls[field]])),
+      schedule: (cls.schedule || []).map(({ day, startTime, endTime, timezone }) => ({ day, startTime, endTime, timezone })),
+      term: toTerm._id,
+    });
+  }
+
+  const created = copies.length ? await withTransaction((session) => Class.insertMany(copies, { session })) : [];
+
+  for (const cls of created) {
+    await syncClassSessions(cls._id);
+    await recordAudit(req, {
+      action: "create",
+      entityType: "class",
+      entityId: cls._id,
+      entityLabel: classLabel(cls),
+      summary: `Rolled over from ${fromTerm.name} to ${toTerm.name}`,
+      changes: diffChanges(null, cls, { omit: ["roster", "waitlist"] }),
+    });
+  }
+  return { created, skipped };
+};
@@ -16,55 +16,51 @@ export const deleteLevelTranslations = async (levelData) => {
   }
 };
 
+// Adds an English base string to i18nexus, which translates it into the other languages.
+const createBaseString = async (key, value, namespace) => {
+  const response = await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
+    },
+    body: JSON.stringify({ key, value, namespace })
+  });
+  if (!response.ok) {
+    console.error("Failed to create translation", key, await response.json().catch(() => null));
+  }
+};
+
 export const createLevelTranslations = async (levelData) => {
   try {
-    // name translation
-    const response = await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
-      },
-      body: JSON.stringify({
-        key: `level_name_${levelData._id}`,
-        value: levelData.name,
-        namespace: "levels"
-      })
-    });
-    const data = await response.json();
-    if (!response.ok) {
-      console.error("Failed to create translation", data);
-    }
-    // description translation
-    await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
-      },
-      body: JSON.stringify({
-        key: `level_desc_${levelData._id}`,
-        value: levelData.description,
-        namespace: "levels"
-      })
-    });
-    // skill translations
+    await createBaseString(`level_name_${levelData._id}`, levelData.name, "levels");
+    await createBaseString(`level_desc_${levelData._id}`, levelData.description, "levels");
     for (const skill of levelData.skills) {
-      const key = `${formattedSkillKey(skill)}_${levelData._id}`;
-      await fetch(`https://api.i18nexus.com/project_resources/base_strings.json?api_key=${process.env.I18NEXUS_API_KEY}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${process.env.I18NEXUS_PAT}`
-        },
-        body: JSON.stringify({
-          key,
-          value: skill,
-          namespace: "levels"
-        })
-      });
+      await createBaseString(`${formattedSkillKey(skill)}_${levelData._id}`, skill, "levels");
     }
   } catch (error) {
     throw new Error("Failed to create level translations");
   }
-}
\ No newline at end of file
+}
+
+// Program names and descriptions live in the "levels" namespace, next to the levels'.
+export const deleteProgramTranslations = async (program) => {
+  try {
+    await Translation.deleteMany({ key: { $in: [`program_name_${program._id}`, `program_desc_${program._id}`] } });
+  } catch (error) {
+    console.error("Failed to delete program translations", error);
+    throw new Error("Failed to delete program translations");
+  }
+};
+
+export const createProgramTranslations = async (program) => {
+  try {
+    await createBaseString(`program_name_${program._id}`, program.name, "levels");
+    if (program.description) {
+      await createBaseString(`program_desc_${program._id}`, program.description, "levels");
+    }
+  } catch (error) {
+    console.error("Failed to create program translations", error);
+    throw new Error("Failed to create program translations");
+  }
+};
@@ -0,0 +1,302 @@
+import { clerkClient } from "@clerk/express";
+import User from "../../../server/schemas/User.js";
+import Class from "../../../server/schemas/Class.js";
+import Level from "../../../server/schemas/Level.js";
+import EnrollmentRequest from "../../../server/schemas/EnrollmentRequest.js";
+import PlacementAttempt from "../../../server/schemas/PlacementAttempt.js";
+import EnrollmentRecord from "../../../server/schemas/EnrollmentRecord.js";
+import ClassSession from "../../../server/schemas/ClassSession.js";
+import { withTransaction } from "../../../server/db.js";
+import { deleteLevelTranslations } from "./translation-utils.js";
+import { promoteFromWaitlist, hasSeatLeft } from "./enrollment-utils.js";
+import { closeEnrollmentRecords, openEnrollmentRecord } from "./enrollment-record-utils.js";
+
+/*
+Trashed users, classes and levels are kept for TRASH_RETENTION_DAYS (env, default 30)
+and then removed for good by purgeExpiredTrash (npm run purge:trash in the api folder).
+The same job closes accounts whose owners asked for deletion, once
+ACCOUNT_DELETION_GRACE_DAYS (env, default 14) have passed (closeDueAccounts).
+
+Enrollment links while in the trash:
+  - Links between two active documents are always symmetric (roster ↔ enrolledClasses).
+  - A trashed document keeps its own side of the links it had when it was trashed;
+    active documents drop theirs. Restoring re-adds the link on the other side when
+    that document is active, or hands it to the other document when it is trashed too.
+  - Users leave every waitlist when trashed or closed and are not put back on restore;
+    the seats they free go to the next student in line. A restored user gets their
+    seat back only where one is free and nobody is waiting; otherwise they join the
+    end of the class's waitlist.
+  - Enrollment records (enrollment-record-utils.js) stay open while in the trash, except
+    for the waitlist spots a trashed user gives up. Purging a class closes its open
+    records as dropped and keeps the history; purging or closing an account deletes it.
+  - Enrollment requests stay as they are while either side is in the trash, and are
+    removed with the user or class on purge or account closure. So are a user's
+    placement tests, a class's sessions and a user's attendance in them.
+  - Levels keep their translations in every language while in the trash, so restoring
+    one brings its text back as it was; purging deletes them.
+  - Link changes and the deletedAt flag are written in one transaction; Clerk calls
+    happen outside it, after the database change has committed.
+*/
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+export const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+const trashError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const ids = (docs) => docs.map((d) => d._id);
+
+// Clerk returns 404 for accounts that were already removed there.
+const ignoreMissing = (err) => {
+  if (err?.status !== 404) throw err;
+};
+
+/* -----------------------------
+   Trash
+------------------------------*/
+
+const fillFreedSeats = async (classIds = []) => {
+  for (const classId of classIds) await promoteFromWaitlist(classId);
+};
+
+// `user` is a loaded (active) user document; `actorId` the signed-in admin.
+export const trashUser = async (user, actorId) => {
+  await withTransaction(async (session) => {
+    await Class.updateMany(
+      { _id: { $in: user.enrolledClasses || [] }, deletedAt: null },
+      { $pull: { roster: user._id } },
+      { session }
+    );
+    await Class.updateMany({ waitlist: user._id }, { $pull: { waitlist: user._id } }, { session });
+    await closeEnrollmentRecords({ student: user._id, status: "waitlisted" }, "dropped", {
+      reason: "Account deleted",
+      by: actorId,
+      session,
+    });
+    await User.updateOne({ _id: user._id }, { deletedAt: new Date(), deletedBy: actorId || null }, { session });
+  });
+  // Banned accounts cannot sign in; the Clerk account is deleted on purge
+  if (user.clerkId) await clerkClient.users.banUser(user.clerkId).catch(ignoreMissing);
+  await fillFreedSeats(user.enrolledClasses);
+};
+
+export const trashClass = async (cls, actorId) => {
+  await withTransaction(async (session) => {
+    await User.updateMany(
+      { _id: { $in: cls.roster || [] }, deletedAt: null },
+      { $pull: { enrolledClasses: cls._id } },
+      { session }
+    );
+    await Class.updateOne({ _id: cls._id }, { deletedAt: new Date(), deletedBy: actorId || null }, { session });
+  });
+};
+
+// A trashed level keeps its translations (in every language) until it is purged
+export const trashLevel = async (level, actorId) => {
+  await Level.updateOne({ _id: level._id }, { deletedAt: new Date(), deletedBy: actorId || null });
+};
+
+/* -----------------------------
+   Restore
+------------------------------*/
+
+const findTrashed = async (Model, id, label) => {
+  const doc = await Model.findOne({ _id: id, deletedAt: { $ne: null } }).lean();
+  if (!doc) throw trashError(`${label} not found in Recently deleted`, 404);
+  return doc;
+};
+
+const RESTORED = { deletedAt: null, deletedBy: null };
+
+// Each restore returns the restored document (lean).
+export const restoreUser = async (id) => {
+  const user = await findTrashed(User, id, "User");
+
+  const { waitlistedIn, ...updates } = await withTransaction(async (session) => {
+    const classes = await Class.find({ _id: { $in: user.enrolledClasses } })
+      .setOptions({ withDeleted: true })
+      .select("_id deletedAt program level ageGroup instructor")
+      .session(session)
+      .lean();
+    const trashed = classes.filter((c) => c.deletedAt);
+    await Class.updateMany({ _id: { $in: ids(trashed) } }, { $addToSet: { roster: user._id } }, { session });
+
+    // Active classes take the user back while they have a free seat nobody is waiting for;
+    // otherwise the user joins the end of the waitlist.
+    const seated = [];
+    const waitlisted = [];
+    for (const cls of classes.filter((c) => !c.deletedAt)) {
+      const taken = await Class.findOneAndUpdate(
+        { _id: cls._id, "waitlist.0": { $exists: false }, ...hasSeatLeft },
+        { $addToSet: { roster: user._id } },
+        { session }
+      );
+      if (taken) {
+        seated.push(cls);
+        continue;
+      }
+      await Class.updateOne({ _id: cls._id }, { $addToSet: { waitlist: user._id } }, { session });
+      await openEnrollmentRecord(user._id, cls, "waitlisted", {
+        reason: "Class was full when the account was restored",
+        session,
+      });
+      waitlisted.push(cls);
+    }
+
+    const restored = { ...RESTORED, enrolledClasses: ids(seated) };
+    await User.updateOne({ _id: user._id }, restored, { session });
+    return { ...restored, waitlistedIn: ids(waitlisted) };
+  });
+  if (user.clerkId) await clerkClient.users.unbanUser(user.clerkId).catch(ignoreMissing);
+  return { ...user, ...updates, waitlistedIn };
+};
+
+export const restoreClass = async (id) => {
+  const cls = await findTrashed(Class, id, "Class");
+
+  const updates = await withTransaction(async (session) => {
+    const students = await User.find({ _id: { $in: cls.roster } })
+      .setOptions({ withDeleted: true })
+      .select("_id deletedAt")
+      .session(session)
+      .lean();
+    const active = students.filter((s) => !s.deletedAt);
+
+    await User.updateMany({ _id: { $in: ids(students) } }, { $addToSet: { enrolledClasses: cls._id } }, { session });
+    const restored = { ...RESTORED, roster: ids(active) };
+    await Class.updateOne({ _id: cls._id }, restored, { session });
+    return restored;
+  });
+  return { ...cls, ...updates };
+};
+
+export const restoreLevel = async (id) => {
+  const level = await findTrashed(Level, id, "Level");
+
+  await Level.updateOne({ _id: level._id }, RESTORED);
+  return { ...level, ...RESTORED };
+};
+
+/* -----------------------------
+   Purge
+------------------------------*/
+
+/*
+purpose: permanently remove documents trashed more than TRASH_RETENTION_DAYS ago
+arguments:
+  now: reference time (defaults to the current time)
+  dryRun: report what would be purged without deleting
+return type:
+  { users, classes, levels } — the purged documents (lean)
+*/
+export const purgeExpiredTrash = async ({ now = new Date(), dryRun = false } = {}) => {
+  const expired = { deletedAt: { $ne: null, $lt: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS) } };
+
+  const [users, classes, levels] = await Promise.all([
+    User.find(expired).select("firstName lastName email clerkId deletedAt").lean(),
+    Class.find(expired).select("program level ageGroup instructor deletedAt").lean(),
+    Level.find(expired).select("level name skills deletedAt").lean(),
+  ]);
+  if (dryRun) return { users, classes, levels };
+
+  await withTransaction(async (session) => {
+    // Drop links still held by other trashed documents
+    await Class.updateMany(
+      { $or: [{ roster: { $in: ids(users) } }, { waitlist: { $in: ids(users) } }] },
+      { $pull: { roster: { $in: ids(users) }, waitlist: { $in: ids(users) } } },
+      { session }
+    );
+    await User.updateMany(
+      { enrolledClasses: { $in: ids(classes) } },
+      { $pull: { enrolledClasses: { $in: ids(classes) } } },
+      { session }
+    );
+
+    await EnrollmentRequest.deleteMany(
+      { $or: [{ student: { $in: ids(users) } }, { class: { $in: ids(classes) } }] },
+      { session }
+    );
+    await PlacementAttempt.deleteMany({ student: { $in: ids(users) } }, { session });
+    await EnrollmentRecord.deleteMany({ student: { $in: ids(users) } }, { session });
+    await closeEnrollmentRecords({ class: { $in: ids(classes) } }, "dropped", { reason: "Class deleted", session });
+    await ClassSession.deleteMany({ class: { $in: ids(classes) } }, { session });
+    await ClassSession.updateMany(
+      { "attendance.student": { $in: ids(users) } },
+      { $pull: { attendance: { student: { $in: ids(users) } } } },
+      { session }
+    );
+
+    await User.deleteMany({ _id: { $in: ids(users) } }, { session });
+    await Class.deleteMany({ _id: { $in: ids(classes) } }, { session });
+    await Level.deleteMany({ _id: { $in: ids(levels) } }, { session });
+  });
+  // Clerk accounts go only once the database change has committed
+  for (const user of users) {
+    if (user.clerkId) await clerkClient.users.deleteUser(user.clerkId).catch(ignoreMissing);
+  }
+  for (const level of levels) {
+    await deleteLevelTranslations(level);
+  }
+
+  return { users, classes, levels };
+};
+
+/* -----------------------------
+   Self-service account deletion
+------------------------------*/
+
+// Returns the date the account will be closed; the owner can cancel until then.
+export const scheduleAccountDeletion = async (userId, { now = new Date() } = {}) => {
+  const deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+  await User.updateOne({ _id: userId }, { deletionScheduledFor });
+  return deletionScheduledFor;
+};
+
+export const cancelAccountDeletion = async (userId) => {
+  await User.updateOne({ _id: userId }, { deletionScheduledFor: null });
+};
+
+/*
+purpose: close accounts whose deletion grace period has ended: unenroll them from
+  every roster and remove the user document, then delete the Clerk identity
+arguments:
+  now: reference time (defaults to the current time)
+  dryRun: report what would be closed without deleting
+return type:
+  the closed users (lean)
+*/
+export const closeDueAccounts = async ({ now = new Date(), dryRun = false } = {}) => {
+  const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } })
+    .setOptions({ withDeleted: true })
+    .select("firstName lastName email clerkId enrolledClasses")
+    .lean();
+  if (dryRun) return users;
+
+  for (const user of users) {
+    await withTransaction(async (session) => {
+      await Class.updateMany(
+        { $or: [{ roster: user._id }, { waitlist: user._id }] },
+        { $pull: { roster: user._id, waitlist: user._id } },
+        { session }
+      );
+      await EnrollmentRequest.deleteMany({ student: user._id }, { session });
+      await PlacementAttempt.deleteMany({ student: user._id }, { session });
+      await EnrollmentRecord.deleteMany({ student: user._id }, { session });
+      await ClassSession.updateMany(
+        { "attendance.student": user._id },
+        { $pull: { attendance: { student: user._id } } },
+        { session }
+      );
+      await User.deleteOne({ _id: user._id }, { session });
+    });
+    if (user.clerkId) await clerkClient.users.deleteUser(user.clerkId).catch(ignoreMissing);
+    await fillFreedSeats(user.enrolledClasses);
+  }
+  return users;
+};
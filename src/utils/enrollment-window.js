@@ -0,0 +1,45 @@
+// Enrollment windows, shared by the API (which enforces them) and the UI (which
+// shows when enrollment opens or closes).
+//
+// A class may schedule `enrollmentOpensAt` / `enrollmentClosesAt` (null = no bound).
+// `enrollmentOverride` ("open" | "closed" | null) lets an admin force enrollment open
+// or closed regardless of the window.
+
+/**
+ * Enrollment state of a class at a given time.
+ * Accepts raw class documents and projected ones (see projectClass in
+ * server/middleware/policy.js), which only carry the computed `isEnrollmentOpen`
+ * and the upcoming `enrollmentOpensAt` / `enrollmentClosesAt`.
+ * @param {object} cls - class document
+ * @param {Date} now - reference time
+ * @returns {{ isOpen: boolean, opensAt: Date|null, closesAt: Date|null }}
+ *   opensAt is set while enrollment has yet to open; closesAt while a scheduled close is ahead
+ */
+export const getEnrollmentState = (cls, now = new Date()) => {
+  if (cls.enrollmentOverride) {
+    return { isOpen: cls.enrollmentOverride === "open", opensAt: null, closesAt: null };
+  }
+
+  const opensAt = cls.enrollmentOpensAt ? new Date(cls.enrollmentOpensAt) : null;
+  const closesAt = cls.enrollmentClosesAt ? new Date(cls.enrollmentClosesAt) : null;
+
+  if (closesAt && now >= closesAt) return { isOpen: false, opensAt: null, closesAt: null };
+  if (opensAt && now < opensAt) return { isOpen: false, opensAt, closesAt };
+  if (opensAt || closesAt) return { isOpen: true, opensAt: null, closesAt };
+  return { isOpen: cls.isEnrollmentOpen ?? true, opensAt: null, closesAt: null };
+};
+
+/**
+ * Time left until `date`, split into whole units.
+ * @param {Date} date - a future time
+ * @param {Date} now - reference time
+ * @returns {{ days: number, hours: number, minutes: number }} all zero once `date` has passed
+ */
+export const timeUntil = (date, now = new Date()) => {
+  const totalMinutes = Math.max(0, Math.ceil((new Date(date) - now) / 60000));
+  return {
+    days: Math.floor(totalMinutes / 1440),
+    hours: Math.floor((totalMinutes % 1440) / 60),
+    minutes: totalMinutes % 60,
+  };
+};
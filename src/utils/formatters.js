@@ -1,4 +1,5 @@
 import { toWords } from "number-to-chinese-words";
+import { describeClassProgram } from "./programs";
 
 export const toTitleCase = (text) => text.charAt(0).toUpperCase() + text.slice(1);
 
@@ -18,4 +19,21 @@ export const ensureHttps = (url) => {
 export const convertIfNumber = (str) => {
     const trimmed = str.trim();
     return !isNaN(trimmed) && trimmed !== '' ? Number(trimmed) : str;
-};
\ No newline at end of file
+};
+// Date and time in the reader's locale and time zone, e.g. "Oct 30, 2026, 5:00 PM"
+export const formatDateTime = (date, lang) =>
+    new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(date));
+
+// The two largest units of a timeUntil() result, e.g. "2d 5h" or "3h 20m"
+export const formatCountdown = ({ days, hours, minutes }, lang) => {
+    const unit = (value, name) =>
+        new Intl.NumberFormat(lang, { style: 'unit', unit: name, unitDisplay: 'narrow' }).format(value);
+    return days > 0
+        ? `${unit(days, 'day')} ${unit(hours, 'hour')}`
+        : `${unit(hours, 'hour')} ${unit(minutes, 'minute')}`;
+};
+
+// Admin-facing class name, e.g. "Level 3 · adults · Maria" (matches the audit log's classLabel).
+// Pass the loaded programs to name programs added on the Programs page.
+export const formatClassLabel = (cls, programs) =>
+    [describeClassProgram(cls, programs), cls.ageGroup, cls.instructor].filter(Boolean).join(' · ');
@@ -0,0 +1,68 @@
+// Level prerequisites, shared by the API (which enforces them on enroll) and the UI
+// (which shows levels as locked or unlocked).
+//
+// A level's `prerequisites` are alternatives: meeting any one unlocks the level, and a
+// level without prerequisites is open to everyone. Rule kinds:
+//   - completed_level  the student completed level `level` (User.completedLevels)
+//   - placement        the student's placement result is this level or higher (User.placementLevel)
+//   - admin_override   only an admin can unlock it
+// An admin override (User.levelOverrides) unlocks a level whatever its rules are.
+
+export const PREREQUISITE_KINDS = ["completed_level", "placement", "admin_override"];
+
+const ruleMet = (rule, level, student) => {
+  switch (rule.kind) {
+    case "completed_level":
+      return (student?.completedLevels || []).includes(rule.level);
+    case "placement":
+      return student?.placementLevel != null && student.placementLevel >= level.level;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Whether a student may enroll in classes of a level.
+ * @param {object} level - level document with `level` and `prerequisites`
+ * @param {object|null} student - user with `completedLevels`, `placementLevel` and `levelOverrides`
+ * @returns {{ unlocked: boolean, via: string|null }} via is the rule kind that unlocked
+ *   the level ("admin_override" for an override), or null when it has no prerequisites or is locked
+ */
+export const checkLevelAccess = (level, student) => {
+  const rules = level?.prerequisites || [];
+  if (!rules.length) return { unlocked: true, via: null };
+  if ((student?.levelOverrides || []).includes(level.level)) return { unlocked: true, via: "admin_override" };
+
+  const met = rules.find((rule) => ruleMet(rule, level, student));
+  return met ? { unlocked: true, via: met.kind } : { unlocked: false, via: null };
+};
+
+/**
+ * English summary of a level's prerequisites, for admin pages and error messages.
+ * @param {object} level - level document
+ * @returns {string} e.g. "completed Level 2 or a placement result of Level 3 or higher"
+ */
+export const describePrerequisites = (level) =>
+  (level?.prerequisites || [])
+    .map((rule) => {
+      switch (rule.kind) {
+        case "completed_level":
+          return `completed Level ${rule.level}`;
+        case "placement":
+          return `a placement result of Level ${level.level} or higher`;
+        default:
+          return "approval from an admin";
+      }
+    })
+    .join(" or ");
+
+/**
+ * Lock state to show a user for a level.
+ * @param {object} level - level document
+ * @param {object|null} user - signed-in user, if any
+ * @returns {"locked"|"unlocked"|null} null unless the user is a student and the level has prerequisites
+ */
+export const levelLockState = (level, user) => {
+  if (user?.privilege !== "student" || !level?.prerequisites?.length) return null;
+  return checkLevelAccess(level, user).unlocked ? "unlocked" : "locked";
+};
@@ -0,0 +1,58 @@
+// Programs (tracks), shared by the API and the client.
+//
+// Every class belongs to a program (Class.program, the program's slug). Classes of a
+// level-based program have a `level` number from the Level collection, so the numbered
+// levels are shared by all level-based programs; classes of other programs (like
+// conversation practice) have no level. Slugs are fixed once created because classes
+// and URLs refer to them.
+
+// The class types from before programs were stored, created by the program migration.
+// Classes saved before then belong to DEFAULT_PROGRAM.
+export const DEFAULT_PROGRAMS = [
+  {
+    slug: "general",
+    name: "General English",
+    description: "Step-by-step English classes, from the alphabet to fluent conversation.",
+    isLevelBased: true,
+    order: 0,
+  },
+  {
+    slug: "conversation",
+    name: "Conversation",
+    description: "Practice speaking with an instructor and other students.",
+    isLevelBased: false,
+    order: 1,
+  },
+  {
+    slug: "ielts",
+    name: "IELTS",
+    description: "Prepare for the IELTS exam.",
+    isLevelBased: false,
+    order: 2,
+  },
+];
+export const DEFAULT_PROGRAM = "general";
+
+// Lowercase letters, digits and dashes, starting with a letter (slugs are used in URLs)
+export const PROGRAM_SLUG_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// "kids-reading" → "Kids Reading", for programs whose name is not at hand.
+const nameFromSlug = (slug) =>
+  slug
+    .split("-")
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+/**
+ * English name of a class's program and level, for admin pages and the audit log.
+ * @param {object} cls - class (or enrollment record classInfo) with `program` and `level`
+ * @param {object[]} [programs] - known programs; defaults to DEFAULT_PROGRAMS
+ * @returns {string} e.g. "Level 3", "IELTS" or "Kids Reading Level 2"
+ */
+export const describeClassProgram = (cls, programs = DEFAULT_PROGRAMS) => {
+  const slug = cls?.program || DEFAULT_PROGRAM;
+  const name = programs.find((program) => program.slug === slug)?.name || nameFromSlug(slug);
+  if (typeof cls?.level !== "number") return name;
+  return slug === DEFAULT_PROGRAM ? `Level ${cls.level}` : `${name} Level ${cls.level}`;
+};
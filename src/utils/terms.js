@@ -0,0 +1,51 @@
+// Academic terms, shared by the API and the client.
+//
+// Classes belong to a term (Class.term, the term's _id) or to none (null, e.g. classes
+// saved before terms existed), which shows them in every term. A term's `startDate` and
+// `endDate` are its first and last days, stored as UTC midnight; it runs until the end of
+// its last day. Once a term has ended its classes are read-only: they stay listed, but
+// rosters and class details no longer change.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Where a term is relative to `now`.
+ * @param {object} term - term with `startDate` and `endDate`
+ * @param {Date} [now]
+ * @returns {"upcoming" | "current" | "past"}
+ */
+export const termStatus = (term, now = new Date()) => {
+  if (now.getTime() < new Date(term.startDate).getTime()) return "upcoming";
+  if (now.getTime() >= new Date(term.endDate).getTime() + DAY_MS) return "past";
+  return "current";
+};
+
+export const isTermEnded = (term, now = new Date()) => Boolean(term) && termStatus(term, now) === "past";
+
+/**
+ * The term pages open on: the one under way, else the next to start, else the last one.
+ * @param {object[]} terms - terms in any order
+ * @param {Date} [now]
+ * @returns {object|null}
+ */
+export const findCurrentTerm = (terms, now = new Date()) => {
+  const byStart = [...(terms || [])].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  return (
+    byStart.findLast((term) => termStatus(term, now) === "current") ||
+    byStart.find((term) => termStatus(term, now) === "upcoming") ||
+    byStart.at(-1) ||
+    null
+  );
+};
+
+// The first term starting after `term`, or null; where classes are rolled over to by default.
+export const findNextTerm = (terms, term) =>
+  [...(terms || [])]
+    .filter((other) => new Date(other.startDate) > new Date(term.startDate))
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))[0] || null;
+
+// Whether a class is listed in a term; classes without a term are listed in all of them.
+export const classInTerm = (cls, termId) => !cls?.term || String(cls.term) === String(termId);
+
+// "2026-09-01" for date inputs; terms are stored as UTC midnight.
+export const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
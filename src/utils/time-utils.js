@@ -1,28 +1,95 @@
-import { DateTime } from "luxon";
+import { DateTime, IANAZone } from "luxon";
+
+// Next time a weekly `day` + "H:mm" comes round in `zone`, at or after `now`, so conversions
+// use the UTC offsets in force on the day the class actually meets (daylight saving time).
+const nextOccurrence = (day, time24h, zone, now) => {
+  const weekday = DateTime.fromFormat(String(day || ''), 'cccc', { locale: 'en' }).weekday;
+  const time = DateTime.fromFormat(String(time24h || ''), 'H:mm');
+  if (!weekday || !time.isValid) return null;
+
+  const today = now.setZone(zone);
+  if (!today.isValid) return null;
+  let dt = today
+    .set({ hour: time.hour, minute: time.minute, second: 0, millisecond: 0 })
+    .plus({ days: (weekday - today.weekday + 7) % 7 });
+  if (dt < today) dt = dt.plus({ weeks: 1 });
+  return dt;
+}
 
 /**
  * Converts time from one time zone to another and returns 24-hour format.
+ * Uses the offsets of the next time that day and time comes round, so daylight saving
+ * time is applied as it will be on the day.
  * @param {string} day - day of the week
  * @param {string} time24h - time in 24-hour format
  * @param {string} fromZone - original time zone in IANA format
- * @param {string} toZone - target time zone in IANA format
- * @returns {string} time in 24-hour format in target time zone.
+ * @param {string} toZone - target time zone in IANA format (or "local")
+ * @returns {{ time: string, day: string }} time in 24-hour format and English day name in the target time zone
  */
 export const convertTime = (day, time24h, fromZone, toZone) => {
-  const dt = DateTime.fromFormat(`${day} ${time24h}`, 'cccc H:mm', {
-    zone: fromZone,
-  }).setZone(toZone)
+  const dt = nextOccurrence(day, time24h, fromZone, DateTime.now())?.setZone(toZone);
 
-  if (!dt.isValid) {
+  if (!dt?.isValid) {
     return { time: '', day: '' };
   }
 
   return {
     time: dt.toFormat('H:mm'),
-    day: dt.toFormat('cccc')
+    day: dt.toFormat('cccc', { locale: 'en' })
   }
 }
 
+/**
+ * Converts a weekly class slot to another time zone at its next meeting.
+ * A slot whose end is not after its start runs past midnight, so its end falls on the next day.
+ * @param {{ day: string, startTime: string, endTime: string, timezone?: string }} slot - stored slot (24-hour times, IANA zone, UTC when missing)
+ * @param {string} toZone - target time zone in IANA format (or "local")
+ * @param {DateTime} [now] - when "next meeting" is counted from
+ * @returns {{ start: DateTime, end: DateTime, day: string, zoneName: string } | null}
+ *   start and end in the target zone, the English day the slot starts on there and the zone's
+ *   short name ("EDT", "GMT+3"); null when the slot cannot be read
+ */
+export const slotInZone = (slot, toZone, now = DateTime.now()) => {
+  const start = nextOccurrence(slot?.day, slot?.startTime, slot?.timezone || 'Etc/UTC', now);
+  const endTime = DateTime.fromFormat(String(slot?.endTime || ''), 'H:mm');
+  if (!start || !endTime.isValid) return null;
+
+  let end = start.set({ hour: endTime.hour, minute: endTime.minute });
+  if (end <= start) end = end.plus({ days: 1 });
+
+  const zoned = start.setZone(toZone);
+  if (!zoned.isValid) return null;
+  return {
+    start: zoned,
+    end: end.setZone(toZone),
+    day: zoned.toFormat('cccc', { locale: 'en' }),
+    zoneName: zoned.offsetNameShort || zoned.toFormat('ZZ'),
+  };
+}
+
+/**
+ * Whether `zone` is an IANA time zone name luxon can use.
+ * @param {string} zone - e.g. "America/New_York"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+/**
+ * The browser's (or server's) own IANA time zone.
+ * @returns {string} e.g. "Europe/Istanbul", "Etc/UTC" when unknown
+ */
+export const browserTimezone = () => {
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimezone(zone) ? zone : 'Etc/UTC';
+}
+
+/**
+ * Every IANA time zone the runtime knows, for time zone pickers.
+ * @returns {string[]} sorted zone names (empty when the runtime cannot list them)
+ */
+export const listTimezones = () =>
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
 /**
  * Converts a 24-hour time string to 12-hour format with AM/PM.
  * @param {string} time24h - time in 24-hour format
@@ -36,4 +103,25 @@ export const to12HourFormat = (time24h) => {
   }
 
   return dt.toFormat('h:mm a');
-}
\ No newline at end of file
+}
+/**
+ * Formats a date for a datetime-local input, in the browser's time zone.
+ * @param {Date|string|null} date - date to show
+ * @returns {string} "yyyy-MM-ddTHH:mm", or '' when there is no date
+ */
+export const toDateTimeLocal = (date) => {
+  if (!date) return '';
+  const dt = DateTime.fromJSDate(new Date(date));
+  return dt.isValid ? dt.toFormat("yyyy-MM-dd'T'HH:mm") : '';
+}
+
+/**
+ * Reads a datetime-local input value (browser time zone) as an ISO timestamp.
+ * @param {string} value - "yyyy-MM-ddTHH:mm" or ''
+ * @returns {string|null} ISO timestamp in UTC, or null when the input is empty
+ */
+export const fromDateTimeLocal = (value) => {
+  if (!value) return null;
+  const dt = DateTime.fromISO(value);
+  return dt.isValid ? dt.toUTC().toISO() : null;
+}
@@ -0,0 +1,26 @@
+// src/wrappers/age-group-wrapper.js
+import axios from "axios";
+
+export async function getAgeGroups() {
+  const { data } = await axios.get("/api/age-groups");
+  return data; // [{ _id, name, minAge, maxAge, classCount }]
+}
+
+export async function createAgeGroup(group) {
+  const { data } = await axios.post("/api/age-groups", group);
+  return data;
+}
+
+export async function updateAgeGroup(id, range) {
+  const { data } = await axios.put(`/api/age-groups/${encodeURIComponent(id)}`, range);
+  return data;
+}
+
+export async function deleteAgeGroup(id) {
+  await axios.delete(`/api/age-groups/${encodeURIComponent(id)}`);
+}
+
+export async function getAgeMismatches() {
+  const { data } = await axios.get("/api/age-groups/mismatches");
+  return data; // [{ student, class, ageGroup, problem }]
+}
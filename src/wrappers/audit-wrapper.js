@@ -0,0 +1,31 @@
+// src/wrappers/audit-wrapper.js
+import axios from "axios";
+
+export async function getAuditEvents({
+  page = 1,
+  limit = 50,
+  actor = "",
+  entityType = "",
+  from = "",
+  to = "",
+  q = "",
+} = {}) {
+  const { data } = await axios.get("/api/audit", {
+    params: {
+      page,
+      limit,
+      ...(actor ? { actor } : {}),
+      ...(entityType ? { entityType } : {}),
+      ...(from ? { from } : {}),
+      ...(to ? { to } : {}),
+      ...(q ? { q } : {}),
+    },
+  });
+
+  return data; // { items, total, page, limit }
+}
+
+export async function getAuditActors() {
+  const { data } = await axios.get("/api/audit/actors");
+  return data; // [{ _id, name, email }]
+}
@@ -86,9 +86,9 @@ const enrollInClass = async (classId, userId) => {
   }
 }
 
-const unenrollInClass = async (classId, userId) => {
+const unenrollInClass = async (classId, userId, reason = '') => {
   try {
-    const response = await axios.put(`/api/users/${userId}/unenroll`, { classId });
+    const response = await axios.put(`/api/users/${userId}/unenroll`, { classId, reason });
     return response.data;
   } catch (error) {
     console.error('Unenroll endpoint put error:', error);
@@ -96,6 +96,105 @@ const unenrollInClass = async (classId, userId) => {
   }
 }
 
+// Waitlisted students in order, first in line first
+const getClassWaitlist = async (classId) => {
+  try {
+    const response = await axios.get(`/api/classes/classes/${classId}/waitlist`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching class waitlist:', error);
+    throw error;
+  }
+}
+
+// waitlist should be the current waitlist's user IDs in the new order
+const reorderClassWaitlist = async (classId, waitlist) => {
+  try {
+    const response = await axios.put(`/api/classes/classes/${classId}/waitlist`, { waitlist });
+    return response.data;
+  } catch (error) {
+    console.error('Waitlist endpoint put error:', error);
+    throw error;
+  }
+}
+
+// Pending enrollment requests, oldest first: [{ _id, createdAt, student }]
+const getClassRequests = async (classId) => {
+  try {
+    const response = await axios.get(`/api/classes/classes/${classId}/requests`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching enrollment requests:', error);
+    throw error;
+  }
+}
+
+// decision should be "approve" or "decline"; note is an optional message to the student
+const decideClassRequest = async (classId, requestId, decision, note = "") => {
+  try {
+    const response = await axios.put(`/api/classes/classes/${classId}/requests/${requestId}`, { decision, note });
+    return response.data;
+  } catch (error) {
+    console.error('Enrollment request endpoint put error:', error);
+    throw error;
+  }
+}
+
+// action is "transfer" (fromClassId → toClassId), "add" (toClassId) or "remove" (fromClassId).
+// Nothing changes unless every student can be changed: { applied, results: [{ user, ok, code, message }] }
+const changeRoster = async ({ action, students, fromClassId = null, toClassId = null, reason = "" }) => {
+  try {
+    const response = await axios.post(`/api/classes/roster-changes`, { action, students, fromClassId, toClassId, reason });
+    return response.data;
+  } catch (error) {
+    console.error('Roster changes endpoint post error:', error);
+    throw error;
+  }
+}
+
+// Sessions of the classes starting or scheduled between `from` and `to` (default: the next two
+// weeks), by start time. Classes are looked up 50 at a time.
+const getClassSessions = async ({ classIds, from = null, to = null }) => {
+  try {
+    const batches = [];
+    for (let i = 0; i < classIds.length; i += 50) batches.push(classIds.slice(i, i + 50));
+    const responses = await Promise.all(batches.map((batch) => {
+      const query = new URLSearchParams({ classIds: batch.join(',') });
+      if (from) query.set('from', new Date(from).toISOString());
+      if (to) query.set('to', new Date(to).toISOString());
+      return axios.get(`/api/classes/sessions?${query}`);
+    }));
+    return responses
+      .flatMap((response) => response.data)
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+  } catch (error) {
+    console.error('Error fetching class sessions:', error);
+    throw error;
+  }
+}
+
+// action is "cancel", "reschedule" (with startsAt and endsAt) or "restore"; cancelling and moving need a reason
+const changeClassSession = async (classId, sessionId, { action, reason = "", startsAt = null, endsAt = null }) => {
+  try {
+    const response = await axios.put(`/api/classes/classes/${classId}/sessions/${sessionId}`, { action, reason, startsAt, endsAt });
+    return response.data;
+  } catch (error) {
+    console.error('Session endpoint put error:', error);
+    throw error;
+  }
+}
+
+// attendance is [{ student, status: "present" | "absent" | "late" | "excused" }]
+const recordSessionAttendance = async (classId, sessionId, { attendance, notes }) => {
+  try {
+    const response = await axios.put(`/api/classes/classes/${classId}/sessions/${sessionId}/attendance`, { attendance, notes });
+    return response.data;
+  } catch (error) {
+    console.error('Attendance endpoint put error:', error);
+    throw error;
+  }
+}
+
 export {
   getAllClasses,
   getClasses,
@@ -105,5 +204,13 @@ export {
   updateClass,
   deleteClass,
   enrollInClass,
-  unenrollInClass
+  unenrollInClass,
+  getClassWaitlist,
+  reorderClassWaitlist,
+  getClassRequests,
+  decideClassRequest,
+  changeRoster,
+  getClassSessions,
+  changeClassSession,
+  recordSessionAttendance
 }
\ No newline at end of file
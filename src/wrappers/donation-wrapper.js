@@ -0,0 +1,7 @@
+// src/wrappers/donation-wrapper.js
+import axios from "axios";
+
+export async function getDonationSettings() {
+  const { data } = await axios.get("/api/donate/settings");
+  return data; // { enabled, baseUrl, stripe: { available, secretKeySet }, paypal: { available, environment, clientIdSet, clientSecretSet } }
+}
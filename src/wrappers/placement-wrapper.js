@@ -0,0 +1,41 @@
+// src/wrappers/placement-wrapper.js
+import axios from "axios";
+
+export async function getPlacementStatus() {
+  const { data } = await axios.get("/api/placement/me");
+  return data; // { inProgress, latest, retakeAt, timeLimitMinutes }
+}
+
+export async function startPlacementTest() {
+  const { data } = await axios.post("/api/placement/me/attempts");
+  return data; // { _id, expiresAt, questions } (resumes a test in progress)
+}
+
+export async function submitPlacementTest(attemptId, answers) {
+  const { data } = await axios.put(`/api/placement/me/attempts/${encodeURIComponent(attemptId)}`, { answers });
+  return data; // { score, total, levelScores, recommendedLevel, ... }
+}
+
+export async function getPlacementQuestions(query = "") {
+  const { data } = await axios.get(`/api/placement/questions?${query}`);
+  return data;
+}
+
+export async function createPlacementQuestion(question) {
+  const { data } = await axios.post("/api/placement/questions", question);
+  return data;
+}
+
+export async function updatePlacementQuestion(id, updates) {
+  const { data } = await axios.put(`/api/placement/questions/${encodeURIComponent(id)}`, updates);
+  return data;
+}
+
+export async function deletePlacementQuestion(id) {
+  await axios.delete(`/api/placement/questions/${encodeURIComponent(id)}`);
+}
+
+export async function getUserPlacementAttempts(userId) {
+  const { data } = await axios.get(`/api/placement/users/${encodeURIComponent(userId)}/attempts`);
+  return data; // finished tests, newest first
+}
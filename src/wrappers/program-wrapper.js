@@ -0,0 +1,21 @@
+// src/wrappers/program-wrapper.js
+import axios from "axios";
+
+export async function getPrograms() {
+  const { data } = await axios.get("/api/programs");
+  return data; // [{ _id, slug, name, description, image, isLevelBased, order, classCount }], by order
+}
+
+export async function createProgram(program) {
+  const { data } = await axios.post("/api/programs", program);
+  return data;
+}
+
+export async function updateProgram(id, changes) {
+  const { data } = await axios.put(`/api/programs/${encodeURIComponent(id)}`, changes);
+  return data;
+}
+
+export async function deleteProgram(id) {
+  await axios.delete(`/api/programs/${encodeURIComponent(id)}`);
+}
@@ -0,0 +1,27 @@
+// src/wrappers/role-wrapper.js
+import axios from "axios";
+
+export async function getRoles() {
+  const { data } = await axios.get("/api/roles");
+  return data; // { roles, capabilities }
+}
+
+export async function createRole(role) {
+  const { data } = await axios.post("/api/roles", role);
+  return data;
+}
+
+export async function updateRole(id, updates) {
+  const { data } = await axios.put(`/api/roles/${encodeURIComponent(id)}`, updates);
+  return data;
+}
+
+export async function deleteRole(id) {
+  await axios.delete(`/api/roles/${encodeURIComponent(id)}`);
+}
+
+/** Replaces a user's roles with `roleIds`. Returns the updated user. */
+export async function assignRoles(userId, roleIds) {
+  const { data } = await axios.put(`/api/users/${encodeURIComponent(userId)}/roles`, { roles: roleIds });
+  return data;
+}
@@ -0,0 +1,27 @@
+// src/wrappers/term-wrapper.js
+import axios from "axios";
+
+export async function getTerms() {
+  const { data } = await axios.get("/api/terms");
+  return data; // [{ _id, name, startDate, endDate, classCount }], newest first
+}
+
+export async function createTerm(term) {
+  const { data } = await axios.post("/api/terms", term);
+  return data;
+}
+
+export async function updateTerm(id, changes) {
+  const { data } = await axios.put(`/api/terms/${encodeURIComponent(id)}`, changes);
+  return data;
+}
+
+export async function deleteTerm(id) {
+  await axios.delete(`/api/terms/${encodeURIComponent(id)}`);
+}
+
+// Copies classes of a term into another one; returns { created, skipped }.
+export async function rolloverTerm(id, { classIds, toTermId }) {
+  const { data } = await axios.post(`/api/terms/${encodeURIComponent(id)}/rollover`, { classIds, toTermId });
+  return data;
+}
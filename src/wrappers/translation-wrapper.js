@@ -23,6 +23,16 @@ const editTranslation = async (lng, ns, key, newTranslation) => {
   }
 }
 
+const getTranslationHistory = async (lng, ns, key) => {
+  try {
+    const response = await axios.get(`/api/locales/history/${lng}/${ns}/${encodeURIComponent(key)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Failed to fetch translation history:', error);
+    throw error;
+  }
+}
+
 const transferTranslations = async () => {
   try {
     const response = await axios.post('/api/locales/transfer');
@@ -36,5 +46,6 @@ const transferTranslations = async () => {
 export {
   getTranslations,
   editTranslation,
+  getTranslationHistory,
   transferTranslations
 }
\ No newline at end of file
@@ -0,0 +1,13 @@
+// src/wrappers/trash-wrapper.js
+import axios from "axios";
+
+export async function getTrash() {
+  const { data } = await axios.get("/api/trash");
+  return data; // { retentionDays, users?, classes?, levels? } — only types the caller may restore
+}
+
+/** `type` is "users" | "classes" | "levels". Returns the restored document. */
+export async function restoreFromTrash(type, id) {
+  const { data } = await axios.post(`/api/trash/${type}/${encodeURIComponent(id)}/restore`);
+  return data;
+}
@@ -28,6 +28,12 @@ const getUsersPaginated = async ({ privilege, page = 1, limit = 24, q = '' }) =>
   return data; // { items, total, page, limit }
 };
 
+/** Instructor accounts (sorted by name), e.g. for assigning classes. */
+const getInstructors = async () => {
+  const { data } = await axios.get('/api/users', { params: { privilege: 'instructor' } });
+  return data;
+};
+
 /** Get single user by query string (_id | email | whatsapp) */
 const getUser = async (query = '') => {
   const response = await axios.get(`/api/user?${query}`);
@@ -65,8 +71,97 @@ const getStudentsClasses = async (studentId) => {
   return data;
 };
 
-const getStudentsForExport = async () => {
-  const { data } = await axios.get('/api/students-export');
+/**
+ * Downloads a server-generated student spreadsheet.
+ * Accepts the same level/q filters as getStudentsWithClasses, plus the
+ * column keys and IANA timezones for schedule columns.
+ */
+const downloadStudentsExport = async ({ format = 'xlsx', level = null, q = '', columns = [], timezones = [] } = {}) => {
+  const res = await axios.get('/api/students-export', {
+    params: {
+      format,
+      ...(level !== null ? { level } : {}),
+      ...(q ? { q } : {}),
+      ...(columns.length ? { columns: columns.join(',') } : {}),
+      ...(timezones.length ? { tz: timezones.join(',') } : {}),
+    },
+    responseType: 'blob',
+  });
+
+  const url = window.URL.createObjectURL(res.data);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `dillar_students.${format}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/** Downloads everything stored about the signed-in user ("json" or "zip"). */
+const downloadMyData = async (format = 'zip') => {
+  const res = await axios.get('/api/me/export', { params: { format }, responseType: 'blob' });
+
+  const url = window.URL.createObjectURL(res.data);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `dillar_my_data.${format}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/** Schedules deletion of the signed-in student's account. Returns { deletionScheduledFor }. */
+const requestAccountDeletion = async (confirmEmail) => {
+  const { data } = await axios.post('/api/me/deletion', { confirmEmail });
+  return data;
+};
+
+const cancelAccountDeletion = async () => {
+  const { data } = await axios.delete('/api/me/deletion');
+  return data;
+};
+
+/** Path of the signed-in user's calendar feed ("/api/calendar/<token>.ics"), created on first use. */
+const getCalendarLink = async () => {
+  const { data } = await axios.get('/api/me/calendar');
+  return data.path;
+};
+
+/** Replaces the calendar feed token; links shared before stop working. Returns the new path. */
+const regenerateCalendarLink = async () => {
+  const { data } = await axios.post('/api/me/calendar');
+  return data.path;
+};
+
+/** Checks enrollment links; repairs them unless dryRun. Returns { checkedUsers, checkedClasses, applied, fixes }. */
+const reconcileEnrollments = async ({ dryRun = true } = {}) => {
+  const { data } = await axios.post('/api/enrollments/reconcile', { dryRun });
+  return data;
+};
+
+/** A student's pending and recently decided enrollment requests, newest first. */
+const getEnrollmentRequests = async (userId) => {
+  const { data } = await axios.get(`/api/users/${userId}/enrollment-requests`);
+  return data;
+};
+
+/** A student's enrollment records (current and past), newest first. */
+const getEnrollmentHistory = async (userId) => {
+  const { data } = await axios.get(`/api/users/${userId}/enrollments`);
+  return data;
+};
+
+/** Ends a student's enrollment as completed (user managers). */
+const completeClass = async (userId, classId, reason = '') => {
+  const { data } = await axios.put(`/api/users/${userId}/complete`, { classId, reason });
+  return data;
+};
+
+/** Moves a student from one of their classes onto another class's roster (user managers). */
+const transferClass = async (userId, fromClassId, toClassId, reason = '') => {
+  const { data } = await axios.put(`/api/users/${userId}/transfer`, { fromClassId, toClassId, reason });
   return data;
 };
 
@@ -79,10 +174,21 @@ export {
   postUser,
   getUsers,
   getUsersPaginated,      // <— new
+  getInstructors,
   getUser,
   updateUser,
   getStudentsWithClasses,
   getStudentsClasses,     // deprecated
-  getStudentsForExport,
+  downloadStudentsExport,
   deleteUser,
+  downloadMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getCalendarLink,
+  regenerateCalendarLink,
+  reconcileEnrollments,
+  getEnrollmentRequests,
+  getEnrollmentHistory,
+  completeClass,
+  transferClass,
 };
\ No newline at end of file